@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const audit = require('../audit');
+
+let dir;
+let logPath;
+
+/**
+ * Appends a few export entries
+ * @param {AuditLog} log - Audit log
+ * @returns {Promise<object[]>} - The stored entries
+ */
+async function appendEntries(log) {
+  return Promise.all([
+    log.append({ actor: 'tok_a', action: 'billing.export', profileId: 'demo', fields: ['city'], status: 200, outcome: 'success' }),
+    log.append({ actor: 'tok_a', action: 'billing.export', profileIds: ['demo', 'other'], fields: ['city'], status: 200, outcome: 'success' }),
+    log.append({ actor: 'tok_b', action: 'billing.read', profileId: 'other', status: 403, outcome: 'denied' })
+  ]);
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pba-audit-'));
+  logPath = path.join(dir, 'audit.log');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('audit log', () => {
+  test('chains entries in order', async () => {
+    const entries = await appendEntries(audit.createAuditLog(logPath));
+
+    expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[1].prev).toBe(entries[0].hash);
+
+    const report = await audit.createAuditLog(logPath).verify({ expectedHead: { seq: 2, hash: entries[1].hash } });
+    expect(report).toMatchObject({ valid: true, entries: 3, head: { seq: 3, hash: entries[2].hash }, problems: [] });
+  });
+
+  test('continues the chain after a restart', async () => {
+    await appendEntries(audit.createAuditLog(logPath));
+    const entry = await audit.createAuditLog(logPath).append({ action: 'billing.read', outcome: 'success' });
+
+    expect(entry.seq).toBe(4);
+    expect((await audit.createAuditLog(logPath).verify()).valid).toBe(true);
+  });
+
+  test('finds entries by profile, including multi-profile exports', async () => {
+    await appendEntries(audit.createAuditLog(logPath));
+    const log = audit.createAuditLog(logPath);
+
+    expect((await log.query({ profileId: 'other' })).entries.map(entry => entry.seq)).toEqual([3, 2]);
+    expect((await log.query({ outcome: 'denied' })).total).toBe(1);
+    expect((await log.query({ limit: 1 })).entries).toHaveLength(1);
+  });
+
+  test('detects an edited entry', async () => {
+    await appendEntries(audit.createAuditLog(logPath));
+    const lines = fs.readFileSync(logPath, 'utf-8').trim().split('\n');
+    lines[1] = lines[1].replace('"tok_a"', '"tok_x"');
+    fs.writeFileSync(logPath, `${lines.join('\n')}\n`);
+
+    const report = await audit.createAuditLog(logPath).verify();
+    expect(report.valid).toBe(false);
+    expect(report.problems[0]).toEqual({ line: 2, message: 'entry 2 was modified (hash mismatch)' });
+  });
+
+  test('detects entries cut off the end', async () => {
+    await appendEntries(audit.createAuditLog(logPath));
+    const lines = fs.readFileSync(logPath, 'utf-8').trim().split('\n');
+    fs.writeFileSync(logPath, `${lines.slice(0, 2).join('\n')}\n`);
+
+    const report = await audit.createAuditLog(logPath).verify();
+    expect(report.valid).toBe(false);
+    expect(report.problems[0].message).toMatch(/cut off/);
+  });
+});
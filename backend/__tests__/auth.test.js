@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auth = require('../auth');
+
+const { SCOPES, ERROR_CODES } = auth;
+
+let dir;
+let filePath;
+
+/**
+ * Runs a requireScopes middleware against a request
+ * @param {function} middleware - Express middleware
+ * @param {string} authorization - Authorization header, if any
+ * @returns {{status: number|null, headers: object, body: object|null, next: boolean, req: object}}
+ */
+function run(middleware, authorization) {
+  const result = { status: null, headers: {}, body: null, next: false };
+  const req = { get: name => (name === 'Authorization' ? authorization : undefined) };
+  const res = {
+    setHeader: (name, value) => { result.headers[name] = value; },
+    status: code => {
+      result.status = code;
+      return res;
+    },
+    json: body => { result.body = body; }
+  };
+  middleware(req, res, () => { result.next = true; });
+  return { ...result, req };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pba-auth-'));
+  filePath = path.join(dir, 'tokens.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('TokenStore', () => {
+  test('verifies an issued token and keeps only its hash', () => {
+    const store = new auth.TokenStore(filePath);
+    const { token, record } = store.issue({ name: 'ci', scopes: [SCOPES.EXPORT, SCOPES.EXPORT] });
+
+    expect(record.scopes).toEqual([SCOPES.EXPORT]);
+    expect(fs.readFileSync(filePath, 'utf-8')).not.toContain(token.slice(`pba_${record.id}_`.length));
+    expect(new auth.TokenStore(filePath).verify(token)).toEqual(record);
+  });
+
+  test('refuses revoked, expired and altered tokens', () => {
+    const store = new auth.TokenStore(filePath);
+    const revoked = store.issue({ name: 'old', scopes: [SCOPES.DECRYPT] });
+    store.revoke(revoked.record.id);
+    const expired = store.issue({ name: 'short', scopes: [SCOPES.DECRYPT], expiresAt: new Date(Date.now() - 1000) });
+    const valid = store.issue({ name: 'valid', scopes: [SCOPES.DECRYPT] });
+
+    expect(store.verify(revoked.token)).toBeNull();
+    expect(store.verify(expired.token)).toBeNull();
+    expect(store.verify(`${valid.token.slice(0, -1)}${valid.token.endsWith('A') ? 'B' : 'A'}`)).toBeNull();
+    expect(store.verify('not-a-token')).toBeNull();
+  });
+
+  test('applies a revocation made by another process', () => {
+    const server = new auth.TokenStore(filePath);
+    const { token, record } = server.issue({ name: 'ci', scopes: [SCOPES.EXPORT] });
+    expect(server.verify(token)).not.toBeNull();
+
+    new auth.TokenStore(filePath).revoke(record.id);
+    // Later than the issue, as file times can be coarser than a millisecond
+    const later = new Date(Date.now() + 1000);
+    fs.utimesSync(filePath, later, later);
+    expect(server.verify(token)).toBeNull();
+  });
+
+  test('checks a reveal password', async () => {
+    const store = new auth.TokenStore(filePath);
+    const { record } = store.issue({ name: 'support', scopes: [SCOPES.READ_CARD] });
+    await expect(store.checkRevealPassword(record.id, 'Staple-Orbit-Lantern-97')).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_TOKEN
+    });
+
+    expect(await store.setRevealPassword(record.id, 'Staple-Orbit-Lantern-97')).toMatchObject({ id: record.id, revealPassword: true });
+    expect(fs.readFileSync(filePath, 'utf-8')).not.toContain('Staple-Orbit-Lantern-97');
+    expect(await store.checkRevealPassword(record.id, 'Staple-Orbit-Lantern-97')).toBe(true);
+    expect(await store.checkRevealPassword(record.id, 'Staple-Orbit-Lantern-98')).toBe(false);
+  });
+
+  test('rejects unknown and missing scopes', () => {
+    expect(() => auth.checkScopes(['billing:everything'])).toThrow(expect.objectContaining({
+      code: ERROR_CODES.INVALID_TOKEN,
+      message: expect.stringMatching(/^Unknown scope: billing:everything/)
+    }));
+    expect(() => auth.checkScopes([])).toThrow(/At least one scope is required/);
+    expect(() => new auth.TokenStore(filePath).revoke('0000000000000000')).toThrow(expect.objectContaining({
+      code: ERROR_CODES.INVALID_TOKEN
+    }));
+  });
+});
+
+describe('requireScopes', () => {
+  test('asks for a token', () => {
+    const { requireScopes } = auth.createAuth({ store: new auth.TokenStore(filePath), enabled: true });
+
+    const missing = run(requireScopes(SCOPES.EXPORT));
+    expect(missing).toMatchObject({ status: 401, next: false, headers: { 'WWW-Authenticate': 'Bearer realm="pba-csv"' } });
+
+    const invalid = run(requireScopes(SCOPES.EXPORT), 'Bearer pba_0000000000000000_x');
+    expect(invalid.status).toBe(401);
+    expect(invalid.headers['WWW-Authenticate']).toMatch(/error="invalid_token"/);
+  });
+
+  test('requires every scope of the route', () => {
+    const store = new auth.TokenStore(filePath);
+    const { requireScopes, hasScope } = auth.createAuth({ store, enabled: true });
+    const { token } = store.issue({ name: 'exporter', scopes: [SCOPES.EXPORT] });
+
+    const denied = run(requireScopes(SCOPES.EXPORT, SCOPES.READ_CARD), `Bearer ${token}`);
+    expect(denied).toMatchObject({ status: 403, next: false, body: { success: false, error: `Token lacks scope ${SCOPES.READ_CARD}` } });
+    expect(denied.headers['WWW-Authenticate']).toMatch(/error="insufficient_scope"/);
+
+    const allowed = run(requireScopes(SCOPES.EXPORT), `Bearer ${token}`);
+    expect(allowed.next).toBe(true);
+    expect(hasScope(allowed.req, SCOPES.EXPORT)).toBe(true);
+    expect(hasScope(allowed.req, SCOPES.READ_CARD)).toBe(false);
+  });
+
+  test('grants every scope with authentication off', () => {
+    const { requireScopes } = auth.createAuth({ store: new auth.TokenStore(filePath), enabled: false });
+
+    const { next, req } = run(requireScopes(SCOPES.DECRYPT));
+    expect(next).toBe(true);
+    expect(req.auth.scopes).toEqual(auth.ALL_SCOPES);
+  });
+});
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cli = require('../cli');
+const audit = require('../audit');
+const auth = require('../auth');
+const keyring = require('../../encryption/keyring');
+const signing = require('../../encryption/signing');
+
+const { EXIT_CODES } = cli;
+
+const CSV = 'city,postal_code\nAustin,73301\n';
+const PASSWORD = 'Correct-Horse-Battery-42';
+
+let dir;
+let output;
+
+/**
+ * Path in the test directory
+ * @param {string} name - File name
+ * @returns {string}
+ */
+function file(name) {
+  return path.join(dir, name);
+}
+
+/**
+ * Writes a password file
+ * @param {string} name - File name
+ * @param {string} password - Password
+ * @returns {string} - Its path
+ */
+function passwordFile(name, password) {
+  fs.writeFileSync(file(name), `${password}\n`, { mode: 0o600 });
+  return file(name);
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pba-cli-'));
+  fs.writeFileSync(file('billing.csv'), CSV);
+  passwordFile('password', PASSWORD);
+  delete process.env.PBA_CSV_PASSWORD;
+  delete process.env[keyring.KEY_PROVIDER_ENV.masterKey];
+
+  output = [];
+  const capture = (...values) => output.push(values.join(' '));
+  jest.spyOn(console, 'log').mockImplementation(capture);
+  jest.spyOn(console, 'error').mockImplementation(capture);
+  jest.spyOn(process.stdout, 'write').mockImplementation(value => capture(String(value)));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('parseArgs', () => {
+  test('separates positionals, options and flags', () => {
+    expect(cli.parseArgs(['a.json', '-o', 'out.csv', '--mode=fast', '--password-stdin', 'b.json'], {
+      aliases: { o: 'output' },
+      flags: ['password-stdin']
+    })).toEqual({ positionals: ['a.json', 'b.json'], options: { output: 'out.csv', mode: 'fast', 'password-stdin': true } });
+  });
+
+  test('takes values starting with a dash', () => {
+    expect(cli.parseArgs(['-o', '-out.csv'], { aliases: { o: 'output' } })).toEqual({ positionals: [], options: { output: '-out.csv' } });
+  });
+
+  test('rejects an option without its value', () => {
+    expect(() => cli.parseArgs(['-o'], { aliases: { o: 'output' } })).toThrow(expect.objectContaining({
+      code: 'USAGE',
+      message: '-o needs a value'
+    }));
+  });
+});
+
+describe('exit codes', () => {
+  /**
+   * Encrypts billing.csv into billing.json
+   * @returns {Promise<number>}
+   */
+  function encrypt() {
+    return cli.run(['encrypt', file('billing.csv'), '-o', file('billing.json'), '--password-file', file('password')]);
+  }
+
+  test('encrypts and decrypts', async () => {
+    expect(await encrypt()).toBe(EXIT_CODES.SUCCESS);
+    expect(await cli.run(['decrypt', file('billing.json'), '-o', file('out.csv'), '--password-file', file('password')]))
+      .toBe(EXIT_CODES.SUCCESS);
+    expect(fs.readFileSync(file('out.csv'), 'utf-8')).toBe(CSV);
+  });
+
+  test('encrypts a batch into a directory without overwriting', async () => {
+    fs.writeFileSync(file('second.csv'), CSV);
+    const args = ['encrypt', file('billing.csv'), file('second.csv'), '--out-dir', file('out'), '--password-file', file('password')];
+
+    expect(await cli.run(args)).toBe(EXIT_CODES.SUCCESS);
+    expect(fs.readdirSync(file('out')).sort()).toEqual(['billing.csv.pba.json', 'second.csv.pba.json']);
+    expect(await cli.run(args)).toBe(EXIT_CODES.FAILURE);
+    expect(await cli.run([...args, '--force'])).toBe(EXIT_CODES.SUCCESS);
+  });
+
+  test('encrypts and decrypts a stream file', async () => {
+    expect(await cli.run(['encrypt', file('billing.csv'), '--stream', '--password-file', file('password')]))
+      .toBe(EXIT_CODES.SUCCESS);
+    expect(await cli.run(['decrypt', file('billing.csv.pba'), '-o', file('out.csv'), '--password-file', file('password')]))
+      .toBe(EXIT_CODES.SUCCESS);
+    expect(fs.readFileSync(file('out.csv'), 'utf-8')).toBe(CSV);
+  });
+
+  test('rekeys a payload under a new password', async () => {
+    await encrypt();
+    const next = passwordFile('next', 'Staple-Orbit-Lantern-97');
+
+    expect(await cli.run(['rekey', file('billing.json'), '--password-file', file('password'), '--new-password-file', next]))
+      .toBe(EXIT_CODES.SUCCESS);
+    expect(await cli.run(['decrypt', file('billing.json'), '--password-file', file('password')])).toBe(EXIT_CODES.WRONG_PASSWORD);
+    expect(await cli.run(['decrypt', file('billing.json'), '-o', file('out.csv'), '--password-file', next])).toBe(EXIT_CODES.SUCCESS);
+    expect(fs.readFileSync(file('out.csv'), 'utf-8')).toBe(CSV);
+  });
+
+  test('inspects and verifies a payload', async () => {
+    await encrypt();
+
+    expect(await cli.run(['inspect', file('billing.json'), '--json'])).toBe(EXIT_CODES.SUCCESS);
+    expect(JSON.parse(output.pop())).toMatchObject({ valid: true, problems: [] });
+    expect(await cli.run(['verify', file('billing.json'), '--password-file', file('password')])).toBe(EXIT_CODES.SUCCESS);
+
+    const payload = JSON.parse(fs.readFileSync(file('billing.json'), 'utf-8'));
+    fs.writeFileSync(file('short-iv.json'), JSON.stringify({ ...payload, iv: 'AAAA' }));
+    expect(await cli.run(['inspect', file('short-iv.json')])).toBe(EXIT_CODES.CORRUPT_PAYLOAD);
+    expect(output.join('\n')).toMatch(/IV must be \d+ bytes/);
+  });
+
+  test('takes the password from PBA_CSV_PASSWORD', async () => {
+    await encrypt();
+    process.env.PBA_CSV_PASSWORD = PASSWORD;
+    expect(await cli.run(['decrypt', file('billing.json')])).toBe(EXIT_CODES.SUCCESS);
+    expect(output.join('')).toMatch(/Austin,73301/);
+  });
+
+  test('reports invalid usage', async () => {
+    expect(await cli.run(['encrypt'])).toBe(EXIT_CODES.USAGE);
+    expect(await cli.run(['decrypt', file('billing.json'), '-o'])).toBe(EXIT_CODES.USAGE);
+    expect(await cli.run(['rewrap', file('billing.json'), '--keyring'])).toBe(EXIT_CODES.USAGE);
+    expect(output.join('\n')).toMatch(/-o needs a value/);
+  });
+
+  test('reports a wrong password', async () => {
+    await encrypt();
+
+    const wrong = passwordFile('wrong', 'Wrong-Horse-Battery-42');
+    expect(await cli.run(['decrypt', file('billing.json'), '--password-file', wrong])).toBe(EXIT_CODES.WRONG_PASSWORD);
+  });
+
+  test('reports a missing input file', async () => {
+    expect(await cli.run(['decrypt', file('missing.json'), '--password-file', file('password')])).toBe(EXIT_CODES.FILE_NOT_FOUND);
+  });
+
+  test('reports a corrupt payload', async () => {
+    fs.writeFileSync(file('corrupt.json'), 'not a payload');
+    expect(await cli.run(['decrypt', file('corrupt.json'), '--password-file', file('password')])).toBe(EXIT_CODES.CORRUPT_PAYLOAD);
+  });
+
+  test('rejects a weak password', async () => {
+    const weak = passwordFile('weak', 'abc');
+    expect(await cli.run(['encrypt', file('billing.csv'), '--password-file', weak])).toBe(EXIT_CODES.PASSWORD_REJECTED);
+    expect(fs.existsSync(file('billing.csv.pba.json'))).toBe(false);
+  });
+
+  test('reports a payload without a trusted signature', async () => {
+    await encrypt();
+    const { publicKey } = signing.generateSigningKeyPair();
+
+    expect(await cli.run(['verify', file('billing.json'), '--signer', publicKey, '--signature-only'])).toBe(EXIT_CODES.BAD_SIGNATURE);
+  });
+
+  test('sets a reveal password for a token', async () => {
+    const store = auth.createTokenStore(file('tokens.json'));
+    const { record } = store.issue({ name: 'support', scopes: [auth.SCOPES.READ_CARD] });
+
+    expect(await cli.run(['token', 'passwd', record.id, '--tokens', file('tokens.json'), '--password-file', file('password')]))
+      .toBe(EXIT_CODES.SUCCESS);
+    expect(await store.checkRevealPassword(record.id, PASSWORD)).toBe(true);
+    expect(await cli.run(['token', 'passwd', '--tokens', file('tokens.json')])).toBe(EXIT_CODES.USAGE);
+  });
+
+  test('reports an edited audit log', async () => {
+    const log = audit.createAuditLog(file('audit.log'));
+    await log.append({ actor: 'tok_a', action: 'billing.export', outcome: 'success' });
+    await log.append({ actor: 'tok_a', action: 'billing.read', outcome: 'success' });
+    expect(await cli.run(['audit', 'verify', '--log', file('audit.log')])).toBe(EXIT_CODES.SUCCESS);
+
+    const contents = fs.readFileSync(file('audit.log'), 'utf-8');
+    fs.writeFileSync(file('audit.log'), contents.replace('billing.read', 'billing.rEAd'));
+    expect(await cli.run(['audit', 'verify', '--log', file('audit.log')])).toBe(EXIT_CODES.AUDIT_TAMPERED);
+  });
+
+  test('reports rejected import rows', async () => {
+    fs.writeFileSync(file('import.csv'), [
+      'label,address_line_1,city,state_province,country,postal_code,card_number,expiry_date',
+      'Home,1 Elm Street,Austin,TX,United States,73301,4111 1111 1111 1111,12/40',
+      'Typo,1 Elm Street,Austin,TX,United States,73301,4111 1111 1111 1112,12/40'
+    ].join('\n'));
+    process.env[keyring.KEY_PROVIDER_ENV.masterKey] = keyring.generateMasterKey().key;
+
+    expect(await cli.run(['import', file('import.csv'), '--profiles', file('profiles.json')])).toBe(EXIT_CODES.IMPORT_REJECTED);
+    expect(output.join('\n')).toMatch(/Imported 1 of 2 rows/);
+  });
+});
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const exportStore = require('../export-store');
+
+const { ERROR_CODES } = exportStore;
+
+let dir;
+let store;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pba-exports-'));
+  store = exportStore.createExportStore({ dirPath: dir });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('export links', () => {
+  test('serves an export until its downloads are used up', async () => {
+    const { downloadId, link } = await store.create({ content: '{"version":4}', kind: 'payload', fields: ['city'], maxDownloads: 2 });
+    expect(link).toMatchObject({ status: 'active', downloads: 0, maxDownloads: 2 });
+
+    expect((await store.download(downloadId)).content).toBe('{"version":4}');
+    const last = await store.download(downloadId);
+    expect(last.link).toMatchObject({ downloads: 2, status: 'used' });
+
+    await expect(store.download(downloadId)).rejects.toMatchObject({ code: ERROR_CODES.EXPORT_GONE });
+    expect(fs.readdirSync(dir).filter(name => name !== 'index.json')).toEqual([]);
+  });
+
+  test('does not serve revoked exports', async () => {
+    const { downloadId, link } = await store.create({ content: 'city\r\nAustin', kind: 'columns' });
+
+    expect((await store.revoke(link.id)).status).toBe('revoked');
+    await expect(store.download(downloadId)).rejects.toMatchObject({ code: ERROR_CODES.EXPORT_GONE });
+  });
+
+  test('rejects unknown and forged download IDs alike', async () => {
+    const { downloadId } = await store.create({ content: 'city\r\nAustin', kind: 'columns' });
+    const forged = downloadId.replace(/.$/, character => (character === 'A' ? 'B' : 'A'));
+
+    await expect(store.download(forged)).rejects.toMatchObject({ code: ERROR_CODES.EXPORT_NOT_FOUND });
+    await expect(store.download('pbx_unknown')).rejects.toMatchObject({ code: ERROR_CODES.EXPORT_NOT_FOUND });
+    await expect(store.revoke('0000000000000000')).rejects.toMatchObject({ code: ERROR_CODES.EXPORT_NOT_FOUND });
+  });
+
+  test('checks link options', async () => {
+    expect(exportStore.checkLinkOptions({ maxDownloads: 1, expiresIn: 60 })).toBeNull();
+    expect(exportStore.checkLinkOptions({ maxDownloads: 0 })).not.toBeNull();
+    await expect(store.create({ content: 'x', kind: 'pdf' })).rejects.toThrow(/Unknown export kind/);
+  });
+
+  test('rejects an index it cannot read', async () => {
+    fs.writeFileSync(path.join(dir, 'index.json'), 'not json');
+    await expect(store.list()).rejects.toMatchObject({ code: ERROR_CODES.INVALID_PAYLOAD });
+
+    fs.rmSync(path.join(dir, 'index.json'));
+    fs.mkdirSync(path.join(dir, 'index.json'));
+    await expect(exportStore.createExportStore({ dirPath: dir }).list()).rejects.toMatchObject({ code: 'EISDIR' });
+  });
+});
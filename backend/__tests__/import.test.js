@@ -0,0 +1,71 @@
+const csvFormat = require('../../encryption/csv');
+const { importProfiles } = require('../import');
+const profiles = require('../profiles');
+
+const { ERROR_CODES } = profiles;
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+const HEADER = 'label,address_line_1,city,state_province,country,postal_code,card_number,expiry_date';
+const HOME = 'Home,1 Elm Street,Austin,TX,United States,73301,4111 1111 1111 1111,12/27';
+
+/**
+ * CSV with the import header and the given rows
+ * @param {...string} rows - Data rows
+ * @returns {string}
+ */
+function importCSV(...rows) {
+  return [HEADER, ...rows].join('\r\n');
+}
+
+describe('importProfiles', () => {
+  test('stores accepted rows and reports the others', async () => {
+    const store = new profiles.DemoProfileRepository([]);
+    const report = await importProfiles(store, importCSV(
+      HOME,
+      '',
+      HOME.replace('Home', 'Again'),
+      'Typo,1 Elm Street,Austin,TX,United States,73301,4111 1111 1111 1112,12/27',
+      'Masked,1 Elm Street,Austin,TX,United States,73301,**** **** **** 1111,12/27',
+      'Short,1 Elm Street'
+    ), { now: NOW });
+
+    expect(report.rows).toBe(5);
+    expect(report.accepted).toEqual([expect.objectContaining({ row: 2, label: 'Home', warnings: [] })]);
+    expect(report.duplicates).toEqual([expect.objectContaining({ row: 4, duplicateOf: { row: 2 } })]);
+    expect(report.rejected.map(({ row, reasons }) => [row, reasons[0].code])).toEqual([
+      [5, 'checksum'],
+      [6, 'masked'],
+      [7, 'columns']
+    ]);
+
+    const stored = await store.get(report.accepted[0].id);
+    expect(stored).toMatchObject({ label: 'Home', card_number: '4111 1111 1111 1111', address: { city: 'Austin' } });
+  });
+
+  test('finds rows already in the store and changes nothing on a dry run', async () => {
+    const store = new profiles.DemoProfileRepository([]);
+    await importProfiles(store, importCSV(HOME), { now: NOW });
+
+    const report = await importProfiles(store, importCSV(HOME, HOME.replace('73301', '73344')), { now: NOW, dryRun: true });
+    expect(report.duplicates[0].duplicateOf).toEqual({ profileId: expect.any(String) });
+    expect(report.accepted).toEqual([expect.not.objectContaining({ id: expect.anything() })]);
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  test('reads cells an export prefixed against formula injection', async () => {
+    const store = new profiles.DemoProfileRepository([]);
+    const row = csvFormat.formatCSV([['=Home', '1 Elm Street', 'Austin', 'TX', 'United States', '73301', '4111 1111 1111 1111', '12/27']]);
+
+    const report = await importProfiles(store, importCSV(row), { now: NOW });
+    expect((await store.get(report.accepted[0].id)).label).toBe('=Home');
+  });
+
+  test('rejects unknown, token and repeated columns', async () => {
+    const store = new profiles.DemoProfileRepository([]);
+
+    await expect(importProfiles(store, 'label,shoe_size\r\nHome,9')).rejects.toMatchObject({ code: ERROR_CODES.UNKNOWN_COLUMN });
+    await expect(importProfiles(store, 'card_token\r\ntok_1')).rejects.toMatchObject({ code: ERROR_CODES.UNKNOWN_COLUMN });
+    await expect(importProfiles(store, 'city,city\r\nAustin,Austin')).rejects.toMatchObject({ code: ERROR_CODES.INVALID_CSV });
+    await expect(importProfiles(store, '')).rejects.toMatchObject({ code: ERROR_CODES.INVALID_CSV });
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keyring = require('../../encryption/keyring');
+const profiles = require('../profiles');
+
+const { ERROR_CODES } = profiles;
+
+const PROFILE = {
+  label: 'Office',
+  card_number: '4111 1111 1111 1111',
+  expiry_date: '12/27',
+  address: { address_line_1: '1 Elm Street', city: 'Austin', postal_code: '73301' }
+};
+
+let dir;
+let filePath;
+let provider;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pba-profiles-'));
+  filePath = path.join(dir, 'profiles.json');
+  provider = new keyring.EnvKeyProvider({ [keyring.KEY_PROVIDER_ENV.masterKey]: keyring.generateMasterKey().key });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('FileProfileRepository', () => {
+  test('stores card fields encrypted and reads them back', async () => {
+    const created = await new profiles.FileProfileRepository(filePath, provider).create({ ...PROFILE, cvv: '123' });
+
+    expect(created).toMatchObject({ ...PROFILE, cvv: '***' });
+    const stored = fs.readFileSync(filePath, 'utf-8');
+    expect(stored).not.toContain('4111');
+    expect(stored).not.toContain('"cvv"');
+
+    const store = new profiles.FileProfileRepository(filePath, provider);
+    expect(await store.get(created.id)).toEqual(created);
+    expect(await store.list()).toEqual([expect.objectContaining({ id: created.id, label: 'Office', city: 'Austin' })]);
+  });
+
+  test('updates only the fields given', async () => {
+    const store = new profiles.FileProfileRepository(filePath, provider);
+    const { id } = await store.create(PROFILE);
+
+    const updated = await store.update(id, { address: { city: 'Dallas' } });
+    expect(updated.address).toMatchObject({ address_line_1: '1 Elm Street', city: 'Dallas' });
+    expect(updated.card_number).toBe(PROFILE.card_number);
+  });
+
+  test('reports deleted and unknown profiles', async () => {
+    const store = new profiles.FileProfileRepository(filePath, provider);
+    const { id } = await store.create(PROFILE);
+    await store.delete(id);
+
+    await expect(store.get(id)).rejects.toMatchObject({ code: ERROR_CODES.PROFILE_NOT_FOUND });
+    await expect(store.getDefault()).rejects.toMatchObject({ code: ERROR_CODES.PROFILE_NOT_FOUND });
+  });
+
+  test('rejects invalid profile data', async () => {
+    const store = new profiles.FileProfileRepository(filePath, provider);
+
+    await expect(store.create({ ...PROFILE, pin: '1234' })).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_PROFILE,
+      message: 'Unknown profile field: pin'
+    });
+    await expect(store.create({ address: { city: 42 } })).rejects.toMatchObject({ code: ERROR_CODES.INVALID_PROFILE });
+  });
+
+  test('keeps profiles added by another process', async () => {
+    const server = new profiles.FileProfileRepository(filePath, provider);
+    const first = await server.create(PROFILE);
+
+    const imported = await new profiles.FileProfileRepository(filePath, provider).create({ ...PROFILE, label: 'Imported' });
+    // Later than the first write, as file times can be coarser than a millisecond
+    const later = new Date(Date.now() + 1000);
+    fs.utimesSync(filePath, later, later);
+    const last = await server.create({ ...PROFILE, label: 'Home' });
+
+    expect((await new profiles.FileProfileRepository(filePath, provider).list()).map(({ id }) => id))
+      .toEqual([first.id, imported.id, last.id]);
+  });
+
+  test('detects card data moved between profiles', async () => {
+    const store = new profiles.FileProfileRepository(filePath, provider);
+    const first = await store.create(PROFILE);
+    await store.create({ ...PROFILE, card_number: '5555 5555 5555 4444' });
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    data.profiles[0].sensitive = data.profiles[1].sensitive;
+    fs.writeFileSync(filePath, JSON.stringify(data));
+
+    await expect(new profiles.FileProfileRepository(filePath, provider).get(first.id)).rejects.toMatchObject({
+      code: ERROR_CODES.AUTH_FAILED
+    });
+  });
+});
+
+describe('card masking', () => {
+  test('keeps the last four digits and the separators', () => {
+    expect(profiles.maskCardNumber('4532-1111-2222-3333')).toBe('****-****-****-3333');
+    expect(profiles.maskCardNumber('378282246310005')).toBe('***********0005');
+    expect(profiles.maskCardNumber('123')).toBe('123');
+  });
+
+  test('masks a profile and leaves one without card data alone', () => {
+    expect(profiles.maskProfile(PROFILE)).toEqual({
+      ...PROFILE,
+      card_number: '**** **** **** 1111',
+      card_brand: 'visa',
+      card_last4: '1111'
+    });
+
+    const { card_number, expiry_date, ...address } = PROFILE;
+    expect(profiles.maskProfile(address)).toBe(address);
+  });
+});
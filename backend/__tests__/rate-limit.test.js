@@ -0,0 +1,171 @@
+const encryption = require('../../encryption/encryption');
+const rateLimit = require('../rate-limit');
+
+const { ERROR_CODES } = encryption;
+
+const LIMITS = { windowMs: 60000, maxRequests: 20, freeFailures: 2, maxFailures: 5, baseDelayMs: 1000 };
+const WRONG_PASSWORD = encryption.createError('Wrong password', ERROR_CODES.AUTH_FAILED);
+
+let now;
+let payload;
+
+/**
+ * Runs a limitAttempts middleware against a request and settles the attempt
+ * @param {function} middleware - Express middleware
+ * @param {object} options - Request details
+ * @param {string} options.ip - Client address
+ * @param {*} options.payload - Payload the request targets
+ * @param {Error|null} options.error - Outcome passed to req.attempts.settle
+ * @returns {Promise<{status: number|null, headers: object, body: object|null, next: boolean}>}
+ */
+async function run(middleware, { ip = '127.0.0.1', payload, error = null } = {}) {
+  const result = { status: null, headers: {}, body: null, next: false };
+  const req = { ip, body: { payload } };
+  const res = {
+    setHeader: (name, value) => { result.headers[name] = value; },
+    status: code => {
+      result.status = code;
+      return res;
+    },
+    json: body => { result.body = body; },
+    once: () => {}
+  };
+  await middleware(req, res, () => { result.next = true; });
+  if (result.next) {
+    await req.attempts.settle(error);
+  }
+  return result;
+}
+
+/**
+ * Fails an attempt a number of times
+ * @param {function} middleware - Express middleware
+ * @param {number} count - Failures
+ * @param {object} options - Request details for run()
+ * @returns {Promise<void>}
+ */
+async function fail(middleware, count, options = {}) {
+  for (let i = 0; i < count; i++) {
+    await run(middleware, { ...options, error: WRONG_PASSWORD });
+  }
+}
+
+beforeAll(async () => {
+  ({ payload } = await encryption.encryptCSVData('city\r\nAustin', 'Correct-Horse-Battery-42', {
+    kdf: { name: 'pbkdf2', iterations: 10000 }
+  }));
+});
+
+beforeEach(() => {
+  now = 1700000000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('limitAttempts', () => {
+  test('counts requests in the window', async () => {
+    const { limitAttempts } = rateLimit.createRateLimiter({ ...LIMITS, maxRequests: 2 });
+    const middleware = limitAttempts();
+
+    expect(await run(middleware)).toMatchObject({
+      next: true,
+      headers: { 'RateLimit-Limit': '2', 'RateLimit-Remaining': '1', 'RateLimit-Reset': '60' }
+    });
+    await run(middleware);
+    now += 15000;
+    expect(await run(middleware)).toMatchObject({
+      status: 429,
+      next: false,
+      headers: { 'Retry-After': '45' },
+      body: { success: false, error: 'Too many requests - try again in 45s' }
+    });
+
+    now += 45000;
+    expect((await run(middleware)).next).toBe(true);
+  });
+
+  test('backs off after the free failures', async () => {
+    const middleware = rateLimit.createRateLimiter(LIMITS).limitAttempts();
+
+    await fail(middleware, LIMITS.freeFailures);
+    expect((await run(middleware, { error: WRONG_PASSWORD })).next).toBe(true);
+
+    expect(await run(middleware)).toMatchObject({ status: 429, headers: { 'Retry-After': '1' } });
+    now += 1000;
+    await run(middleware, { error: WRONG_PASSWORD });
+    expect(await run(middleware)).toMatchObject({ status: 429, headers: { 'Retry-After': '2' } });
+
+    // Other outcomes and other clients are not held back
+    expect((await run(middleware, { ip: '10.0.0.2' })).next).toBe(true);
+    now += 2000;
+    await run(middleware, { error: encryption.createError('Bad payload', ERROR_CODES.INVALID_PAYLOAD) });
+    expect((await run(middleware)).next).toBe(true);
+  });
+
+  test('locks a client out for a window after too many failures', async () => {
+    const middleware = rateLimit.createRateLimiter({ ...LIMITS, freeFailures: LIMITS.maxFailures }).limitAttempts();
+
+    await fail(middleware, LIMITS.maxFailures);
+    expect(await run(middleware)).toMatchObject({
+      status: 429,
+      headers: { 'Retry-After': '60' },
+      body: { error: 'Too many failed attempts - try again in 60s' }
+    });
+
+    now += LIMITS.windowMs;
+    expect((await run(middleware)).next).toBe(true);
+  });
+
+  test('locks a payload out for every client', async () => {
+    const { limitAttempts } = rateLimit.createRateLimiter({ ...LIMITS, freeFailures: LIMITS.maxFailures });
+    const middleware = limitAttempts(req => req.body.payload);
+
+    for (let i = 0; i < LIMITS.maxFailures; i++) {
+      await run(middleware, { ip: `10.0.0.${i}`, payload, error: WRONG_PASSWORD });
+    }
+    expect((await run(middleware, { ip: '10.0.1.1', payload })).status).toBe(429);
+    expect((await run(middleware, { ip: '10.0.1.1' })).next).toBe(true);
+  });
+
+  test('counts attempts in progress towards the lockout', async () => {
+    const middleware = rateLimit.createRateLimiter(LIMITS).limitAttempts();
+    const req = { ip: '127.0.0.1', body: {} };
+    const res = { setHeader: () => {}, once: () => {}, status: () => res, json: () => {} };
+
+    for (let i = 0; i < LIMITS.maxFailures; i++) {
+      await middleware({ ...req }, res, () => {});
+    }
+    expect(await run(middleware)).toMatchObject({
+      status: 429,
+      body: { error: 'Too many attempts in progress - try again in 1s' }
+    });
+  });
+});
+
+describe('payloadFingerprint', () => {
+  test('identifies a payload by its salt', () => {
+    const fingerprint = rateLimit.payloadFingerprint(payload);
+
+    expect(fingerprint).toMatch(/^[0-9a-f]{32}$/);
+    expect(rateLimit.payloadFingerprint(JSON.stringify(JSON.parse(payload), null, 2))).toBe(fingerprint);
+    expect(rateLimit.payloadFingerprint('not a payload')).toBeNull();
+    expect(rateLimit.payloadFingerprint(undefined)).toBeNull();
+  });
+});
+
+describe('MemoryAttemptStore', () => {
+  test('drops expired and then least recently used records', async () => {
+    const store = new rateLimit.MemoryAttemptStore(2);
+    await store.update('expired', () => ({ expiresAt: now - 1 }));
+    await store.update('old', () => ({ expiresAt: now + 1000 }));
+    await store.update('recent', () => ({ expiresAt: now + 1000 }));
+    expect([...store.records.keys()]).toEqual(['old', 'recent']);
+
+    await store.update('old', record => record);
+    await store.update('new', () => ({ expiresAt: now + 1000 }));
+    expect([...store.records.keys()]).toEqual(['old', 'new']);
+  });
+});
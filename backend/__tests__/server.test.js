@@ -0,0 +1,421 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const keyring = require('../../encryption/keyring');
+const auth = require('../auth');
+const profiles = require('../profiles');
+
+const PASSWORD = 'Correct-Horse-Battery-42';
+
+const PROFILE = {
+  label: 'Office',
+  card_number: '4111 1111 1111 1111',
+  expiry_date: '12/27',
+  address: { address_line_1: '1 Elm Street', city: 'Austin', postal_code: '73301' }
+};
+
+let dir;
+let server;
+let baseUrl;
+let adminToken;
+let adminId;
+
+/**
+ * A port nothing listens on
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+/**
+ * Starts the API in a child process and waits until it listens
+ * (server.js listens as soon as it is loaded)
+ * @param {object} env - Extra environment variables
+ * @returns {Promise<void>}
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), PBKDF2_ITERATIONS: '10000', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on')) {
+        resolve();
+      }
+    });
+    server.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    server.on('exit', code => reject(new Error(`server exited with ${code}: ${output}`)));
+  });
+}
+
+/**
+ * Sends a request to the API
+ * @param {string} method - HTTP method
+ * @param {string} route - Path under /api
+ * @param {object} body - JSON body
+ * @param {string|null} token - API token (defaults to one with every scope)
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function request(method, route, body, token = adminToken) {
+  const headers = body ? { 'Content-Type': 'application/json' } : {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}/api${route}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pba-server-'));
+  ({ token: adminToken, record: { id: adminId } } = auth.createTokenStore(path.join(dir, 'tokens.json')).issue({
+    name: 'admin',
+    scopes: auth.ALL_SCOPES
+  }));
+  await startServer({
+    [auth.AUTH_ENV.tokens]: path.join(dir, 'tokens.json'),
+    [profiles.PROFILE_STORE_ENV.file]: path.join(dir, 'profiles.json'),
+    [keyring.KEY_PROVIDER_ENV.masterKey]: keyring.generateMasterKey().key
+  });
+  await request('POST', '/billing/profiles', PROFILE);
+});
+
+afterAll(() => {
+  server.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('password policy', () => {
+  test('publishes the policy exports are checked against', async () => {
+    const { status, body } = await request('GET', '/password-policy');
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, minLength: 8, minScore: 2, maxLength: 1024 });
+  });
+
+  test('rejects a weak export password', async () => {
+    const { status, body } = await request('POST', '/billing/export-encrypted-csv', { password: 'password123', fields: ['city'] });
+
+    expect(status).toBe(400);
+    expect(body).toEqual({ success: false, error: expect.stringMatching(/too weak/) });
+  });
+});
+
+describe('export and decrypt', () => {
+  test('decrypts an export with its password', async () => {
+    const exported = await request('POST', '/billing/export-encrypted-csv', { password: PASSWORD, fields: ['city', 'cvv'] });
+    expect(exported.status).toBe(200);
+
+    const { status, body } = await request('POST', '/billing/decrypt-csv', { payload: exported.body.encrypted, password: PASSWORD });
+    expect(status).toBe(200);
+    expect(body.data).toBe('city,cvv\r\nAustin,***');
+  });
+
+  test('exports several profiles in another format', async () => {
+    const { body: { profiles: [first] } } = await request('GET', '/billing/profiles');
+    const second = await request('POST', '/billing/profiles', { ...PROFILE, address: { ...PROFILE.address, city: '=Dallas' } });
+
+    const exported = await request('POST', '/billing/export-encrypted-csv', {
+      password: PASSWORD,
+      fields: ['city'],
+      profileIds: [first.id, second.body.data.id],
+      format: 'ndjson'
+    });
+    expect(exported.body.format).toBe('ndjson');
+
+    const { body } = await request('POST', '/billing/decrypt-csv', { payload: exported.body.encrypted, password: PASSWORD });
+    expect(body.data.trim().split('\n').map(line => JSON.parse(line))).toEqual([{ city: 'Austin' }, { city: '=Dallas' }]);
+    await request('DELETE', `/billing/profiles/${second.body.data.id}`);
+  });
+
+  test('rejects an unknown export format', async () => {
+    const { status, body } = await request('POST', '/billing/export-encrypted-csv', { password: PASSWORD, fields: ['city'], format: 'xlsx' });
+
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+  });
+
+  test('rejects a wrong password', async () => {
+    const exported = await request('POST', '/billing/export-encrypted-csv', { password: PASSWORD, fields: ['city'] });
+
+    const { status, body } = await request('POST', '/billing/decrypt-csv', {
+      payload: exported.body.encrypted,
+      password: 'Wrong-Horse-Battery-42'
+    });
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+  });
+});
+
+describe('profiles', () => {
+  test('creates, updates and deletes a profile', async () => {
+    const created = await request('POST', '/billing/profiles', { ...PROFILE, label: 'Home' });
+    expect(created.status).toBe(201);
+    const { id } = created.body.data;
+
+    const updated = await request('PUT', `/billing/profiles/${id}`, { address: { city: 'Dallas' } });
+    expect(updated.body.data.address).toMatchObject({ address_line_1: '1 Elm Street', city: 'Dallas' });
+
+    expect((await request('DELETE', `/billing/profiles/${id}`)).status).toBe(200);
+    expect(await request('GET', `/billing/profiles/${id}`)).toEqual({
+      status: 404,
+      body: { success: false, error: `Billing profile ${id} not found` }
+    });
+  });
+
+  test('rejects invalid profile data', async () => {
+    const { status, body } = await request('POST', '/billing/profiles', { ...PROFILE, pin: '1234' });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Unknown profile field: pin');
+  });
+
+  test('reports an unknown profile to export', async () => {
+    const { status, body } = await request('POST', '/billing/export-encrypted-csv', {
+      password: PASSWORD,
+      fields: ['city'],
+      profileId: 'missing'
+    });
+
+    expect(status).toBe(404);
+    expect(body.success).toBe(false);
+  });
+});
+
+describe('import', () => {
+  const HEADER = 'label,address_line_1,city,state_province,country,postal_code,card_number,expiry_date';
+
+  test('reports the rows of a dry run without storing them', async () => {
+    const before = await request('GET', '/billing/profiles');
+    const { status, body } = await request('POST', '/billing/import', {
+      csv: [HEADER, 'Home,2 Oak Street,Dallas,TX,United States,75201,5555 5555 5555 4444,12/40', 'Typo,2 Oak Street,Dallas,TX,United States,75201,5555 5555 5555 4445,12/40'].join('\r\n'),
+      dryRun: true
+    });
+
+    expect(status).toBe(200);
+    expect(body.accepted).toEqual([expect.objectContaining({ row: 2, label: 'Home' })]);
+    expect(body.rejected).toEqual([expect.objectContaining({ row: 3 })]);
+    expect((await request('GET', '/billing/profiles')).body.profiles).toEqual(before.body.profiles);
+  });
+
+  test('imports an encrypted export with its password', async () => {
+    const exported = await request('POST', '/billing/export-encrypted-csv', { password: PASSWORD, fields: ['city', 'postal_code'] });
+
+    const wrong = await request('POST', '/billing/import', { payload: exported.body.encrypted, password: 'Wrong-Horse-Battery-42', dryRun: true });
+    expect(wrong.status).toBe(400);
+
+    const { status, body } = await request('POST', '/billing/import', { payload: exported.body.encrypted, password: PASSWORD, dryRun: true });
+    expect(status).toBe(200);
+    expect(body.rows).toBe(1);
+  });
+
+  test('asks for either csv or payload', async () => {
+    expect(await request('POST', '/billing/import', { dryRun: true })).toEqual({
+      status: 400,
+      body: { success: false, error: 'Either csv or payload is required' }
+    });
+  });
+});
+
+describe('validation', () => {
+  test('reports issues by field without storing anything', async () => {
+    const { status, body } = await request('POST', '/billing/validate', {
+      ...PROFILE,
+      card_number: '4111 1111 1111 1112',
+      address: { ...PROFILE.address, postal_code: 'ABCDE', country: 'United States' }
+    });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, valid: false });
+    expect(body.fields.card_number[0]).toMatchObject({ severity: 'error', code: 'checksum' });
+    expect(body.fields.postal_code[0]).toMatchObject({ severity: 'error', code: 'format' });
+  });
+
+  test('rejects unknown fields', async () => {
+    const { status, body } = await request('POST', '/billing/validate', { ...PROFILE, pin: '1234' });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Unknown profile field: pin');
+  });
+});
+
+describe('card tokens', () => {
+  test('exports a card token and resolves it', async () => {
+    const exported = await request('POST', '/billing/export-encrypted-csv', {
+      password: PASSWORD,
+      fields: ['card_number', 'city'],
+      tokenize: true
+    });
+    const decrypted = await request('POST', '/billing/decrypt-csv', { payload: exported.body.encrypted, password: PASSWORD });
+    const [header, row] = decrypted.body.data.split('\r\n');
+    expect(header).toBe('card_token,city');
+    const [token] = row.split(',');
+    expect(token).toMatch(/^tok_/);
+
+    expect((await request('POST', '/billing/detokenize', { tokens: [token] })).body.data).toEqual([
+      { token, card_number: PROFILE.card_number }
+    ]);
+    expect((await request('POST', '/billing/detokenize', { tokens: ['tok_unknown'] })).status).toBe(404);
+  });
+});
+
+describe('card numbers', () => {
+  test('masks the card number', async () => {
+    const { status, body } = await request('GET', '/billing/address');
+
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({ card_number: '**** **** **** 1111', card_brand: 'visa', card_last4: '1111' });
+  });
+
+  test('reveals the card number with the reveal password', async () => {
+    const { data: { id } } = (await request('GET', '/billing/address')).body;
+    const reveal = password => request('POST', `/billing/profiles/${id}/reveal`, { password });
+
+    expect(await reveal('Staple-Orbit-Lantern-97')).toEqual({
+      status: 403,
+      body: { success: false, error: expect.stringMatching(/has no reveal password/) }
+    });
+
+    const tokensPath = path.join(dir, 'tokens.json');
+    await auth.createTokenStore(tokensPath).setRevealPassword(adminId, 'Staple-Orbit-Lantern-97');
+    // Later than the last read, as file times can be coarser than a millisecond
+    const later = new Date(Date.now() + 1000);
+    fs.utimesSync(tokensPath, later, later);
+
+    expect((await reveal('Staple-Orbit-Lantern-98')).body).toEqual({ success: false, error: 'Reveal password is incorrect' });
+    const { status, body } = await reveal('Staple-Orbit-Lantern-97');
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({ id, card_number: PROFILE.card_number, card_last4: '1111' });
+    expect(body.expiresIn).toBeGreaterThan(0);
+  });
+});
+
+describe('stored exports', () => {
+  test('serves an export for its download limit', async () => {
+    const stored = await request('POST', '/billing/export-encrypted-csv', { password: PASSWORD, fields: ['city'], store: true });
+    expect(stored.status).toBe(200);
+    expect(stored.body.encrypted).toBeUndefined();
+    const { id, url, maxDownloads } = stored.body.export;
+    expect(maxDownloads).toBe(1);
+
+    const downloaded = await request('GET', url.replace(/^\/api/, ''), undefined, null);
+    expect(downloaded.status).toBe(200);
+    const decrypted = await request('POST', '/billing/decrypt-csv', { payload: JSON.stringify(downloaded.body), password: PASSWORD });
+    expect(decrypted.body.data).toBe('city\r\nAustin');
+
+    expect((await request('GET', url.replace(/^\/api/, ''), undefined, null)).status).toBe(410);
+    const history = await request('GET', '/exports?status=used');
+    expect(history.body.exports).toEqual([expect.objectContaining({ id, downloads: 1 })]);
+  });
+
+  test('ends a revoked link', async () => {
+    const stored = await request('POST', '/billing/export-encrypted-csv', {
+      password: PASSWORD,
+      fields: ['city'],
+      store: { maxDownloads: 2, expiresIn: 60 }
+    });
+    const { id, url } = stored.body.export;
+
+    expect((await request('DELETE', `/exports/${id}`)).body.export.status).toBe('revoked');
+    expect((await request('GET', url.replace(/^\/api/, ''), undefined, null)).status).toBe(410);
+    expect((await request('GET', '/exports/pbx_0000000000000000_x', undefined, null)).status).toBe(404);
+  });
+
+  test('rejects invalid link options', async () => {
+    expect(await request('POST', '/billing/export-encrypted-csv', { password: PASSWORD, fields: ['city'], store: { maxDownloads: 0 } }))
+      .toEqual({ status: 400, body: { success: false, error: 'maxDownloads must be between 1 and 10' } });
+  });
+});
+
+describe('authentication', () => {
+  test('requires a token', async () => {
+    const { status, body } = await request('GET', '/billing/profiles', undefined, null);
+
+    expect(status).toBe(401);
+    expect(body).toEqual({ success: false, error: 'Authentication required' });
+  });
+
+  test('requires the scopes of the route', async () => {
+    const { token } = auth.createTokenStore(path.join(dir, 'tokens.json')).issue({
+      name: 'reader',
+      scopes: [auth.SCOPES.READ_ADDRESS]
+    });
+
+    expect((await request('GET', '/billing/profiles', undefined, token)).status).toBe(200);
+    const { status, body } = await request('POST', '/billing/export-encrypted-csv', { password: PASSWORD, fields: ['city'] }, token);
+    expect(status).toBe(403);
+    expect(body.error).toBe(`Token lacks scope ${auth.SCOPES.EXPORT}`);
+  });
+});
+
+describe('audit log', () => {
+  /**
+   * Audit entries of an action, waiting for the entry of a request just made
+   * (entries are appended once the response is sent)
+   * @param {string} action - Audit action
+   * @returns {Promise<object[]>}
+   */
+  async function auditEntries(action) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const { body } = await request('GET', `/audit?action=${action}`);
+      if (body.entries.length > 0) {
+        return body.entries;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return [];
+  }
+
+  test('records a client-side export', async () => {
+    const { status, body } = await request('POST', '/billing/client-exports', { exportId: 'export-1', fields: ['city'] });
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ success: true, exportId: 'export-1' });
+
+    expect(await auditEntries('billing.export.client')).toEqual([
+      expect.objectContaining({ exportId: 'export-1', fields: ['city'], status: 201, outcome: 'success' })
+    ]);
+  });
+
+  test('rejects a client-side export without its export ID', async () => {
+    const { status, body } = await request('POST', '/billing/client-exports', { fields: ['city'] });
+
+    expect(status).toBe(400);
+    expect(body).toEqual({ success: false, error: 'exportId is required' });
+  });
+});
+
+describe('rate limiting', () => {
+  test('backs off after repeated wrong passwords', async () => {
+    const { token } = auth.createTokenStore(path.join(dir, 'tokens.json')).issue({ name: 'guesser', scopes: auth.ALL_SCOPES });
+    const exported = await request('POST', '/billing/export-encrypted-csv', { password: PASSWORD, fields: ['city'] }, token);
+    const guess = { payload: exported.body.encrypted, password: 'Wrong-Horse-Battery-42' };
+
+    for (let i = 0; i < 4; i++) {
+      expect((await request('POST', '/billing/decrypt-csv', guess, token)).status).toBe(400);
+    }
+    const { status, body } = await request('POST', '/billing/decrypt-csv', guess, token);
+    expect(status).toBe(429);
+    expect(body.error).toMatch(/^Too many failed attempts - try again in \ds$/);
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * Audit Module - tamper-evident log of billing data access
+ *
+ * Every billing route appends an entry saying who (actor: token ID and
+ * name) did what (action, route) to which profile (or profiles, for an
+ * export of several) or export, with which fields, from which IP address and with what outcome. Entries never hold
+ * field values, passwords or payloads.
+ *
+ * The log (PBA_CSV_AUDIT_LOG, default pba-audit.log) is JSON Lines, one
+ * entry per line. Each entry carries the hash of the previous one and its
+ * own SHA-256 hash over its canonical JSON, so editing, removing or
+ * reordering entries breaks the chain. A head file next to the log
+ * (<log>.head) records the last sequence number and hash, so cutting
+ * entries off the end is detected too; copy the head elsewhere from time to
+ * time (`pba-csv audit verify` prints it) and check against it with
+ * `--head` to detect a log rewritten together with its head.
+ *
+ * A single server process appends to a log; entries are written in order
+ * through a queue.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const encryption = require('../encryption/encryption');
+
+const { createError, canonicalJSON } = encryption;
+
+/**
+ * Error codes of the audit log, added to those of encryption.js
+ */
+const ERROR_CODES = {
+  ...encryption.ERROR_CODES,
+  AUDIT_TAMPERED: 'AUDIT_TAMPERED'
+};
+
+const HEAD_FILE_FORMAT = 'pba-csv-audit-head';
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Where the audit log reads its settings from when options do not say
+ */
+const AUDIT_ENV = {
+  log: 'PBA_CSV_AUDIT_LOG'
+};
+
+const DEFAULT_AUDIT_PATH = 'pba-audit.log';
+
+/**
+ * Most entries GET /api/audit returns at once
+ */
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Most profile IDs kept in one entry
+ */
+const MAX_PROFILE_IDS = 1000;
+
+/**
+ * Entry properties that can be filtered on, by query parameter; a property
+ * that is a list matches any of its values
+ */
+const FILTERS = {
+  actor: entry => (entry.actor ? entry.actor.id : null),
+  action: entry => entry.action,
+  profileId: entry => entry.profileIds || entry.profileId,
+  exportId: entry => entry.exportId,
+  outcome: entry => entry.outcome
+};
+
+/**
+ * Hash of an entry, over every property except the hash itself
+ * @param {object} entry - Audit entry
+ * @returns {string} - hex SHA-256
+ */
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalJSON(content)).digest('hex');
+}
+
+/**
+ * Keeps the field names of an event short and free of anything but strings
+ * @param {*} fields - Field names
+ * @returns {string[]|null}
+ */
+function fieldNames(fields) {
+  if (!Array.isArray(fields)) {
+    return null;
+  }
+  return fields.filter(field => typeof field === 'string').slice(0, 64).map(field => field.slice(0, 64));
+}
+
+/**
+ * Keeps the profile IDs of an event to strings, at most MAX_PROFILE_IDS
+ * @param {*} ids - Profile IDs
+ * @returns {string[]|null}
+ */
+function profileIdList(ids) {
+  if (!Array.isArray(ids)) {
+    return null;
+  }
+  return ids.filter(id => typeof id === 'string').slice(0, MAX_PROFILE_IDS);
+}
+
+/**
+ * Whether an entry property matches a filter value
+ * @param {*} value - Property (see FILTERS)
+ * @param {string} wanted - Filter value
+ * @returns {boolean}
+ */
+function matchesFilter(value, wanted) {
+  return Array.isArray(value) ? value.includes(wanted) : value === wanted;
+}
+
+/**
+ * Outcome recorded for a response
+ * @param {number} status - HTTP status code
+ * @param {boolean} finished - Whether the response was sent completely
+ * @returns {string} - "success", "denied", "limited" or "failure"
+ */
+function outcomeFor(status, finished) {
+  if (status === 401 || status === 403) {
+    return 'denied';
+  }
+  if (status === 429) {
+    return 'limited';
+  }
+  return status < 400 && finished ? 'success' : 'failure';
+}
+
+/**
+ * Append-only, hash-chained audit log in a file
+ */
+class AuditLog {
+  /**
+   * @param {string} filePath - Log file (created on the first entry)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.headPath = `${filePath}.head`;
+    this.head = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Reads every entry in order
+   * Lines that are not JSON are yielded as {line, error}.
+   * @returns {AsyncGenerator<{line: number, entry: object|null, error: string|null}>}
+   */
+  async *lines() {
+    const input = fs.createReadStream(this.filePath, { encoding: 'utf-8' });
+    const reader = readline.createInterface({ input, crlfDelay: Infinity });
+    let line = 0;
+
+    for await (const text of reader) {
+      line += 1;
+      if (text === '') {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(text);
+      } catch (error) {
+        yield { line, entry: null, error: 'not valid JSON' };
+        continue;
+      }
+      yield entry && typeof entry === 'object' && !Array.isArray(entry)
+        ? { line, entry, error: null }
+        : { line, entry: null, error: 'not an audit entry' };
+    }
+  }
+
+  /**
+   * Reads the head file
+   * @returns {{seq: number, hash: string}|null} - Head, or null if there is none
+   */
+  readHead() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.headPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw createError(`Audit head ${this.headPath} is not valid JSON`, ERROR_CODES.AUDIT_TAMPERED);
+    }
+    if (!data || data.format !== HEAD_FILE_FORMAT || !Number.isInteger(data.seq) || typeof data.hash !== 'string') {
+      throw createError(`${this.headPath} is not a pba-csv audit head`, ERROR_CODES.AUDIT_TAMPERED);
+    }
+    return { seq: data.seq, hash: data.hash };
+  }
+
+  /**
+   * Replaces the head file
+   * @param {{seq: number, hash: string}} head - Last entry
+   */
+  writeHead(head) {
+    const temporary = path.join(path.dirname(this.headPath), `.${path.basename(this.headPath)}.${process.pid}.tmp`);
+    fs.writeFileSync(temporary, `${JSON.stringify({ format: HEAD_FILE_FORMAT, ...head })}\n`, { mode: 0o600 });
+    fs.renameSync(temporary, this.headPath);
+  }
+
+  /**
+   * Finds the last entry the next one chains to
+   * Refuses to continue a log that does not end where its head says, so a
+   * damaged log is not papered over by new entries.
+   * @returns {Promise<{seq: number, hash: string}>}
+   */
+  async loadHead() {
+    let last = { seq: 0, hash: GENESIS_HASH };
+    try {
+      for await (const { line, entry, error } of this.lines()) {
+        if (error) {
+          throw createError(`Audit log line ${line} is ${error}`, ERROR_CODES.AUDIT_TAMPERED);
+        }
+        last = { seq: entry.seq, hash: entry.hash };
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const head = this.readHead();
+    if (head && (head.seq !== last.seq || head.hash !== last.hash)) {
+      throw createError(
+        `Audit log ends at entry ${last.seq} but its head records entry ${head.seq}; run pba-csv audit verify`,
+        ERROR_CODES.AUDIT_TAMPERED
+      );
+    }
+    return last;
+  }
+
+  /**
+   * Appends an entry
+   * @param {object} event - actor, action, method, route, profileId, profileIds, exportId, fields, ip, status, outcome
+   * @returns {Promise<object>} - The stored entry
+   */
+  append(event) {
+    const result = this.queue.then(async () => {
+      if (!this.head) {
+        this.head = await this.loadHead();
+      }
+
+      const entry = {
+        seq: this.head.seq + 1,
+        time: new Date().toISOString(),
+        actor: event.actor || null,
+        action: event.action,
+        method: event.method || null,
+        route: event.route || null,
+        profileId: event.profileId || null,
+        profileIds: profileIdList(event.profileIds),
+        exportId: event.exportId || null,
+        fields: fieldNames(event.fields),
+        ip: event.ip || null,
+        status: event.status || null,
+        outcome: event.outcome,
+        prev: this.head.hash
+      };
+      entry.hash = hashEntry(entry);
+
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+      this.head = { seq: entry.seq, hash: entry.hash };
+      this.writeHead(this.head);
+      return entry;
+    });
+
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Finds entries, newest first
+   * @param {object} filters - Optional filters
+   * @param {string} filters.actor - Token ID
+   * @param {string} filters.action - Action name
+   * @param {string} filters.profileId - Profile ID (also among profileIds)
+   * @param {string} filters.exportId - Export ID
+   * @param {string} filters.outcome - "success", "denied", "limited" or "failure"
+   * @param {Date} filters.since - Earliest entry time
+   * @param {Date} filters.until - Latest entry time
+   * @param {number} filters.limit - Most entries returned (default 100)
+   * @returns {Promise<{entries: object[], total: number}>} - Matches and their total count
+   */
+  async query(filters = {}) {
+    const limit = filters.limit || 100;
+    const matches = [];
+    let total = 0;
+
+    try {
+      for await (const { entry } of this.lines()) {
+        if (!entry) {
+          continue;
+        }
+        const time = Date.parse(entry.time);
+        const selected = Object.keys(FILTERS).every(name => filters[name] === undefined || matchesFilter(FILTERS[name](entry), filters[name])) &&
+          (!filters.since || time >= filters.since.getTime()) &&
+          (!filters.until || time <= filters.until.getTime());
+        if (selected) {
+          total += 1;
+          matches.push(entry);
+          if (matches.length > limit) {
+            matches.shift();
+          }
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    return { entries: matches.reverse(), total };
+  }
+
+  /**
+   * Checks the hash chain and the head
+   * @param {object} options - Optional settings
+   * @param {{seq: number, hash: string}} options.expectedHead - Head recorded earlier; the log must contain it
+   * @returns {Promise<{valid: boolean, entries: number, head: {seq: number, hash: string}, first: string|null, last: string|null, problems: Array<{line: number|null, message: string}>}>}
+   */
+  async verify(options = {}) {
+    const problems = [];
+    const { expectedHead } = options;
+    let previous = { seq: 0, hash: GENESIS_HASH };
+    let entries = 0;
+    let first = null;
+    let last = null;
+    let anchored = false;
+
+    for await (const { line, entry, error } of this.lines()) {
+      if (error) {
+        problems.push({ line, message: `entry is ${error}` });
+        continue;
+      }
+
+      entries += 1;
+      first = first || entry.time;
+      last = entry.time;
+      if (entry.seq !== previous.seq + 1) {
+        problems.push({ line, message: `entry ${entry.seq} follows entry ${previous.seq}; entries are missing or out of order` });
+      }
+      if (entry.prev !== previous.hash) {
+        problems.push({ line, message: `entry ${entry.seq} does not chain to the entry before it` });
+      }
+      if (entry.hash !== hashEntry(entry)) {
+        problems.push({ line, message: `entry ${entry.seq} was modified (hash mismatch)` });
+      }
+      if (expectedHead && entry.seq === expectedHead.seq) {
+        anchored = entry.hash === expectedHead.hash;
+      }
+      previous = { seq: entry.seq, hash: entry.hash };
+    }
+
+    const head = this.readHead();
+    if (!head) {
+      if (entries > 0) {
+        problems.push({ line: null, message: `head file ${this.headPath} is missing` });
+      }
+    } else if (head.seq > previous.seq) {
+      problems.push({ line: null, message: `log ends at entry ${previous.seq} but its head records entry ${head.seq}; entries were cut off` });
+    } else if (head.seq !== previous.seq || head.hash !== previous.hash) {
+      problems.push({ line: null, message: `last entry ${previous.seq} does not match the head (entry ${head.seq})` });
+    }
+
+    if (expectedHead && !anchored) {
+      problems.push({ line: null, message: `log does not contain entry ${expectedHead.seq} with the expected hash; it was rewritten or truncated` });
+    }
+
+    return { valid: problems.length === 0, entries, head: previous, first, last, problems };
+  }
+}
+
+/**
+ * Creates the audit log at the configured path
+ * @param {string} filePath - Log file (defaults to PBA_CSV_AUDIT_LOG, then pba-audit.log)
+ * @returns {AuditLog}
+ */
+function createAuditLog(filePath) {
+  return new AuditLog(filePath || process.env[AUDIT_ENV.log] || DEFAULT_AUDIT_PATH);
+}
+
+/**
+ * Creates the audit middleware for the server
+ * @param {object} options - Optional settings
+ * @param {AuditLog} options.log - Audit log (defaults to createAuditLog())
+ * @returns {{log: AuditLog, record: function(string): function}}
+ */
+function createAuditTrail(options = {}) {
+  const log = options.log || createAuditLog();
+
+  /**
+   * Middleware that logs the request once its response is done
+   * Goes before authentication so rejected requests are logged too. Sets
+   * req.audit, where the route adds profileId (or profileIds), exportId and
+   * fields.
+   * @param {string} action - Action name, e.g. "billing.export"
+   * @returns {function} - Express middleware
+   */
+  function record(action) {
+    return (req, res, next) => {
+      req.audit = {};
+      res.once('close', () => {
+        log.append({
+          actor: req.auth ? { id: req.auth.id, name: req.auth.name } : null,
+          action,
+          method: req.method,
+          route: req.route ? req.route.path : req.path,
+          profileId: req.audit.profileId,
+          profileIds: req.audit.profileIds,
+          exportId: req.audit.exportId,
+          fields: req.audit.fields,
+          ip: req.ip,
+          status: res.statusCode,
+          outcome: outcomeFor(res.statusCode, res.writableFinished)
+        }).catch(error => {
+          console.error('Error writing audit log:', error);
+        });
+      });
+      next();
+    };
+  }
+
+  return { log, record };
+}
+
+module.exports = {
+  AuditLog,
+  createAuditLog,
+  createAuditTrail,
+  AUDIT_ENV,
+  DEFAULT_AUDIT_PATH,
+  MAX_QUERY_LIMIT,
+  FILTERS,
+  ERROR_CODES
+};
@@ -0,0 +1,422 @@
+/**
+ * Auth Module - bearer tokens and scopes for the API
+ *
+ * Clients send an API token as "Authorization: Bearer <token>". Tokens are
+ * issued and revoked with `pba-csv token` and listed in a token file
+ * (PBA_CSV_TOKENS, default pba-tokens.json) that keeps only a SHA-256 hash
+ * of each secret, so the file cannot be used to call the API.
+ *
+ * Token format: pba_<id>_<secret>
+ * - <id>: 16 hex characters, the token ID shown by `pba-csv token list`
+ * - <secret>: 32 random bytes, base64url
+ *
+ * Each token carries scopes (SCOPES) and routes name the scopes they need
+ * with requireScopes. A token may also have a reveal password
+ * (`pba-csv token passwd`), kept as an scrypt hash, that its user enters
+ * again to see a full card number. The server re-reads the token file when
+ * it changes, so revocations apply without a restart. PBA_CSV_AUTH=off
+ * disables authentication for local development.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const encryption = require('../encryption/encryption');
+
+const { createError } = encryption;
+
+/**
+ * Error codes of token stores, added to those of encryption.js
+ */
+const ERROR_CODES = {
+  ...encryption.ERROR_CODES,
+  INVALID_TOKEN: 'INVALID_TOKEN'
+};
+
+const TOKEN_FILE_FORMAT = 'pba-csv-tokens';
+const TOKEN_FILE_VERSION = 1;
+const TOKEN_PATTERN = /^pba_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Where authentication reads its settings from when options do not say
+ */
+const AUTH_ENV = {
+  mode: 'PBA_CSV_AUTH',
+  tokens: 'PBA_CSV_TOKENS'
+};
+
+const DEFAULT_TOKENS_PATH = 'pba-tokens.json';
+
+/**
+ * Scopes a token may carry
+ */
+const SCOPES = {
+  READ_ADDRESS: 'billing:read-address', // profile addresses and listings
+  READ_CARD: 'billing:read-card', // card number and expiry, in responses and exports
+  WRITE_PROFILES: 'billing:write-profiles', // create, update and delete profiles
+  EXPORT: 'billing:export', // encrypt exports and streams, rekey, rewrap
+  DECRYPT: 'billing:decrypt', // decrypt payloads, columns and streams
+  DETOKENIZE: 'billing:detokenize', // card numbers behind card tokens
+  READ_AUDIT: 'audit:read' // query the audit log
+};
+
+const ALL_SCOPES = Object.values(SCOPES);
+
+/**
+ * Hash stored for a token secret
+ * @param {string} secret - Token secret
+ * @returns {string} - hex SHA-256
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Checks a list of scopes
+ * @param {string[]} scopes - Requested scopes
+ * @returns {string[]} - The scopes, without duplicates
+ */
+function checkScopes(scopes) {
+  const unknown = scopes.filter(scope => !ALL_SCOPES.includes(scope));
+  if (scopes.length === 0 || unknown.length > 0) {
+    throw createError(
+      `${unknown.length > 0 ? `Unknown scope: ${unknown.join(', ')}` : 'At least one scope is required'} ` +
+      `(available: ${ALL_SCOPES.join(', ')})`,
+      ERROR_CODES.INVALID_TOKEN
+    );
+  }
+  return Array.from(new Set(scopes));
+}
+
+/**
+ * Token record without its hashes, for listings
+ * @param {object} record - Stored token record
+ * @returns {{id: string, name: string, scopes: string[], createdAt: string, expiresAt: string|null, revokedAt: string|null, revealPassword: boolean}}
+ */
+function describeToken(record) {
+  const { hash, reveal, ...description } = record;
+  return { ...description, revealPassword: Boolean(reveal) };
+}
+
+/**
+ * API tokens in a JSON file
+ * Reads are cached until the file changes on disk; saves are atomic
+ * (temporary file, then rename).
+ */
+class TokenStore {
+  /**
+   * @param {string} filePath - Token file (created on the first issue)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.tokens = null;
+    this.mtimeMs = null;
+  }
+
+  /**
+   * Reads the token file if it changed since the last read
+   * @returns {object[]} - Stored token records
+   */
+  load() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.tokens = [];
+        this.mtimeMs = null;
+        return this.tokens;
+      }
+      throw error;
+    }
+
+    if (this.tokens && stat.mtimeMs === this.mtimeMs) {
+      return this.tokens;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      throw createError(`Token file ${this.filePath} is not valid JSON`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+    if (!data || data.format !== TOKEN_FILE_FORMAT || !Array.isArray(data.tokens)) {
+      throw createError(`${this.filePath} is not a pba-csv token file`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+    if (data.version !== TOKEN_FILE_VERSION) {
+      throw createError(`Unsupported token file version ${JSON.stringify(data.version)}`, ERROR_CODES.UNSUPPORTED_VERSION);
+    }
+
+    this.tokens = data.tokens;
+    this.mtimeMs = stat.mtimeMs;
+    return this.tokens;
+  }
+
+  /**
+   * Replaces the token file
+   * @param {object[]} tokens - All token records
+   */
+  save(tokens) {
+    const contents = { format: TOKEN_FILE_FORMAT, version: TOKEN_FILE_VERSION, tokens };
+    const temporary = path.join(
+      path.dirname(this.filePath),
+      `.${path.basename(this.filePath)}.${process.pid}.tmp`
+    );
+    fs.writeFileSync(temporary, `${JSON.stringify(contents, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temporary, this.filePath);
+    this.tokens = tokens;
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Issues a new token
+   * @param {object} options - Token settings
+   * @param {string} options.name - Label for listings
+   * @param {string[]} options.scopes - Scopes (see SCOPES)
+   * @param {Date|null} options.expiresAt - Expiry, or null for none
+   * @returns {{token: string, record: object}} - The token (shown once) and its description
+   */
+  issue({ name, scopes, expiresAt = null }) {
+    if (!name || typeof name !== 'string') {
+      throw createError('Token name is required', ERROR_CODES.INVALID_TOKEN);
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id,
+      name,
+      scopes: checkScopes(scopes),
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      revokedAt: null
+    };
+
+    this.save([...this.load(), record]);
+    return { token: `pba_${id}_${secret}`, record: describeToken(record) };
+  }
+
+  /**
+   * Revokes a token; it stays listed with its revocation time
+   * @param {string} id - Token ID
+   * @returns {object} - Description of the revoked token
+   */
+  revoke(id) {
+    const tokens = this.load();
+    const record = tokens.find(candidate => candidate.id === id);
+    if (!record) {
+      throw createError(`Token ${id} not found`, ERROR_CODES.INVALID_TOKEN);
+    }
+
+    const revoked = { ...record, revokedAt: record.revokedAt || new Date().toISOString() };
+    this.save(tokens.map(candidate => (candidate.id === id ? revoked : candidate)));
+    return describeToken(revoked);
+  }
+
+  /**
+   * Sets or replaces the reveal password of a token
+   * @param {string} id - Token ID
+   * @param {string} password - New reveal password
+   * @returns {Promise<object>} - Description of the token
+   */
+  async setRevealPassword(id, password) {
+    if (!this.load().some(candidate => candidate.id === id)) {
+      throw createError(`Token ${id} not found`, ERROR_CODES.INVALID_TOKEN);
+    }
+
+    const kdf = encryption.resolveKdfParams('scrypt');
+    const { key, salt } = await encryption.deriveKeyFromPassword(password, null, kdf);
+    const reveal = { kdf, salt: salt.toString('base64'), hash: key.toString('base64') };
+
+    // Re-read after the slow derivation so concurrent changes are kept
+    const tokens = this.load().map(candidate => (candidate.id === id ? { ...candidate, reveal } : candidate));
+    this.save(tokens);
+    return describeToken(tokens.find(candidate => candidate.id === id));
+  }
+
+  /**
+   * Checks the reveal password of a token
+   * @param {string} id - Token ID
+   * @param {string} password - Password entered by the user
+   * @returns {Promise<boolean>} - Whether it matches; throws INVALID_TOKEN if the token has none
+   */
+  async checkRevealPassword(id, password) {
+    const record = this.load().find(candidate => candidate.id === id);
+    if (!record || !record.reveal) {
+      throw createError(`Token ${id} has no reveal password (set one with pba-csv token passwd ${id})`, ERROR_CODES.INVALID_TOKEN);
+    }
+
+    const { key } = await encryption.deriveKeyFromPassword(
+      String(password),
+      Buffer.from(record.reveal.salt, 'base64'),
+      record.reveal.kdf
+    );
+    const expected = Buffer.from(record.reveal.hash, 'base64');
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+  }
+
+  /**
+   * Lists tokens without their hashes
+   * @returns {object[]}
+   */
+  list() {
+    return this.load().map(describeToken);
+  }
+
+  /**
+   * Looks up the token presented by a client
+   * @param {string} token - Bearer token
+   * @returns {object|null} - Token description, or null if unknown, revoked or expired
+   */
+  verify(token) {
+    const match = TOKEN_PATTERN.exec(String(token));
+    if (!match) {
+      return null;
+    }
+
+    const [, id, secret] = match;
+    const record = this.load().find(candidate => candidate.id === id);
+    if (!record || record.revokedAt) {
+      return null;
+    }
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return describeToken(record);
+  }
+}
+
+/**
+ * Creates the token store at the configured path
+ * @param {string} filePath - Token file (defaults to PBA_CSV_TOKENS, then pba-tokens.json)
+ * @returns {TokenStore}
+ */
+function createTokenStore(filePath) {
+  return new TokenStore(filePath || process.env[AUTH_ENV.tokens] || DEFAULT_TOKENS_PATH);
+}
+
+/**
+ * Sends a 401 or 403 with a WWW-Authenticate challenge (RFC 6750)
+ * @param {object} res - Express response
+ * @param {number} status - 401 or 403
+ * @param {string} challenge - Challenge parameters after the realm
+ * @param {string} message - Error message for the client
+ */
+function rejectRequest(res, status, challenge, message) {
+  res.setHeader('WWW-Authenticate', `Bearer realm="pba-csv"${challenge}`);
+  res.status(status).json({
+    success: false,
+    error: message
+  });
+}
+
+/**
+ * Creates the authentication middleware for the server
+ * @param {object} options - Optional settings
+ * @param {TokenStore} options.store - Token store (defaults to createTokenStore())
+ * @param {boolean} options.enabled - Require tokens (defaults to PBA_CSV_AUTH not being "off")
+ * @returns {{enabled: boolean, requireScopes: function(...string): function, hasScope: function(object, string): boolean, confirmReveal: function(object, string): Promise<void>}}
+ */
+function createAuth(options = {}) {
+  const store = options.store || createTokenStore();
+  const enabled = options.enabled !== undefined
+    ? options.enabled
+    : String(process.env[AUTH_ENV.mode] || '').toLowerCase() !== 'off';
+
+  /**
+   * Middleware that authenticates the request and requires every given scope
+   * Sets req.auth to the token description (also when the token lacks a
+   * scope, for the audit log); with authentication disabled
+   * every request acts with all scopes.
+   * @param {...string} scopes - Required scopes
+   * @returns {function} - Express middleware
+   */
+  function requireScopes(...scopes) {
+    return (req, res, next) => {
+      if (!enabled) {
+        req.auth = { id: null, name: 'anonymous', scopes: ALL_SCOPES };
+        return next();
+      }
+
+      const [scheme, token] = String(req.get('Authorization') || '').split(' ');
+      if (!/^Bearer$/i.test(scheme) || !token) {
+        return rejectRequest(res, 401, '', 'Authentication required');
+      }
+
+      let auth;
+      try {
+        auth = store.verify(token);
+      } catch (error) {
+        console.error('Error reading API tokens:', error);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+      if (!auth) {
+        return rejectRequest(res, 401, ', error="invalid_token"', 'Invalid, expired or revoked token');
+      }
+
+      // Set before the scope check so the audit log names the token either way
+      req.auth = auth;
+      const missing = scopes.filter(scope => !auth.scopes.includes(scope));
+      if (missing.length > 0) {
+        return rejectRequest(
+          res,
+          403,
+          `, error="insufficient_scope", scope="${scopes.join(' ')}"`,
+          `Token lacks scope ${missing.join(', ')}`
+        );
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Step-up check before revealing card data: the token's reveal password
+   * must be entered again. Always passes with authentication disabled.
+   * @param {object} req - Express request (after requireScopes)
+   * @param {string} password - Reveal password from the request
+   * @returns {Promise<void>} - Rejects with AUTH_FAILED for a wrong password, INVALID_TOKEN if the token has none
+   */
+  async function confirmReveal(req, password) {
+    if (!enabled) {
+      return;
+    }
+    if (!(await store.checkRevealPassword(req.auth.id, password))) {
+      throw createError('Reveal password is incorrect', ERROR_CODES.AUTH_FAILED);
+    }
+  }
+
+  /**
+   * Whether the authenticated request carries a scope
+   * @param {object} req - Express request (after requireScopes)
+   * @param {string} scope - Scope to check
+   * @returns {boolean}
+   */
+  function hasScope(req, scope) {
+    return Boolean(req.auth && req.auth.scopes.includes(scope));
+  }
+
+  return { enabled, requireScopes, hasScope, confirmReveal };
+}
+
+module.exports = {
+  TokenStore,
+  createTokenStore,
+  createAuth,
+  checkScopes,
+  SCOPES,
+  ALL_SCOPES,
+  AUTH_ENV,
+  DEFAULT_TOKENS_PATH,
+  ERROR_CODES
+};
@@ -0,0 +1,1851 @@
+/**
+ * CLI Commands - Payment Billing Address CSV
+ *
+ * Invoked from backend/server.js when the package binary is run with a
+ * command instead of starting the API server:
+ *   pba-csv encrypt <file.csv|dir|glob>... [-o out.json] [--stream]
+ *   pba-csv decrypt <payload.json|file.pba> [-o out.csv]
+ *   pba-csv rekey <payload.json> [-o out.json]
+ *   pba-csv inspect <payload.json> [--json]
+ *   pba-csv verify <payload.json>
+ *   pba-csv keygen [-o name]
+ *   pba-csv token issue|list|revoke|passwd
+ *   pba-csv audit verify [--log file] [--head seq:hash]
+ *   pba-csv encrypt-columns <file.csv> [-o out.csv] [--columns a,b]
+ *   pba-csv decrypt-columns <file.csv> [-o out.csv] [--columns a,b]
+ *   pba-csv import <file> [--dry-run] [--json] [--profiles file]
+ *   pba-csv --help
+ *
+ * Passwords come from --password-file, --password-stdin, the
+ * PBA_CSV_PASSWORD environment variable or a masked terminal prompt,
+ * in that order. Exit codes let scripts branch on the result (see EXIT_CODES).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const encryption = require('../encryption/encryption');
+const recipients = require('../encryption/recipients');
+const columns = require('../encryption/columns');
+const streams = require('../encryption/stream');
+const keyring = require('../encryption/keyring');
+const signing = require('../encryption/signing');
+const csvFormat = require('../encryption/csv');
+const auth = require('./auth');
+const audit = require('./audit');
+const profiles = require('./profiles');
+const profileImport = require('./import');
+
+/**
+ * Process exit codes returned by every command
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  WRONG_PASSWORD: 3,
+  CORRUPT_PAYLOAD: 4,
+  FILE_NOT_FOUND: 5,
+  PASSWORD_REJECTED: 6,
+  UNSUPPORTED_VERSION: 7,
+  BAD_SIGNATURE: 8,
+  AUDIT_TAMPERED: 9,
+  IMPORT_REJECTED: 10
+};
+
+/**
+ * Error code for passwords that fail the policy or confirmation
+ */
+const PASSWORD_REJECTED = 'PASSWORD_REJECTED';
+
+/**
+ * Where a password may come from: option and environment variable names
+ */
+const PASSWORD_SOURCE = {
+  file: 'password-file',
+  stdin: 'password-stdin',
+  env: 'PBA_CSV_PASSWORD'
+};
+
+const NEW_PASSWORD_SOURCE = {
+  file: 'new-password-file',
+  stdin: 'new-password-stdin',
+  env: 'PBA_CSV_NEW_PASSWORD'
+};
+
+const PASSPHRASE_SOURCE = {
+  file: 'passphrase-file',
+  stdin: 'passphrase-stdin',
+  env: keyring.KEY_PROVIDER_ENV.passphrase
+};
+
+/**
+ * Flags that never take a value
+ */
+const PASSWORD_FLAGS = [PASSWORD_SOURCE.stdin, NEW_PASSWORD_SOURCE.stdin, PASSPHRASE_SOURCE.stdin];
+
+const HELP_TEXT = `
+PBA-CSV CLI
+Usage:
+  pba-csv encrypt <file.csv|dir|glob>... [-o out.json | --out-dir dir] [--force]
+                  [--kdf name | --recipient <pubkey>... | --stream | --master-key]
+                  [--sign <signing.key>] [password options]
+  pba-csv decrypt <payload.json|file.pba> [-o out.csv] [--signer <pubkey>...]
+                  [--key <private.key> | password options]
+  pba-csv rekey <payload.json> [-o out.json] [--kdf name] [--sign <signing.key>]
+                  [password options] [new password options]
+  pba-csv inspect <payload.json|file.pba> [--json]
+  pba-csv verify <payload.json|file.pba> [--signer <pubkey>... [--signature-only]]
+                  [--key <private.key> | password options]
+  pba-csv keygen [-o name] [--signing] [--force]
+  pba-csv keyring init|list|rotate [--keyring file] [--kdf name] [passphrase options]
+  pba-csv keyring generate
+  pba-csv rewrap <payload.json|glob>... [--keyring file] [--sign <signing.key>]
+                  [passphrase options]
+  pba-csv token issue --name <name> --scopes <a,b|all> [--expires 30d] [--tokens file]
+  pba-csv token list|revoke <id> [--tokens file]
+  pba-csv token passwd <id> [--tokens file] [password options]
+  pba-csv audit verify [--log file] [--head <seq>:<hash>]
+  pba-csv encrypt-columns <file.csv> [-o out.csv] [--columns a,b] [--kdf name] [--force]
+                  [password options]
+  pba-csv decrypt-columns <file.csv> [-o out.csv] [--columns a,b] [password options]
+  pba-csv import <file> [--dry-run] [--json] [--profiles file] [--delimiter c]
+                  [--signer <pubkey>...] [--key <private.key> | --keyring file |
+                  password options]
+  pba-csv --help
+
+Options:
+  -o, --output <file>       encrypt: envelope path for a single input
+                            (default <name>.csv.pba.json next to the input)
+                            decrypt: write CSV to <file> instead of stdout
+                            keygen: write <name>.key and <name>.pub
+                            (default pba-recipient, or pba-signing)
+                            rekey: write the new envelope to <file> instead
+                            of replacing the input
+                            encrypt-columns: CSV path (default
+                            <name>.pba.csv next to the input)
+                            decrypt-columns: write CSV to <file> instead of
+                            stdout
+  --out-dir <dir>           encrypt: write all envelopes into <dir>
+  --force                   encrypt, encrypt-columns: overwrite existing output
+  --columns <a,b>           encrypt-columns: columns to encrypt (default
+                            card_number,expiry_date)
+                            decrypt-columns: columns to reveal (default every
+                            encrypted column)
+  --kdf <name>              encrypt, rekey, encrypt-columns: key derivation
+                            (pbkdf2, scrypt or argon2id; default ENCRYPTION_KDF
+                            or pbkdf2)
+  --recipient <pubkey>      encrypt: encrypt for a public key (base64 or .pub
+                            file) instead of a password; repeat for several
+  --stream                  encrypt: write the chunked stream format
+                            (<name>.csv.pba) with constant memory, for large
+                            files; decrypt, verify and inspect detect it
+  --master-key              encrypt: encrypt with the server master key
+                            (keyring or PBA_CSV_MASTER_KEY) instead of a
+                            password; decrypt and verify detect it
+  --keyring <file>          keyring file (default PBA_CSV_KEYRING or
+                            pba-keyring.json); selects the keyring provider
+  --key <file>              decrypt, verify, import: recipient private key file
+  --signing                 keygen: create an Ed25519 signing key pair
+                            instead of a recipient key pair
+  --sign <file>             encrypt, rekey, rewrap: sign the new payloads
+                            with an Ed25519 private key (keygen --signing)
+  --signer <pubkey>         decrypt, verify, import: require a valid signature by
+                            this public key (base64, .pub file or the key
+                            from GET /api/keys/signing) before decrypting;
+                            repeat to trust several keys
+  --signature-only          verify: check the signature and stop; no
+                            password or key is needed
+  --json                    inspect, import: print the report as JSON
+  --dry-run                 import: report what would be imported without
+                            changing the profile file
+  --profiles <file>         import: profile file to add to (default
+                            PBA_CSV_PROFILES); a running server picks
+                            up the new profiles
+  --delimiter <c>           import: field separator of a plain CSV
+                            (default ,)
+  --tokens <file>           token: API token file (default PBA_CSV_TOKENS or
+                            pba-tokens.json)
+  --scopes <a,b|all>        token issue: scopes of the new token
+                            (${auth.ALL_SCOPES.join(', ')})
+  --expires <when>          token issue: lifetime (30d, 12h) or an ISO date;
+                            tokens do not expire by default
+  --log <file>              audit: audit log (default PBA_CSV_AUDIT_LOG or
+                            pba-audit.log)
+  --head <seq>:<hash>       audit verify: a head printed by an earlier run;
+                            the log must still contain that entry
+
+Password options (checked in this order):
+  --password-file <file>    Read the password from the first line of <file>
+  --password-stdin          Read the password from stdin
+  PBA_CSV_PASSWORD          Environment variable holding the password
+  (none of the above)       Prompt on the terminal with masked input
+
+New password options for rekey (checked in this order):
+  --new-password-file <file>, --new-password-stdin, PBA_CSV_NEW_PASSWORD
+
+Master keys (--master-key, keyring, rewrap):
+  PBA_CSV_MASTER_KEY        Active master key (base64, see keyring generate);
+                            used instead of a keyring when set
+  PBA_CSV_RETIRED_MASTER_KEYS  Earlier master keys still used to decrypt
+  Passphrase options: --passphrase-file <file>, --passphrase-stdin,
+  PBA_CSV_KEYRING_PASSPHRASE, else a prompt
+
+Exit codes:
+  0  Success
+  1  Unexpected failure
+  2  Invalid usage (including a missing or invalid key, unknown column,
+     scope or token)
+  3  Wrong password or key (payload failed authentication)
+  4  Corrupt or unrecognised payload, or malformed CSV
+  5  Input file not found
+  6  Password rejected (too short or confirmation mismatch)
+  7  Unsupported payload format version
+  8  Signature missing, untrusted or invalid (--signer)
+  9  Audit log edited, reordered or truncated (audit verify)
+  10 Some rows were rejected (import; the others were imported)
+`;
+
+/**
+ * Splits raw arguments into positionals and options
+ * Options other than flags take the next argument as their value, even one
+ * starting with "-" (e.g. -o -out.csv); a missing value is a usage error.
+ * @param {string[]} args - Arguments after the command name
+ * @param {object} spec - Parsing rules
+ * @param {object} spec.aliases - Map of short flag to long option name
+ * @param {string[]} spec.flags - Long options that never take a value
+ * @returns {{positionals: string[], options: object}}
+ */
+function parseArgs(args, { aliases = {}, flags = [] } = {}) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    // Repeated options (e.g. --recipient a --recipient b) collect into an array
+    const set = (name, value) => {
+      options[name] = options[name] === undefined ? value : [].concat(options[name], value);
+    };
+
+    // The value of an option that takes one
+    const valueOf = () => {
+      if (args[i + 1] === undefined) {
+        const error = new Error(`${arg} needs a value`);
+        error.code = 'USAGE';
+        throw error;
+      }
+      return args[++i];
+    };
+
+    if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (inlineValue !== undefined) {
+        set(name, inlineValue);
+      } else if (flags.includes(name)) {
+        set(name, true);
+      } else {
+        set(name, valueOf());
+      }
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      const name = aliases[arg.slice(1)] || arg.slice(1);
+      set(name, flags.includes(name) ? true : valueOf());
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * Non-interactive stdin, read through one readline interface for every
+ * prompt: a second interface would miss lines the first had buffered
+ * (e.g. the new password after the current one, piped to rekey)
+ */
+let stdinLines = null;
+
+/**
+ * Reads one line from stdin without hiding it (non-interactive input)
+ * Prompts go to stderr so stdout stays clean for piped output.
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} - Entered line ("" once stdin has ended)
+ */
+function promptLine(question) {
+  if (!stdinLines) {
+    const rl = readline.createInterface({ input: process.stdin, terminal: false });
+    stdinLines = { rl, lines: [], waiting: [], closed: false };
+    rl.on('line', (line) => {
+      const answer = stdinLines.waiting.shift();
+      if (answer) {
+        answer(line);
+      } else {
+        stdinLines.lines.push(line);
+      }
+      // Stop reading between prompts so stdin does not keep the process alive
+      if (stdinLines.waiting.length === 0) {
+        rl.pause();
+      }
+    });
+    rl.on('close', () => {
+      stdinLines.closed = true;
+      stdinLines.waiting.splice(0).forEach(answer => answer(''));
+    });
+  }
+
+  process.stderr.write(question);
+
+  if (stdinLines.lines.length > 0) {
+    return Promise.resolve(stdinLines.lines.shift());
+  }
+  if (stdinLines.closed) {
+    return Promise.resolve('');
+  }
+  return new Promise(resolve => {
+    stdinLines.waiting.push(resolve);
+    stdinLines.rl.resume();
+  });
+}
+
+/**
+ * Reads a password from the terminal, echoing "*" for each character
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} - Entered password
+ */
+function promptHidden(question) {
+  const input = process.stdin;
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+
+    const finish = () => {
+      input.removeListener('data', onData);
+      input.setRawMode(false);
+      input.pause();
+      process.stderr.write('\n');
+    };
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        switch (char) {
+          case '\r':
+          case '\n':
+          case '\u0004': // Ctrl-D
+            finish();
+            resolve(value);
+            return;
+          case '\u0003': // Ctrl-C
+            finish();
+            reject(new Error('Password entry cancelled'));
+            return;
+          case '\u007f':
+          case '\b':
+            if (value.length > 0) {
+              value = value.slice(0, -1);
+              process.stderr.write('\b \b');
+            }
+            break;
+          default:
+            if (char >= ' ') {
+              value += char;
+              process.stderr.write('*');
+            }
+        }
+      }
+    };
+
+    process.stderr.write(question);
+    input.setRawMode(true);
+    input.setEncoding('utf-8');
+    input.resume();
+    input.on('data', onData);
+  });
+}
+
+/**
+ * Reads all of stdin
+ * @returns {Promise<string>}
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Takes the first line of file or stdin input, without its line ending
+ * @param {string} text - Raw input
+ * @returns {string}
+ */
+function firstLine(text) {
+  return text.split(/\r?\n/)[0];
+}
+
+/**
+ * Creates an error for a rejected password
+ * @param {string} message - Reason
+ * @returns {Error}
+ */
+function passwordRejected(message) {
+  const error = new Error(message);
+  error.code = PASSWORD_REJECTED;
+  return error;
+}
+
+/**
+ * Resolves the password for a command from its options, the environment
+ * or an interactive prompt
+ * @param {object} options - Parsed command options
+ * @param {object} settings - Prompt behaviour
+ * @param {string} settings.prompt - Interactive prompt text
+ * @param {boolean} settings.confirm - Ask twice on interactive input
+ * @param {object} settings.source - PASSWORD_SOURCE or NEW_PASSWORD_SOURCE
+ * @returns {Promise<string>} - Password
+ */
+async function resolvePassword(options, { prompt, confirm = false, source = PASSWORD_SOURCE }) {
+  if (typeof options[source.file] === 'string') {
+    return firstLine(fs.readFileSync(options[source.file], 'utf-8'));
+  }
+
+  if (options[source.stdin]) {
+    return firstLine(await readStdin());
+  }
+
+  if (process.env[source.env]) {
+    return process.env[source.env];
+  }
+
+  if (!process.stdin.isTTY) {
+    return promptLine(prompt);
+  }
+
+  const password = await promptHidden(prompt);
+
+  if (confirm) {
+    const repeated = await promptHidden('Confirm password: ');
+    if (repeated !== password) {
+      throw passwordRejected('Passwords do not match');
+    }
+  }
+
+  return password;
+}
+
+/**
+ * Decodes file contents written as UTF-8 or as a UTF-16 console capture
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {string}
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.slice(2).toString('utf16le');
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    // Node has no utf16be decoder; swap bytes and decode as little-endian
+    return Buffer.from(buffer.slice(2)).swap16().toString('utf16le');
+  }
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return buffer.slice(3).toString('utf-8');
+  }
+  return buffer.toString('utf-8');
+}
+
+/**
+ * Extracts the encrypted payload object from file contents
+ * Accepts a raw payload, an API export response ({ encrypted: "..." })
+ * and the console output of `pba-csv encrypt`.
+ * @param {string} text - File contents
+ * @returns {object|null} - Payload object, or null if none was found
+ */
+function extractPayload(text) {
+  const unwrap = (value) => {
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        return null;
+      }
+    }
+    if (!value || typeof value !== 'object') return null;
+    if (typeof value.ciphertext === 'string') return value;
+    if (value.encrypted !== undefined) return unwrap(value.encrypted);
+    return null;
+  };
+
+  const whole = unwrap(text.trim());
+  if (whole) return whole;
+
+  // Console capture: the payload is printed on a single line
+  for (const line of text.split(/\r?\n/)) {
+    const candidate = line.trim();
+    if (candidate.startsWith('{') && candidate.endsWith('}')) {
+      const payload = unwrap(candidate);
+      if (payload) return payload;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads and extracts an encrypted payload from disk
+ * @param {string} filePath - Path to the payload file
+ * @returns {object} - Payload object
+ */
+function readPayloadFile(filePath) {
+  const text = decodeText(fs.readFileSync(filePath));
+  let payload = extractPayload(text);
+
+  if (!payload) {
+    // Not a recognisable payload, but still JSON: hand it on so the
+    // structural checks can say what is wrong with it
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      payload = null;
+    }
+  }
+
+  if (!payload) {
+    const error = new Error(`No encrypted payload found in ${filePath}`);
+    error.code = encryption.ERROR_CODES.INVALID_PAYLOAD;
+    throw error;
+  }
+
+  return payload;
+}
+
+/**
+ * Reads the first line of a file without loading the rest
+ * @param {string} filePath - File to read
+ * @returns {string|null} - First line, or null if none ends within 64 KiB
+ */
+function readFirstLine(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const end = buffer.subarray(0, length).indexOf(0x0a);
+    return end === -1 ? null : buffer.subarray(0, end).toString('utf-8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Whether a file is in the chunked stream format, judged by its first line
+ * @param {string} filePath - File to check
+ * @returns {boolean}
+ */
+function isStreamFile(filePath) {
+  try {
+    const line = readFirstLine(filePath);
+    return line !== null && streams.isStreamHeader(line);
+  } catch (error) {
+    // Unreadable files are reported by the payload reader
+    return false;
+  }
+}
+
+/**
+ * Streams a file through an encrypt or decrypt transform into another file
+ * Writes next to the target and renames, so a failure never leaves a
+ * partial file behind.
+ * @param {string} input - Source file
+ * @param {stream.Transform} transform - Encrypt or decrypt stream
+ * @param {string} output - Target file
+ * @param {number} mode - File mode for the target
+ * @returns {Promise<object>} - Stream header
+ */
+async function streamToFile(input, transform, output, mode = 0o644) {
+  const tempPath = `${output}.${process.pid}.tmp`;
+  try {
+    const header = await streams.pipeThrough(
+      fs.createReadStream(input),
+      transform,
+      fs.createWriteStream(tempPath, { mode })
+    );
+    fs.renameSync(tempPath, output);
+    return header;
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Maps an error to the matching exit code
+ * @param {Error} error - Thrown error
+ * @returns {number}
+ */
+function exitCodeFor(error) {
+  switch (error && error.code) {
+    case 'ENOENT':
+      return EXIT_CODES.FILE_NOT_FOUND;
+    case encryption.ERROR_CODES.AUTH_FAILED:
+    case encryption.ERROR_CODES.NOT_A_RECIPIENT:
+    case encryption.ERROR_CODES.UNKNOWN_KEY:
+      return EXIT_CODES.WRONG_PASSWORD;
+    case encryption.ERROR_CODES.INVALID_PAYLOAD:
+    case encryption.ERROR_CODES.INVALID_CSV:
+      return EXIT_CODES.CORRUPT_PAYLOAD;
+    case encryption.ERROR_CODES.UNSUPPORTED_VERSION:
+      return EXIT_CODES.UNSUPPORTED_VERSION;
+    case PASSWORD_REJECTED:
+      return EXIT_CODES.PASSWORD_REJECTED;
+    case encryption.ERROR_CODES.BAD_SIGNATURE:
+      return EXIT_CODES.BAD_SIGNATURE;
+    case audit.ERROR_CODES.AUDIT_TAMPERED:
+      return EXIT_CODES.AUDIT_TAMPERED;
+    case 'USAGE':
+    case encryption.ERROR_CODES.KEY_REQUIRED:
+    case encryption.ERROR_CODES.INVALID_KEY:
+    case encryption.ERROR_CODES.UNKNOWN_COLUMN:
+    case auth.ERROR_CODES.INVALID_TOKEN:
+      return EXIT_CODES.USAGE;
+    default:
+      return EXIT_CODES.FAILURE;
+  }
+}
+
+/**
+ * Converts a glob file-name pattern (* and ?) to a RegExp
+ * @param {string} pattern - File-name pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '[^/\\\\]*';
+      if (char === '?') return '[^/\\\\]';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expands CLI inputs into a list of CSV files
+ * Directories contribute their *.csv files (non-recursive) and globs are
+ * matched against file names, so quoted patterns work on every shell.
+ * Missing files are kept so they are reported per file.
+ * @param {string[]} inputs - Files, directories or glob patterns
+ * @returns {string[]} - Unique file paths in input order
+ */
+function expandInputs(inputs) {
+  const files = [];
+
+  for (const input of inputs) {
+    if (/[*?]/.test(path.basename(input))) {
+      const dir = path.dirname(input);
+      const matcher = globToRegExp(path.basename(input));
+      const matches = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+      files.push(...matches
+        .filter(name => matcher.test(name) && fs.statSync(path.join(dir, name)).isFile())
+        .sort()
+        .map(name => path.join(dir, name)));
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      files.push(...fs.readdirSync(input)
+        .filter(name => name.toLowerCase().endsWith('.csv'))
+        .sort()
+        .map(name => path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+
+  return [...new Set(files)];
+}
+
+/**
+ * Default envelope path for an encrypted CSV: <name>.csv.pba.json
+ * (<name>.csv.pba for stream files)
+ * @param {string} filePath - Source CSV path
+ * @param {string} outDir - Optional output directory
+ * @param {string} extension - Suffix for the envelope
+ * @returns {string}
+ */
+function defaultEnvelopePath(filePath, outDir, extension = '.pba.json') {
+  const name = `${path.basename(filePath)}${extension}`;
+  return path.join(outDir || path.dirname(filePath), name);
+}
+
+/**
+ * Prints rows as a fixed-width table
+ * @param {string[]} headers - Column headers
+ * @param {string[][]} rows - Table rows
+ */
+function printTable(headers, rows) {
+  const widths = headers.map((header, i) =>
+    Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const format = row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(format(headers));
+  console.log(format(widths.map(width => '-'.repeat(width))));
+  rows.forEach(row => console.log(format(row)));
+}
+
+/**
+ * Reads --recipient or --signer values: each is a public key file or a base64 key
+ * @param {string|string[]} values - Option values
+ * @returns {string[]} - Public keys
+ */
+function publicKeysFromOptions(values) {
+  return [].concat(values)
+    .filter(value => typeof value === 'string')
+    .map(value => (fs.existsSync(value) ? fs.readFileSync(value, 'utf-8').trim() : value));
+}
+
+/**
+ * Payload signer for --sign: returns the payload unchanged without it
+ * @param {object} options - Parsed command options
+ * @returns {function(string): string}
+ */
+function signerFromOptions(options) {
+  if (options.sign === undefined) {
+    return payload => payload;
+  }
+  if (typeof options.sign !== 'string') {
+    const error = new Error('--sign needs a signing key file (pba-csv keygen --signing)');
+    error.code = 'USAGE';
+    throw error;
+  }
+
+  const key = signing.loadSigningKey(fs.readFileSync(options.sign));
+  return payload => signing.signPayload(payload, key);
+}
+
+/**
+ * Checks the payload signature against --signer keys, before any password
+ * is asked for
+ * @param {object} payload - Payload object
+ * @param {object} options - Parsed command options
+ * @returns {{algorithm: string, keyId: string}|null} - Verified signer, or null without --signer
+ */
+function checkSignerFromOptions(payload, options) {
+  if (options.signer === undefined) {
+    return null;
+  }
+
+  const keys = publicKeysFromOptions(options.signer);
+  if (keys.length === 0) {
+    const error = new Error('--signer needs a public key (base64 or .pub file)');
+    error.code = 'USAGE';
+    throw error;
+  }
+  return signing.verifyPayloadSignature(payload, keys);
+}
+
+/**
+ * Key provider for master-key commands: the keyring given by --keyring, or
+ * the configured provider. The keyring passphrase is only asked for when
+ * the keyring is opened.
+ * @param {object} options - Parsed command options
+ * @returns {KeyProvider}
+ */
+function keyProviderFromOptions(options) {
+  return keyring.createKeyProvider({
+    provider: typeof options.keyring === 'string' ? 'keyring' : undefined,
+    keyringPath: typeof options.keyring === 'string' ? options.keyring : undefined,
+    passphrase: () => resolvePassword(options, {
+      prompt: 'Enter keyring passphrase: ',
+      source: PASSPHRASE_SOURCE
+    })
+  });
+}
+
+/**
+ * Decrypts a payload with --key when given, otherwise with a password
+ * @param {object} payload - Payload object
+ * @param {object} options - Parsed command options
+ * @param {string} prompt - Password prompt text
+ * @returns {Promise<{csvData: string, header: object|null}>} - Decrypted CSV data and verified header
+ */
+async function openPayload(payload, options, prompt) {
+  if (typeof options.key === 'string') {
+    return recipients.openCSVDataWithKey(payload, fs.readFileSync(options.key));
+  }
+
+  const { mode } = encryption.inspectPayload(payload);
+
+  if (mode === 'recipients') {
+    const error = new Error('Payload is encrypted for recipients; pass --key <private key file>');
+    error.code = encryption.ERROR_CODES.KEY_REQUIRED;
+    throw error;
+  }
+
+  if (mode === 'key') {
+    return keyring.openCSVDataWithProvider(payload, keyProviderFromOptions(options));
+  }
+
+  const password = await resolvePassword(options, { prompt });
+  return encryption.openCSVData(payload, password);
+}
+
+/**
+ * Decrypts a stream file into a writable, or into a file that is only
+ * created once every chunk has authenticated
+ * @param {string} filePath - Stream file
+ * @param {object} options - Parsed command options
+ * @param {string} prompt - Password prompt text
+ * @param {string|stream.Writable} destination - Output file path or writable
+ * @returns {Promise<object>} - Verified stream header
+ */
+async function openStreamFile(filePath, options, prompt, destination) {
+  if (typeof options.key === 'string') {
+    const error = new Error('Stream files are password-protected; --key does not apply');
+    error.code = 'USAGE';
+    throw error;
+  }
+
+  const password = await resolvePassword(options, { prompt });
+  const transform = streams.createDecryptStream(password);
+
+  if (typeof destination === 'string') {
+    return streamToFile(filePath, transform, destination, 0o600);
+  }
+  return streams.pipeThrough(fs.createReadStream(filePath), transform, destination);
+}
+
+/**
+ * Command: encrypt <file.csv|dir|glob>... [-o out.json | --out-dir dir]
+ * Writes one JSON envelope per input; the password is asked once.
+ * With --recipient the envelopes are encrypted for public keys instead, and
+ * with --master-key under the server master key; with --stream each file is
+ * encrypted in chunks without being read whole.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function encryptCommand(args) {
+  const { positionals, options } = parseArgs(args, {
+    aliases: { o: 'output' },
+    flags: [...PASSWORD_FLAGS, 'force', 'stream', 'master-key']
+  });
+
+  if (positionals.length === 0) {
+    console.error('Usage: pba-csv encrypt <file.csv|dir|glob>... [-o out.json | --out-dir dir] [--force]');
+    return EXIT_CODES.USAGE;
+  }
+
+  if ([options.stream, options.recipient !== undefined, options['master-key']].filter(Boolean).length > 1) {
+    console.error('Only one of --stream, --recipient and --master-key can be used');
+    return EXIT_CODES.USAGE;
+  }
+
+  const files = expandInputs(positionals);
+
+  if (files.length === 0) {
+    console.error('No CSV files matched the given inputs');
+    return EXIT_CODES.FILE_NOT_FOUND;
+  }
+
+  if (options.output && files.length > 1) {
+    console.error('-o can only be used with a single input file; use --out-dir for batches');
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.stream && options.sign !== undefined) {
+    console.error('--sign cannot be combined with --stream; stream files are not signed');
+    return EXIT_CODES.USAGE;
+  }
+
+  let encryptCSV;
+  let encryptStream;
+  let sign;
+  try {
+    sign = signerFromOptions(options);
+
+    if (options.recipient !== undefined) {
+      const keys = publicKeysFromOptions(options.recipient);
+      keys.forEach(recipients.loadPublicKey);
+      encryptCSV = csvData => recipients.encryptCSVDataForRecipients(csvData, keys);
+    } else if (options['master-key']) {
+      const provider = keyProviderFromOptions(options);
+      await provider.getActiveKey();
+      encryptCSV = csvData => keyring.encryptCSVDataWithProvider(csvData, provider);
+    } else {
+      const kdf = kdfFromOptions(options);
+      const password = await resolvePassword(options, {
+        prompt: 'Enter password for encryption: ',
+        confirm: true
+      });
+
+      const passwordError = encryption.validatePassword(password);
+      if (passwordError) {
+        throw passwordRejected(passwordError);
+      }
+      encryptCSV = csvData => encryption.encryptCSVData(csvData, password, { kdf });
+      encryptStream = () => streams.createEncryptStream(password, { kdf });
+    }
+  } catch (err) {
+    console.error('Encryption failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+
+  if (options['out-dir']) {
+    fs.mkdirSync(options['out-dir'], { recursive: true });
+  }
+
+  const results = [];
+
+  for (const file of files) {
+    const output = options.output ||
+      defaultEnvelopePath(file, options['out-dir'], options.stream ? '.pba' : '.pba.json');
+
+    try {
+      if (!options.force && fs.existsSync(output)) {
+        throw new Error(`${output} already exists (use --force to overwrite)`);
+      }
+
+      if (options.stream) {
+        await streamToFile(file, encryptStream(), output);
+        results.push({ file, output, size: fs.statSync(file).size, status: 'encrypted' });
+        continue;
+      }
+
+      const csvData = decodeText(fs.readFileSync(file));
+      const { payload } = await encryptCSV(csvData);
+      const envelope = `${JSON.stringify(JSON.parse(sign(payload)), null, 2)}\n`;
+
+      fs.writeFileSync(output, envelope);
+      results.push({ file, output, size: Buffer.byteLength(csvData), status: 'encrypted' });
+    } catch (err) {
+      results.push({ file, output, size: '-', status: 'failed', error: err, exitCode: exitCodeFor(err) });
+    }
+  }
+
+  printTable(
+    ['FILE', 'OUTPUT', 'BYTES', 'STATUS'],
+    results.map(r => [r.file, r.output, r.size, r.status])
+  );
+
+  const failures = results.filter(r => r.error);
+  failures.forEach(r => console.error(`${r.file}: ${r.error.message || r.error}`));
+
+  return failures.length > 0 ? failures[0].exitCode : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Command: decrypt <payload.json|file.pba> [-o out.csv]
+ * Plaintext goes to stdout unless an output file is given. Stream files are
+ * decrypted chunk by chunk; on stdout, chunks that authenticated before a
+ * failure have already been written.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function decryptCommand(args) {
+  const { positionals, options } = parseArgs(args, { aliases: { o: 'output' }, flags: PASSWORD_FLAGS });
+  const filePath = positionals[0];
+
+  if (!filePath) {
+    console.error('Usage: pba-csv decrypt <payload.json|file.pba> [-o out.csv]');
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    if (isStreamFile(filePath)) {
+      const header = await openStreamFile(
+        filePath,
+        options,
+        'Enter password for decryption: ',
+        options.output || process.stdout
+      );
+      if (options.output) {
+        console.error(`Decrypted CSV written to ${options.output} (export ${header.exportId}, created ${header.createdAt})`);
+      }
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const payload = readPayloadFile(filePath);
+    const signer = checkSignerFromOptions(payload, options);
+    if (signer) {
+      console.error(`Signature OK - signed by ${signer.keyId}`);
+    }
+
+    const { csvData, header } = await openPayload(payload, options, 'Enter password for decryption: ');
+
+    if (options.output) {
+      fs.writeFileSync(options.output, csvData, { mode: 0o600 });
+      console.error(`Decrypted CSV written to ${options.output}` +
+        (header ? ` (export ${header.exportId}, created ${header.createdAt})` : ''));
+    } else {
+      process.stdout.write(csvData.endsWith('\n') ? csvData : `${csvData}\n`);
+    }
+    return EXIT_CODES.SUCCESS;
+  } catch (err) {
+    console.error('Decryption failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Human-readable summary of KDF parameters
+ * @param {object|null} kdf - KDF parameters from a payload
+ * @returns {string}
+ */
+function describeKdf(kdf) {
+  if (!kdf) return 'unknown';
+
+  switch (kdf.name) {
+    case 'pbkdf2':
+      return `pbkdf2-${kdf.digest}, ${kdf.iterations} iterations`;
+    case 'scrypt':
+      return `scrypt, N=${kdf.cost} r=${kdf.blockSize} p=${kdf.parallelization}`;
+    case 'argon2id':
+      return `argon2id, opslimit=${kdf.opsLimit} memlimit=${Math.round(kdf.memLimit / 1048576)} MiB`;
+    default:
+      return String(kdf.name);
+  }
+}
+
+/**
+ * Resolves and validates the --kdf option
+ * @param {object} options - Parsed command options
+ * @returns {object} - KDF parameters
+ */
+function kdfFromOptions(options) {
+  const kdf = encryption.resolveKdfParams(typeof options.kdf === 'string' ? options.kdf : undefined);
+  const problem = encryption.checkKdfParams(kdf);
+
+  if (problem) {
+    const error = new Error(problem);
+    error.code = 'USAGE';
+    throw error;
+  }
+  return kdf;
+}
+
+/**
+ * Prints the header of a stream file for inspect
+ * @param {string} filePath - Stream file
+ * @param {object} options - Parsed command options
+ * @returns {number} - Exit code
+ */
+function inspectStreamFile(filePath, options) {
+  const report = {
+    ...streams.inspectStreamHeader(readFirstLine(filePath)),
+    fileSize: fs.statSync(filePath).size
+  };
+  const header = report.header || {};
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printTable(['PROPERTY', 'VALUE'], [
+      ['Format', `${report.format} v${header.version === undefined ? '?' : header.version}`],
+      ['Algorithm', header.algorithm || 'unspecified'],
+      ['Export ID', header.exportId || 'none'],
+      ['Created', header.createdAt || 'unknown'],
+      ['Fields', Array.isArray(header.fields) ? header.fields.join(', ') || 'none' : 'unknown'],
+      ['KDF', describeKdf(header.kdf)],
+      ['Chunk size', `${header.chunkSize} bytes`],
+      ['File size', `${report.fileSize} bytes`],
+      ['Status', report.valid ? 'OK' : 'INVALID']
+    ]);
+    report.problems.forEach(problem => console.log(`  - ${problem}`));
+    console.log('Header values are unverified until the stream is decrypted (see verify).');
+  }
+
+  return report.valid ? EXIT_CODES.SUCCESS : EXIT_CODES.CORRUPT_PAYLOAD;
+}
+
+/**
+ * Command: inspect <payload.json> [--json]
+ * Describes a payload without asking for a password.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function inspectCommand(args) {
+  const { positionals, options } = parseArgs(args, { flags: ['json'] });
+  const filePath = positionals[0];
+
+  if (!filePath) {
+    console.error('Usage: pba-csv inspect <payload.json|file.pba> [--json]');
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    if (isStreamFile(filePath)) {
+      return inspectStreamFile(filePath, options);
+    }
+
+    const payload = readPayloadFile(filePath);
+    const report = encryption.inspectPayload(payload);
+    const signature = report.valid ? signing.describeSignature(payload) : null;
+    const bytes = value => (value === null ? 'missing or invalid' : `${value} bytes`);
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...report, signature }, null, 2));
+    } else {
+      printTable(['PROPERTY', 'VALUE'], [
+        ['Format version', report.legacy ? `${report.version} (legacy, unversioned)` : report.version],
+        ['Algorithm', report.algorithm || 'unspecified'],
+        ['Mode', report.mode || 'unknown'],
+        ...(report.header
+          ? [
+            ['Export ID', report.header.exportId],
+            ['Created', report.header.createdAt],
+            ['Fields', report.header.fields.join(', ') || 'none']
+          ]
+          : []),
+        ...(report.mode === 'recipients' ? [['Recipients', report.recipients.join(', ') || 'none']] : []),
+        ...(report.mode === 'key' ? [['Master key', report.keyId || 'missing']] : []),
+        ...(report.mode === 'password' || report.mode === null
+          ? [['KDF', describeKdf(report.kdf)], ['Salt', bytes(report.saltLength)]]
+          : []),
+        ['IV', bytes(report.ivLength)],
+        ['Tag', bytes(report.tagLength)],
+        ['Ciphertext', bytes(report.ciphertextLength)],
+        ['Payload size', `${report.payloadSize} bytes`],
+        ['Signature', signature ? `${signature.algorithm} by ${signature.keyId} (unverified)` : 'none'],
+        ['Status', report.valid ? 'OK' : 'INVALID']
+      ]);
+      report.problems.forEach(problem => console.log(`  - ${problem}`));
+      if (report.header) {
+        console.log('Header values are unverified until the payload is decrypted (see verify).');
+      }
+    }
+
+    return report.valid ? EXIT_CODES.SUCCESS : exitCodeFor({ code: report.errorCode });
+  } catch (err) {
+    console.error('Inspection failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Command: verify <payload.json>
+ * Confirms the GCM tag authenticates with the password; prints no plaintext.
+ * The authenticated header, if the payload has one, is printed once verified.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function verifyCommand(args) {
+  const { positionals, options } = parseArgs(args, { flags: [...PASSWORD_FLAGS, 'signature-only'] });
+  const filePath = positionals[0];
+
+  if (!filePath) {
+    console.error('Usage: pba-csv verify <payload.json|file.pba> [--signer <pubkey>...] [password options]');
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options['signature-only'] && options.signer === undefined) {
+    console.error('--signature-only needs --signer <pubkey>');
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    if (isStreamFile(filePath)) {
+      const discard = new Writable({ write: (chunk, encoding, callback) => callback() });
+      const header = await openStreamFile(filePath, options, 'Enter password to verify: ', discard);
+
+      console.log(`${filePath}: OK - every chunk authenticates with the given password`);
+      printTable(['HEADER', 'VALUE'], [
+        ['Export ID', header.exportId],
+        ['Created', header.createdAt],
+        ['Fields', header.fields.join(', ') || 'none'],
+        ['Format', `${header.format} v${header.version}`]
+      ]);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const payload = readPayloadFile(filePath);
+
+    // Authenticity first: a forged payload is rejected before any password is asked for
+    const signer = checkSignerFromOptions(payload, options);
+    if (signer) {
+      console.log(`${filePath}: SIGNATURE OK - signed by ${signer.keyId} (${signer.algorithm})`);
+      if (options['signature-only']) {
+        return EXIT_CODES.SUCCESS;
+      }
+    } else {
+      const signature = signing.describeSignature(payload);
+      if (signature) {
+        console.log(`${filePath}: signed by ${signature.keyId} (not checked; pass --signer to verify)`);
+      }
+    }
+
+    const { header } = await openPayload(payload, options, 'Enter password to verify: ');
+
+    const credential = options.key ? 'key'
+      : encryption.inspectPayload(payload).mode === 'key' ? 'master key' : 'password';
+    console.log(`${filePath}: OK - payload authenticates with the given ${credential}`);
+    if (header) {
+      printTable(['HEADER', 'VALUE'], [
+        ['Export ID', header.exportId],
+        ['Created', header.createdAt],
+        ['Fields', header.fields.join(', ') || 'none'],
+        ['Format version', header.version]
+      ]);
+    }
+    return EXIT_CODES.SUCCESS;
+  } catch (err) {
+    console.error(`${filePath}: FAILED - ${err.message || err}`);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Command: rekey <payload.json> [-o out.json]
+ * Replaces the payload in place (atomically) unless an output file is given.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function rekeyCommand(args) {
+  const { positionals, options } = parseArgs(args, { aliases: { o: 'output' }, flags: PASSWORD_FLAGS });
+  const filePath = positionals[0];
+
+  if (!filePath) {
+    console.error('Usage: pba-csv rekey <payload.json> [-o out.json] [password options]');
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options[PASSWORD_SOURCE.stdin] && options[NEW_PASSWORD_SOURCE.stdin]) {
+    console.error('Only one of --password-stdin and --new-password-stdin can be used');
+    return EXIT_CODES.USAGE;
+  }
+
+  if (isStreamFile(filePath)) {
+    console.error('rekey does not support stream files; decrypt and encrypt --stream again instead');
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const kdf = kdfFromOptions(options);
+    const payload = readPayloadFile(filePath);
+    const oldPassword = await resolvePassword(options, { prompt: 'Enter current password: ' });
+    const newPassword = await resolvePassword(options, {
+      prompt: 'Enter new password: ',
+      confirm: true,
+      source: NEW_PASSWORD_SOURCE
+    });
+
+    const passwordError = encryption.validatePassword(newPassword);
+    if (passwordError) {
+      throw passwordRejected(passwordError);
+    }
+
+    const sign = signerFromOptions(options);
+    const result = await encryption.rekeyCSVData(payload, oldPassword, newPassword, { kdf });
+    const envelope = `${JSON.stringify(JSON.parse(sign(result.payload)), null, 2)}\n`;
+    const output = options.output || filePath;
+
+    // Write next to the target and rename so an interrupted rekey never
+    // leaves a half-written envelope behind
+    const tempPath = `${output}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, envelope);
+    fs.renameSync(tempPath, output);
+
+    console.error(`Rekeyed payload written to ${output}`);
+    return EXIT_CODES.SUCCESS;
+  } catch (err) {
+    console.error('Rekey failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Command: keygen [-o name] [--signing] [--force]
+ * Writes <name>.key (private, PEM) and <name>.pub (base64 public key): an
+ * X25519 recipient pair, or with --signing an Ed25519 signing pair.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function keygenCommand(args) {
+  const { options } = parseArgs(args, { aliases: { o: 'output' }, flags: ['force', 'signing'] });
+
+  const name = options.output || (options.signing ? 'pba-signing' : 'pba-recipient');
+  const privatePath = `${name}.key`;
+  const publicPath = `${name}.pub`;
+
+  try {
+    if (!options.force && (fs.existsSync(privatePath) || fs.existsSync(publicPath))) {
+      throw new Error(`${privatePath} or ${publicPath} already exists (use --force to overwrite)`);
+    }
+
+    const { publicKey, privateKey, keyId } = options.signing
+      ? signing.generateSigningKeyPair()
+      : recipients.generateKeyPair();
+    fs.writeFileSync(privatePath, privateKey, { mode: 0o600 });
+    fs.writeFileSync(publicPath, `${publicKey}\n`);
+
+    printTable(['PROPERTY', 'VALUE'], [
+      ['Key ID', keyId],
+      ['Type', options.signing ? 'Ed25519 signing key' : 'X25519 recipient key'],
+      ['Public key', publicKey],
+      ['Private key file', `${privatePath} (keep secret)`],
+      ['Public key file', publicPath]
+    ]);
+    return EXIT_CODES.SUCCESS;
+  } catch (err) {
+    console.error('Key generation failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Command: keyring init|list|rotate|generate
+ * init creates a keyring file with one active key; rotate adds a new active
+ * key and retires the old one, which keeps decrypting (see rewrap); list
+ * works for any provider; generate prints a key for PBA_CSV_MASTER_KEY.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function keyringCommand(args) {
+  const { positionals, options } = parseArgs(args, { flags: PASSWORD_FLAGS });
+  const action = positionals[0];
+
+  if (!['init', 'list', 'rotate', 'generate'].includes(action)) {
+    console.error('Usage: pba-csv keyring init|list|rotate|generate [--keyring file] [--kdf name] [passphrase options]');
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    if (action === 'generate') {
+      const { keyId, key } = keyring.generateMasterKey();
+      printTable(['PROPERTY', 'VALUE'], [
+        ['Key ID', keyId],
+        [keyring.KEY_PROVIDER_ENV.masterKey, `${key} (keep secret)`]
+      ]);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (action === 'init') {
+      const filePath = options.keyring ||
+        process.env[keyring.KEY_PROVIDER_ENV.keyring] ||
+        keyring.DEFAULT_KEYRING_PATH;
+      const kdf = kdfFromOptions(options);
+      const passphrase = await resolvePassword(options, {
+        prompt: 'Enter new keyring passphrase: ',
+        confirm: true,
+        source: PASSPHRASE_SOURCE
+      });
+
+      const passphraseError = encryption.validatePassword(passphrase);
+      if (passphraseError) {
+        throw passwordRejected(passphraseError);
+      }
+
+      const provider = await keyring.LocalKeyringProvider.create(filePath, passphrase, { kdf });
+      const { keyId } = await provider.getActiveKey();
+      console.error(`Keyring written to ${filePath} (active key ${keyId})`);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const provider = keyProviderFromOptions(options);
+
+    if (action === 'rotate') {
+      const { keyId, retiredKeyId } = await provider.rotate();
+      console.error(`Active key is now ${keyId}; ${retiredKeyId} is retired and still decrypts.`);
+      console.error('Run pba-csv rewrap on existing payloads to move them to the new key.');
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const keys = await provider.listKeys();
+    printTable(
+      ['KEY ID', 'STATUS', 'CREATED', 'RETIRED'],
+      keys.map(key => [key.keyId, key.status, key.createdAt || '-', key.retiredAt || '-'])
+    );
+    return EXIT_CODES.SUCCESS;
+  } catch (err) {
+    console.error('Keyring failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Command: rewrap <payload.json|glob>...
+ * Moves master-key payloads to the active key in place, without decrypting
+ * them to disk. Payloads already on the active key are left untouched.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function rewrapCommand(args) {
+  const { positionals, options } = parseArgs(args, { flags: PASSWORD_FLAGS });
+
+  if (positionals.length === 0) {
+    console.error('Usage: pba-csv rewrap <payload.json|glob>... [--keyring file] [passphrase options]');
+    return EXIT_CODES.USAGE;
+  }
+
+  const provider = keyProviderFromOptions(options);
+  let sign;
+  try {
+    sign = signerFromOptions(options);
+    // Open the keyring once, before any file is touched
+    await provider.getActiveKey();
+  } catch (err) {
+    console.error('Rewrap failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+
+  const results = [];
+
+  for (const file of expandInputs(positionals)) {
+    try {
+      const result = await keyring.rewrapCSVData(readPayloadFile(file), provider);
+
+      if (result.rewrapped) {
+        const tempPath = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, `${JSON.stringify(JSON.parse(sign(result.payload)), null, 2)}\n`);
+        fs.renameSync(tempPath, file);
+      }
+      results.push({ file, keyId: result.metadata.keyId, status: result.rewrapped ? 'rewrapped' : 'unchanged' });
+    } catch (err) {
+      results.push({ file, keyId: '-', status: 'failed', error: err, exitCode: exitCodeFor(err) });
+    }
+  }
+
+  printTable(['FILE', 'KEY ID', 'STATUS'], results.map(r => [r.file, r.keyId, r.status]));
+
+  const failures = results.filter(r => r.error);
+  failures.forEach(r => console.error(`${r.file}: ${r.error.message || r.error}`));
+
+  return failures.length > 0 ? failures[0].exitCode : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Reads --expires: a lifetime in days or hours (30d, 12h) or a date
+ * @param {string|boolean|undefined} value - Option value
+ * @returns {Date|null} - Expiry, or null for none
+ */
+function expiryFromOptions(value) {
+  if (value === undefined) return null;
+
+  const relative = /^(\d+)([dh])$/.exec(String(value));
+  const expiresAt = relative
+    ? new Date(Date.now() + Number(relative[1]) * (relative[2] === 'd' ? 24 : 1) * 60 * 60 * 1000)
+    : new Date(String(value));
+  if (value === true || Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+    const error = new Error('--expires needs a lifetime (30d, 12h) or a future date');
+    error.code = 'USAGE';
+    throw error;
+  }
+  return expiresAt;
+}
+
+/**
+ * Command: token issue|list|revoke|passwd
+ * Manages the bearer tokens the API accepts. issue prints the token once;
+ * only its hash is stored. Revoked tokens stay listed. passwd sets the
+ * password a token's user enters to reveal a card number. The server
+ * re-reads the token file when it changes.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function tokenCommand(args) {
+  const { positionals, options } = parseArgs(args, { flags: PASSWORD_FLAGS });
+  const [action, id] = positionals;
+
+  if (!['issue', 'list', 'revoke', 'passwd'].includes(action) ||
+      (['revoke', 'passwd'].includes(action) && !id) ||
+      (action === 'issue' && (typeof options.name !== 'string' || typeof options.scopes !== 'string'))) {
+    console.error('Usage: pba-csv token issue --name <name> --scopes <a,b|all> [--expires 30d] [--tokens file]');
+    console.error('       pba-csv token list|revoke <id> [--tokens file]');
+    console.error('       pba-csv token passwd <id> [--tokens file] [password options]');
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const store = auth.createTokenStore(options.tokens);
+
+    if (action === 'issue') {
+      const scopes = options.scopes === 'all'
+        ? auth.ALL_SCOPES
+        : options.scopes.split(',').map(scope => scope.trim()).filter(Boolean);
+      const { token, record } = store.issue({
+        name: options.name,
+        scopes,
+        expiresAt: expiryFromOptions(options.expires)
+      });
+
+      printTable(['PROPERTY', 'VALUE'], [
+        ['Token ID', record.id],
+        ['Name', record.name],
+        ['Scopes', record.scopes.join(', ')],
+        ['Expires', record.expiresAt || 'never'],
+        ['Token', `${token} (shown once, keep secret)`]
+      ]);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (action === 'revoke') {
+      const record = store.revoke(id);
+      console.error(`Token ${record.id} (${record.name}) revoked at ${record.revokedAt}`);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (action === 'passwd') {
+      const password = await resolvePassword(options, {
+        prompt: 'Enter reveal password: ',
+        confirm: true
+      });
+
+      const passwordError = encryption.validatePassword(password);
+      if (passwordError) {
+        throw passwordRejected(passwordError);
+      }
+
+      const record = await store.setRevealPassword(id, password);
+      console.error(`Reveal password set for token ${record.id} (${record.name})`);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const now = Date.now();
+    printTable(
+      ['TOKEN ID', 'NAME', 'SCOPES', 'CREATED', 'EXPIRES', 'REVEAL', 'STATUS'],
+      store.list().map(record => [
+        record.id,
+        record.name,
+        record.scopes.join(','),
+        record.createdAt,
+        record.expiresAt || '-',
+        record.revealPassword ? 'yes' : 'no',
+        record.revokedAt ? 'revoked' : (record.expiresAt && Date.parse(record.expiresAt) <= now ? 'expired' : 'active')
+      ])
+    );
+    return EXIT_CODES.SUCCESS;
+  } catch (err) {
+    console.error('Token failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Reads --head: "<seq>:<hash>" as printed by audit verify
+ * @param {string|boolean|undefined} value - Option value
+ * @returns {{seq: number, hash: string}|undefined}
+ */
+function headFromOptions(value) {
+  if (value === undefined) return undefined;
+
+  const match = /^(\d+):([0-9a-f]{64})$/.exec(String(value));
+  if (!match) {
+    const error = new Error('--head needs <seq>:<hash> as printed by pba-csv audit verify');
+    error.code = 'USAGE';
+    throw error;
+  }
+  return { seq: Number(match[1]), hash: match[2] };
+}
+
+/**
+ * Command: audit verify [--log file] [--head seq:hash]
+ * Checks the audit log hash chain against its head file, and optionally
+ * against a head recorded earlier. Prints every problem and exits with
+ * AUDIT_TAMPERED if there is one.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function auditCommand(args) {
+  const { positionals, options } = parseArgs(args);
+
+  if (positionals[0] !== 'verify') {
+    console.error('Usage: pba-csv audit verify [--log file] [--head <seq>:<hash>]');
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const log = audit.createAuditLog(options.log);
+    const result = await log.verify({ expectedHead: headFromOptions(options.head) });
+
+    result.problems.forEach(problem => {
+      console.error(problem.line !== null ? `line ${problem.line}: ${problem.message}` : problem.message);
+    });
+
+    printTable(['PROPERTY', 'VALUE'], [
+      ['Log', log.filePath],
+      ['Entries', result.entries],
+      ['First entry', result.first || '-'],
+      ['Last entry', result.last || '-'],
+      ['Head', `${result.head.seq}:${result.head.hash}`],
+      ['Status', result.valid ? 'valid' : `INVALID (${result.problems.length} problem(s))`]
+    ]);
+    return result.valid ? EXIT_CODES.SUCCESS : EXIT_CODES.AUDIT_TAMPERED;
+  } catch (err) {
+    console.error('Audit verify failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Splits a comma-separated --columns value
+ * @param {string|boolean|undefined} value - Option value
+ * @returns {string[]|undefined}
+ */
+function columnsFromOptions(value) {
+  if (value === undefined) return undefined;
+
+  const names = typeof value === 'string'
+    ? value.split(',').map(name => name.trim()).filter(Boolean)
+    : [];
+  if (names.length === 0) {
+    const error = new Error('--columns needs a comma-separated list of column names');
+    error.code = 'USAGE';
+    throw error;
+  }
+  return names;
+}
+
+/**
+ * Command: encrypt-columns <file.csv> [-o out.csv] [--columns a,b]
+ * Keeps the CSV readable and encrypts the chosen columns cell by cell.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function encryptColumnsCommand(args) {
+  const { positionals, options } = parseArgs(args, {
+    aliases: { o: 'output' },
+    flags: [...PASSWORD_FLAGS, 'force']
+  });
+  const filePath = positionals[0];
+
+  if (!filePath) {
+    console.error('Usage: pba-csv encrypt-columns <file.csv> [-o out.csv] [--columns a,b] [--force]');
+    return EXIT_CODES.USAGE;
+  }
+
+  const output = options.output ||
+    path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.pba.csv`);
+
+  try {
+    const selected = columnsFromOptions(options.columns);
+    const kdf = kdfFromOptions(options);
+    const csvData = decodeText(fs.readFileSync(filePath));
+
+    if (!options.force && fs.existsSync(output)) {
+      throw new Error(`${output} already exists (use --force to overwrite)`);
+    }
+
+    const password = await resolvePassword(options, {
+      prompt: 'Enter password for encryption: ',
+      confirm: true
+    });
+
+    const passwordError = encryption.validatePassword(password);
+    if (passwordError) {
+      throw passwordRejected(passwordError);
+    }
+
+    const { csv, metadata } = await columns.encryptCSVColumns(csvData, password, { columns: selected, kdf });
+    fs.writeFileSync(output, `${csv}\n`);
+
+    console.error(`Encrypted columns ${metadata.columns.join(', ') || '(none)'} written to ${output}`);
+    return EXIT_CODES.SUCCESS;
+  } catch (err) {
+    console.error('Encryption failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Command: decrypt-columns <file.csv> [-o out.csv] [--columns a,b]
+ * Reveals the chosen encrypted columns; the others stay encrypted.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function decryptColumnsCommand(args) {
+  const { positionals, options } = parseArgs(args, { aliases: { o: 'output' }, flags: PASSWORD_FLAGS });
+  const filePath = positionals[0];
+
+  if (!filePath) {
+    console.error('Usage: pba-csv decrypt-columns <file.csv> [-o out.csv] [--columns a,b]');
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const selected = columnsFromOptions(options.columns);
+    const csvData = decodeText(fs.readFileSync(filePath));
+
+    if (columns.listEncryptedColumns(csvData).length === 0) {
+      const error = new Error(`${filePath} has no encrypted columns`);
+      error.code = encryption.ERROR_CODES.INVALID_PAYLOAD;
+      throw error;
+    }
+
+    const password = await resolvePassword(options, { prompt: 'Enter password for decryption: ' });
+    const { csv } = await columns.decryptCSVColumns(csvData, password, { columns: selected });
+
+    if (options.output) {
+      fs.writeFileSync(options.output, `${csv}\n`, { mode: 0o600 });
+      console.error(`Decrypted CSV written to ${options.output}`);
+    } else {
+      process.stdout.write(`${csv}\n`);
+    }
+    return EXIT_CODES.SUCCESS;
+  } catch (err) {
+    console.error('Decryption failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+/**
+ * Reads an import file as plain CSV: decrypts payloads and stream files as
+ * decrypt does, and the encrypted columns of a CSV
+ * @param {string} filePath - Import file
+ * @param {object} options - Parsed command options
+ * @returns {Promise<string>} - CSV data
+ */
+async function readImportFile(filePath, options) {
+  const prompt = 'Enter password for decryption: ';
+
+  if (isStreamFile(filePath)) {
+    const chunks = [];
+    await openStreamFile(filePath, options, prompt, new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    }));
+    return Buffer.concat(chunks).toString('utf-8');
+  }
+
+  const text = decodeText(fs.readFileSync(filePath));
+  const payload = extractPayload(text);
+  if (payload) {
+    checkSignerFromOptions(payload, options);
+    return (await openPayload(payload, options, prompt)).csvData;
+  }
+
+  // Column encryption always writes comma-separated CSV
+  if (options.delimiter === undefined && columns.listEncryptedColumns(text).length > 0) {
+    const password = await resolvePassword(options, { prompt });
+    return (await columns.decryptCSVColumns(text, password)).csv;
+  }
+  return text;
+}
+
+/**
+ * Prints an import report: one line per rejected row reason, duplicate
+ * and warning, then the totals
+ * @param {object} report - Report from importProfiles
+ * @param {string} target - Where the profiles went, for the summary
+ */
+function printImportReport(report, target) {
+  const lines = [
+    ...report.rejected.flatMap(entry => entry.reasons.map(reason => [entry.row, 'rejected', reason.field || '-', reason.message])),
+    ...report.duplicates.map(entry => [entry.row, 'duplicate', '-', entry.reason]),
+    ...report.accepted.flatMap(entry => entry.warnings.map(warning => [entry.row, 'warning', warning.field, warning.message]))
+  ].sort((a, b) => a[0] - b[0]);
+
+  if (lines.length > 0) {
+    printTable(['ROW', 'STATUS', 'FIELD', 'REASON'], lines);
+  }
+
+  const counts = `${report.rejected.length} rejected, ${report.duplicates.length} duplicate`;
+  console.log(report.dryRun
+    ? `Dry run: ${report.accepted.length} of ${report.rows} rows would be imported into ${target} (${counts})`
+    : `Imported ${report.accepted.length} of ${report.rows} rows into ${target} (${counts})`);
+}
+
+/**
+ * Command: import <file> [--dry-run] [--json] [--profiles file]
+ * Adds the rows of a plain or encrypted CSV to the profile file as billing
+ * profiles and reports rejected and duplicate rows.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function importCommand(args) {
+  const { positionals, options } = parseArgs(args, { flags: [...PASSWORD_FLAGS, 'dry-run', 'json'] });
+  const filePath = positionals[0];
+
+  if (!filePath) {
+    console.error('Usage: pba-csv import <file> [--dry-run] [--json] [--profiles file] [--delimiter c]');
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const delimiterError = options.delimiter !== undefined && csvFormat.checkOptions({ delimiter: options.delimiter });
+    if (delimiterError) {
+      const error = new Error(delimiterError);
+      error.code = 'USAGE';
+      throw error;
+    }
+
+    const store = profiles.createProfileRepository({
+      store: options.profiles ? 'file' : undefined,
+      filePath: options.profiles,
+      keyProvider: keyProviderFromOptions(options)
+    });
+    if (!(store instanceof profiles.FileProfileRepository) && !options['dry-run']) {
+      const error = new Error(`No profile file to import into; set ${profiles.PROFILE_STORE_ENV.file} or pass --profiles <file>`);
+      error.code = 'USAGE';
+      throw error;
+    }
+
+    const csvData = await readImportFile(filePath, options);
+    const report = await profileImport.importProfiles(store, csvData, {
+      dryRun: Boolean(options['dry-run']),
+      delimiter: options.delimiter
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printImportReport(report, store.filePath || 'the demo store');
+    }
+    return report.rejected.length > 0 ? EXIT_CODES.IMPORT_REJECTED : EXIT_CODES.SUCCESS;
+  } catch (err) {
+    console.error('Import failed:', err.message || err);
+    return exitCodeFor(err);
+  }
+}
+
+const COMMANDS = {
+  encrypt: encryptCommand,
+  decrypt: decryptCommand,
+  rekey: rekeyCommand,
+  inspect: inspectCommand,
+  verify: verifyCommand,
+  keygen: keygenCommand,
+  keyring: keyringCommand,
+  rewrap: rewrapCommand,
+  token: tokenCommand,
+  audit: auditCommand,
+  'encrypt-columns': encryptColumnsCommand,
+  'decrypt-columns': decryptColumnsCommand,
+  import: importCommand
+};
+
+/**
+ * Whether the given arguments should run the CLI instead of the server
+ * @param {string[]} args - process.argv without node and script
+ * @returns {boolean}
+ */
+function isCLICommand(args) {
+  return args.includes('--help') || Object.prototype.hasOwnProperty.call(COMMANDS, args[0]);
+}
+
+/**
+ * Runs a CLI command
+ * @param {string[]} args - process.argv without node and script
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(args) {
+  if (args.includes('--help')) {
+    console.log(HELP_TEXT);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  try {
+    return await COMMANDS[args[0]](args.slice(1));
+  } catch (error) {
+    if (error.code !== 'USAGE') {
+      throw error;
+    }
+    console.error(error.message);
+    return EXIT_CODES.USAGE;
+  }
+}
+
+module.exports = {
+  run,
+  isCLICommand,
+  parseArgs,
+  extractPayload,
+  EXIT_CODES
+};
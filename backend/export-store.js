@@ -0,0 +1,439 @@
+/**
+ * Export Store - encrypted exports held on the server for download links
+ *
+ * An export can be stored here instead of being returned inline. The
+ * client gets a download ID to hand on; GET /api/exports/<download ID>
+ * returns the export until its download limit is used up, it expires or it
+ * is revoked. Exports are already encrypted (password, recipients, master
+ * key or columns) when they are stored, so the download ID only gives
+ * access to the ciphertext.
+ *
+ * Download ID format: pbx_<id>_<secret>
+ * - <id>: 16 hex characters, the export link ID shown in the history
+ * - <secret>: 32 random bytes, base64url; only a SHA-256 hash is kept
+ *
+ * Each link is listed with its status (STATUSES): active, used (download
+ * limit reached), expired or revoked. The stored file is deleted as soon
+ * as the link stops being active, or by purge for links that expired;
+ * the history entry stays.
+ *
+ * FileExportStore keeps an index file and one file per export in a
+ * directory (PBA_CSV_EXPORTS, default pba-exports). Other backends
+ * subclass ExportStore.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const encryption = require('../encryption/encryption');
+
+const { createError } = encryption;
+
+/**
+ * Error codes of the export store, added to those of encryption.js
+ */
+const ERROR_CODES = {
+  ...encryption.ERROR_CODES,
+  EXPORT_NOT_FOUND: 'EXPORT_NOT_FOUND',
+  EXPORT_GONE: 'EXPORT_GONE'
+};
+
+const INDEX_FILE_FORMAT = 'pba-csv-exports';
+const INDEX_FILE_VERSION = 1;
+const INDEX_FILE_NAME = 'index.json';
+const DOWNLOAD_ID_PATTERN = /^pbx_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Where the store reads its settings from when options do not say
+ */
+const EXPORT_STORE_ENV = {
+  dir: 'PBA_CSV_EXPORTS'
+};
+
+const DEFAULT_EXPORTS_PATH = 'pba-exports';
+
+/**
+ * Download limits: how often and for how long (seconds) a link works
+ */
+const LINK_LIMITS = {
+  defaultMaxDownloads: 1,
+  maxDownloads: 10,
+  defaultExpiresIn: 24 * 60 * 60,
+  maxExpiresIn: 7 * 24 * 60 * 60
+};
+
+/**
+ * Link statuses, see the module comment
+ */
+const STATUSES = ['active', 'used', 'expired', 'revoked'];
+
+/**
+ * Kinds of stored export, with the media type and file extension of each
+ */
+const CONTENT_TYPES = {
+  payload: { mediaType: 'application/json', extension: 'json' },
+  columns: { mediaType: 'text/csv', extension: 'csv' }
+};
+
+/**
+ * Hash stored for a download secret
+ * @param {string} secret - Download secret
+ * @returns {string} - hex SHA-256
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Checks download limits from a request
+ * @param {object} options - maxDownloads and expiresIn (seconds), both optional
+ * @returns {string|null} - Problem description, or null if usable
+ */
+function checkLinkOptions(options = {}) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return 'store must be true or an object with maxDownloads and expiresIn';
+  }
+
+  const unknown = Object.keys(options).filter(key => !['maxDownloads', 'expiresIn'].includes(key));
+  if (unknown.length > 0) {
+    return `Unknown store option: ${unknown.join(', ')}`;
+  }
+
+  const { maxDownloads, expiresIn } = options;
+  if (maxDownloads !== undefined &&
+      (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > LINK_LIMITS.maxDownloads)) {
+    return `maxDownloads must be between 1 and ${LINK_LIMITS.maxDownloads}`;
+  }
+  if (expiresIn !== undefined &&
+      (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > LINK_LIMITS.maxExpiresIn)) {
+    return `expiresIn must be between 1 and ${LINK_LIMITS.maxExpiresIn} seconds`;
+  }
+
+  return null;
+}
+
+/**
+ * Status of a link at a given time
+ * @param {object} record - Stored link record
+ * @param {Date} now - Current time
+ * @returns {string} - One of STATUSES
+ */
+function linkStatus(record, now) {
+  if (record.revokedAt) {
+    return 'revoked';
+  }
+  if (record.downloads >= record.maxDownloads) {
+    return 'used';
+  }
+  if (Date.parse(record.expiresAt) <= now.getTime()) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+/**
+ * Link record without its hash, with its status, for listings
+ * @param {object} record - Stored link record
+ * @param {Date} now - Current time
+ * @returns {object}
+ */
+function describeLink(record, now = new Date()) {
+  const { hash, ...description } = record;
+  return { ...description, status: linkStatus(record, now) };
+}
+
+/**
+ * Base class for export stores
+ * Subclasses implement create, download, list, revoke and purge. Every
+ * method is async so remote backends fit.
+ */
+class ExportStore {
+  /**
+   * Stores an encrypted export behind a new download link
+   * @param {object} entry - Export and link settings
+   * @param {string} entry.content - Encrypted payload, or CSV with encrypted columns
+   * @param {string} entry.kind - One of CONTENT_TYPES
+   * @param {string|null} entry.exportId - Export ID from the payload header, if any
+   * @param {string[]} entry.fields - Exported columns
+   * @param {object|null} entry.createdBy - Token that made the export (id, name)
+   * @param {number} entry.maxDownloads - Downloads allowed (default 1)
+   * @param {number} entry.expiresIn - Seconds until the link expires (default one day)
+   * @returns {Promise<{downloadId: string, link: object}>} - The download ID (shown once) and the link description
+   */
+  async create(entry) {
+    throw new Error(`${this.constructor.name} does not implement create`);
+  }
+
+  /**
+   * Counts a download and returns the export
+   * @param {string} downloadId - Download ID from create
+   * @returns {Promise<{content: string, link: object}>} - Throws EXPORT_NOT_FOUND for an unknown ID, EXPORT_GONE when the link is no longer active
+   */
+  async download(downloadId) {
+    throw new Error(`${this.constructor.name} does not implement download`);
+  }
+
+  /**
+   * Lists links, newest first, without their contents
+   * @returns {Promise<object[]>} - Link descriptions
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+
+  /**
+   * Revokes an active link and deletes its export; other links are left as they are
+   * @param {string} id - Export link ID
+   * @returns {Promise<object>} - Link description; throws EXPORT_NOT_FOUND otherwise
+   */
+  async revoke(id) {
+    throw new Error(`${this.constructor.name} does not implement revoke`);
+  }
+
+  /**
+   * Deletes the exports of links that are no longer active
+   * @returns {Promise<number>} - Number of exports deleted
+   */
+  async purge() {
+    throw new Error(`${this.constructor.name} does not implement purge`);
+  }
+}
+
+/**
+ * Exports in a directory: an index file and one file per export
+ * The index is read once and cached; changes are written one at a time and
+ * saved atomically (temporary file, then rename).
+ */
+class FileExportStore extends ExportStore {
+  /**
+   * @param {string} dirPath - Export directory (created on the first export)
+   */
+  constructor(dirPath) {
+    super();
+    this.dirPath = dirPath;
+    this.indexPath = path.join(dirPath, INDEX_FILE_NAME);
+    this.links = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Reads the index file (once)
+   * @returns {object[]} - Stored link records
+   */
+  load() {
+    if (this.links) {
+      return this.links;
+    }
+
+    let text;
+    try {
+      text = fs.readFileSync(this.indexPath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.links = [];
+        return this.links;
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw createError(`Export index ${this.indexPath} is not valid JSON`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+
+    if (!data || data.format !== INDEX_FILE_FORMAT || !Array.isArray(data.exports)) {
+      throw createError(`${this.indexPath} is not a pba-csv export index`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+    if (data.version !== INDEX_FILE_VERSION) {
+      throw createError(`Unsupported export index version ${JSON.stringify(data.version)}`, ERROR_CODES.UNSUPPORTED_VERSION);
+    }
+
+    this.links = data.exports;
+    return this.links;
+  }
+
+  /**
+   * Replaces the index file, then the cache
+   * @param {object[]} links - All link records
+   */
+  save(links) {
+    const contents = { format: INDEX_FILE_FORMAT, version: INDEX_FILE_VERSION, exports: links };
+    const temporary = path.join(this.dirPath, `.${INDEX_FILE_NAME}.${process.pid}.tmp`);
+    fs.writeFileSync(temporary, `${JSON.stringify(contents, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temporary, this.indexPath);
+    this.links = links;
+  }
+
+  /**
+   * Runs a change after the ones already queued
+   * @param {function(): Promise<*>} change - Reads, modifies and saves the index
+   * @returns {Promise<*>}
+   */
+  enqueue(change) {
+    const result = this.queue.then(change);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * File holding the export of a link
+   * @param {object} record - Link record
+   * @returns {string}
+   */
+  contentPath(record) {
+    return path.join(this.dirPath, `${record.id}.${CONTENT_TYPES[record.kind].extension}`);
+  }
+
+  /**
+   * Deletes the export of a link, if still there
+   * @param {object} record - Link record
+   * @returns {object} - The record with purgedAt set
+   */
+  removeContent(record) {
+    fs.rmSync(this.contentPath(record), { force: true });
+    return { ...record, purgedAt: record.purgedAt || new Date().toISOString() };
+  }
+
+  async create({ content, kind, exportId = null, fields = [], createdBy = null, maxDownloads, expiresIn }) {
+    if (!Object.prototype.hasOwnProperty.call(CONTENT_TYPES, kind)) {
+      throw new Error(`Unknown export kind "${kind}"`);
+    }
+    const problem = checkLinkOptions({ maxDownloads, expiresIn });
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    return this.enqueue(async () => {
+      const links = this.load();
+      const taken = new Set(links.map(record => record.id));
+      let id;
+      do {
+        id = crypto.randomBytes(8).toString('hex');
+      } while (taken.has(id));
+      const secret = crypto.randomBytes(32).toString('base64url');
+
+      const now = new Date();
+      const seconds = expiresIn || LINK_LIMITS.defaultExpiresIn;
+      const record = {
+        id,
+        exportId,
+        kind,
+        fields,
+        hash: hashSecret(secret),
+        maxDownloads: maxDownloads || LINK_LIMITS.defaultMaxDownloads,
+        downloads: 0,
+        createdBy,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + seconds * 1000).toISOString(),
+        lastDownloadAt: null,
+        revokedAt: null,
+        purgedAt: null
+      };
+
+      fs.mkdirSync(this.dirPath, { recursive: true, mode: 0o700 });
+      fs.writeFileSync(this.contentPath(record), content, { mode: 0o600 });
+      this.save([...links, record]);
+      return { downloadId: `pbx_${id}_${secret}`, link: describeLink(record, now) };
+    });
+  }
+
+  async download(downloadId) {
+    const match = DOWNLOAD_ID_PATTERN.exec(String(downloadId));
+    const notFound = () => createError('Export not found', ERROR_CODES.EXPORT_NOT_FOUND);
+    if (!match) {
+      throw notFound();
+    }
+
+    const [, id, secret] = match;
+    return this.enqueue(async () => {
+      const links = this.load();
+      const index = links.findIndex(record => record.id === id);
+      if (index === -1) {
+        throw notFound();
+      }
+
+      const expected = Buffer.from(links[index].hash, 'hex');
+      const actual = Buffer.from(hashSecret(secret), 'hex');
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        throw notFound();
+      }
+
+      const now = new Date();
+      const status = linkStatus(links[index], now);
+      if (status !== 'active') {
+        throw createError(`Export ${id} is no longer available (${status})`, ERROR_CODES.EXPORT_GONE);
+      }
+
+      const content = fs.readFileSync(this.contentPath(links[index]), 'utf-8');
+      let record = { ...links[index], downloads: links[index].downloads + 1, lastDownloadAt: now.toISOString() };
+      if (linkStatus(record, now) !== 'active') {
+        record = this.removeContent(record);
+      }
+      this.save(links.map((candidate, position) => (position === index ? record : candidate)));
+      return { content, link: describeLink(record, now) };
+    });
+  }
+
+  async list() {
+    const now = new Date();
+    return this.load().map(record => describeLink(record, now)).reverse();
+  }
+
+  async revoke(id) {
+    return this.enqueue(async () => {
+      const links = this.load();
+      const index = links.findIndex(record => record.id === String(id));
+      if (index === -1) {
+        throw createError(`Export ${id} not found`, ERROR_CODES.EXPORT_NOT_FOUND);
+      }
+
+      const now = new Date();
+      if (linkStatus(links[index], now) !== 'active') {
+        return describeLink(links[index], now);
+      }
+
+      const record = this.removeContent({ ...links[index], revokedAt: now.toISOString() });
+      this.save(links.map((candidate, position) => (position === index ? record : candidate)));
+      return describeLink(record, now);
+    });
+  }
+
+  async purge() {
+    return this.enqueue(async () => {
+      const now = new Date();
+      const links = this.load();
+      const stale = links.filter(record => !record.purgedAt && linkStatus(record, now) !== 'active');
+      if (stale.length === 0) {
+        return 0;
+      }
+
+      this.save(links.map(record => (stale.includes(record) ? this.removeContent(record) : record)));
+      return stale.length;
+    });
+  }
+}
+
+/**
+ * Creates the export store at the configured path
+ * @param {object} options - Optional settings
+ * @param {string} options.dirPath - Export directory (defaults to PBA_CSV_EXPORTS, then pba-exports)
+ * @returns {ExportStore}
+ */
+function createExportStore(options = {}) {
+  return new FileExportStore(options.dirPath || process.env[EXPORT_STORE_ENV.dir] || DEFAULT_EXPORTS_PATH);
+}
+
+module.exports = {
+  ExportStore,
+  FileExportStore,
+  createExportStore,
+  checkLinkOptions,
+  LINK_LIMITS,
+  STATUSES,
+  CONTENT_TYPES,
+  EXPORT_STORE_ENV,
+  DEFAULT_EXPORTS_PATH,
+  ERROR_CODES
+};
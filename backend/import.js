@@ -0,0 +1,225 @@
+/**
+ * Profile Import - billing profiles from CSV
+ *
+ * Reads CSV with the column names exports use (see buildCSVData in
+ * encryption/csv.js): the address fields, card_number and expiry_date, plus an
+ * optional label. A cvv column is ignored, as the CVV is never stored.
+ * Every column is optional, but each one must be known.
+ *
+ * Each data row becomes one profile and is reported in one of three lists:
+ * - accepted: passes the profile checks and validation; validation
+ *   warnings (see encryption/validation.js) are listed but do not block it
+ * - rejected: a field fails the profile checks, validation reports an
+ *   error, or the card number is masked
+ * - duplicates: the same card number and address as an earlier row or a
+ *   stored profile (compared without case, spacing or card separators)
+ *
+ * Rows are numbered as in a spreadsheet, the header being row 1; blank
+ * rows are skipped. Cells an export prefixed against formula injection
+ * ('=...) are read back unprefixed. With dryRun the store is not changed
+ * and the report shows what an import would do.
+ *
+ * Decrypting an encrypted import is left to the caller (API or CLI).
+ */
+
+const csvFormat = require('../encryption/csv');
+const encryption = require('../encryption/encryption');
+const validation = require('../encryption/validation');
+const { TOKEN_COLUMNS } = require('../encryption/vault');
+const profiles = require('./profiles');
+
+const { ERROR_CODES, createError } = encryption;
+
+/**
+ * Most data rows one import may hold
+ */
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Columns an import may have
+ */
+const IMPORT_COLUMNS = ['label', ...profiles.ADDRESS_FIELDS, ...profiles.CARD_FIELDS, 'cvv'];
+
+/**
+ * Columns that are read but never stored
+ */
+const IGNORED_COLUMNS = ['cvv'];
+
+/**
+ * Checks the header row of an import
+ * @param {string[]} header - Column names
+ */
+function checkHeader(header) {
+  if (header.length === 0 || header.every(column => column === '')) {
+    throw createError('CSV has no header row', ERROR_CODES.INVALID_CSV);
+  }
+
+  const tokenColumns = header.filter(column => Object.values(TOKEN_COLUMNS).includes(column));
+  if (tokenColumns.length > 0) {
+    throw createError(
+      `Column ${tokenColumns[0]} holds card tokens; detokenize them to card_number before importing`,
+      ERROR_CODES.UNKNOWN_COLUMN
+    );
+  }
+
+  const unknown = header.filter(column => !IMPORT_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw createError(
+      `Unknown column: ${unknown.join(', ')} (known: ${IMPORT_COLUMNS.join(', ')})`,
+      ERROR_CODES.UNKNOWN_COLUMN
+    );
+  }
+
+  const repeated = header.filter((column, index) => header.indexOf(column) !== index);
+  if (repeated.length > 0) {
+    throw createError(`Column ${repeated[0]} appears more than once`, ERROR_CODES.INVALID_CSV);
+  }
+}
+
+/**
+ * Profile input from one row
+ * @param {string[]} header - Column names
+ * @param {string[]} record - Cells
+ * @returns {object} - Input for normalizeProfile
+ */
+function rowInput(header, record) {
+  const input = { address: {} };
+  header.forEach((column, index) => {
+    if (IGNORED_COLUMNS.includes(column)) {
+      return;
+    }
+    const value = csvFormat.restoreFormula(record[index]);
+    if (profiles.ADDRESS_FIELDS.includes(column)) {
+      input.address[column] = value;
+    } else {
+      input[column] = value;
+    }
+  });
+  return input;
+}
+
+/**
+ * Key under which two profiles count as duplicates
+ * @param {object} profile - Normalized profile
+ * @returns {string}
+ */
+function duplicateKey(profile) {
+  const normalize = value => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return JSON.stringify([
+    String(profile.card_number || '').replace(/\D/g, ''),
+    ...profiles.ADDRESS_FIELDS.map(field => normalize(profile.address[field]))
+  ]);
+}
+
+/**
+ * Validation issues of a profile as a flat list
+ * @param {object} fields - Issues by field (see validation.validateBillingData)
+ * @returns {Array<{field: string, severity: string, code: string, message: string}>}
+ */
+function flattenIssues(fields) {
+  return Object.entries(fields).flatMap(([field, issues]) => issues.map(entry => ({ field, ...entry })));
+}
+
+/**
+ * Imports billing profiles from CSV
+ * @param {ProfileRepository} store - Profile store to add the profiles to
+ * @param {string} csvData - Plain CSV with a header row
+ * @param {object} options - Optional settings
+ * @param {boolean} options.dryRun - Report without changing the store
+ * @param {string} options.delimiter - Field separator (default ",")
+ * @param {Date} options.now - Current time, for the expiry check
+ * @returns {Promise<object>} - Report: dryRun, columns, rows, accepted,
+ *   rejected, duplicates
+ */
+async function importProfiles(store, csvData, options = {}) {
+  const [header = [], ...records] = csvFormat.parseCSV(csvData, { delimiter: options.delimiter });
+  checkHeader(header);
+
+  const rows = records
+    .map((record, index) => ({ row: index + 2, record }))
+    .filter(({ record }) => record.some(cell => cell !== ''));
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw createError(`An import may hold at most ${MAX_IMPORT_ROWS} rows`, ERROR_CODES.INVALID_CSV);
+  }
+
+  // Stored profiles, to find rows that are already there
+  const seen = new Map();
+  for (const summary of await store.list()) {
+    const stored = await store.get(summary.id);
+    seen.set(duplicateKey(stored), { profileId: stored.id });
+  }
+
+  const report = { dryRun: Boolean(options.dryRun), columns: header, rows: rows.length, accepted: [], rejected: [], duplicates: [] };
+
+  for (const { row, record } of rows) {
+    if (record.length !== header.length) {
+      report.rejected.push({
+        row,
+        reasons: [{ field: null, code: 'columns', message: `Row has ${record.length} cells, the header has ${header.length}` }]
+      });
+      continue;
+    }
+
+    const input = rowInput(header, record);
+    if (input.card_number && input.card_number.includes('*')) {
+      report.rejected.push({
+        row,
+        reasons: [{ field: 'card_number', code: 'masked', message: 'Card number is masked; import a full card number' }]
+      });
+      continue;
+    }
+
+    let profile;
+    try {
+      profile = profiles.normalizeProfile(input);
+    } catch (error) {
+      if (error.code !== profiles.ERROR_CODES.INVALID_PROFILE) {
+        throw error;
+      }
+      report.rejected.push({ row, reasons: [{ field: null, code: 'invalid', message: error.message }] });
+      continue;
+    }
+
+    const issues = flattenIssues(validation.validateBillingData(profile, { now: options.now }).fields);
+    const errors = issues.filter(entry => entry.severity === validation.SEVERITY.ERROR);
+    if (errors.length > 0) {
+      report.rejected.push({
+        row,
+        reasons: errors.map(({ field, code, message }) => ({ field, code, message }))
+      });
+      continue;
+    }
+
+    const key = duplicateKey(profile);
+    if (seen.has(key)) {
+      const original = seen.get(key);
+      report.duplicates.push({
+        row,
+        duplicateOf: original,
+        reason: original.row
+          ? `Same card number and address as row ${original.row}`
+          : `Same card number and address as profile ${original.profileId}`
+      });
+      continue;
+    }
+    seen.set(key, { row });
+
+    const accepted = {
+      row,
+      label: profile.label,
+      warnings: issues.map(({ field, code, message }) => ({ field, code, message }))
+    };
+    if (!options.dryRun) {
+      accepted.id = (await store.create(profile)).id;
+    }
+    report.accepted.push(accepted);
+  }
+
+  return report;
+}
+
+module.exports = {
+  importProfiles,
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS
+};
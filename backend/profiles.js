@@ -0,0 +1,617 @@
+/**
+ * Profile Store - billing profiles for the API
+ *
+ * Repositories hold any number of billing profiles:
+ * - FileProfileRepository: a JSON file; the sensitive fields
+ *   (SENSITIVE_COLUMNS: card number and expiry date) are encrypted at rest
+ * - DemoProfileRepository: in memory, seeded with DEMO_PROFILE, for
+ *   development and the frontends' demo mode
+ *
+ * File records use envelope encryption like master-key payloads: each
+ * profile has its own random data key, wrapped under the active master key
+ * of a KeyProvider (see keyring.js), and every sensitive field is encrypted
+ * with AES-256-GCM under that data key. The profile ID and field name are
+ * associated data, so a value copied into another profile or field fails
+ * to decrypt. The CVV is never stored.
+ *
+ * Other backends (e.g. SQLite) subclass ProfileRepository and are added
+ * with registerProfileRepository.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const encryption = require('../encryption/encryption');
+const { SENSITIVE_COLUMNS } = require('../encryption/columns');
+const { cardBrand } = require('../encryption/validation');
+
+const { createError, wrapError } = encryption;
+
+/**
+ * Error codes of profile stores, added to those of encryption.js
+ */
+const ERROR_CODES = {
+  ...encryption.ERROR_CODES,
+  PROFILE_NOT_FOUND: 'PROFILE_NOT_FOUND',
+  INVALID_PROFILE: 'INVALID_PROFILE'
+};
+
+const PROFILE_FILE_FORMAT = 'pba-csv-profiles';
+const PROFILE_FILE_VERSION = 1;
+const FIELD_AAD_PREFIX = 'pba-csv profile field v1';
+
+/**
+ * Where the store reads its settings from when options do not say
+ */
+const PROFILE_STORE_ENV = {
+  store: 'PBA_CSV_PROFILE_STORE',
+  file: 'PBA_CSV_PROFILES'
+};
+
+const DEFAULT_PROFILES_PATH = 'pba-profiles.json';
+
+/**
+ * Address fields of a profile
+ */
+const ADDRESS_FIELDS = [
+  'apt_unit',
+  'address_line_1',
+  'address_line_2',
+  'street',
+  'city',
+  'state_province',
+  'country',
+  'postal_code'
+];
+
+/**
+ * Card fields of a profile; SENSITIVE_COLUMNS among them are encrypted at rest
+ */
+const CARD_FIELDS = ['card_number', 'expiry_date'];
+
+/**
+ * Fields set by the store or added by maskProfile; ignored when submitted
+ */
+const READ_ONLY_FIELDS = ['id', 'cvv', 'card_brand', 'card_last4', 'createdAt', 'updatedAt'];
+
+/**
+ * Digits of a card number left visible when it is masked
+ */
+const VISIBLE_CARD_DIGITS = 4;
+
+const MAX_FIELD_LENGTH = 256;
+
+/**
+ * The profile served before profiles could be stored
+ */
+const DEMO_PROFILE = {
+  id: 'demo',
+  label: 'Demo profile',
+  card_number: '4532-1111-2222-3333',
+  expiry_date: '12/25',
+  address: {
+    apt_unit: 'Suite 100',
+    address_line_1: '123 Main Street',
+    address_line_2: 'Building A',
+    street: 'Main Street',
+    city: 'San Francisco',
+    state_province: 'CA',
+    country: 'United States',
+    postal_code: '94105'
+  }
+};
+
+/**
+ * Checks one profile field value
+ * @param {string} name - Field name, for error messages
+ * @param {*} value - Submitted value
+ * @returns {string}
+ */
+function checkField(name, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value !== 'string') {
+    throw createError(`${name} must be a string`, ERROR_CODES.INVALID_PROFILE);
+  }
+  if (value.length > MAX_FIELD_LENGTH) {
+    throw createError(`${name} must be at most ${MAX_FIELD_LENGTH} characters`, ERROR_CODES.INVALID_PROFILE);
+  }
+  return value;
+}
+
+/**
+ * Builds a profile from submitted data, on top of an existing profile
+ * Only the fields given are changed and unknown fields are rejected. Fields
+ * the store sets itself (id, timestamps, the masked cvv) are ignored, so a
+ * profile read from the API can be sent back as it is.
+ * @param {object} input - Submitted profile (label, card fields, address)
+ * @param {object} existing - Profile being updated, if any
+ * @returns {object} - Profile without id and timestamps
+ */
+function normalizeProfile(input, existing = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw createError('Profile must be a JSON object', ERROR_CODES.INVALID_PROFILE);
+  }
+
+  const allowed = ['label', 'address', ...CARD_FIELDS, ...READ_ONLY_FIELDS];
+  const unknown = Object.keys(input).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw createError(`Unknown profile field: ${unknown.join(', ')}`, ERROR_CODES.INVALID_PROFILE);
+  }
+
+  const address = input.address === undefined ? {} : input.address;
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    throw createError('address must be an object', ERROR_CODES.INVALID_PROFILE);
+  }
+  const unknownAddress = Object.keys(address).filter(key => !ADDRESS_FIELDS.includes(key));
+  if (unknownAddress.length > 0) {
+    throw createError(`Unknown address field: ${unknownAddress.join(', ')}`, ERROR_CODES.INVALID_PROFILE);
+  }
+
+  const base = existing || { label: '', address: {} };
+  const profile = {
+    label: 'label' in input ? checkField('label', input.label) : base.label,
+    address: {}
+  };
+  CARD_FIELDS.forEach(field => {
+    profile[field] = field in input ? checkField(field, input[field]) : (base[field] || '');
+  });
+
+  // A masked number sent back unchanged keeps the stored one
+  if (isMaskedCardNumber(profile.card_number)) {
+    profile.card_number = base.card_number || '';
+  }
+  ADDRESS_FIELDS.forEach(field => {
+    profile.address[field] = field in address ? checkField(field, address[field]) : (base.address[field] || '');
+  });
+
+  return profile;
+}
+
+/**
+ * Profile as served by the API; the CVV is masked, as it is never stored
+ * @param {object} profile - Stored profile
+ * @returns {object}
+ */
+function publicProfile(profile) {
+  const { id, label, card_number, expiry_date, address, createdAt, updatedAt } = profile;
+  return { id, label, card_number, expiry_date, cvv: '***', address: { ...address }, createdAt, updatedAt };
+}
+
+/**
+ * Masks every digit of a card number except the last four, keeping
+ * separators: 4532-1111-2222-3333 becomes ****-****-****-3333
+ * @param {string} cardNumber - Card number
+ * @returns {string}
+ */
+function maskCardNumber(cardNumber) {
+  const value = String(cardNumber || '');
+  let visible = VISIBLE_CARD_DIGITS;
+  return Array.from(value).reverse().map(char => {
+    if (!/\d/.test(char)) {
+      return char;
+    }
+    visible -= 1;
+    return visible >= 0 ? char : '*';
+  }).reverse().join('');
+}
+
+/**
+ * Whether a card number is a masked one (from maskCardNumber)
+ * @param {string} cardNumber - Card number
+ * @returns {boolean}
+ */
+function isMaskedCardNumber(cardNumber) {
+  return typeof cardNumber === 'string' && cardNumber.includes('*');
+}
+
+/**
+ * Profile with its card number masked to the last four digits, plus the
+ * card brand and last four digits on their own
+ * @param {object} profile - Profile as served by the API
+ * @returns {object}
+ */
+function maskProfile(profile) {
+  if (!('card_number' in profile)) {
+    return profile;
+  }
+
+  const digits = String(profile.card_number || '').replace(/\D/g, '');
+  return {
+    ...profile,
+    card_number: maskCardNumber(profile.card_number),
+    card_brand: cardBrand(profile.card_number),
+    card_last4: digits.slice(-VISIBLE_CARD_DIGITS)
+  };
+}
+
+/**
+ * Listing entry for a profile, without card data
+ * @param {object} profile - Stored profile
+ * @returns {{id: string, label: string, city: string, country: string, createdAt: string, updatedAt: string}}
+ */
+function profileSummary(profile) {
+  const { id, label, address, createdAt, updatedAt } = profile;
+  return { id, label, city: address.city, country: address.country, createdAt, updatedAt };
+}
+
+/**
+ * Base class for profile stores
+ * Subclasses implement list, get, create, update and delete. Every method
+ * is async so database backends fit.
+ */
+class ProfileRepository {
+  /**
+   * Lists profiles, oldest first
+   * @returns {Promise<object[]>} - Profile summaries (see profileSummary)
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+
+  /**
+   * Reads one profile
+   * @param {string} id - Profile ID
+   * @returns {Promise<object>} - Profile; throws PROFILE_NOT_FOUND otherwise
+   */
+  async get(id) {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  /**
+   * Stores a new profile
+   * @param {object} input - Submitted profile (see normalizeProfile)
+   * @returns {Promise<object>} - The stored profile with its ID
+   */
+  async create(input) {
+    throw new Error(`${this.constructor.name} does not implement create`);
+  }
+
+  /**
+   * Changes the given fields of a profile
+   * @param {string} id - Profile ID
+   * @param {object} input - Fields to change (see normalizeProfile)
+   * @returns {Promise<object>} - The updated profile
+   */
+  async update(id, input) {
+    throw new Error(`${this.constructor.name} does not implement update`);
+  }
+
+  /**
+   * Removes a profile
+   * @param {string} id - Profile ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  /**
+   * The profile used when a request names none: the oldest one
+   * @returns {Promise<object>}
+   */
+  async getDefault() {
+    const [first] = await this.list();
+    if (!first) {
+      throw createError('No billing profiles are stored', ERROR_CODES.PROFILE_NOT_FOUND);
+    }
+    return this.get(first.id);
+  }
+}
+
+/**
+ * Profiles in memory, seeded with DEMO_PROFILE; lost on restart
+ */
+class DemoProfileRepository extends ProfileRepository {
+  /**
+   * @param {object[]} seed - Initial profiles (defaults to DEMO_PROFILE)
+   */
+  constructor(seed = [DEMO_PROFILE]) {
+    super();
+    const now = new Date().toISOString();
+    this.profiles = new Map();
+    seed.forEach(profile => {
+      this.profiles.set(profile.id, { id: profile.id, ...normalizeProfile(profile), createdAt: now, updatedAt: now });
+    });
+  }
+
+  async list() {
+    return Array.from(this.profiles.values(), profileSummary);
+  }
+
+  async get(id) {
+    const profile = this.profiles.get(id);
+    if (!profile) {
+      throw createError(`Billing profile ${id} not found`, ERROR_CODES.PROFILE_NOT_FOUND);
+    }
+    return publicProfile(profile);
+  }
+
+  async create(input) {
+    const now = new Date().toISOString();
+    const profile = { id: crypto.randomUUID(), ...normalizeProfile(input), createdAt: now, updatedAt: now };
+    this.profiles.set(profile.id, profile);
+    return publicProfile(profile);
+  }
+
+  async update(id, input) {
+    const existing = this.profiles.get(id);
+    if (!existing) {
+      throw createError(`Billing profile ${id} not found`, ERROR_CODES.PROFILE_NOT_FOUND);
+    }
+    const profile = { ...existing, ...normalizeProfile(input, existing), updatedAt: new Date().toISOString() };
+    this.profiles.set(id, profile);
+    return publicProfile(profile);
+  }
+
+  async delete(id) {
+    if (!this.profiles.delete(id)) {
+      throw createError(`Billing profile ${id} not found`, ERROR_CODES.PROFILE_NOT_FOUND);
+    }
+  }
+}
+
+/**
+ * Associated data binding an encrypted field to its profile and name
+ * @param {string} id - Profile ID
+ * @param {string} field - Field name
+ * @returns {string}
+ */
+function fieldAad(id, field) {
+  return `${FIELD_AAD_PREFIX}|${id}|${field}`;
+}
+
+/**
+ * Profiles in a JSON file, sensitive fields encrypted under a master key
+ * The file is read once and cached; changes are written one at a time and
+ * saved atomically (temporary file, then rename).
+ */
+class FileProfileRepository extends ProfileRepository {
+  /**
+   * @param {string} filePath - Profile file (created on the first change)
+   * @param {KeyProvider} provider - Master keys for the data keys (see keyring.js)
+   */
+  constructor(filePath, provider) {
+    super();
+    this.filePath = filePath;
+    this.provider = provider;
+    this.records = null;
+    this.mtimeMs = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Reads the profile file if it changed since the last read, so profiles
+   * written by another process (such as pba-csv import) are not lost
+   * @returns {object[]} - Stored records
+   */
+  load() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.records = [];
+        this.mtimeMs = null;
+        return this.records;
+      }
+      throw error;
+    }
+
+    if (this.records && stat.mtimeMs === this.mtimeMs) {
+      return this.records;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      throw createError(`Profile store ${this.filePath} is not valid JSON`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+
+    if (!data || data.format !== PROFILE_FILE_FORMAT || !Array.isArray(data.profiles)) {
+      throw createError(`${this.filePath} is not a pba-csv profile store`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+    if (data.version !== PROFILE_FILE_VERSION) {
+      throw createError(`Unsupported profile store version ${JSON.stringify(data.version)}`, ERROR_CODES.UNSUPPORTED_VERSION);
+    }
+
+    this.records = data.profiles;
+    this.mtimeMs = stat.mtimeMs;
+    return this.records;
+  }
+
+  /**
+   * Replaces the profile file, then the cache
+   * @param {object[]} records - All records
+   */
+  save(records) {
+    const contents = { format: PROFILE_FILE_FORMAT, version: PROFILE_FILE_VERSION, profiles: records };
+    const temporary = path.join(
+      path.dirname(this.filePath),
+      `.${path.basename(this.filePath)}.${process.pid}.tmp`
+    );
+    fs.writeFileSync(temporary, `${JSON.stringify(contents, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temporary, this.filePath);
+    this.records = records;
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Runs a change after the ones already queued
+   * @param {function(): Promise<*>} change - Reads, modifies and saves the records
+   * @returns {Promise<*>}
+   */
+  enqueue(change) {
+    const result = this.queue.then(change);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Encrypts the sensitive fields of a profile under a new data key
+   * @param {object} profile - Profile with id
+   * @returns {Promise<object>} - Record to store
+   */
+  async seal(profile) {
+    const dataKey = crypto.randomBytes(encryption.ENCRYPTION_CONFIG.keyLength);
+    const record = { ...profile, key: await this.provider.wrapKey(dataKey), sensitive: {} };
+
+    SENSITIVE_COLUMNS.forEach(field => {
+      const { ciphertext, iv, tag } = encryption.encryptData(profile[field], dataKey, null, fieldAad(profile.id, field));
+      record.sensitive[field] = {
+        iv: iv.toString('base64'),
+        tag: tag.toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+      };
+      delete record[field];
+    });
+
+    return record;
+  }
+
+  /**
+   * Decrypts a stored record
+   * @param {object} record - Stored record
+   * @returns {Promise<object>} - Profile
+   */
+  async unseal(record) {
+    const { key, sensitive, ...profile } = record;
+    try {
+      const dataKey = await this.provider.unwrapKey({
+        keyId: key.keyId,
+        iv: Buffer.from(String(key.iv), 'base64'),
+        tag: Buffer.from(String(key.tag), 'base64'),
+        wrappedKey: Buffer.from(String(key.wrappedKey), 'base64')
+      });
+
+      SENSITIVE_COLUMNS.forEach(field => {
+        const value = sensitive[field];
+        profile[field] = encryption.decryptData(
+          Buffer.from(String(value.ciphertext), 'base64'),
+          dataKey,
+          Buffer.from(String(value.iv), 'base64'),
+          Buffer.from(String(value.tag), 'base64'),
+          'utf-8',
+          fieldAad(record.id, field)
+        );
+      });
+      return profile;
+    } catch (error) {
+      throw wrapError(`Billing profile ${record.id} could not be decrypted`, error);
+    }
+  }
+
+  /**
+   * Finds a stored record
+   * @param {string} id - Profile ID
+   * @returns {number} - Index in the records; throws PROFILE_NOT_FOUND otherwise
+   */
+  indexOf(id) {
+    const index = this.load().findIndex(record => record.id === id);
+    if (index === -1) {
+      throw createError(`Billing profile ${id} not found`, ERROR_CODES.PROFILE_NOT_FOUND);
+    }
+    return index;
+  }
+
+  async list() {
+    return this.load().map(profileSummary);
+  }
+
+  async get(id) {
+    return publicProfile(await this.unseal(this.load()[this.indexOf(id)]));
+  }
+
+  async create(input) {
+    return this.enqueue(async () => {
+      const now = new Date().toISOString();
+      const profile = { id: crypto.randomUUID(), ...normalizeProfile(input), createdAt: now, updatedAt: now };
+      this.save([...this.load(), await this.seal(profile)]);
+      return publicProfile(profile);
+    });
+  }
+
+  async update(id, input) {
+    return this.enqueue(async () => {
+      const index = this.indexOf(id);
+      const records = [...this.load()];
+      const existing = await this.unseal(records[index]);
+      const profile = { ...existing, ...normalizeProfile(input, existing), updatedAt: new Date().toISOString() };
+
+      // Resealing also moves the profile to the active master key
+      records[index] = await this.seal(profile);
+      this.save(records);
+      return publicProfile(profile);
+    });
+  }
+
+  async delete(id) {
+    return this.enqueue(async () => {
+      const index = this.indexOf(id);
+      this.save(this.load().filter((record, position) => position !== index));
+    });
+  }
+}
+
+/**
+ * Repository factories by name; see registerProfileRepository
+ */
+const PROFILE_REPOSITORIES = {
+  demo: () => new DemoProfileRepository(),
+  file: options => {
+    if (!options.keyProvider) {
+      throw createError('The file profile store needs a key provider', ERROR_CODES.KEY_REQUIRED);
+    }
+    return new FileProfileRepository(
+      options.filePath || process.env[PROFILE_STORE_ENV.file] || DEFAULT_PROFILES_PATH,
+      options.keyProvider
+    );
+  }
+};
+
+/**
+ * Makes another profile store available to createProfileRepository
+ * @param {string} name - Store name (PBA_CSV_PROFILE_STORE value)
+ * @param {function(object): ProfileRepository} factory - Builds the repository from createProfileRepository options
+ */
+function registerProfileRepository(name, factory) {
+  PROFILE_REPOSITORIES[name] = factory;
+}
+
+/**
+ * Creates the configured profile store
+ * Defaults to "file" when PBA_CSV_PROFILES is set and to "demo" otherwise.
+ * @param {object} options - Optional settings
+ * @param {string} options.store - Store name (defaults to PBA_CSV_PROFILE_STORE)
+ * @param {string} options.filePath - Profile file (defaults to PBA_CSV_PROFILES, then pba-profiles.json)
+ * @param {KeyProvider} options.keyProvider - Master keys for the file store
+ * @returns {ProfileRepository}
+ */
+function createProfileRepository(options = {}) {
+  const name = options.store || process.env[PROFILE_STORE_ENV.store] ||
+    (process.env[PROFILE_STORE_ENV.file] ? 'file' : 'demo');
+
+  if (!Object.prototype.hasOwnProperty.call(PROFILE_REPOSITORIES, name)) {
+    throw new Error(`Unknown profile store "${name}" (available: ${Object.keys(PROFILE_REPOSITORIES).join(', ')})`);
+  }
+  return PROFILE_REPOSITORIES[name](options);
+}
+
+module.exports = {
+  ProfileRepository,
+  DemoProfileRepository,
+  FileProfileRepository,
+  registerProfileRepository,
+  createProfileRepository,
+  normalizeProfile,
+  maskCardNumber,
+  maskProfile,
+  DEMO_PROFILE,
+  ADDRESS_FIELDS,
+  CARD_FIELDS,
+  PROFILE_STORE_ENV,
+  DEFAULT_PROFILES_PATH,
+  ERROR_CODES
+};
@@ -0,0 +1,387 @@
+/**
+ * Rate Limit Module - brute-force protection for password endpoints
+ *
+ * Every endpoint that checks a password (decrypt-csv, decrypt-columns,
+ * rekey, decrypt-stream) would otherwise be an unlimited password oracle.
+ * Attempts are tracked per client (the API token, or the IP address when
+ * authentication is off) and per payload (its KDF salt), so spreading
+ * guesses over many tokens does not help against one export.
+ *
+ * - A client may make RATE_LIMIT_MAX_REQUESTS attempts per
+ *   RATE_LIMIT_WINDOW_MS window (defaults: 100 per 15 minutes)
+ * - After FREE_FAILURES wrong passwords each further failure doubles the
+ *   wait before the next attempt (1s, 2s, 4s, ...)
+ * - MAX_FAILURES wrong passwords lock the client or payload out for a
+ *   whole window
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * headers; a 429 adds Retry-After. Attempts still in progress count towards
+ * the lockout, so parallel guesses are cut off too.
+ *
+ * Records live in an AttemptStore. MemoryAttemptStore keeps at most
+ * maxEntries of them in this process; run several server processes against
+ * a shared store instead by passing another AttemptStore to
+ * createRateLimiter.
+ */
+
+const crypto = require('crypto');
+const encryption = require('../encryption/encryption');
+
+const { ERROR_CODES } = encryption;
+
+/**
+ * Where the limiter reads its settings from when options do not say
+ */
+const RATE_LIMIT_ENV = {
+  windowMs: 'RATE_LIMIT_WINDOW_MS',
+  maxRequests: 'RATE_LIMIT_MAX_REQUESTS'
+};
+
+/**
+ * Default limits; windowMs and maxRequests come from RATE_LIMIT_ENV
+ */
+const DEFAULT_LIMITS = {
+  windowMs: 15 * 60 * 1000,
+  maxRequests: 100,
+  freeFailures: 3,
+  maxFailures: 10,
+  baseDelayMs: 1000
+};
+
+/**
+ * Records kept by MemoryAttemptStore before the least recently used go
+ */
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Attempt records by key
+ * A record is {windowStart, requests, failures, pending, blockedUntil,
+ * expiresAt}; expiresAt (ms) is when the store may forget it.
+ */
+class AttemptStore {
+  /**
+   * Reads, changes and writes back one record as a single step
+   * Implementations must not let another update of the same key run
+   * between the read and the write.
+   * @param {string} key - Record key
+   * @param {function(object|null): object|null} updater - Gets the current record (null if none or expired), returns the new one (null removes it)
+   * @returns {Promise<object|null>} - The new record
+   */
+  async update(key, updater) {
+    throw new Error(`${this.constructor.name} does not implement update`);
+  }
+}
+
+/**
+ * Attempt records in process memory
+ * Bounded: when full, expired records go first and then the least recently
+ * used ones.
+ */
+class MemoryAttemptStore extends AttemptStore {
+  /**
+   * @param {number} maxEntries - Most records kept (defaults to DEFAULT_MAX_ENTRIES)
+   */
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    super();
+    this.maxEntries = maxEntries;
+    this.records = new Map();
+  }
+
+  async update(key, updater) {
+    const now = Date.now();
+    const current = this.records.get(key);
+    const next = updater(current && current.expiresAt > now ? current : null);
+
+    // Re-inserting keeps the Map in least recently used order
+    this.records.delete(key);
+    if (next) {
+      this.records.set(key, next);
+      this.evict(now);
+    }
+    return next;
+  }
+
+  /**
+   * Drops records until the store is within maxEntries
+   * @param {number} now - Current time (ms)
+   */
+  evict(now) {
+    if (this.records.size <= this.maxEntries) {
+      return;
+    }
+
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+    for (const key of this.records.keys()) {
+      if (this.records.size <= this.maxEntries) {
+        break;
+      }
+      this.records.delete(key);
+    }
+  }
+}
+
+/**
+ * Reads a positive integer setting from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset
+ * @returns {number}
+ */
+function envInteger(name, fallback) {
+  if (process.env[name] === undefined || process.env[name] === '') {
+    return fallback;
+  }
+
+  const value = parseInt(process.env[name], 10);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Seconds until a time, at least 1, for Retry-After and RateLimit-Reset
+ * @param {number} until - Time (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {number}
+ */
+function secondsUntil(until, now) {
+  return Math.max(1, Math.ceil((until - now) / 1000));
+}
+
+/**
+ * Outcome of a settled attempt
+ * @param {Error|null} error - Error from checking the password, or null
+ * @returns {string} - "success", "failure" (wrong password) or "released" (password never checked)
+ */
+function outcomeOf(error) {
+  if (!error) {
+    return 'success';
+  }
+  return error.code === ERROR_CODES.AUTH_FAILED ? 'failure' : 'released';
+}
+
+/**
+ * Creates the brute-force limiter for password endpoints
+ * @param {object} options - Optional settings
+ * @param {AttemptStore} options.store - Record store (defaults to a new MemoryAttemptStore)
+ * @param {number} options.windowMs - Window and lockout length (defaults to RATE_LIMIT_WINDOW_MS)
+ * @param {number} options.maxRequests - Attempts per client per window (defaults to RATE_LIMIT_MAX_REQUESTS)
+ * @param {number} options.freeFailures - Failures before backoff starts
+ * @param {number} options.maxFailures - Failures that lock a client or payload out
+ * @param {number} options.baseDelayMs - First backoff delay
+ * @returns {{limits: object, limitAttempts: function(function(object): *=): function}}
+ */
+function createRateLimiter(options = {}) {
+  const store = options.store || new MemoryAttemptStore();
+  const limits = {
+    ...DEFAULT_LIMITS,
+    windowMs: envInteger(RATE_LIMIT_ENV.windowMs, DEFAULT_LIMITS.windowMs),
+    maxRequests: envInteger(RATE_LIMIT_ENV.maxRequests, DEFAULT_LIMITS.maxRequests),
+    ...Object.fromEntries(Object.entries(options).filter(([name]) => name in DEFAULT_LIMITS))
+  };
+
+  /**
+   * The record with its counters reset once its window has passed
+   * A lockout outlives the window it started in.
+   * @param {object|null} record - Stored record
+   * @param {number} now - Current time (ms)
+   * @returns {object}
+   */
+  function currentRecord(record, now) {
+    if (record && now < record.windowStart + limits.windowMs) {
+      return { ...record };
+    }
+    return {
+      windowStart: now,
+      requests: 0,
+      failures: 0,
+      pending: record ? record.pending : 0,
+      blockedUntil: record ? record.blockedUntil : 0
+    };
+  }
+
+  /**
+   * Sets when the store may forget a record
+   * @param {object} record - Record
+   * @returns {object}
+   */
+  function withExpiry(record) {
+    return { ...record, expiresAt: Math.max(record.windowStart + limits.windowMs, record.blockedUntil) };
+  }
+
+  /**
+   * How long to wait after a number of failures
+   * @param {number} failures - Failures in the window
+   * @returns {number} - Delay (ms), 0 for none
+   */
+  function backoff(failures) {
+    if (failures >= limits.maxFailures) {
+      return limits.windowMs;
+    }
+    if (failures <= limits.freeFailures) {
+      return 0;
+    }
+    return Math.min(limits.baseDelayMs * 2 ** (failures - limits.freeFailures - 1), limits.windowMs);
+  }
+
+  /**
+   * Starts an attempt on one key unless the key is blocked
+   * @param {{key: string, countsRequests: boolean}} target - Key to check
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<{record: object, rejection: object|null}>}
+   */
+  async function begin(target, now) {
+    let rejection = null;
+    const record = await store.update(target.key, stored => {
+      const next = currentRecord(stored, now);
+
+      if (next.blockedUntil > now) {
+        rejection = { error: 'Too many failed attempts', retryAt: next.blockedUntil };
+      } else if (next.failures + next.pending >= limits.maxFailures) {
+        rejection = { error: 'Too many attempts in progress', retryAt: now + limits.baseDelayMs };
+      } else if (target.countsRequests && next.requests >= limits.maxRequests) {
+        rejection = { error: 'Too many requests', retryAt: next.windowStart + limits.windowMs };
+      } else {
+        next.requests += target.countsRequests ? 1 : 0;
+        next.pending += 1;
+      }
+      return withExpiry(next);
+    });
+    return { record, rejection };
+  }
+
+  /**
+   * Ends an attempt on one key
+   * @param {{key: string, countsRequests: boolean}} target - Key the attempt started on
+   * @param {string} outcome - "success", "failure" or "released" (password never checked)
+   * @returns {Promise<void>}
+   */
+  async function finish(target, outcome) {
+    const now = Date.now();
+    await store.update(target.key, stored => {
+      // The right password for a payload ends its record; a client's
+      // failures stand, so one known password cannot reset them
+      if (outcome === 'success' && !target.countsRequests) {
+        return null;
+      }
+
+      const next = currentRecord(stored, now);
+      next.pending = Math.max(0, next.pending - 1);
+      if (outcome === 'failure') {
+        next.failures += 1;
+        const delay = backoff(next.failures);
+        if (delay > 0) {
+          next.blockedUntil = Math.max(next.blockedUntil, now + delay);
+        }
+      }
+      return withExpiry(next);
+    });
+  }
+
+  /**
+   * Middleware that limits password attempts
+   * Sets req.attempts; the route calls req.attempts.settle(error) once the
+   * password has been checked (error null on success). AUTH_FAILED errors
+   * count as failures; attempts never settled are released when the
+   * response closes.
+   * @param {function(object): *} payloadOf - Returns the payload a request targets, or undefined
+   * @returns {function} - Express middleware
+   */
+  function limitAttempts(payloadOf = () => undefined) {
+    return async (req, res, next) => {
+      const client = req.auth && req.auth.id ? `token:${req.auth.id}` : `ip:${req.ip}`;
+      const targets = [{ key: `client:${client}`, countsRequests: true }];
+      const fingerprint = payloadFingerprint(payloadOf(req));
+      if (fingerprint) {
+        targets.push({ key: `payload:${fingerprint}`, countsRequests: false });
+      }
+
+      const now = Date.now();
+      const started = [];
+      let rejection = null;
+      try {
+        for (const target of targets) {
+          const result = await begin(target, now);
+          if (target.countsRequests) {
+            res.setHeader('RateLimit-Limit', String(limits.maxRequests));
+            res.setHeader('RateLimit-Remaining', String(Math.max(0, limits.maxRequests - result.record.requests)));
+            res.setHeader('RateLimit-Reset', String(secondsUntil(result.record.windowStart + limits.windowMs, now)));
+          }
+          if (result.rejection) {
+            rejection = result.rejection;
+            break;
+          }
+          started.push(target);
+        }
+      } catch (error) {
+        console.error('Error reading attempt records:', error);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+
+      let settled = false;
+      const finishAll = outcome => {
+        if (settled) {
+          return Promise.resolve();
+        }
+        settled = true;
+        return Promise.all(started.map(target => finish(target, outcome))).catch(error => {
+          console.error('Error recording attempt:', error);
+        });
+      };
+
+      if (rejection) {
+        await finishAll('released');
+        const retryAfter = secondsUntil(rejection.retryAt, now);
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: `${rejection.error} - try again in ${retryAfter}s`
+        });
+      }
+
+      res.once('close', () => finishAll('released'));
+      req.attempts = { settle: (error = null) => finishAll(outcomeOf(error)) };
+      next();
+    };
+  }
+
+  return { limits, limitAttempts };
+}
+
+/**
+ * Identifies a password-encrypted payload by its KDF salt
+ * Reformatting the JSON does not change the salt, and changing the salt
+ * stops the password from decrypting it.
+ * @param {*} payload - Payload from the request
+ * @returns {string|null} - Fingerprint, or null if the payload has no salt
+ */
+function payloadFingerprint(payload) {
+  if (!payload) {
+    return null;
+  }
+
+  let salt;
+  try {
+    ({ salt } = encryption.parsePayload(payload));
+  } catch (error) {
+    // Payloads that do not parse fail before any password is checked
+    return null;
+  }
+  return salt ? crypto.createHash('sha256').update(salt).digest('hex').slice(0, 32) : null;
+}
+
+module.exports = {
+  AttemptStore,
+  MemoryAttemptStore,
+  createRateLimiter,
+  payloadFingerprint,
+  RATE_LIMIT_ENV,
+  DEFAULT_LIMITS
+};
@@ -2,52 +2,39 @@
 
 /**
  * CLI Handler — enables commands like:
- *   pba-csv encrypt <file.csv>
+ *   pba-csv encrypt <file.csv|dir|glob>... [-o out.json]
+ *   pba-csv encrypt <file.csv>... --stream
+ *   pba-csv decrypt <payload.json|file.pba> [-o out.csv]
+ *   pba-csv rekey <payload.json> [-o out.json]
+ *   pba-csv inspect <payload.json|file.pba> [--json]
+ *   pba-csv verify <payload.json|file.pba> [--signer <pubkey>]
+ *   pba-csv keygen [-o name] [--signing]
+ *   pba-csv keyring init|list|rotate|generate [--keyring file]
+ *   pba-csv rewrap <payload.json>...
+ *   pba-csv token issue|list|revoke [--tokens file]
+ *   pba-csv audit verify [--log file] [--head seq:hash]
+ *   pba-csv encrypt-columns <file.csv> [-o out.csv] [--columns a,b]
+ *   pba-csv decrypt-columns <file.csv> [-o out.csv] [--columns a,b]
+ *   pba-csv import <file> [--dry-run] [--json] [--profiles file]
  *   pba-csv --help
  */
 const isCLI = require.main === module;
 
+// Load .env before any module reads its configuration (e.g. PBKDF2_ITERATIONS)
+require('dotenv').config();
+
 if (isCLI) {
+  const cli = require('./cli');
   const args = process.argv.slice(2);
 
-  if (args.includes("--help")) {
-    console.log(`
-PBA-CSV CLI
-Usage:
-  pba-csv encrypt <file.csv>
-  pba-csv --help
-`);
-    process.exit(0);
-  }
-
-  // Handle: pba-csv encrypt <file.csv>
-  if (args[0] === "encrypt" && args[1]) {
-    const filePath = args[1];
-    console.log(`Encrypting file: ${filePath}`);
-
-    const fs = require('fs');
-    const encryption = require('../encryption/encryption'); // uses your encryption module
-
-    const readline = require('readline').createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-
-    readline.question('Enter password for encryption: ', async (password) => {
-      try {
-        const csvData = fs.readFileSync(filePath, 'utf-8');
-        
-        // Call your existing encryption function
-        const { payload, metadata } = await encryption.encryptCSVData(csvData, password);
-
-        console.log('\nEncrypted payload:\n', payload);
-        console.log('\nMetadata:\n', JSON.stringify(metadata, null, 2));
-      } catch (err) {
-        console.error('Encryption failed:', err.message || err);
-      } finally {
-        readline.close();
+  if (cli.isCLICommand(args)) {
+    cli.run(args).then(
+      (code) => { process.exitCode = code; },
+      (err) => {
+        console.error(err.message || err);
+        process.exitCode = cli.EXIT_CODES.FAILURE;
       }
-    });
+    );
 
     return; // stop server from launching
   }
@@ -57,31 +44,108 @@ Usage:
  * Backend API Server - Payment Billing Address CSV
  * 
  * Secure endpoints for:
- * - Retrieving billing address and card data (mock/from secure store)
- * - Encrypting and exporting CSV data
+ * - Storing billing profiles and retrieving their address and card data
+ * - Importing billing profiles from plain or encrypted CSV
+ * - Validating card and address data
+ * - Encrypting and exporting CSV data, with card tokens in place of card
+ *   numbers on request
+ * - Holding encrypted exports for limited-use download links
  * - Processing payment credential requests
  * 
  * Security Best Practices Implemented:
  * - CORS with origin whitelisting
  * - Helmet for security headers
  * - Request body size limits
+ * - Bearer-token authentication with per-endpoint scopes
+ * - Card numbers masked to the last four digits unless revealed
+ * - Attempt limits, backoff and lockout on password checks
+ * - Tamper-evident audit log of reads, exports and decrypts
  * - Password-protected encryption endpoints
  * - No sensitive data logging
  * - HTTPS enforcement (in production)
  */
 
 
+const { pipeline } = require('stream');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const dotenv = require('dotenv');
 const encryption = require('../encryption/encryption');
-
-dotenv.config();
+const recipientEncryption = require('../encryption/recipients');
+const columnEncryption = require('../encryption/columns');
+const csvFormat = require('../encryption/csv');
+const streamEncryption = require('../encryption/stream');
+const keyring = require('../encryption/keyring');
+const signing = require('../encryption/signing');
+const passwordPolicy = require('../encryption/password-policy');
+const tokenVault = require('../encryption/vault');
+const validation = require('../encryption/validation');
+const profiles = require('./profiles');
+const profileImport = require('./import');
+const exportStore = require('./export-store');
+const { createAuth, SCOPES, ERROR_CODES: AUTH_ERROR_CODES } = require('./auth');
+const { createRateLimiter } = require('./rate-limit');
+const { createAuditTrail, FILTERS: AUDIT_FILTERS, MAX_QUERY_LIMIT } = require('./audit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Server master keys (PBA_CSV_MASTER_KEY or the keyring); read on first use.
+// A keyring is cached once opened, so restart the server after rotating it.
+const keyProvider = keyring.createKeyProvider();
+
+// Ed25519 key that signs every JSON payload (PBA_CSV_SIGNING_KEY_FILE or
+// PBA_CSV_SIGNING_KEY); payloads are left unsigned when neither is set
+const signingKey = signing.loadConfiguredSigningKey();
+
+// Billing profiles: the in-memory demo profile unless PBA_CSV_PROFILE_STORE
+// or PBA_CSV_PROFILES selects the file store, whose card data is encrypted
+// under the master keys above
+const profileStore = profiles.createProfileRepository({ keyProvider });
+
+// Card tokens exported instead of card numbers (PBA_CSV_VAULT); card
+// numbers in the vault are encrypted under the master keys above
+const vault = tokenVault.createTokenVault({ keyProvider });
+
+// Bearer tokens from the token file (pba-csv token issue); PBA_CSV_AUTH=off
+// lets every request through with all scopes, for local development only
+const auth = createAuth();
+
+// Brute-force protection for every endpoint that checks a password:
+// RATE_LIMIT_MAX_REQUESTS attempts per client per RATE_LIMIT_WINDOW_MS,
+// backoff after repeated wrong passwords, then a lockout per client and
+// per payload
+const rateLimiter = createRateLimiter();
+
+// Hash-chained audit log of every billing request (PBA_CSV_AUDIT_LOG);
+// entries name the token, route, profile, export and fields, never values
+const audit = createAuditTrail();
+
+// Encrypted exports held for download links (PBA_CSV_EXPORTS); the files of
+// used, expired and revoked links are purged every EXPORT_PURGE_INTERVAL_MS
+const exportLinks = exportStore.createExportStore();
+
+// Seconds a client may show a revealed card number before masking it again
+const REVEAL_TTL_SECONDS = 30;
+
+// Most card tokens one detokenize request may resolve
+const MAX_DETOKENIZE_TOKENS = 100;
+
+// Most profiles one export may cover
+const MAX_EXPORT_PROFILES = 1000;
+
+// Milliseconds between purges of expired exports
+const EXPORT_PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Signs a payload with the server signing key, if one is configured
+ * @param {string} payload - JSON payload
+ * @returns {string}
+ */
+function signIfConfigured(payload) {
+  return signingKey ? signing.signPayload(payload, signingKey) : payload;
+}
+
 /**
  * Middleware Configuration
  */
@@ -106,34 +170,15 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-PBA-Password'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 // Body parsing
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ limit: '1mb', extended: false }));
 
-/**
- * Mock Secure Data Store
- * In production, this would fetch from a secure backend/database
- */
-const mockBillingData = {
-  card_number: '4532-1111-2222-3333',
-  expiry_date: '12/25',
-  cvv: '***', // Never expose full CVV
-  address: {
-    apt_unit: 'Suite 100',
-    address_line_1: '123 Main Street',
-    address_line_2: 'Building A',
-    street: 'Main Street',
-    city: 'San Francisco',
-    state_province: 'CA',
-    country: 'United States',
-    postal_code: '94105'
-  }
-};
-
 /**
  * Endpoint: Health Check
  * GET /api/health
@@ -142,188 +187,1584 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * Endpoint: Export Signing Key
+ * GET /api/keys/signing
+ * 
+ * Publishes the Ed25519 public key that signs exported payloads, so
+ * recipients can check them with `pba-csv verify --signer <publicKey>`.
+ */
+app.get('/api/keys/signing', (req, res) => {
+  if (!signingKey) {
+    return res.status(404).json({
+      success: false,
+      error: 'Export signing is not configured'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...signing.describeSigner(signingKey),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Endpoint: Export Password Policy
+ * GET /api/password-policy
+ * 
+ * Publishes the password policy export endpoints enforce
+ * (PASSWORD_MIN_LENGTH, PASSWORD_MIN_SCORE), so the frontends check
+ * passwords they encrypt locally against the same policy.
+ */
+app.get('/api/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    ...encryption.passwordPolicyOptions(),
+    maxLength: passwordPolicy.MAX_PASSWORD_LENGTH,
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * Endpoint: Retrieve Billing Address Data
- * GET /api/billing/address
+ * GET /api/billing/address?profileId=<id>
  * 
- * Returns structured billing address and card data
- * In production: validate auth tokens, rate limit, audit log
+ * Returns structured billing address and card data of a profile, or of
+ * the oldest profile when none is named
+ * Card fields are left out unless the token has billing:read-card; the
+ * card number is masked to its last four digits (see the reveal endpoint)
+ * "warnings" lists validation issues by field (see /api/billing/validate)
+ * 
+ * Scope: billing:read-address
  */
-app.get('/api/billing/address', (req, res) => {
+app.get('/api/billing/address', audit.record('billing.address.read'), auth.requireScopes(SCOPES.READ_ADDRESS), async (req, res) => {
   try {
-    // TODO: Implement authentication validation
-    // TODO: Validate authorization scopes
-    // TODO: Add audit logging
+    const stored = await loadProfile(req.query.profileId);
+    const profile = presentProfile(req, stored);
+    noteProfile(req, profile);
 
     res.json({
       success: true,
-      data: mockBillingData,
+      data: profile,
+      warnings: profileWarnings(stored, profile),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error retrieving billing address:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
+    sendProfileError(res, error, 'Internal server error');
+  }
+});
+
+/**
+ * Endpoint: List Billing Profiles
+ * GET /api/billing/profiles
+ * 
+ * Returns profile summaries (ID, label, city, country), without card data
+ * 
+ * Scope: billing:read-address
+ */
+app.get('/api/billing/profiles', audit.record('billing.profiles.list'), auth.requireScopes(SCOPES.READ_ADDRESS), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profiles: await profileStore.list(),
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to list billing profiles');
   }
 });
 
 /**
- * Endpoint: Export Encrypted CSV
- * POST /api/billing/export-encrypted-csv
+ * Endpoint: Get Billing Profile
+ * GET /api/billing/profiles/:id
+ * 
+ * Returns the profile as Get Billing Address does, with its warnings
+ * 
+ * Scope: billing:read-address
+ */
+app.get('/api/billing/profiles/:id', audit.record('billing.profile.read'), auth.requireScopes(SCOPES.READ_ADDRESS), async (req, res) => {
+  try {
+    req.audit.profileId = req.params.id;
+    const stored = await profileStore.get(req.params.id);
+    const profile = presentProfile(req, stored);
+    noteProfile(req, profile);
+
+    res.json({
+      success: true,
+      data: profile,
+      warnings: profileWarnings(stored, profile),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to load billing profile');
+  }
+});
+
+/**
+ * Endpoint: Reveal Card Number
+ * POST /api/billing/profiles/:id/reveal
  * 
  * Body:
  * {
- *   "password": "user-provided-password",
- *   "fields": ["apt_unit", "address_line_1", "city", "state_province", "postal_code", "card_number"]
+ *   "password": "reveal-password"   (set with `pba-csv token passwd <id>`)
  * }
  * 
- * Returns encrypted CSV payload
+ * Returns the full card number of a profile, for the client to show for
+ * expiresIn seconds. Never cached.
+ * 
+ * Scope: billing:read-card
+ * Attempts: limited per client (429 with Retry-After)
  */
-app.post('/api/billing/export-encrypted-csv', async (req, res) => {
-  try {
-    const { password, fields } = req.body;
+app.post('/api/billing/profiles/:id/reveal', audit.record('billing.card.reveal'), auth.requireScopes(SCOPES.READ_CARD), rateLimiter.limitAttempts(), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  req.audit.profileId = req.params.id;
 
-    // Validate input
-    if (!password || typeof password !== 'string' || password.length < 8) {
-      return res.status(400).json({
+  try {
+    await auth.confirmReveal(req, req.body.password);
+    await req.attempts.settle();
+  } catch (error) {
+    await req.attempts.settle(error);
+    if (error.code === encryption.ERROR_CODES.AUTH_FAILED || error.code === AUTH_ERROR_CODES.INVALID_TOKEN) {
+      return res.status(403).json({
         success: false,
-        error: 'Password must be at least 8 characters'
+        error: error.message
       });
     }
+    console.error('Error checking reveal password:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
 
-    if (!Array.isArray(fields) || fields.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'At least one field must be selected for export'
-      });
-    }
+  try {
+    const { id, card_number } = await profileStore.get(req.params.id);
+    const { card_brand, card_last4 } = profiles.maskProfile({ card_number });
+    req.audit.fields = ['card_number'];
+    const expiresAt = new Date(Date.now() + REVEAL_TTL_SECONDS * 1000);
 
-    // TODO: Implement authentication validation
+    res.json({
+      success: true,
+      data: { id, card_number, card_brand, card_last4 },
+      expiresIn: REVEAL_TTL_SECONDS,
+      expiresAt: expiresAt.toISOString(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to reveal card number');
+  }
+});
 
-    // Build CSV data from selected fields
-    const csvData = buildCSVData(mockBillingData, fields);
+/**
+ * Endpoint: Validate Billing Data
+ * POST /api/billing/validate
+ * 
+ * Body: billing data as for Create Billing Profile
+ * ({ card_number, expiry_date, address: {...} }); nothing is stored
+ * 
+ * Returns "valid" (false if any issue is an error) and "fields", the
+ * issues by field name: { severity, code, message }. Checks Luhn, card
+ * brand and length, expiry, required address fields, and postal code and
+ * state/province for known countries (see encryption/validation.js).
+ * 
+ * Scope: any valid token
+ */
+app.post('/api/billing/validate', audit.record('billing.validate'), auth.requireScopes(), (req, res) => {
+  let data;
+  try {
+    data = profiles.normalizeProfile(req.body);
+  } catch (error) {
+    return sendProfileError(res, error, 'Failed to validate billing data');
+  }
 
-    // Encrypt CSV data
-    const { payload, metadata } = await encryption.encryptCSVData(csvData, password);
+  const { valid, fields } = validation.validateBillingData(data);
+  res.json({
+    success: true,
+    valid,
+    fields,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Endpoint: Create Billing Profile
+ * POST /api/billing/profiles
+ * 
+ * Body: a profile ({ label, card_number, expiry_date, address: {...} });
+ * missing fields are stored empty. The CVV is never stored.
+ * 
+ * Scope: billing:write-profiles
+ */
+app.post('/api/billing/profiles', audit.record('billing.profile.create'), auth.requireScopes(SCOPES.WRITE_PROFILES), async (req, res) => {
+  try {
+    const stored = await profileStore.create(req.body);
+    const profile = presentProfile(req, stored);
+    noteProfile(req, profile);
+
+    res.status(201).json({
+      success: true,
+      data: profile,
+      warnings: profileWarnings(stored, profile),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to create billing profile');
+  }
+});
+
+/**
+ * Endpoint: Update Billing Profile
+ * PUT /api/billing/profiles/:id
+ * 
+ * Body: the fields to change; address fields are changed one by one
+ * 
+ * Scope: billing:write-profiles
+ */
+app.put('/api/billing/profiles/:id', audit.record('billing.profile.update'), auth.requireScopes(SCOPES.WRITE_PROFILES), async (req, res) => {
+  try {
+    req.audit.profileId = req.params.id;
+    const stored = await profileStore.update(req.params.id, req.body);
+    const profile = presentProfile(req, stored);
+    noteProfile(req, profile);
 
     res.json({
       success: true,
-      encrypted: payload,
-      metadata,
-      timestamp: new Date().toISOString(),
-      instructions: 'Save this payload and provide your password to decrypt'
+      data: profile,
+      warnings: profileWarnings(stored, profile),
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error exporting encrypted CSV:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to encrypt CSV data'
+    sendProfileError(res, error, 'Failed to update billing profile');
+  }
+});
+
+/**
+ * Endpoint: Delete Billing Profile
+ * DELETE /api/billing/profiles/:id
+ * 
+ * Scope: billing:write-profiles
+ */
+app.delete('/api/billing/profiles/:id', audit.record('billing.profile.delete'), auth.requireScopes(SCOPES.WRITE_PROFILES), async (req, res) => {
+  try {
+    req.audit.profileId = req.params.id;
+    await profileStore.delete(req.params.id);
+
+    res.json({
+      success: true,
+      id: req.params.id,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to delete billing profile');
   }
 });
 
 /**
- * Endpoint: Decrypt CSV
- * POST /api/billing/decrypt-csv
+ * Endpoint: Import Billing Profiles
+ * POST /api/billing/import
  * 
  * Body:
  * {
- *   "payload": "encrypted-json-payload",
- *   "password": "user-password"
+ *   "csv": "label,address_line_1,city,...",  (plain CSV, or CSV with encrypted columns)
+ *   "payload": "encrypted-json-payload",     (instead of csv: an encrypted export)
+ *   "password": "user-password",             (for a password payload or encrypted columns)
+ *   "delimiter": ";",                        (optional, for csv)
+ *   "dryRun": true                           (optional: report without storing)
  * }
+ * 
+ * Columns are the export field names plus label (see backend/import.js).
+ * Payloads encrypted under the server master key need no password.
+ * Returns the row report: accepted rows (with the new profile IDs),
+ * rejected rows and duplicates, each with its row number and reasons.
+ * 
+ * Scope: billing:write-profiles
+ * Attempts: limited per client and payload (429 with Retry-After)
  */
-app.post('/api/billing/decrypt-csv', async (req, res) => {
-  try {
-    const { payload, password } = req.body;
+app.post('/api/billing/import', audit.record('billing.import'), auth.requireScopes(SCOPES.WRITE_PROFILES), rateLimiter.limitAttempts(req => req.body.payload), async (req, res) => {
+  const { csv, payload, password, delimiter, dryRun } = req.body;
 
-    if (!payload || !password) {
+  if ((csv === undefined) === (payload === undefined) || (csv !== undefined && (typeof csv !== 'string' || !csv))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Either csv or payload is required'
+    });
+  }
+
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'dryRun must be true or false'
+    });
+  }
+
+  const delimiterError = delimiter !== undefined &&
+    (payload !== undefined ? 'delimiter only applies to csv' : csvFormat.checkOptions({ delimiter }));
+  if (delimiterError) {
+    return res.status(400).json({
+      success: false,
+      error: delimiterError
+    });
+  }
+
+  let csvData;
+  try {
+    csvData = await openImport(req, { csv, payload, password, delimiter });
+    await req.attempts.settle();
+  } catch (error) {
+    await req.attempts.settle(error);
+    if (error.code === encryption.ERROR_CODES.AUTH_FAILED) {
       return res.status(400).json({
         success: false,
-        error: 'Payload and password are required'
+        error: 'Decryption failed - invalid password or corrupted data'
       });
     }
+    return sendImportError(res, error);
+  }
 
-    const csvData = await encryption.decryptCSVData(payload, password);
+  try {
+    const report = await profileImport.importProfiles(profileStore, csvData, { dryRun, delimiter });
+    req.audit.fields = report.columns;
 
     res.json({
       success: true,
-      data: csvData,
+      ...report,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error decrypting CSV:', error);
-    res.status(400).json({
-      success: false,
-      error: 'Decryption failed - invalid password or corrupted data'
-    });
+    sendImportError(res, error);
   }
 });
 
 /**
- * Helper function to build CSV from selected fields
- * @param {object} data - Full billing data object
- * @param {array} fields - Selected field names
- * @returns {string} - CSV formatted data
- */
-function buildCSVData(data, fields) {
-  // Map field names to data paths
-  const fieldMap = {
-    apt_unit: () => data.address.apt_unit,
-    address_line_1: () => data.address.address_line_1,
-    address_line_2: () => data.address.address_line_2,
-    street: () => data.address.street,
-    city: () => data.address.city,
-    state_province: () => data.address.state_province,
-    country: () => data.address.country,
-    postal_code: () => data.address.postal_code,
-    card_number: () => data.card_number,
-    expiry_date: () => data.expiry_date,
-    cvv: () => '***' // Never export real CVV
-  };
-
-  // Build header row
-  const headers = fields.join(',');
-
-  // Build data row
-  const values = fields
-    .map(field => {
-      const getter = fieldMap[field];
-      if (!getter) return '';
-      const value = getter();
-      // Escape CSV values with commas or quotes
-      return typeof value === 'string' && (value.includes(',') || value.includes('"'))
-        ? `"${value.replace(/"/g, '""')}"`
-        : value;
-    })
-    .join(',');
-
-  return `${headers}\n${values}`;
-}
-
-/**
- * Error handling middleware
+ * Endpoint: Export Encrypted CSV
+ * POST /api/billing/export-encrypted-csv
+ * 
+ * Body:
+ * {
+ *   "password": "user-provided-password",
+ *   "fields": ["apt_unit", "address_line_1", "city", "state_province", "postal_code", "card_number"],
+ *   "kdf": "argon2id",  (optional: "pbkdf2", "scrypt", "argon2id" or a parameter object)
+ *   "profileId": "..."  (optional: defaults to the oldest profile)
+ * }
+ * 
+ * "profileIds" (a list of up to 1000 profile IDs, or "all" for every stored
+ * profile) exports one row per profile instead of a single profile.
+ * 
+ * Instead of "password", "recipients" may list up to 16 base64 X25519 public
+ * keys (see `pba-csv keygen`); the payload can then only be decrypted with
+ * one of the matching private keys.
+ * 
+ * With "encryptColumns" (true for card_number and expiry_date, or a list of
+ * selected fields) the export stays a readable CSV and only those columns
+ * are encrypted, cell by cell, under the password.
+ * 
+ * With "atRest": true no password is needed: the payload is encrypted under
+ * the server master key, for storage, and can be moved to a new key with
+ * /api/billing/rewrap after rotation.
+ * 
+ * With "tokenize" (true for card_number, or a list of selected fields) those
+ * fields are exported as a card_token column holding a vault token instead
+ * of the card number; "tokenFormat" picks "random" (default) or
+ * "format-preserving" tokens. Resolve them with /api/billing/detokenize.
+ * 
+ * "format" picks what is encrypted: "csv" (default, RFC 4180), "tsv",
+ * "json" or "ndjson". CSV takes "delimiter" (one character), and CSV and
+ * TSV take "lineEnding" ("crlf" default or "lf") and "bom" (true for a
+ * UTF-8 byte order mark). Cells a spreadsheet would read as a formula are
+ * prefixed with a single quote. Column encryption needs plain CSV.
+ * 
+ * Returns encrypted CSV payload, signed when a signing key is configured
+ * (see GET /api/keys/signing)
+ * 
+ * With "store" (true, or an object with "maxDownloads", default 1, and
+ * "expiresIn" in seconds, default one day) the encrypted export is kept on
+ * the server and a download link is returned in its place; see
+ * GET /api/exports/:downloadId.
+ * 
+ * Scope: billing:export, plus billing:read-card to export card_number or
+ * expiry_date (not needed for tokenized fields)
  */
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(err.status || 500).json({
-    success: false,
-    error: process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message
-  });
-});
+app.post('/api/billing/export-encrypted-csv', audit.record('billing.export'), auth.requireScopes(SCOPES.EXPORT), async (req, res) => {
+  try {
+    const {
+      password, fields, kdf, recipients, encryptColumns, atRest, profileId, profileIds, tokenize, tokenFormat,
+      format = 'csv', delimiter, lineEnding, bom, store
+    } = req.body;
+    req.audit.fields = fields;
+    const forRecipients = recipients !== undefined;
+    const byColumn = encryptColumns !== undefined && encryptColumns !== false;
+    const withMasterKey = atRest === true;
 
-/**
- * Start server
- */
-app.listen(PORT, () => {
-  console.log(`PBA CSV Backend running on http://localhost:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    // Validate input
+    if (withMasterKey) {
+      if (forRecipients || byColumn) {
+        return res.status(400).json({
+          success: false,
+          error: 'atRest cannot be combined with recipients or encryptColumns'
+        });
+      }
+    } else if (forRecipients) {
+      if (!Array.isArray(recipients) || recipients.length === 0 ||
+          recipients.length > recipientEncryption.MAX_RECIPIENTS) {
+        return res.status(400).json({
+          success: false,
+          error: `recipients must list between 1 and ${recipientEncryption.MAX_RECIPIENTS} public keys`
+        });
+      }
+
+      try {
+        recipients.forEach(recipientEncryption.loadPublicKey);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    } else {
+      const passwordError = encryption.validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({
+          success: false,
+          error: passwordError
+        });
+      }
+    }
+
+    if (!Array.isArray(fields) || fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one field must be selected for export'
+      });
+    }
+
+    const tokenized = tokenize === true
+      ? fields.filter(field => field in tokenVault.TOKEN_COLUMNS)
+      : tokenize || [];
+    if (!Array.isArray(tokenized) || (tokenize !== undefined && tokenize !== false && tokenized.length === 0) ||
+        !tokenized.every(field => fields.includes(field) && field in tokenVault.TOKEN_COLUMNS)) {
+      return res.status(400).json({
+        success: false,
+        error: `tokenize must list selected fields among ${Object.keys(tokenVault.TOKEN_COLUMNS).join(', ')}`
+      });
+    }
+    if (tokenFormat !== undefined && !tokenVault.TOKEN_FORMATS.includes(tokenFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: `tokenFormat must be one of ${tokenVault.TOKEN_FORMATS.join(', ')}`
+      });
+    }
+
+    const formatOptions = { format, delimiter, lineEnding, bom };
+    const formatError = csvFormat.checkOptions(formatOptions);
+    if (formatError) {
+      return res.status(400).json({
+        success: false,
+        error: formatError
+      });
+    }
+
+    const linkOptions = store === true ? {} : (store === undefined || store === false ? null : store);
+    const linkError = linkOptions && exportStore.checkLinkOptions(linkOptions);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        error: linkError
+      });
+    }
+
+    // Columns of the CSV: tokenized fields become their token column
+    const columnNames = fields.map(field => (tokenized.includes(field) ? tokenVault.TOKEN_COLUMNS[field] : field));
+    req.audit.fields = columnNames;
+
+    const cardFields = fields.filter(field => profiles.CARD_FIELDS.includes(field) && !tokenized.includes(field));
+    if (cardFields.length > 0 && !auth.hasScope(req, SCOPES.READ_CARD)) {
+      return res.status(403).json({
+        success: false,
+        error: `Exporting ${cardFields.join(', ')} requires the ${SCOPES.READ_CARD} scope`
+      });
+    }
+
+    if (profileId !== undefined && typeof profileId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'profileId must be a string'
+      });
+    }
+    if (profileIds !== undefined) {
+      if (profileId !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'profileId cannot be combined with profileIds'
+        });
+      }
+      if (profileIds !== 'all' && (!Array.isArray(profileIds) || profileIds.length === 0 ||
+          profileIds.length > MAX_EXPORT_PROFILES || !profileIds.every(id => typeof id === 'string'))) {
+        return res.status(400).json({
+          success: false,
+          error: `profileIds must be "all" or list between 1 and ${MAX_EXPORT_PROFILES} profile IDs`
+        });
+      }
+    }
+
+    if (byColumn) {
+      if (forRecipients) {
+        return res.status(400).json({
+          success: false,
+          error: 'Column encryption is only available with a password'
+        });
+      }
+
+      if (format !== 'csv' || delimiter !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Column encryption needs the csv format with the default delimiter'
+        });
+      }
+
+      const columns = encryptColumns === true
+        ? columnEncryption.SENSITIVE_COLUMNS.filter(column => columnNames.includes(column))
+        : encryptColumns;
+      if (!Array.isArray(columns) || columns.length === 0 || !columns.every(column => columnNames.includes(column))) {
+        return res.status(400).json({
+          success: false,
+          error: 'encryptColumns must list at least one selected field'
+        });
+      }
+    }
+
+    const kdfParams = encryption.resolveKdfParams(kdf);
+    const kdfError = !forRecipients && !withMasterKey && encryption.checkKdfParams(kdfParams);
+    if (kdfError) {
+      return res.status(400).json({
+        success: false,
+        error: kdfError
+      });
+    }
+
+    let exported;
+    try {
+      exported = profileIds === undefined ? [await loadProfile(profileId)] : await loadProfiles(profileIds);
+    } catch (error) {
+      return sendProfileError(res, error, 'Failed to load billing profiles');
+    }
+    if (exported.length > MAX_EXPORT_PROFILES) {
+      return res.status(400).json({
+        success: false,
+        error: `An export covers at most ${MAX_EXPORT_PROFILES} profiles; ${exported.length} are stored`
+      });
+    }
+    if (profileIds === undefined) {
+      req.audit.profileId = exported[0].id;
+    } else {
+      req.audit.profileIds = exported.map(profile => profile.id);
+    }
+
+    // Vault tokens, one object per row
+    const tokens = [];
+    for (const profile of exported) {
+      const rowTokens = {};
+      try {
+        for (const field of tokenized) {
+          rowTokens[field] = await vault.tokenize(profile[field], { format: tokenFormat });
+        }
+      } catch (error) {
+        if (error.code === tokenVault.ERROR_CODES.INVALID_CARD) {
+          return res.status(400).json({
+            success: false,
+            error: `Cannot tokenize the card number of profile ${profile.id}: ${error.message}`
+          });
+        }
+        throw error;
+      }
+      tokens.push(rowTokens);
+    }
+
+    // Build CSV data from selected fields, one row per profile
+    const csvData = csvFormat.buildCSVData(exported, fields, { tokens, ...formatOptions });
+
+    if (byColumn) {
+      const { csv, metadata } = await columnEncryption.encryptCSVColumns(csvData, password, {
+        columns: encryptColumns === true ? undefined : encryptColumns,
+        kdf: kdfParams
+      });
+
+      if (linkOptions) {
+        return await sendExportLink(req, res, { content: csv, kind: 'columns', fields: columnNames }, linkOptions, { metadata });
+      }
+
+      return res.json({
+        success: true,
+        csv,
+        metadata,
+        timestamp: new Date().toISOString(),
+        instructions: 'Encrypted columns can be revealed individually with your password'
+      });
+    }
+
+    // Encrypt CSV data
+    let result;
+    let instructions;
+    if (withMasterKey) {
+      result = await keyring.encryptCSVDataWithProvider(csvData, keyProvider, { fields: columnNames });
+      instructions = 'Store this payload; it is encrypted under the server master key';
+    } else if (forRecipients) {
+      result = await recipientEncryption.encryptCSVDataForRecipients(csvData, recipients, { fields: columnNames });
+      instructions = 'Save this payload; decrypt it with a recipient private key (pba-csv decrypt --key)';
+    } else {
+      result = await encryption.encryptCSVData(csvData, password, { kdf: kdfParams, fields: columnNames });
+      instructions = 'Save this payload and provide your password to decrypt';
+    }
+    noteExport(req, result.metadata.header);
+
+    if (linkOptions) {
+      return await sendExportLink(req, res, {
+        content: signIfConfigured(result.payload),
+        kind: 'payload',
+        exportId: result.metadata.header ? result.metadata.header.exportId : null,
+        fields: columnNames
+      }, linkOptions, { metadata: result.metadata, format });
+    }
+
+    res.json({
+      success: true,
+      encrypted: signIfConfigured(result.payload),
+      metadata: result.metadata,
+      format,
+      timestamp: new Date().toISOString(),
+      instructions
+    });
+  } catch (error) {
+    if (sendKdfUnavailable(res, error)) {
+      return;
+    }
+    console.error('Error exporting encrypted CSV:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to encrypt CSV data'
+    });
+  }
+});
+
+/**
+ * Endpoint: Record Client-Side Export
+ * POST /api/billing/client-exports
+ * 
+ * The frontends encrypt exports in the page, so the export endpoint never
+ * sees them; they report each one here, before the download, so it is in
+ * the audit log like a server-side export.
+ * 
+ * Body:
+ * {
+ *   "exportId": "export ID from the payload header",
+ *   "fields": ["field1", "field2"],
+ *   "profileId": "optional profile ID"
+ * }
+ * 
+ * Scope: billing:export, plus billing:read-card to export card_number or
+ * expiry_date
+ */
+app.post('/api/billing/client-exports', audit.record('billing.export.client'), auth.requireScopes(SCOPES.EXPORT), async (req, res) => {
+  try {
+    const { exportId, fields, profileId } = req.body;
+
+    if (typeof exportId !== 'string' || exportId === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'exportId is required'
+      });
+    }
+    req.audit.exportId = exportId;
+
+    if (!Array.isArray(fields) || fields.length === 0 || !fields.every(field => field in csvFormat.EXPORT_FIELDS)) {
+      return res.status(400).json({
+        success: false,
+        error: `fields must list at least one of ${Object.keys(csvFormat.EXPORT_FIELDS).join(', ')}`
+      });
+    }
+    req.audit.fields = fields;
+
+    const cardFields = fields.filter(field => profiles.CARD_FIELDS.includes(field));
+    if (cardFields.length > 0 && !auth.hasScope(req, SCOPES.READ_CARD)) {
+      return res.status(403).json({
+        success: false,
+        error: `Exporting ${cardFields.join(', ')} requires the ${SCOPES.READ_CARD} scope`
+      });
+    }
+
+    if (profileId !== undefined && typeof profileId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'profileId must be a string'
+      });
+    }
+
+    let profile;
+    try {
+      profile = await loadProfile(profileId);
+    } catch (error) {
+      return sendProfileError(res, error, 'Failed to load billing profile');
+    }
+    req.audit.profileId = profile.id;
+
+    res.status(201).json({
+      success: true,
+      exportId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error recording client-side export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record export'
+    });
+  }
+});
+
+/**
+ * Endpoint: Decrypt CSV
+ * POST /api/billing/decrypt-csv
+ * 
+ * Body:
+ * {
+ *   "payload": "encrypted-json-payload",
+ *   "password": "user-password"
+ * }
+ * 
+ * Scope: billing:decrypt
+ * Attempts: limited per client and payload (429 with Retry-After)
+ */
+app.post('/api/billing/decrypt-csv', audit.record('billing.decrypt'), auth.requireScopes(SCOPES.DECRYPT), rateLimiter.limitAttempts(req => req.body.payload), async (req, res) => {
+  try {
+    const { payload, password } = req.body;
+
+    if (!payload || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payload and password are required'
+      });
+    }
+
+    const { csvData, header } = await encryption.openCSVData(payload, password);
+    await req.attempts.settle();
+    noteExport(req, header);
+
+    res.json({
+      success: true,
+      data: csvData,
+      header,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await req.attempts.settle(error);
+    if (sendKdfUnavailable(res, error)) {
+      return;
+    }
+    console.error('Error decrypting CSV:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Decryption failed - invalid password or corrupted data'
+    });
+  }
+});
+
+/**
+ * Endpoint: Decrypt CSV Columns
+ * POST /api/billing/decrypt-columns
+ * 
+ * Body:
+ * {
+ *   "csv": "csv-with-encrypted-columns",
+ *   "password": "user-password",
+ *   "columns": ["expiry_date"]   (optional: defaults to every encrypted column)
+ * }
+ * 
+ * Scope: billing:decrypt
+ * Attempts: limited per client (429 with Retry-After)
+ */
+app.post('/api/billing/decrypt-columns', audit.record('billing.decrypt-columns'), auth.requireScopes(SCOPES.DECRYPT), rateLimiter.limitAttempts(), async (req, res) => {
+  try {
+    const { csv, password, columns } = req.body;
+
+    if (typeof csv !== 'string' || !csv || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV and password are required'
+      });
+    }
+
+    if (columns !== undefined && (!Array.isArray(columns) || columns.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'columns must list at least one column'
+      });
+    }
+
+    const result = await columnEncryption.decryptCSVColumns(csv, password, { columns });
+    await req.attempts.settle();
+    req.audit.fields = result.columns;
+
+    res.json({
+      success: true,
+      data: result.csv,
+      columns: result.columns,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await req.attempts.settle(error);
+    if (sendKdfUnavailable(res, error)) {
+      return;
+    }
+    console.error('Error decrypting CSV columns:', error);
+    res.status(400).json({
+      success: false,
+      error: [encryption.ERROR_CODES.UNKNOWN_COLUMN, encryption.ERROR_CODES.INVALID_CSV].includes(error.code)
+        ? error.message
+        : 'Decryption failed - invalid password or corrupted data'
+    });
+  }
+});
+
+/**
+ * Endpoint: Rekey Encrypted CSV
+ * POST /api/billing/rekey
+ * 
+ * Body:
+ * {
+ *   "payload": "encrypted-json-payload",
+ *   "oldPassword": "current-password",
+ *   "newPassword": "replacement-password"
+ * }
+ * 
+ * Returns the payload re-encrypted under the new password (fresh salt and IV).
+ * The decrypted CSV never leaves memory. The new payload is signed again
+ * when a signing key is configured.
+ * 
+ * Scope: billing:decrypt and billing:export
+ * Attempts: limited per client and payload (429 with Retry-After)
+ */
+app.post('/api/billing/rekey', audit.record('billing.rekey'), auth.requireScopes(SCOPES.DECRYPT, SCOPES.EXPORT), rateLimiter.limitAttempts(req => req.body.payload), async (req, res) => {
+  try {
+    const { payload, oldPassword, newPassword } = req.body;
+
+    if (!payload || !oldPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payload and oldPassword are required'
+      });
+    }
+
+    const passwordError = encryption.validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
+    const { payload: encrypted, metadata } = await encryption.rekeyCSVData(payload, oldPassword, newPassword);
+    await req.attempts.settle();
+    noteExport(req, metadata.header);
+
+    res.json({
+      success: true,
+      encrypted: signIfConfigured(encrypted),
+      metadata,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await req.attempts.settle(error);
+    if (sendKdfUnavailable(res, error)) {
+      return;
+    }
+    console.error('Error rekeying CSV:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Rekey failed - invalid password or corrupted data'
+    });
+  }
+});
+
+/**
+ * Endpoint: Rewrap Master-Key Payload
+ * POST /api/billing/rewrap
+ * 
+ * Body:
+ * {
+ *   "payload": "encrypted-json-payload"   (from an "atRest" export)
+ * }
+ * 
+ * Returns the payload with its data key wrapped under the active master key.
+ * The ciphertext is unchanged; payloads already on the active key are
+ * returned as they are ("rewrapped": false). A rewrapped payload is signed
+ * again when a signing key is configured.
+ * 
+ * Scope: billing:export
+ */
+app.post('/api/billing/rewrap', audit.record('billing.rewrap'), auth.requireScopes(SCOPES.EXPORT), async (req, res) => {
+  try {
+    const { payload } = req.body;
+
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payload is required'
+      });
+    }
+
+    const { payload: encrypted, rewrapped, metadata } = await keyring.rewrapCSVData(payload, keyProvider);
+    noteExport(req, metadata.header);
+
+    res.json({
+      success: true,
+      encrypted: rewrapped ? signIfConfigured(encrypted) : encrypted,
+      rewrapped,
+      metadata,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error rewrapping CSV:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Rewrap failed - not a master-key payload, unknown key or corrupted data'
+    });
+  }
+});
+
+/**
+ * Endpoint: Encrypt CSV Stream
+ * POST /api/billing/encrypt-stream?kdf=scrypt
+ * 
+ * Headers:
+ *   X-PBA-Password: user-password
+ *   Content-Type: text/csv (any type except JSON or form data)
+ * 
+ * Body: the raw CSV file, of any size. The response is the chunked stream
+ * file (see encryption/stream.js), produced with constant memory.
+ * 
+ * Scope: billing:export
+ */
+app.post('/api/billing/encrypt-stream', audit.record('billing.encrypt-stream'), auth.requireScopes(SCOPES.EXPORT), (req, res) => {
+  const password = req.get('X-PBA-Password');
+
+  const passwordError = encryption.validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      error: passwordError
+    });
+  }
+
+  let transform;
+  try {
+    const kdfParams = encryption.resolveKdfParams(req.query.kdf);
+    const kdfError = encryption.checkKdfParams(kdfParams);
+    if (kdfError) {
+      throw new Error(kdfError);
+    }
+    transform = streamEncryption.createEncryptStream(password, { kdf: kdfParams });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  streamResponse(req, res, transform, 'export.csv.pba', 'Failed to encrypt CSV stream');
+});
+
+/**
+ * Endpoint: Decrypt CSV Stream
+ * POST /api/billing/decrypt-stream
+ * 
+ * Headers:
+ *   X-PBA-Password: user-password
+ *   Content-Type: application/octet-stream
+ * 
+ * Body: a stream file from encrypt-stream or `pba-csv encrypt --stream`.
+ * The response is the CSV. A wrong password or tampered header is reported
+ * as a 400; a chunk that fails later aborts the response, so a download
+ * that does not complete must be discarded.
+ * 
+ * Scope: billing:decrypt
+ * Attempts: limited per client (429 with Retry-After)
+ */
+app.post('/api/billing/decrypt-stream', audit.record('billing.decrypt-stream'), auth.requireScopes(SCOPES.DECRYPT), rateLimiter.limitAttempts(), (req, res) => {
+  const password = req.get('X-PBA-Password');
+
+  if (!password) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-PBA-Password header is required'
+    });
+  }
+
+  streamResponse(
+    req,
+    res,
+    streamEncryption.createDecryptStream(password),
+    'export.csv',
+    'Decryption failed - invalid password or corrupted data'
+  );
+});
+
+/**
+ * Endpoint: Detokenize Card Tokens
+ * POST /api/billing/detokenize
+ * 
+ * Body:
+ * {
+ *   "tokens": ["tok_...", "5889-4775-3788-3333"]   (up to 100)
+ * }
+ * 
+ * Returns the card number behind each token from a tokenized export.
+ * Never cached.
+ * 
+ * Scope: billing:detokenize
+ */
+app.post('/api/billing/detokenize', audit.record('billing.detokenize'), auth.requireScopes(SCOPES.DETOKENIZE), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const { tokens } = req.body;
+
+    if (!Array.isArray(tokens) || tokens.length === 0 || tokens.length > MAX_DETOKENIZE_TOKENS ||
+        !tokens.every(token => typeof token === 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: `tokens must list between 1 and ${MAX_DETOKENIZE_TOKENS} card tokens`
+      });
+    }
+    req.audit.fields = ['card_number'];
+
+    const data = [];
+    for (const token of tokens) {
+      data.push({ token, card_number: await vault.detokenize(token) });
+    }
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === tokenVault.ERROR_CODES.TOKEN_NOT_FOUND) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error detokenizing card tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to detokenize card tokens'
+    });
+  }
+});
+
+/**
+ * Endpoint: Download Stored Export
+ * GET /api/exports/:downloadId
+ * 
+ * Returns an export stored with "store" (see export-encrypted-csv) as a file
+ * download: the JSON payload, or the CSV with encrypted columns. Each
+ * download counts towards the link's limit; once it is reached, or the link
+ * expires or is revoked, the export is deleted and this returns 410.
+ * Unknown download IDs return 404. Never cached.
+ * 
+ * No API token needed: the download ID is the credential, so hand it on
+ * like the export itself. The export stays encrypted.
+ */
+app.get('/api/exports/:downloadId', audit.record('export.download'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const { content, link } = await exportLinks.download(req.params.downloadId);
+    req.audit.exportId = link.exportId;
+    req.audit.fields = link.fields;
+
+    const { mediaType, extension } = exportStore.CONTENT_TYPES[link.kind];
+    res.setHeader('Content-Type', mediaType);
+    res.setHeader('Content-Disposition', `attachment; filename="${link.exportId || link.id}.${extension}"`);
+    res.send(content);
+  } catch (error) {
+    sendExportLinkError(res, error, 'Failed to download export');
+  }
+});
+
+/**
+ * Endpoint: Export History
+ * GET /api/exports?status=active
+ * 
+ * Lists stored exports, newest first, with their status (active, used,
+ * expired or revoked), download count and limit, expiry and the token that
+ * made them; never their contents or download IDs. status is optional.
+ * 
+ * Scope: billing:export
+ */
+app.get('/api/exports', audit.record('export.list'), auth.requireScopes(SCOPES.EXPORT), async (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !exportStore.STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of ${exportStore.STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const links = await exportLinks.list();
+
+    res.json({
+      success: true,
+      exports: status === undefined ? links : links.filter(link => link.status === status),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing exports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list exports'
+    });
+  }
+});
+
+/**
+ * Endpoint: Revoke Stored Export
+ * DELETE /api/exports/:id
+ * 
+ * Ends an active download link (by its ID from the history) and deletes
+ * the export; the link stays in the history as revoked. Links that are no
+ * longer active are returned unchanged.
+ * 
+ * Scope: billing:export
+ */
+app.delete('/api/exports/:id', audit.record('export.revoke'), auth.requireScopes(SCOPES.EXPORT), async (req, res) => {
+  try {
+    const link = await exportLinks.revoke(req.params.id);
+    req.audit.exportId = link.exportId;
+
+    res.json({
+      success: true,
+      export: link,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendExportLinkError(res, error, 'Failed to revoke export');
+  }
+});
+
+/**
+ * Endpoint: Query Audit Log
+ * GET /api/audit?actor=<tokenId>&action=billing.export&profileId=<id>
+ *     &exportId=<id>&outcome=denied&since=<iso>&until=<iso>&limit=100
+ * 
+ * Returns matching entries, newest first, with the log head (last sequence
+ * number and hash) for anchoring `pba-csv audit verify --head`. Every
+ * filter is optional; limit defaults to 100 (at most 1000).
+ * 
+ * Scope: audit:read
+ */
+app.get('/api/audit', audit.record('audit.read'), auth.requireScopes(SCOPES.READ_AUDIT), async (req, res) => {
+  const filters = {};
+  const names = [...Object.keys(AUDIT_FILTERS), 'since', 'until', 'limit'];
+  const invalid = names.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: `${invalid} must be given once`
+    });
+  }
+
+  Object.keys(AUDIT_FILTERS).forEach(name => {
+    if (req.query[name] !== undefined) {
+      filters[name] = req.query[name];
+    }
+  });
+
+  for (const name of ['since', 'until']) {
+    if (req.query[name] !== undefined) {
+      filters[name] = new Date(req.query[name]);
+      if (Number.isNaN(filters[name].getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be an ISO 8601 date`
+        });
+      }
+    }
+  }
+
+  if (req.query.limit !== undefined) {
+    filters.limit = Number(req.query.limit);
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_QUERY_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be between 1 and ${MAX_QUERY_LIMIT}`
+      });
+    }
+  }
+
+  try {
+    const { entries, total } = await audit.log.query(filters);
+
+    res.json({
+      success: true,
+      entries,
+      total,
+      head: audit.log.readHead(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read audit log'
+    });
+  }
+});
+
+/**
+ * Helper function to pipe a raw request body through an encrypt or decrypt
+ * stream into the response. Failures before the first byte is sent become
+ * a 400; later ones abort the response. Settles req.attempts when the
+ * route is rate limited.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {stream.Transform} transform - Encrypt or decrypt stream
+ * @param {string} filename - Download file name
+ * @param {string} failure - Error message for the client
+ */
+function streamResponse(req, res, transform, filename, failure) {
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  transform.pipe(res);
+
+  // The response stays out of the pipeline so it survives a failure that
+  // happens before anything was written
+  pipeline(req, transform, error => {
+    if (req.attempts) {
+      req.attempts.settle(error || null);
+    }
+    if (!error) {
+      return;
+    }
+
+    console.error('Error streaming CSV:', error);
+    transform.unpipe(res);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Disposition');
+      res.status(400).json({
+        success: false,
+        error: failure
+      });
+    }
+  });
+}
+
+/**
+ * Helper function to load the named billing profile, or the default one
+ * @param {string|undefined} profileId - Profile ID from the request
+ * @returns {Promise<object>}
+ */
+function loadProfile(profileId) {
+  return profileId === undefined ? profileStore.getDefault() : profileStore.get(String(profileId));
+}
+
+/**
+ * Helper function to read the profiles of a multi-profile export
+ * @param {string[]|string} profileIds - Profile IDs (repeats are read once),
+ *   or "all" for every stored profile
+ * @returns {Promise<object[]>} - Profiles, in the order given (oldest first
+ *   for "all"); throws PROFILE_NOT_FOUND for an unknown ID or an empty store
+ */
+async function loadProfiles(profileIds) {
+  const ids = profileIds === 'all'
+    ? (await profileStore.list()).map(summary => summary.id)
+    : Array.from(new Set(profileIds));
+  if (ids.length === 0) {
+    throw encryption.createError('No billing profiles are stored', profiles.ERROR_CODES.PROFILE_NOT_FOUND);
+  }
+
+  const result = [];
+  for (const id of ids) {
+    result.push(await profileStore.get(id));
+  }
+  return result;
+}
+
+/**
+ * Helper function to prepare a profile for a response: card fields are
+ * dropped unless the request's token has billing:read-card, and the card
+ * number is always masked
+ * @param {object} req - Express request (after auth.requireScopes)
+ * @param {object} profile - Profile from the store
+ * @returns {object}
+ */
+function presentProfile(req, profile) {
+  if (auth.hasScope(req, SCOPES.READ_CARD)) {
+    return profiles.maskProfile(profile);
+  }
+  const visible = { ...profile };
+  profiles.CARD_FIELDS.forEach(field => {
+    delete visible[field];
+  });
+  return visible;
+}
+
+/**
+ * Helper function to list the validation issues of a stored profile, by
+ * field, for the fields the response shows
+ * @param {object} stored - Profile from the store (card number not masked)
+ * @param {object} profile - Profile as sent to the client
+ * @returns {object} - Issues by field name (see validation.validateBillingData)
+ */
+function profileWarnings(stored, profile) {
+  const { fields } = validation.validateBillingData(stored);
+  return Object.fromEntries(Object.entries(fields).filter(([field]) =>
+    !profiles.CARD_FIELDS.includes(field) || field in profile));
+}
+
+/**
+ * Helper function to note the profile a response shows in the audit log,
+ * with the data fields it includes
+ * @param {object} req - Express request (after audit.record)
+ * @param {object} profile - Profile as sent to the client
+ */
+function noteProfile(req, profile) {
+  req.audit.profileId = profile.id;
+  req.audit.fields = ['address', ...['card_last4', 'expiry_date'].filter(field => field in profile)];
+}
+
+/**
+ * Helper function to note the export a request handled in the audit log
+ * @param {object} req - Express request (after audit.record)
+ * @param {object|null} header - Authenticated export header (exportId, fields)
+ */
+function noteExport(req, header) {
+  if (header) {
+    req.audit.exportId = header.exportId;
+    req.audit.fields = header.fields;
+  }
+}
+
+/**
+ * Helper function to store an encrypted export and send its download link
+ * in place of the export
+ * @param {object} req - Express request (after auth.requireScopes)
+ * @param {object} res - Express response
+ * @param {object} entry - content, kind, exportId and fields (see ExportStore.create)
+ * @param {object} linkOptions - maxDownloads and expiresIn from the request
+ * @param {object} details - metadata and format to include in the response
+ */
+async function sendExportLink(req, res, entry, linkOptions, details) {
+  const { downloadId, link } = await exportLinks.create({
+    ...entry,
+    ...linkOptions,
+    createdBy: req.auth ? { id: req.auth.id, name: req.auth.name } : null
+  });
+
+  res.json({
+    success: true,
+    export: { ...link, downloadId, url: `/api/exports/${downloadId}` },
+    ...details,
+    timestamp: new Date().toISOString(),
+    instructions: `Share the download link; it works ${link.maxDownloads === 1 ? 'once' : `${link.maxDownloads} times`} until ${link.expiresAt}, and the export stays encrypted`
+  });
+}
+
+/**
+ * Helper function to send an export store error: 404 for an unknown export,
+ * 410 for one that is no longer available and 500 otherwise
+ * @param {object} res - Express response
+ * @param {Error} error - Export store error
+ * @param {string} failure - Error message for unexpected failures
+ */
+function sendExportLinkError(res, error, failure) {
+  if (error.code === exportStore.ERROR_CODES.EXPORT_NOT_FOUND) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+  if (error.code === exportStore.ERROR_CODES.EXPORT_GONE) {
+    return res.status(410).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`${failure}:`, error);
+  res.status(500).json({
+    success: false,
+    error: failure
+  });
+}
+
+/**
+ * Helper function to turn an import request into plain CSV: opens an
+ * encrypted payload (with the password, or the server master key) or the
+ * encrypted columns of a CSV
+ * @param {object} req - Express request (after audit.record)
+ * @param {object} body - csv or payload, password and delimiter from the request
+ * @returns {Promise<string>} - CSV data
+ */
+async function openImport(req, { csv, payload, password, delimiter }) {
+  const { createError, ERROR_CODES } = encryption;
+  const passwordRequired = () => createError('password is required to decrypt this import', ERROR_CODES.KEY_REQUIRED);
+
+  if (payload !== undefined) {
+    const { mode } = encryption.parsePayload(payload);
+    if (mode === 'recipients') {
+      throw createError(
+        'Payloads encrypted for recipients cannot be imported here; decrypt them with pba-csv decrypt --key first',
+        ERROR_CODES.KEY_REQUIRED
+      );
+    }
+    if (mode !== 'key' && !password) {
+      throw passwordRequired();
+    }
+
+    const { csvData, header } = mode === 'key'
+      ? await keyring.openCSVDataWithProvider(payload, keyProvider)
+      : await encryption.openCSVData(payload, password);
+    noteExport(req, header);
+    return csvData;
+  }
+
+  // Column encryption always writes comma-separated CSV
+  if (delimiter === undefined && columnEncryption.listEncryptedColumns(csv).length > 0) {
+    if (!password) {
+      throw passwordRequired();
+    }
+    return (await columnEncryption.decryptCSVColumns(csv, password)).csv;
+  }
+  return csv;
+}
+
+/**
+ * Helper function to answer a failed import: 400 for unusable input and
+ * 500 otherwise
+ * @param {object} res - Express response
+ * @param {Error} error - Import error
+ */
+function sendImportError(res, error) {
+  if (sendKdfUnavailable(res, error)) {
+    return;
+  }
+  const { INVALID_CSV, UNKNOWN_COLUMN, INVALID_PAYLOAD, UNSUPPORTED_VERSION, KEY_REQUIRED, UNKNOWN_KEY } = encryption.ERROR_CODES;
+  if ([INVALID_CSV, UNKNOWN_COLUMN, INVALID_PAYLOAD, UNSUPPORTED_VERSION, KEY_REQUIRED, UNKNOWN_KEY].includes(error.code)) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  console.error('Error importing billing profiles:', error);
+  res.status(500).json({
+    success: false,
+    error: 'Failed to import billing profiles'
+  });
+}
+
+/**
+ * Helper function to answer a failed profile store call: 404 for an
+ * unknown profile, 400 for invalid profile data and 500 otherwise
+ * @param {object} res - Express response
+ * @param {Error} error - Profile store error
+ * @param {string} failure - Error message for unexpected failures
+ */
+function sendProfileError(res, error, failure) {
+  if (error.code === profiles.ERROR_CODES.PROFILE_NOT_FOUND) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+  if (error.code === profiles.ERROR_CODES.INVALID_PROFILE) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`${failure}:`, error);
+  res.status(500).json({
+    success: false,
+    error: failure
+  });
+}
+
+/**
+ * Helper function to answer 501 when a request needs a KDF this server
+ * cannot run (Argon2id without libsodium-wrappers-sumo)
+ * @param {object} res - Express response
+ * @param {Error} error - Encryption or decryption error
+ * @returns {boolean} - Whether the error was answered
+ */
+function sendKdfUnavailable(res, error) {
+  if (error.code !== encryption.ERROR_CODES.KDF_UNAVAILABLE) {
+    return false;
+  }
+  res.status(501).json({
+    success: false,
+    error: error.message
+  });
+  return true;
+}
+
+/**
+ * Error handling middleware
+ */
+app.use((err, req, res, next) => {
+  console.error('Unhandled error:', err);
+  res.status(err.status || 500).json({
+    success: false,
+    error: process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message
+  });
+});
+
+/**
+ * Purge expired exports
+ */
+setInterval(() => {
+  exportLinks.purge().catch(error => {
+    console.error('Error purging exports:', error);
+  });
+}, EXPORT_PURGE_INTERVAL_MS).unref();
+
+/**
+ * Start server
+ */
+app.listen(PORT, () => {
+  console.log(`PBA CSV Backend running on http://localhost:${PORT}`);
+  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  if (!auth.enabled) {
+    console.warn('WARNING: authentication is disabled (PBA_CSV_AUTH=off); every request has all scopes');
+  }
   console.log('Available endpoints:');
   console.log('  GET  /api/health');
   console.log('  GET  /api/billing/address');
+  console.log('  GET  /api/billing/profiles[/:id]');
+  console.log('  POST /api/billing/profiles');
+  console.log('  PUT  /api/billing/profiles/:id');
+  console.log('  DEL  /api/billing/profiles/:id');
+  console.log('  POST /api/billing/profiles/:id/reveal');
+  console.log('  POST /api/billing/validate');
+  console.log('  POST /api/billing/import');
+  console.log('  GET  /api/keys/signing');
+  console.log('  GET  /api/password-policy');
   console.log('  POST /api/billing/export-encrypted-csv');
+  console.log('  POST /api/billing/client-exports');
   console.log('  POST /api/billing/decrypt-csv');
+  console.log('  POST /api/billing/decrypt-columns');
+  console.log('  POST /api/billing/rekey');
+  console.log('  POST /api/billing/rewrap');
+  console.log('  POST /api/billing/encrypt-stream');
+  console.log('  POST /api/billing/decrypt-stream');
+  console.log('  POST /api/billing/detokenize');
+  console.log('  GET  /api/exports[/:downloadId]');
+  console.log('  DEL  /api/exports/:id');
+  console.log('  GET  /api/audit');
 });
 
 module.exports = app;
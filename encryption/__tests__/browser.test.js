@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const encryption = require('../encryption');
+const browser = require('../browser');
+
+const CSV = 'card_number,city\r\n4111 1111 1111 1111,San Francisco';
+const PASSWORD = 'Correct-Horse-Battery-42';
+const KDF = { name: 'pbkdf2', iterations: 10000 };
+
+describe('browser encryption', () => {
+  test('Node.js decrypts browser payloads', async () => {
+    const { payload } = await browser.encryptCSVData(CSV, PASSWORD, { kdf: KDF });
+
+    const { csvData, header } = await encryption.openCSVData(payload, PASSWORD);
+    expect(csvData).toBe(CSV);
+    expect(header.fields).toEqual(['card_number', 'city']);
+  });
+
+  test('browser decrypts Node.js payloads', async () => {
+    const { payload, metadata } = await encryption.encryptCSVData(CSV, PASSWORD, { kdf: KDF });
+
+    const { csvData, header } = await browser.openCSVData(payload, PASSWORD);
+    expect(csvData).toBe(CSV);
+    expect(header).toEqual(metadata.header);
+  });
+
+  test('payloads are byte-identical for the same salt, IV and header', async () => {
+    const salt = crypto.randomBytes(encryption.ENCRYPTION_CONFIG.saltLength);
+    const iv = crypto.randomBytes(encryption.ENCRYPTION_CONFIG.ivLength);
+    const options = {
+      kdf: { ...KDF, digest: 'sha512' },
+      exportId: '5f0c1f6e-2b8a-4d8e-9a4b-1c2d3e4f5a6b',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      fields: ['card_number', 'city']
+    };
+
+    const node = await encryption.encryptCSVData(CSV, PASSWORD, { ...options, salt, iv });
+    const web = await browser.encryptCSVData(CSV, PASSWORD, {
+      ...options,
+      salt: new Uint8Array(salt),
+      iv: new Uint8Array(iv)
+    });
+
+    expect(web.payload).toBe(node.payload);
+  });
+
+  test('rejects a wrong password', async () => {
+    const { payload } = await encryption.encryptCSVData(CSV, PASSWORD, { kdf: KDF });
+
+    await expect(browser.openCSVData(payload, 'Wrong-Horse-Battery-42')).rejects.toMatchObject({
+      code: browser.ERROR_CODES.AUTH_FAILED
+    });
+  });
+
+  test('rejects a header changed after encryption', async () => {
+    const { payload } = await browser.encryptCSVData(CSV, PASSWORD, { kdf: KDF });
+    const data = JSON.parse(payload);
+    data.header.fields = ['city'];
+
+    await expect(encryption.openCSVData(JSON.stringify(data), PASSWORD)).rejects.toMatchObject({
+      code: encryption.ERROR_CODES.AUTH_FAILED
+    });
+  });
+
+  test('applies the server password policy', () => {
+    const saved = browser.setPasswordPolicy();
+    try {
+      expect(browser.setPasswordPolicy({ minLength: 30, minScore: 0 })).toEqual({ minLength: 30, minScore: 0 });
+      expect(browser.validatePassword(PASSWORD)).not.toBeNull();
+    } finally {
+      browser.setPasswordPolicy(saved);
+    }
+    expect(browser.validatePassword(PASSWORD)).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+const columns = require('../columns');
+const encryption = require('../encryption');
+
+const { ERROR_CODES } = encryption;
+
+const PASSWORD = 'Correct-Horse-Battery-42';
+const PBKDF2 = { name: 'pbkdf2', digest: 'sha256', iterations: 10000 };
+const CSV = [
+  'city,card_number,expiry_date',
+  'Austin,4111 1111 1111 1111,12/27',
+  '"Austin, TX",5500 0000 0000 0004,01/28'
+].join('\n');
+
+/**
+ * Splits CSV text without quoted fields into rows of cells
+ * @param {string} csv - CSV text
+ * @returns {string[][]}
+ */
+function cells(csv) {
+  return csv.split('\n').map(line => line.split(','));
+}
+
+describe('column encryption', () => {
+  test('encrypts the sensitive columns and decrypts them again', async () => {
+    const { csv, metadata } = await columns.encryptCSVColumns(CSV, PASSWORD, { kdf: PBKDF2 });
+
+    expect(metadata.columns).toEqual(['card_number', 'expiry_date']);
+    expect(csv.split('\n')[1]).toMatch(/^Austin,pba1\$pbkdf2\.sha256\.10000\$/);
+    expect(columns.listEncryptedColumns(csv)).toEqual(['card_number', 'expiry_date']);
+    expect((await columns.decryptCSVColumns(csv, PASSWORD)).csv).toBe(CSV);
+  });
+
+  test('reveals only the requested columns', async () => {
+    const { csv } = await columns.encryptCSVColumns(CSV, PASSWORD, { kdf: PBKDF2 });
+    const result = await columns.decryptCSVColumns(csv, PASSWORD, { columns: ['expiry_date'] });
+
+    expect(result.columns).toEqual(['expiry_date']);
+    const [, first] = result.csv.split('\n');
+    expect(first).toMatch(/^Austin,pba1\$.*,12\/27$/);
+  });
+
+  test('rejects a wrong password and cells moved to another column', async () => {
+    const { csv } = await columns.encryptCSVColumns(CSV, PASSWORD, { kdf: PBKDF2 });
+    await expect(columns.decryptCSVColumns(csv, 'Wrong-Horse-Battery-42')).rejects.toMatchObject({
+      code: ERROR_CODES.AUTH_FAILED
+    });
+
+    const rows = cells(csv.split('\n').slice(0, 2).join('\n'));
+    [rows[1][1], rows[1][2]] = [rows[1][2], rows[1][1]];
+    await expect(columns.decryptCSVColumns(rows.map(row => row.join(',')).join('\n'), PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.AUTH_FAILED
+    });
+  });
+
+  test('rejects reordered and removed rows', async () => {
+    const { csv } = await columns.encryptCSVColumns(CSV, PASSWORD, { kdf: PBKDF2 });
+    const [header, first, second] = csv.split('\n');
+
+    await expect(columns.decryptCSVColumns([header, second, first].join('\n'), PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.AUTH_FAILED
+    });
+    await expect(columns.decryptCSVColumns([header, second].join('\n'), PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.AUTH_FAILED
+    });
+    expect((await columns.decryptCSVColumns([header, first].join('\n'), PASSWORD)).csv).toBe(CSV.split('\n').slice(0, 2).join('\n'));
+  });
+
+  test('reports unknown columns by name', async () => {
+    await expect(columns.encryptCSVColumns(CSV, PASSWORD, { columns: ['cvv'], kdf: PBKDF2 })).rejects.toMatchObject({
+      code: ERROR_CODES.UNKNOWN_COLUMN,
+      message: 'Column "cvv" is not in the CSV header'
+    });
+  });
+
+  test('rejects cells with different salts before deriving a key', async () => {
+    const { csv } = await columns.encryptCSVColumns(CSV, PASSWORD, { kdf: PBKDF2 });
+    const other = await columns.encryptCSVColumns(CSV, PASSWORD, { kdf: PBKDF2 });
+    const rows = cells(csv.split('\n').slice(0, 2).join('\n'));
+    rows[1][2] = cells(other.csv)[1][2];
+    const derive = jest.spyOn(encryption, 'deriveKeyFromPassword');
+
+    await expect(columns.decryptCSVColumns(rows.map(row => row.join(',')).join('\n'), PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_PAYLOAD,
+      message: expect.stringMatching(/same KDF parameters and salt/)
+    });
+    expect(derive).not.toHaveBeenCalled();
+    derive.mockRestore();
+  });
+
+  test('rejects cells with KDF parameters outside the limits', async () => {
+    const { csv } = await columns.encryptCSVColumns(CSV, PASSWORD, { kdf: PBKDF2 });
+    const weakened = csv.replace(/pbkdf2\.sha256\.10000/g, 'pbkdf2.sha256.10');
+
+    await expect(columns.decryptCSVColumns(weakened, PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_PAYLOAD
+    });
+  });
+});
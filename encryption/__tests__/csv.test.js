@@ -0,0 +1,89 @@
+const csv = require('../csv');
+
+const { ERROR_CODES } = csv;
+
+const PROFILE = {
+  card_number: '4111 1111 1111 1111',
+  expiry_date: '12/27',
+  address: {
+    address_line_1: '1 Elm Street, Unit "B"',
+    city: 'Austin',
+    postal_code: '73301'
+  }
+};
+
+describe('parseCSV', () => {
+  test('reads quoted fields, escaped quotes and line breaks', () => {
+    expect(csv.parseCSV('a,"b,c"\r\n"x""y","line\nbreak"\n')).toEqual([
+      ['a', 'b,c'],
+      ['x"y', 'line\nbreak']
+    ]);
+    expect(csv.parseCSV('a;b', { delimiter: ';' })).toEqual([['a', 'b']]);
+  });
+
+  test('rejects malformed quoting', () => {
+    expect(() => csv.parseCSV('a,"b')).toThrow(expect.objectContaining({
+      code: ERROR_CODES.INVALID_CSV,
+      message: expect.stringMatching(/Unterminated/)
+    }));
+    expect(() => csv.parseCSV('a,"b"x')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_CSV }));
+  });
+
+  test('reads back what formatCSV writes', () => {
+    const rows = [['name', 'note'], ['O"Brien', 'a,b\r\nc'], ['', ' padded ']];
+    expect(csv.parseCSV(csv.formatCSV(rows))).toEqual(rows);
+  });
+});
+
+describe('formula neutralization', () => {
+  test('prefixes formulas and restores them', () => {
+    ['=1+1', '@SUM(A1)', '+cmd|x', '-2+3', '\tx', "'=SUM(A1)", "''@x"].forEach(value => {
+      expect(csv.neutralizeFormula(value)).toBe(`'${value}`);
+      expect(csv.restoreFormula(csv.neutralizeFormula(value))).toBe(value);
+    });
+  });
+
+  test('leaves plain and signed numbers alone', () => {
+    ['94105', '-5', '+1.5', '-', 'Austin', "'Austin", "'-5"].forEach(value => {
+      expect(csv.neutralizeFormula(value)).toBe(value);
+      expect(csv.restoreFormula(value)).toBe(value);
+    });
+  });
+});
+
+describe('buildCSVData', () => {
+  test('writes the selected fields of one profile', () => {
+    expect(csv.buildCSVData(PROFILE, ['card_number', 'address_line_1'])).toBe(
+      'card_number,address_line_1\r\n4111 1111 1111 1111,"1 Elm Street, Unit ""B"""'
+    );
+  });
+
+  test('writes one row per profile with its own tokens', () => {
+    const second = { ...PROFILE, address: { ...PROFILE.address, city: '=HYPERLINK("x")' } };
+    const data = csv.buildCSVData([PROFILE, second], ['card_number', 'city'], {
+      tokens: [{ card_number: 'tok_1' }, { card_number: 'tok_2' }]
+    });
+
+    expect(csv.parseCSV(data)).toEqual([
+      [csv.TOKEN_COLUMNS.card_number, 'city'],
+      ['tok_1', 'Austin'],
+      ['tok_2', '\'=HYPERLINK("x")']
+    ]);
+  });
+
+  test('never exports the CVV', () => {
+    expect(csv.buildCSVData({ ...PROFILE, cvv: '123' }, ['city', 'cvv'])).toBe('city,cvv\r\nAustin,***');
+  });
+
+  test('writes other formats', () => {
+    expect(JSON.parse(csv.buildCSVData(PROFILE, ['city', 'postal_code'], { format: 'json' }))).toEqual([
+      { city: 'Austin', postal_code: '73301' }
+    ]);
+    expect(csv.buildCSVData(PROFILE, ['city', 'postal_code'], { format: 'tsv' })).toBe('city\tpostal_code\r\nAustin\t73301');
+  });
+
+  test('rejects unknown options', () => {
+    expect(csv.checkOptions({ format: 'xlsx' })).not.toBeNull();
+    expect(csv.checkOptions({})).toBeNull();
+  });
+});
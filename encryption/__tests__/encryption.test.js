@@ -0,0 +1,179 @@
+const encryption = require('../encryption');
+
+const { ERROR_CODES } = encryption;
+
+const CSV = 'city,postal_code\r\nSan Francisco,94105';
+const PASSWORD = 'Correct-Horse-Battery-42';
+const PBKDF2 = { name: 'pbkdf2', digest: 'sha256', iterations: 100000 };
+
+/**
+ * Payload in an older password format
+ * @param {number|undefined} version - 2, or undefined for version 1
+ * @returns {Promise<string>}
+ */
+async function legacyPayload(version) {
+  const { encrypted, iv, tag, salt } = await encryption.encryptWithPassword(CSV, PASSWORD);
+  const components = {
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    ciphertext: encrypted.toString('base64')
+  };
+  return JSON.stringify(version === 2
+    ? { version: 2, algorithm: 'aes-256-gcm', kdf: PBKDF2, ...components }
+    : { ...components, iterations: PBKDF2.iterations });
+}
+
+describe('payload versions', () => {
+  test('reads version 1 payloads', async () => {
+    const payload = await legacyPayload();
+
+    expect(encryption.inspectPayload(payload)).toMatchObject({ valid: true, legacy: true });
+    expect(await encryption.decryptCSVData(payload, PASSWORD)).toBe(CSV);
+  });
+
+  test('reads version 2 payloads', async () => {
+    const payload = await legacyPayload(2);
+
+    const { csvData, header } = await encryption.openCSVData(payload, PASSWORD);
+    expect(csvData).toBe(CSV);
+    expect(header).toBeNull();
+  });
+
+  test('writes the current version with an authenticated header', async () => {
+    const { payload, metadata } = await encryption.encryptCSVData(CSV, PASSWORD, { kdf: PBKDF2 });
+    const data = JSON.parse(payload);
+
+    expect(data.version).toBe(encryption.CURRENT_PAYLOAD_VERSION);
+    expect(data.kdf).toEqual(PBKDF2);
+    expect(data.header).toEqual({
+      exportId: metadata.header.exportId,
+      createdAt: metadata.header.createdAt,
+      fields: ['city', 'postal_code']
+    });
+    expect(await encryption.verifyCSVData(payload, PASSWORD)).toBe(true);
+  });
+
+  test('detects an edited header', async () => {
+    const { payload } = await encryption.encryptCSVData(CSV, PASSWORD, { kdf: PBKDF2 });
+    const data = JSON.parse(payload);
+    data.header.fields = ['city'];
+
+    await expect(encryption.decryptCSVData(JSON.stringify(data), PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.AUTH_FAILED
+    });
+  });
+
+  test('rejects an unknown version', async () => {
+    const data = JSON.parse(await legacyPayload(2));
+    data.version = 99;
+
+    await expect(encryption.decryptCSVData(JSON.stringify(data), PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.UNSUPPORTED_VERSION
+    });
+  });
+
+  test('rejects a payload that is not JSON', async () => {
+    await expect(encryption.decryptCSVData('not json', PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_PAYLOAD
+    });
+  });
+
+  test('rejects a wrong password without stacking messages', async () => {
+    const { payload } = await encryption.encryptCSVData(CSV, PASSWORD);
+
+    const error = await encryption.decryptCSVData(payload, 'Wrong-Horse-Battery-42').catch(caught => caught);
+    expect(error.code).toBe(ERROR_CODES.AUTH_FAILED);
+    expect(error.message).toBe('Authentication failed - wrong password or tampered data');
+  });
+});
+
+describe('key derivation', () => {
+  test.each([
+    ['scrypt', { name: 'scrypt', cost: 16384, blockSize: 8, parallelization: 1 }],
+    ['argon2id', { name: 'argon2id', opsLimit: 1, memLimit: 8 * 1024 * 1024 }]
+  ])('round-trips payloads derived with %s', async (name, kdf) => {
+    const { payload } = await encryption.encryptCSVData(CSV, PASSWORD, { kdf });
+
+    expect(JSON.parse(payload).kdf).toMatchObject(kdf);
+    expect(await encryption.decryptCSVData(payload, PASSWORD)).toBe(CSV);
+  });
+
+  test('rejects parameters outside the limits', () => {
+    expect(encryption.checkKdfParams(PBKDF2)).toBeNull();
+    expect(encryption.checkKdfParams({ ...PBKDF2, iterations: 1000 })).toMatch(/iterations/);
+    expect(encryption.checkKdfParams({ ...PBKDF2, digest: 'md5' })).toMatch(/digest/);
+    expect(encryption.checkKdfParams({ name: 'scrypt', cost: 20000, blockSize: 8, parallelization: 1 })).toMatch(/power of two/);
+    expect(encryption.checkKdfParams({ name: 'bcrypt' })).not.toBeNull();
+  });
+
+  test('refuses to decrypt with parameters outside the limits', async () => {
+    const data = JSON.parse(await legacyPayload(2));
+    data.kdf = { ...PBKDF2, iterations: 100000000 };
+
+    await expect(encryption.decryptCSVData(JSON.stringify(data), PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_PAYLOAD
+    });
+  });
+
+  test('reports Argon2id as unavailable without libsodium', async () => {
+    let isolated;
+    jest.isolateModules(() => {
+      jest.doMock('libsodium-wrappers-sumo', () => {
+        throw new Error('Cannot find module');
+      });
+      isolated = require('../encryption');
+    });
+
+    await expect(isolated.encryptCSVData(CSV, PASSWORD, { kdf: { name: 'argon2id', opsLimit: 1, memLimit: 8 * 1024 * 1024 } }))
+      .rejects.toMatchObject({ code: ERROR_CODES.KDF_UNAVAILABLE });
+    jest.dontMock('libsodium-wrappers-sumo');
+  });
+
+  test('runs concurrent derivations through a limited number of slots', async () => {
+    const salt = Buffer.alloc(32, 1);
+    const derivations = Array.from({ length: encryption.ENCRYPTION_CONFIG.kdfConcurrency + 2 }, () =>
+      encryption.deriveKeyFromPassword(PASSWORD, salt, { ...PBKDF2, iterations: 10000 }));
+
+    const keys = await Promise.all(derivations);
+    expect(new Set(keys.map(({ key }) => key.toString('hex'))).size).toBe(1);
+  });
+});
+
+describe('rekeyCSVData', () => {
+  test('keeps the header under the new password', async () => {
+    const original = await encryption.encryptCSVData(CSV, PASSWORD, { kdf: PBKDF2 });
+    const rekeyed = await encryption.rekeyCSVData(original.payload, PASSWORD, 'Another-Horse-Battery-7', { kdf: PBKDF2 });
+
+    expect(rekeyed.metadata.header.exportId).toBe(original.metadata.header.exportId);
+    expect(await encryption.decryptCSVData(rekeyed.payload, 'Another-Horse-Battery-7')).toBe(CSV);
+    await expect(encryption.decryptCSVData(rekeyed.payload, PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.AUTH_FAILED
+    });
+  });
+});
+
+describe('password policy', () => {
+  test('accepts a strong password', () => {
+    expect(encryption.validatePassword(PASSWORD)).toBeNull();
+  });
+
+  test('rejects short, common and overlong passwords', () => {
+    expect(encryption.validatePassword('Ab1!')).not.toBeNull();
+    expect(encryption.validatePassword('password123')).not.toBeNull();
+    expect(encryption.validatePassword(`${PASSWORD}x`.repeat(50))).toMatch(/1024/);
+  });
+});
+
+describe('wrapError', () => {
+  test('passes coded errors through unchanged', () => {
+    const error = encryption.createError('Authentication failed', ERROR_CODES.AUTH_FAILED);
+    expect(encryption.wrapError('Decryption failed', error)).toBe(error);
+  });
+
+  test('prefixes an uncoded error once', () => {
+    const wrapped = encryption.wrapError('Decryption failed', new Error('boom'));
+    expect(wrapped.message).toBe('Decryption failed: boom');
+    expect(encryption.wrapError('CSV decryption failed', wrapped)).toBe(wrapped);
+  });
+});
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const encryption = require('../encryption');
+const keyring = require('../keyring');
+
+const { ERROR_CODES } = encryption;
+
+const CSV = 'city,postal_code\r\nSan Francisco,94105';
+const PASSPHRASE = 'Keyring-Passphrase-Horse-42';
+const KDF = { name: 'pbkdf2', iterations: 10000 };
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pba-keyring-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('EnvKeyProvider', () => {
+  test('encrypts under the active key and decrypts with a retired one', async () => {
+    const first = keyring.generateMasterKey();
+    const second = keyring.generateMasterKey();
+
+    const before = new keyring.EnvKeyProvider({ [keyring.KEY_PROVIDER_ENV.masterKey]: first.key });
+    const { payload, metadata } = await keyring.encryptCSVDataWithProvider(CSV, before);
+    expect(metadata.keyId).toBe(first.keyId);
+
+    const after = new keyring.EnvKeyProvider({
+      [keyring.KEY_PROVIDER_ENV.masterKey]: second.key,
+      [keyring.KEY_PROVIDER_ENV.retiredKeys]: first.key
+    });
+    expect((await keyring.openCSVDataWithProvider(payload, after)).csvData).toBe(CSV);
+
+    const rewrapped = await keyring.rewrapCSVData(payload, after);
+    expect(rewrapped.rewrapped).toBe(true);
+    expect(rewrapped.metadata.keyId).toBe(second.keyId);
+    expect((await keyring.openCSVDataWithProvider(rewrapped.payload, after)).csvData).toBe(CSV);
+  });
+
+  test('rejects a payload whose key is not configured', async () => {
+    const provider = new keyring.EnvKeyProvider({ [keyring.KEY_PROVIDER_ENV.masterKey]: keyring.generateMasterKey().key });
+    const other = new keyring.EnvKeyProvider({ [keyring.KEY_PROVIDER_ENV.masterKey]: keyring.generateMasterKey().key });
+    const { payload } = await keyring.encryptCSVDataWithProvider(CSV, provider);
+
+    await expect(keyring.openCSVDataWithProvider(payload, other)).rejects.toMatchObject({ code: ERROR_CODES.UNKNOWN_KEY });
+  });
+
+  test('needs a master key', async () => {
+    await expect(new keyring.EnvKeyProvider({}).getActiveKey()).rejects.toMatchObject({ code: ERROR_CODES.KEY_REQUIRED });
+  });
+});
+
+describe('LocalKeyringProvider', () => {
+  test('keeps old keys across rotation and re-wraps payloads', async () => {
+    const filePath = path.join(dir, 'keyring.json');
+    const provider = await keyring.LocalKeyringProvider.create(filePath, PASSPHRASE, { kdf: KDF });
+    const { payload } = await keyring.encryptCSVDataWithProvider(CSV, provider);
+
+    const { keyId, retiredKeyId } = await provider.rotate();
+    const reopened = new keyring.LocalKeyringProvider(filePath, PASSPHRASE);
+    expect((await reopened.listKeys()).map(entry => entry.keyId)).toEqual([retiredKeyId, keyId]);
+    expect((await keyring.openCSVDataWithProvider(payload, reopened)).csvData).toBe(CSV);
+
+    const rewrapped = await keyring.rewrapCSVData(payload, reopened);
+    expect(rewrapped.metadata).toMatchObject({ keyId, previousKeyId: retiredKeyId });
+    expect((await keyring.rewrapCSVData(rewrapped.payload, reopened)).rewrapped).toBe(false);
+  });
+
+  test('rejects a wrong passphrase', async () => {
+    const filePath = path.join(dir, 'keyring.json');
+    await keyring.LocalKeyringProvider.create(filePath, PASSPHRASE, { kdf: KDF });
+
+    const provider = new keyring.LocalKeyringProvider(filePath, 'Wrong-Passphrase-Horse-42');
+    await expect(provider.getActiveKey()).rejects.toMatchObject({ code: ERROR_CODES.AUTH_FAILED });
+  });
+
+  test('refuses to overwrite a keyring', async () => {
+    const filePath = path.join(dir, 'keyring.json');
+    await keyring.LocalKeyringProvider.create(filePath, PASSPHRASE, { kdf: KDF });
+
+    await expect(keyring.LocalKeyringProvider.create(filePath, PASSPHRASE, { kdf: KDF })).rejects.toThrow(/already exists/);
+  });
+});
@@ -0,0 +1,29 @@
+const passwordPolicy = require('../password-policy');
+
+describe('checkPassword', () => {
+  test('accepts a long mixed password', () => {
+    expect(passwordPolicy.checkPassword('Correct-Horse-Battery-42')).toMatchObject({ acceptable: true, reason: null });
+  });
+
+  test('recognises common passwords through leetspeak and suffixes', () => {
+    expect(passwordPolicy.isCommonPassword('p@ssw0rd')).toBe(true);
+    expect(passwordPolicy.isCommonPassword('Password1!')).toBe(true);
+    expect(passwordPolicy.checkPassword('P@ssw0rd2024!').acceptable).toBe(false);
+  });
+
+  test('scores repeats, sequences and keyboard runs low', () => {
+    for (const password of ['aaaaaaaaaaaa', 'abcdefghijkl', 'qwertyuiop12']) {
+      expect(passwordPolicy.checkPassword(password).score).toBeLessThan(passwordPolicy.DEFAULT_POLICY.minScore);
+    }
+  });
+
+  test('applies the minimum length and score', () => {
+    expect(passwordPolicy.validatePassword('Xk9#', { minScore: 0 })).toBe('Password must be at least 8 characters');
+    expect(passwordPolicy.validatePassword('Horse-Battery', { minScore: 4 })).toMatch(/too weak/);
+  });
+
+  test('rejects overlong passwords before scoring them', () => {
+    const result = passwordPolicy.checkPassword('x'.repeat(passwordPolicy.MAX_PASSWORD_LENGTH + 1));
+    expect(result).toMatchObject({ score: 0, acceptable: false, reason: 'Password must be at most 1024 characters' });
+  });
+});
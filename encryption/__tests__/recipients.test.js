@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const encryption = require('../encryption');
+const recipients = require('../recipients');
+
+const { ERROR_CODES } = encryption;
+
+const CSV = 'city,postal_code\r\nSan Francisco,94105';
+
+describe('recipient encryption', () => {
+  test('decrypts with the private key of any recipient', async () => {
+    const alice = recipients.generateKeyPair();
+    const bob = recipients.generateKeyPair();
+    const { payload, metadata } = await recipients.encryptCSVDataForRecipients(CSV, [alice.publicKey, bob.publicKey]);
+
+    expect(metadata.recipients).toEqual([alice.keyId, bob.keyId]);
+    expect(encryption.inspectPayload(payload)).toMatchObject({ valid: true, mode: 'recipients' });
+    expect(await recipients.decryptCSVDataWithKey(payload, alice.privateKey)).toBe(CSV);
+    expect(await recipients.decryptCSVDataWithKey(payload, bob.privateKey)).toBe(CSV);
+  });
+
+  test('refuses a key that is not a recipient', async () => {
+    const alice = recipients.generateKeyPair();
+    const { payload } = await recipients.encryptCSVDataForRecipients(CSV, [alice.publicKey]);
+
+    await expect(recipients.decryptCSVDataWithKey(payload, recipients.generateKeyPair().privateKey))
+      .rejects.toMatchObject({ code: ERROR_CODES.NOT_A_RECIPIENT });
+  });
+
+  test('detects a tampered wrapped key', async () => {
+    const alice = recipients.generateKeyPair();
+    const { payload } = await recipients.encryptCSVDataForRecipients(CSV, [alice.publicKey]);
+    const data = JSON.parse(payload);
+    const wrapped = Buffer.from(data.recipients[0].wrappedKey, 'base64');
+    wrapped[0] ^= 1;
+    data.recipients[0].wrappedKey = wrapped.toString('base64');
+
+    await expect(recipients.decryptCSVDataWithKey(JSON.stringify(data), alice.privateKey))
+      .rejects.toMatchObject({ code: ERROR_CODES.AUTH_FAILED });
+  });
+
+  test('tells password and recipient payloads apart', async () => {
+    const password = await encryption.encryptCSVData(CSV, 'Correct-Horse-Battery-42');
+    const forRecipients = await recipients.encryptCSVDataForRecipients(CSV, [recipients.generateKeyPair().publicKey]);
+
+    await expect(recipients.decryptCSVDataWithKey(password.payload, recipients.generateKeyPair().privateKey))
+      .rejects.toMatchObject({ code: ERROR_CODES.KEY_REQUIRED });
+    await expect(encryption.decryptCSVData(forRecipients.payload, 'Correct-Horse-Battery-42'))
+      .rejects.toMatchObject({ code: ERROR_CODES.KEY_REQUIRED });
+  });
+
+  test('rejects invalid keys and recipient lists', async () => {
+    const { publicKey } = crypto.generateKeyPairSync('ed25519');
+
+    expect(() => recipients.loadPublicKey('AAAA')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_KEY }));
+    expect(() => recipients.loadPublicKey(publicKey)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_KEY }));
+    await expect(recipients.encryptCSVDataForRecipients(CSV, [])).rejects.toMatchObject({ code: ERROR_CODES.INVALID_KEY });
+
+    const many = Array.from({ length: recipients.MAX_RECIPIENTS + 1 }, () => recipients.generateKeyPair().publicKey);
+    await expect(recipients.encryptCSVDataForRecipients(CSV, many)).rejects.toMatchObject({ code: ERROR_CODES.INVALID_KEY });
+  });
+});
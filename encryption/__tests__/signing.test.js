@@ -0,0 +1,52 @@
+const encryption = require('../encryption');
+const signing = require('../signing');
+
+const { ERROR_CODES } = encryption;
+
+const PASSWORD = 'Correct-Horse-Battery-42';
+const KDF = { name: 'pbkdf2', iterations: 10000 };
+
+let payload;
+
+beforeAll(async () => {
+  ({ payload } = await encryption.encryptCSVData('city\r\nSan Francisco', PASSWORD, { kdf: KDF }));
+});
+
+describe('payload signatures', () => {
+  test('verifies a payload signed by a trusted key', async () => {
+    const { publicKey, privateKey, keyId } = signing.generateSigningKeyPair();
+    const signed = signing.signPayload(payload, privateKey);
+
+    expect(signing.describeSignature(signed)).toEqual({ algorithm: 'ed25519', keyId });
+    expect(signing.verifyPayloadSignature(signed, [publicKey])).toEqual({ algorithm: 'ed25519', keyId });
+    expect(await encryption.decryptCSVData(signed, PASSWORD)).toBe('city\r\nSan Francisco');
+  });
+
+  test('rejects an unsigned payload', () => {
+    const { publicKey } = signing.generateSigningKeyPair();
+
+    expect(signing.describeSignature(payload)).toBeNull();
+    expect(() => signing.verifyPayloadSignature(payload, publicKey)).toThrow(expect.objectContaining({
+      code: ERROR_CODES.BAD_SIGNATURE
+    }));
+  });
+
+  test('rejects a signer that is not trusted', () => {
+    const signer = signing.generateSigningKeyPair();
+    const other = signing.generateSigningKeyPair();
+    const signed = signing.signPayload(payload, signer.privateKey);
+
+    expect(() => signing.verifyPayloadSignature(signed, other.publicKey)).toThrow(/not a trusted signer/);
+  });
+
+  test('rejects a payload changed after signing', () => {
+    const { publicKey, privateKey } = signing.generateSigningKeyPair();
+    const data = JSON.parse(signing.signPayload(payload, privateKey));
+    data.header.fields = ['postal_code'];
+
+    expect(() => signing.verifyPayloadSignature(data, publicKey)).toThrow(expect.objectContaining({
+      code: ERROR_CODES.BAD_SIGNATURE,
+      message: expect.stringMatching(/does not match/)
+    }));
+  });
+});
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { PassThrough, Readable } = require('stream');
+const encryption = require('../encryption');
+const stream = require('../stream');
+
+const PASSWORD = 'Correct-Horse-Battery-42';
+const KDF = { name: 'pbkdf2', iterations: 10000 };
+
+/**
+ * Runs bytes through a transform
+ * @param {Buffer} input - Source bytes
+ * @param {stream.Transform} transform - Encrypt or decrypt stream
+ * @returns {Promise<{output: Buffer, header: object}>}
+ */
+async function transformBytes(input, transform) {
+  const chunks = [];
+  const sink = new PassThrough();
+  sink.on('data', chunk => chunks.push(chunk));
+  const header = await stream.pipeThrough(Readable.from([input]), transform, sink);
+  return { output: Buffer.concat(chunks), header };
+}
+
+/**
+ * CSV spanning several chunks of the smallest size
+ * @returns {Buffer}
+ */
+function largeCSV() {
+  const rows = ['card_number,city'];
+  for (let i = 0; i < 200; i++) {
+    rows.push(`4111 1111 1111 1111,${crypto.randomBytes(8).toString('hex')}`);
+  }
+  return Buffer.from(rows.join('\r\n'));
+}
+
+describe('stream format', () => {
+  const chunkSize = stream.STREAM_CONFIG.minChunkSize;
+
+  test('round-trips data over several chunks', async () => {
+    const csv = largeCSV();
+    const encrypted = await transformBytes(csv, stream.createEncryptStream(PASSWORD, { kdf: KDF, chunkSize }));
+
+    expect(encrypted.output.length).toBeGreaterThan(csv.length);
+    const firstLine = encrypted.output.toString('utf-8').split('\n')[0];
+    expect(stream.isStreamHeader(firstLine)).toBe(true);
+
+    const decrypted = await transformBytes(encrypted.output, stream.createDecryptStream(PASSWORD));
+    expect(decrypted.output.equals(csv)).toBe(true);
+    expect(decrypted.header.fields).toEqual(['card_number', 'city']);
+  });
+
+  /**
+   * Encrypted stream cut after its first chunk, plus some bytes
+   * @param {number} extra - Bytes of the next chunk to keep
+   * @returns {Promise<Buffer>}
+   */
+  async function truncatedStream(extra) {
+    const { output } = await transformBytes(largeCSV(), stream.createEncryptStream(PASSWORD, { kdf: KDF, chunkSize }));
+    const headerLength = output.indexOf('\n') + 1;
+    const sealedSize = chunkSize + encryption.ENCRYPTION_CONFIG.tagLength;
+    return output.subarray(0, headerLength + sealedSize + extra);
+  }
+
+  test('rejects a stream cut between chunks', async () => {
+    await expect(transformBytes(await truncatedStream(0), stream.createDecryptStream(PASSWORD))).rejects.toMatchObject({
+      code: encryption.ERROR_CODES.AUTH_FAILED
+    });
+  });
+
+  test('rejects a stream cut inside a chunk tag', async () => {
+    await expect(transformBytes(await truncatedStream(5), stream.createDecryptStream(PASSWORD))).rejects.toMatchObject({
+      code: encryption.ERROR_CODES.INVALID_PAYLOAD,
+      message: 'Stream is truncated'
+    });
+  });
+
+  test('rejects a wrong password', async () => {
+    const { output } = await transformBytes(largeCSV(), stream.createEncryptStream(PASSWORD, { kdf: KDF, chunkSize }));
+
+    await expect(transformBytes(output, stream.createDecryptStream('Wrong-Horse-Battery-42'))).rejects.toMatchObject({
+      code: encryption.ERROR_CODES.AUTH_FAILED
+    });
+  });
+});
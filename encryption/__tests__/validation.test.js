@@ -0,0 +1,84 @@
+const validation = require('../validation');
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+const PROFILE = {
+  card_number: '4111 1111 1111 1111',
+  expiry_date: '12/27',
+  address: {
+    address_line_1: '1 Elm Street',
+    city: 'Austin',
+    state_province: 'TX',
+    country: 'United States',
+    postal_code: '73301'
+  }
+};
+
+/**
+ * Issue codes by field
+ * @param {object} fields - validateBillingData fields
+ * @returns {object}
+ */
+function codes(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([field, issues]) => [field, issues.map(entry => entry.code)]));
+}
+
+describe('validateBillingData', () => {
+  test('accepts a complete profile', () => {
+    expect(validation.validateBillingData(PROFILE, { now: NOW })).toEqual({ valid: true, fields: {} });
+  });
+
+  test('reports every field with an error', () => {
+    const result = validation.validateBillingData({
+      card_number: '4111 1111 1111 1112',
+      expiry_date: '01/24',
+      address: { ...PROFILE.address, city: '', state_province: 'ZZ', postal_code: 'ABCDE' }
+    }, { now: NOW });
+
+    expect(result.valid).toBe(false);
+    expect(codes(result.fields)).toEqual({
+      card_number: ['checksum'],
+      expiry_date: ['expired'],
+      city: ['required'],
+      postal_code: ['format'],
+      state_province: ['unknown']
+    });
+  });
+
+  test('keeps warnings from making a profile invalid', () => {
+    const result = validation.validateBillingData({ ...PROFILE, expiry_date: '06/25' }, { now: NOW });
+
+    expect(result.valid).toBe(true);
+    expect(result.fields.expiry_date[0]).toMatchObject({ severity: validation.SEVERITY.WARNING, code: 'expiring' });
+  });
+});
+
+describe('field checks', () => {
+  test('checks card numbers', () => {
+    expect(validation.luhnValid('4111111111111111')).toBe(true);
+    expect(validation.cardBrand('4111-1111-1111-1111')).toBe('visa');
+    expect(validation.validateCardNumber('4111 1111 1111 1111')).toEqual([]);
+    expect(validation.validateCardNumber('**** **** **** 1111')).toEqual([]);
+    expect(validation.validateCardNumber('4111 1111')[0].code).toBe('length');
+    expect(validation.validateCardNumber('4111x1111')[0].code).toBe('format');
+  });
+
+  test('names the card brand', () => {
+    expect(validation.cardBrand('5555 5555 5555 4444')).toBe('mastercard');
+    expect(validation.cardBrand('3782 822463 10005')).toBe('amex');
+    expect(validation.cardBrand('9999')).toBe('unknown');
+  });
+
+  test('checks expiry dates', () => {
+    expect(validation.validateExpiryDate('12/2027', NOW)).toEqual([]);
+    expect(validation.validateExpiryDate('13/27', NOW)[0].code).toBe('format');
+    expect(validation.validateExpiryDate('12/45', NOW)[0].code).toBe('far-future');
+  });
+
+  test('checks postal codes of known countries only', () => {
+    expect(validation.countryCode('usa')).toBe('US');
+    expect(validation.validatePostalCode('94105-1234', 'US')).toEqual([]);
+    expect(validation.validatePostalCode('941', 'US')[0].code).toBe('format');
+    expect(validation.validatePostalCode('anything', 'Atlantis')).toEqual([]);
+  });
+});
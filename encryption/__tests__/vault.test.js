@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keyring = require('../keyring');
+const vault = require('../vault');
+
+const { ERROR_CODES } = vault;
+
+const CARD = '4111 1111 1111 1111';
+
+let dir;
+let tokenVault;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pba-vault-'));
+  tokenVault = vault.createTokenVault({
+    filePath: path.join(dir, 'vault.json'),
+    keyProvider: new keyring.EnvKeyProvider({ [keyring.KEY_PROVIDER_ENV.masterKey]: keyring.generateMasterKey().key })
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('token vault', () => {
+  test('returns one token per card and format', async () => {
+    const token = await tokenVault.tokenize(CARD);
+    const preserving = await tokenVault.tokenize(CARD, { format: 'format-preserving' });
+
+    expect(await tokenVault.tokenize(CARD)).toBe(token);
+    expect(preserving).not.toBe(token);
+    expect(preserving.replace(/\D/g, '')).toHaveLength(16);
+    expect(await tokenVault.detokenize(token)).toBe(CARD);
+    expect(await tokenVault.detokenize(preserving)).toBe(CARD);
+  });
+
+  test('keeps card numbers out of the vault file', async () => {
+    await tokenVault.tokenize(CARD);
+
+    const contents = fs.readFileSync(path.join(dir, 'vault.json'), 'utf-8');
+    expect(contents).not.toContain('4111');
+  });
+
+  test('rejects an unknown token', async () => {
+    await expect(tokenVault.detokenize('tok_unknown')).rejects.toMatchObject({ code: ERROR_CODES.TOKEN_NOT_FOUND });
+  });
+
+  test('rejects invalid cards and formats', async () => {
+    await expect(tokenVault.tokenize('not a card')).rejects.toMatchObject({ code: ERROR_CODES.INVALID_CARD });
+    await expect(tokenVault.tokenize(CARD, { format: 'reversible' })).rejects.toMatchObject({ code: ERROR_CODES.INVALID_CARD });
+  });
+
+  test('needs a key provider', () => {
+    expect(() => vault.createTokenVault({ filePath: path.join(dir, 'vault.json') })).toThrow(expect.objectContaining({
+      code: ERROR_CODES.KEY_REQUIRED
+    }));
+  });
+});
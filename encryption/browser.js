@@ -0,0 +1,471 @@
+/**
+ * Browser Encryption Module - Web Crypto (crypto.subtle)
+ *
+ * Browser build of the password workflow in encryption.js, so the
+ * frontends encrypt and decrypt exports locally and the password never
+ * leaves the page:
+ * - PBKDF2 key derivation (SHA-256 or SHA-512)
+ * - AES-256-GCM with a 16-byte IV and the authenticated export header
+ *   as associated data
+ *
+ * Payloads are byte-identical to encryptCSVData in encryption.js for the
+ * same salt, IV and header, and the two decrypt each other's output.
+ * scrypt, Argon2id and public-key payloads need the Node.js module.
+ *
+ * Loads as a <script> (window.PBACrypto) or through require()/import; under
+ * Node.js it uses the built-in Web Crypto implementation. Password rules
+ * come from password-policy.js and CSV formatting from csv.js, which must
+ * be loaded first as <script>s.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // module.require keeps bundlers from polyfilling Node's crypto module
+    module.exports = factory(
+      root.crypto && root.crypto.subtle ? root.crypto : module.require('crypto').webcrypto,
+      require('./password-policy'),
+      require('./csv')
+    );
+  } else {
+    root.PBACrypto = factory(root.crypto, root.PBAPasswordPolicy, root.PBACSV);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (webcrypto, passwordPolicy, csv) {
+  'use strict';
+
+  /**
+   * Configuration shared with encryption.js
+   */
+  const ENCRYPTION_CONFIG = {
+    algorithm: 'aes-256-gcm',
+    keyLength: 32, // 256 bits
+    ivLength: 16, // 128 bits (GCM nonce)
+    tagLength: 16, // 128 bits
+    saltLength: 32, // 256 bits
+    pbkdf2Iterations: 100000,
+    pbkdf2Digest: 'sha256',
+    minPasswordLength: 8
+  };
+
+  /**
+   * Bounds on PBKDF2 parameters (see KDF_LIMITS in encryption.js)
+   */
+  const PBKDF2_LIMITS = {
+    digests: { sha256: 'SHA-256', sha512: 'SHA-512' },
+    minIterations: 10000,
+    maxIterations: 10000000
+  };
+
+  /**
+   * Password payload versions this build can read (see PAYLOAD_VERSIONS
+   * in encryption.js); new payloads are written as CURRENT_PAYLOAD_VERSION
+   */
+  const PAYLOAD_VERSIONS = {
+    1: {
+      readKdf: data => ({
+        name: 'pbkdf2',
+        digest: 'sha256',
+        iterations: data.iterations === undefined ? 100000 : data.iterations
+      })
+    },
+    2: { readKdf: data => data.kdf },
+    4: { readKdf: data => data.kdf, header: true }
+  };
+
+  const CURRENT_PAYLOAD_VERSION = 4;
+
+  const ERROR_CODES = {
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    AUTH_FAILED: 'AUTH_FAILED'
+  };
+
+  /**
+   * Creates an Error carrying one of ERROR_CODES
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error}
+   */
+  function createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Re-throws an error with a prefixed message; errors that carry a code
+   * pass through unchanged (see wrapError in encryption.js)
+   * @param {string} prefix - Context prefix for the message
+   * @param {Error} error - Original error
+   * @returns {Error}
+   */
+  function wrapError(prefix, error) {
+    return error.code ? error : createError(`${prefix}: ${error.message}`);
+  }
+
+  const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+  /**
+   * Encodes bytes as base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string}
+   */
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decodes a base64 payload component
+   * @param {*} value - base64 string
+   * @param {string} name - Component name for error messages
+   * @returns {Uint8Array}
+   */
+  function fromBase64(value, name) {
+    if (typeof value !== 'string') {
+      throw createError(`Payload is missing "${name}"`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+    if (value.length % 4 !== 0 || !BASE64_PATTERN.test(value)) {
+      throw createError(`"${name}" is not valid base64`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Serialises a value as JSON with object keys sorted (see canonicalJSON
+   * in encryption.js; both must produce the same associated data)
+   * @param {*} value - JSON-compatible value
+   * @returns {string}
+   */
+  function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Random version 4 UUID
+   * @returns {string}
+   */
+  function randomUUID() {
+    if (typeof webcrypto.randomUUID === 'function') {
+      return webcrypto.randomUUID();
+    }
+
+    const bytes = webcrypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Field names from the header row of a CSV
+   * @param {string} csvData - CSV formatted string
+   * @returns {string[]} - Empty if the data does not start with a CSV header
+   */
+  function csvFields(csvData) {
+    try {
+      return csv.readHeader(csvData);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Checks PBKDF2 parameters against PBKDF2_LIMITS
+   * @param {object} kdf - KDF parameters
+   * @returns {string|null} - Problem description, or null if usable
+   */
+  function checkKdfParams(kdf) {
+    if (!kdf || typeof kdf !== 'object') {
+      return 'Payload is missing KDF parameters';
+    }
+    if (kdf.name !== 'pbkdf2') {
+      return `KDF "${kdf.name}" is not supported in the browser; use the pba-csv CLI`;
+    }
+    if (!Object.prototype.hasOwnProperty.call(PBKDF2_LIMITS.digests, kdf.digest)) {
+      return `Unsupported PBKDF2 digest "${kdf.digest}"`;
+    }
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < PBKDF2_LIMITS.minIterations ||
+        kdf.iterations > PBKDF2_LIMITS.maxIterations) {
+      return `PBKDF2 iterations must be an integer between ${PBKDF2_LIMITS.minIterations} and ${PBKDF2_LIMITS.maxIterations}`;
+    }
+    return null;
+  }
+
+  /**
+   * Derives an AES-256-GCM key from a password with PBKDF2
+   * @param {string} password - User-provided password
+   * @param {Uint8Array} salt - Salt
+   * @param {object} kdf - PBKDF2 parameters
+   * @returns {Promise<CryptoKey>}
+   */
+  async function deriveKeyFromPassword(password, salt, kdf) {
+    const kdfProblem = checkKdfParams(kdf);
+    if (kdfProblem) {
+      throw createError(kdfProblem, ERROR_CODES.INVALID_PAYLOAD);
+    }
+
+    const baseKey = await webcrypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return webcrypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: kdf.iterations, hash: PBKDF2_LIMITS.digests[kdf.digest] },
+      baseKey,
+      { name: 'AES-GCM', length: ENCRYPTION_CONFIG.keyLength * 8 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Full authenticated header of a payload (see payloadHeader in encryption.js)
+   * @param {object} data - Parsed payload
+   * @returns {object}
+   */
+  function payloadHeader(data) {
+    const { exportId, createdAt, fields } = data.header;
+    return { exportId, createdAt, fields, version: data.version, algorithm: data.algorithm, kdf: data.kdf };
+  }
+
+  /**
+   * Encrypts CSV data into a password payload
+   * @param {string} csvData - CSV formatted string
+   * @param {string} password - Encryption password
+   * @param {object} options - Optional settings
+   * @param {object} options.kdf - PBKDF2 parameters (defaults to 100,000 iterations of SHA-256)
+   * @param {string[]} options.fields - Exported field names (defaults to the CSV header row)
+   * @param {string} options.exportId - Export ID to keep (defaults to a new UUID)
+   * @param {string} options.createdAt - Creation time to keep (defaults to now)
+   * @param {Uint8Array} options.salt - Salt (defaults to random; for reproducing a payload)
+   * @param {Uint8Array} options.iv - IV (defaults to random; for reproducing a payload)
+   * @returns {Promise<{payload: string, metadata: {version: number, algorithm: string, kdf: object, iterations: number, header: object}}>}
+   */
+  async function encryptCSVData(csvData, password, options = {}) {
+    try {
+      const kdf = {
+        name: 'pbkdf2',
+        digest: ENCRYPTION_CONFIG.pbkdf2Digest,
+        iterations: ENCRYPTION_CONFIG.pbkdf2Iterations,
+        ...options.kdf
+      };
+      const envelope = {
+        version: CURRENT_PAYLOAD_VERSION,
+        algorithm: ENCRYPTION_CONFIG.algorithm,
+        kdf,
+        header: {
+          exportId: options.exportId || randomUUID(),
+          createdAt: options.createdAt || new Date().toISOString(),
+          fields: options.fields || csvFields(csvData)
+        }
+      };
+      const header = payloadHeader(envelope);
+
+      const salt = options.salt || webcrypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.saltLength));
+      const iv = options.iv || webcrypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.ivLength));
+      const key = await deriveKeyFromPassword(password, salt, kdf);
+
+      // Web Crypto appends the tag to the ciphertext; the payload stores them apart
+      const sealed = new Uint8Array(await webcrypto.subtle.encrypt(
+        {
+          name: 'AES-GCM',
+          iv,
+          additionalData: new TextEncoder().encode(canonicalJSON(header)),
+          tagLength: ENCRYPTION_CONFIG.tagLength * 8
+        },
+        key,
+        new TextEncoder().encode(csvData)
+      ));
+      const tagStart = sealed.length - ENCRYPTION_CONFIG.tagLength;
+
+      const payload = JSON.stringify({
+        ...envelope,
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+        tag: toBase64(sealed.subarray(tagStart)),
+        ciphertext: toBase64(sealed.subarray(0, tagStart))
+      });
+
+      return {
+        payload,
+        metadata: {
+          version: CURRENT_PAYLOAD_VERSION,
+          algorithm: ENCRYPTION_CONFIG.algorithm,
+          kdf,
+          iterations: kdf.iterations,
+          header
+        }
+      };
+    } catch (error) {
+      throw wrapError('CSV encryption failed', error);
+    }
+  }
+
+  /**
+   * Decrypts a password payload together with its authenticated header
+   * @param {string|object} payload - JSON payload containing encrypted data
+   * @param {string} password - Decryption password
+   * @returns {Promise<{csvData: string, header: object|null}>} - Decrypted CSV data and the
+   *   verified header (null for versions 1 and 2)
+   */
+  async function openCSVData(payload, password) {
+    try {
+      let data = payload;
+      if (typeof payload === 'string') {
+        try {
+          data = JSON.parse(payload);
+        } catch (error) {
+          throw createError('Payload is not valid JSON', ERROR_CODES.INVALID_PAYLOAD);
+        }
+      }
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw createError('Payload must be a JSON object', ERROR_CODES.INVALID_PAYLOAD);
+      }
+
+      const version = data.version === undefined ? 1 : data.version;
+      const format = Object.prototype.hasOwnProperty.call(PAYLOAD_VERSIONS, version) && PAYLOAD_VERSIONS[version];
+      if (!format) {
+        throw createError(
+          `Unsupported payload version ${JSON.stringify(data.version)} in the browser ` +
+            `(supported: ${Object.keys(PAYLOAD_VERSIONS).join(', ')})`,
+          ERROR_CODES.UNSUPPORTED_VERSION
+        );
+      }
+
+      const algorithm = data.algorithm === undefined && version === 1 ? ENCRYPTION_CONFIG.algorithm : data.algorithm;
+      if (algorithm !== ENCRYPTION_CONFIG.algorithm) {
+        throw createError(`Unsupported algorithm "${data.algorithm}"`, ERROR_CODES.INVALID_PAYLOAD);
+      }
+
+      if (format.header && (!data.header || typeof data.header !== 'object' || !Array.isArray(data.header.fields))) {
+        throw createError('Payload is missing its "header"', ERROR_CODES.INVALID_PAYLOAD);
+      }
+      const header = format.header ? payloadHeader(data) : null;
+
+      const salt = fromBase64(data.salt, 'salt');
+      const iv = fromBase64(data.iv, 'iv');
+      const tag = fromBase64(data.tag, 'tag');
+      const ciphertext = fromBase64(data.ciphertext, 'ciphertext');
+
+      if (salt.length === 0) {
+        throw createError('Salt is empty', ERROR_CODES.INVALID_PAYLOAD);
+      }
+      if (iv.length !== ENCRYPTION_CONFIG.ivLength) {
+        throw createError(`IV must be ${ENCRYPTION_CONFIG.ivLength} bytes`, ERROR_CODES.INVALID_PAYLOAD);
+      }
+      if (tag.length !== ENCRYPTION_CONFIG.tagLength) {
+        throw createError(`Authentication tag must be ${ENCRYPTION_CONFIG.tagLength} bytes`, ERROR_CODES.INVALID_PAYLOAD);
+      }
+
+      const key = await deriveKeyFromPassword(password, salt, format.readKdf(data));
+      const sealed = new Uint8Array(ciphertext.length + tag.length);
+      sealed.set(ciphertext);
+      sealed.set(tag, ciphertext.length);
+
+      const params = { name: 'AES-GCM', iv, tagLength: ENCRYPTION_CONFIG.tagLength * 8 };
+      if (header) {
+        params.additionalData = new TextEncoder().encode(canonicalJSON(header));
+      }
+
+      let plaintext;
+      try {
+        plaintext = await webcrypto.subtle.decrypt(params, key, sealed);
+      } catch (error) {
+        throw createError('Authentication failed - wrong password or tampered data', ERROR_CODES.AUTH_FAILED);
+      }
+
+      return { csvData: new TextDecoder().decode(plaintext), header };
+    } catch (error) {
+      throw wrapError('CSV decryption failed', error);
+    }
+  }
+
+  /**
+   * Decrypts a password payload
+   * @param {string|object} payload - JSON payload containing encrypted data
+   * @param {string} password - Decryption password
+   * @returns {Promise<string>} - Decrypted CSV data
+   */
+  async function decryptCSVData(payload, password) {
+    const { csvData } = await openCSVData(payload, password);
+    return csvData;
+  }
+
+  /**
+   * Export password policy: the defaults until setPasswordPolicy applies the
+   * server's (GET /api/password-policy)
+   */
+  let activePolicy = {
+    minLength: ENCRYPTION_CONFIG.minPasswordLength,
+    minScore: passwordPolicy.DEFAULT_POLICY.minScore
+  };
+
+  /**
+   * Applies the export password policy the server enforces; values that are
+   * missing or out of range keep the current setting
+   * @param {{minLength: number, minScore: number}} policy - Policy from GET /api/password-policy
+   * @returns {{minLength: number, minScore: number}} - The policy now in use
+   */
+  function setPasswordPolicy(policy = {}) {
+    const { minLength, minScore } = policy;
+    activePolicy = {
+      minLength: Number.isInteger(minLength) && minLength > 0 ? minLength : activePolicy.minLength,
+      minScore: Number.isInteger(minScore) && minScore >= 0 && minScore < passwordPolicy.SCORE_LABELS.length
+        ? minScore
+        : activePolicy.minScore
+    };
+    return { ...activePolicy };
+  }
+
+  /**
+   * Rates a password under the export password policy, for strength meters
+   * @param {string} password - Candidate password
+   * @returns {{score: number, label: string, entropy: number, feedback: Array<string>, acceptable: boolean, reason: string|null}}
+   */
+  function checkPasswordStrength(password) {
+    return passwordPolicy.checkPassword(password, activePolicy);
+  }
+
+  /**
+   * Checks a password against the export password policy
+   * @param {string} password - Candidate password
+   * @returns {string|null} - Reason the password is rejected, or null if accepted
+   */
+  function validatePassword(password) {
+    return checkPasswordStrength(password).reason;
+  }
+
+  return {
+    encryptCSVData,
+    openCSVData,
+    decryptCSVData,
+    validatePassword,
+    checkPasswordStrength,
+    setPasswordPolicy,
+    ENCRYPTION_CONFIG,
+    CURRENT_PAYLOAD_VERSION,
+    ERROR_CODES
+  };
+});
@@ -0,0 +1,307 @@
+/**
+ * Column Encryption Module - per-cell AES-256-GCM
+ *
+ * Keeps a CSV export readable and encrypts only its sensitive columns, so a
+ * recipient who needs the address does not have to decrypt the card number.
+ * Every encrypted cell is a self-describing token:
+ *
+ *   pba1$<kdf>$<salt>$<iv>$<ciphertext+tag>
+ *
+ * - kdf: KDF parameters joined by "." (pbkdf2.sha256.100000,
+ *   scrypt.131072.8.1, argon2id.3.67108864)
+ * - salt, iv, ciphertext+tag: unpadded base64url
+ *
+ * Decryption refuses files whose cells carry different KDF parameters or
+ * salts. The salt is random per export and serves as its ID: each cell is
+ * bound to it, its row and its column name as associated data, so cells
+ * cannot be moved between exports, rows or columns, and rows cannot be
+ * removed or reordered, without failing authentication.
+ */
+
+const crypto = require('crypto');
+const encryption = require('./encryption');
+const csv = require('./csv');
+
+const { ENCRYPTION_CONFIG, ERROR_CODES, createError, wrapError } = encryption;
+
+const CELL_PREFIX = 'pba1';
+const CELL_SEPARATOR = '$';
+const CELL_SALT_LENGTH = 16;
+const CELL_PATTERN = /^pba1\$[a-z0-9.]+\$[A-Za-z0-9_-]+\$[A-Za-z0-9_-]+\$[A-Za-z0-9_-]+$/;
+
+/**
+ * Columns encrypted when the caller does not choose
+ */
+const SENSITIVE_COLUMNS = ['card_number', 'expiry_date'];
+
+/**
+ * KDF parameter order inside a cell token
+ */
+const KDF_TOKEN_FIELDS = {
+  pbkdf2: ['digest', 'iterations'],
+  scrypt: ['cost', 'blockSize', 'parallelization'],
+  argon2id: ['opsLimit', 'memLimit']
+};
+
+/**
+ * Encodes KDF parameters for a cell token
+ * @param {object} kdf - KDF parameters
+ * @returns {string}
+ */
+function encodeKdf(kdf) {
+  return [kdf.name, ...KDF_TOKEN_FIELDS[kdf.name].map(field => kdf[field])].join('.');
+}
+
+/**
+ * Decodes KDF parameters from a cell token
+ * @param {string} token - Encoded KDF parameters
+ * @returns {object|null} - KDF parameters, or null if the name is unknown
+ */
+function decodeKdf(token) {
+  const [name, ...values] = token.split('.');
+  const fields = KDF_TOKEN_FIELDS[name];
+  if (!fields || values.length !== fields.length) {
+    return null;
+  }
+
+  const kdf = { name };
+  fields.forEach((field, index) => {
+    kdf[field] = field === 'digest' ? values[index] : Number(values[index]);
+  });
+  return kdf;
+}
+
+/**
+ * Checks whether a CSV cell holds an encrypted value
+ * @param {string} value - Cell value
+ * @returns {boolean}
+ */
+function isEncryptedCell(value) {
+  return typeof value === 'string' && CELL_PATTERN.test(value);
+}
+
+/**
+ * Splits an encrypted cell into its components
+ * @param {string} value - Cell value
+ * @returns {{kdf: object, salt: Buffer, iv: Buffer, ciphertext: Buffer, tag: Buffer}}
+ */
+function parseCell(value) {
+  if (!isEncryptedCell(value)) {
+    throw createError('Cell is not an encrypted value', ERROR_CODES.INVALID_PAYLOAD);
+  }
+
+  const [, kdfToken, salt, iv, sealed] = value.split(CELL_SEPARATOR);
+  const kdf = decodeKdf(kdfToken);
+  const kdfProblem = kdf ? encryption.checkKdfParams(kdf) : `Unsupported KDF "${kdfToken}"`;
+  if (kdfProblem) {
+    throw createError(kdfProblem, ERROR_CODES.INVALID_PAYLOAD);
+  }
+
+  if (Buffer.from(salt, 'base64url').length !== CELL_SALT_LENGTH) {
+    throw createError(`Encrypted cell salt must be ${CELL_SALT_LENGTH} bytes`, ERROR_CODES.INVALID_PAYLOAD);
+  }
+
+  const data = Buffer.from(sealed, 'base64url');
+  if (data.length < ENCRYPTION_CONFIG.tagLength) {
+    throw createError('Encrypted cell is truncated', ERROR_CODES.INVALID_PAYLOAD);
+  }
+
+  return {
+    kdf,
+    salt: Buffer.from(salt, 'base64url'),
+    iv: Buffer.from(iv, 'base64url'),
+    ciphertext: data.subarray(0, data.length - ENCRYPTION_CONFIG.tagLength),
+    tag: data.subarray(data.length - ENCRYPTION_CONFIG.tagLength)
+  };
+}
+
+/**
+ * Associated data binding a cell to its export, row and column
+ * @param {string} exportId - Salt of the export, base64url
+ * @param {number} row - Data row index (0 for the row after the header)
+ * @param {string} column - Column name
+ * @returns {string}
+ */
+function cellAad(exportId, row, column) {
+  return `${CELL_PREFIX}|${exportId}|${row}|${column}`;
+}
+
+/**
+ * Checks that the encrypted cells of a CSV share their KDF parameters and
+ * salt, so decrypting them takes a single key derivation
+ * @param {string[][]} records - Data rows
+ */
+function checkCellHeaders(records) {
+  let shared = null;
+  for (const record of records) {
+    for (const value of record) {
+      if (!isEncryptedCell(value)) {
+        continue;
+      }
+      const cellHeader = value.split(CELL_SEPARATOR, 3).join(CELL_SEPARATOR);
+      if (shared !== null && cellHeader !== shared) {
+        throw createError('Encrypted cells must all use the same KDF parameters and salt', ERROR_CODES.INVALID_PAYLOAD);
+      }
+      shared = cellHeader;
+    }
+  }
+}
+
+/**
+ * Writes rows back as CSV the way the input was written: same line ending,
+ * byte order mark kept, cells unchanged
+ * @param {string[][]} rows - Rows of cells
+ * @param {string} csvData - CSV the rows were read from
+ * @returns {string}
+ */
+function formatLike(rows, csvData) {
+  return csv.formatCSV(rows, {
+    lineEnding: csv.detectLineEnding(csvData),
+    bom: String(csvData).startsWith('\uFEFF'),
+    neutralizeFormulas: false
+  });
+}
+
+/**
+ * Resolves column names against a CSV header
+ * @param {string[]} header - Header row
+ * @param {string[]} columns - Requested column names
+ * @returns {number[]} - Column indexes
+ */
+function columnIndexes(header, columns) {
+  return columns.map(column => {
+    const index = header.indexOf(column);
+    if (index === -1) {
+      throw createError(`Column "${column}" is not in the CSV header`, ERROR_CODES.UNKNOWN_COLUMN);
+    }
+    return index;
+  });
+}
+
+/**
+ * Encrypts selected columns of a CSV, leaving the rest readable
+ * @param {string} csvData - CSV formatted string with a header row
+ * @param {string} password - Encryption password
+ * @param {object} options - Optional settings
+ * @param {string[]} options.columns - Columns to encrypt (defaults to SENSITIVE_COLUMNS present in the header)
+ * @param {string|object} options.kdf - KDF name or parameters (see resolveKdfParams)
+ * @returns {Promise<{csv: string, metadata: {format: string, algorithm: string, kdf: object, columns: string[]}}>}
+ */
+async function encryptCSVColumns(csvData, password, options = {}) {
+  try {
+    const rows = csv.parseCSV(csvData);
+    if (rows.length === 0) {
+      throw new Error('CSV has no header row');
+    }
+
+    const [header, ...records] = rows;
+    const columns = options.columns || SENSITIVE_COLUMNS.filter(column => header.includes(column));
+    const indexes = columnIndexes(header, columns);
+
+    const kdf = encryption.resolveKdfParams(options.kdf);
+    const { key, salt } = await encryption.deriveKeyFromPassword(
+      password,
+      crypto.randomBytes(CELL_SALT_LENGTH),
+      kdf
+    );
+    const exportId = salt.toString('base64url');
+    const cellHeader = [CELL_PREFIX, encodeKdf(kdf), exportId].join(CELL_SEPARATOR);
+
+    const encrypted = records.map((record, row) => {
+      const output = [...record];
+      indexes.forEach(index => {
+        if (index >= record.length || isEncryptedCell(record[index])) {
+          return;
+        }
+        const { ciphertext, iv, tag } = encryption.encryptData(record[index], key, null, cellAad(exportId, row, header[index]));
+        output[index] = [
+          cellHeader,
+          iv.toString('base64url'),
+          Buffer.concat([ciphertext, tag]).toString('base64url')
+        ].join(CELL_SEPARATOR);
+      });
+      return output;
+    });
+
+    return {
+      csv: formatLike([header, ...encrypted], csvData),
+      metadata: {
+        format: 'columns',
+        algorithm: ENCRYPTION_CONFIG.algorithm,
+        kdf,
+        columns
+      }
+    };
+  } catch (error) {
+    throw wrapError('CSV column encryption failed', error);
+  }
+}
+
+/**
+ * Decrypts encrypted columns of a CSV
+ * Columns that are not requested keep their encrypted values.
+ * @param {string} csvData - CSV formatted string with a header row
+ * @param {string} password - Encryption password
+ * @param {object} options - Optional settings
+ * @param {string[]} options.columns - Columns to reveal (defaults to every encrypted column)
+ * @returns {Promise<{csv: string, columns: string[]}>} - CSV and the columns revealed
+ */
+async function decryptCSVColumns(csvData, password, options = {}) {
+  try {
+    const rows = csv.parseCSV(csvData);
+    if (rows.length === 0) {
+      throw createError('CSV has no header row', ERROR_CODES.INVALID_PAYLOAD);
+    }
+
+    const [header, ...records] = rows;
+    const columns = options.columns || listEncryptedColumns(csvData);
+    const indexes = columnIndexes(header, columns);
+
+    // Refused before any derivation, so a file cannot make the server derive
+    // a key per cell
+    checkCellHeaders(records);
+    let key = null;
+
+    const decrypted = [];
+    for (const [row, record] of records.entries()) {
+      const output = [...record];
+      for (const index of indexes) {
+        if (!isEncryptedCell(record[index])) {
+          continue;
+        }
+        const cell = parseCell(record[index]);
+        if (!key) {
+          ({ key } = await encryption.deriveKeyFromPassword(password, cell.salt, cell.kdf));
+        }
+        const aad = cellAad(cell.salt.toString('base64url'), row, header[index]);
+        output[index] = encryption.decryptData(cell.ciphertext, key, cell.iv, cell.tag, 'utf-8', aad);
+      }
+      decrypted.push(output);
+    }
+
+    return {
+      csv: formatLike([header, ...decrypted], csvData),
+      columns
+    };
+  } catch (error) {
+    throw wrapError('CSV column decryption failed', error);
+  }
+}
+
+/**
+ * Lists the columns of a CSV that contain encrypted cells
+ * @param {string} csvData - CSV formatted string with a header row
+ * @returns {string[]}
+ */
+function listEncryptedColumns(csvData) {
+  const [header = [], ...records] = csv.parseCSV(csvData);
+  return header.filter((column, index) => records.some(record => isEncryptedCell(record[index])));
+}
+
+module.exports = {
+  encryptCSVColumns,
+  decryptCSVColumns,
+  listEncryptedColumns,
+  isEncryptedCell,
+  SENSITIVE_COLUMNS
+};
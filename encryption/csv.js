@@ -0,0 +1,406 @@
+/**
+ * CSV Module - RFC 4180 writer and parser, and the export formats
+ *
+ * One CSV engine for the API, the CLI and both frontends:
+ * - Fields are quoted when they contain the delimiter, a quote, a line
+ *   break or leading/trailing whitespace; quotes inside are doubled. Header
+ *   fields follow the same rules.
+ * - Records end with CRLF (RFC 4180) or LF; the last record has no line
+ *   break. A UTF-8 byte order mark can be added for spreadsheet programs.
+ * - Formula injection: cells starting with =, +, -, @, tab or carriage
+ *   return are prefixed with a single quote so spreadsheets show them as
+ *   text instead of evaluating them (OWASP "CSV Injection"). Signed plain
+ *   numbers (-12.50, +3) and a lone + or - cannot hold a formula and are
+ *   left as they are, so they stay numbers in a spreadsheet.
+ * - The parser follows RFC 4180 strictly: a quote may only open a field or
+ *   close it, and an unterminated quoted field is an error. A leading byte
+ *   order mark is skipped.
+ *
+ * FORMATS lists the export formats. csv and tsv are written by the CSV
+ * writer (tsv with a tab delimiter); json is an array of objects keyed by
+ * column and ndjson one such object per line. Formula neutralization only
+ * applies to csv and tsv, which are meant for spreadsheets.
+ *
+ * buildCSVData turns billing profiles into an export with the columns
+ * EXPORT_FIELDS names; the API and both frontends build exports
+ * with it.
+ *
+ * Loads as a <script> (window.PBACSV) or through require()/import.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PBACSV = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  /**
+   * Export formats, with the media type and file extension of each
+   */
+  const FORMATS = {
+    csv: { delimiter: ',', mediaType: 'text/csv', extension: 'csv' },
+    tsv: { delimiter: '\t', mediaType: 'text/tab-separated-values', extension: 'tsv' },
+    json: { mediaType: 'application/json', extension: 'json' },
+    ndjson: { mediaType: 'application/x-ndjson', extension: 'ndjson' }
+  };
+
+  /**
+   * Record separators by name
+   */
+  const LINE_ENDINGS = {
+    crlf: '\r\n',
+    lf: '\n'
+  };
+
+  /**
+   * Settings used when options do not say
+   */
+  const DEFAULT_OPTIONS = {
+    format: 'csv',
+    delimiter: ',',
+    lineEnding: 'crlf',
+    bom: false,
+    neutralizeFormulas: true
+  };
+
+  /**
+   * Export columns, with how each is read from a billing profile
+   */
+  const EXPORT_FIELDS = {
+    apt_unit: profile => profile.address.apt_unit,
+    address_line_1: profile => profile.address.address_line_1,
+    address_line_2: profile => profile.address.address_line_2,
+    street: profile => profile.address.street,
+    city: profile => profile.address.city,
+    state_province: profile => profile.address.state_province,
+    country: profile => profile.address.country,
+    postal_code: profile => profile.address.postal_code,
+    card_number: profile => profile.card_number,
+    expiry_date: profile => profile.expiry_date,
+    cvv: () => '***' // Never export real CVV
+  };
+
+  /**
+   * Fields that can be exported as a card token, with the column that
+   * replaces them (see vault.js)
+   */
+  const TOKEN_COLUMNS = {
+    card_number: 'card_token'
+  };
+
+  const ERROR_CODES = {
+    INVALID_CSV: 'INVALID_CSV'
+  };
+
+  const BOM = '\uFEFF';
+  const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+  const SIGNED_NUMBER = /^[+-](\d+(\.\d+)?)?$/;
+
+  /**
+   * Creates an Error carrying one of ERROR_CODES
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error}
+   */
+  function createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Checks writer options
+   * @param {object} options - format, delimiter, lineEnding and bom
+   * @returns {string|null} - Problem description, or null if usable
+   */
+  function checkOptions(options = {}) {
+    const format = options.format === undefined ? DEFAULT_OPTIONS.format : options.format;
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+      return `format must be one of ${Object.keys(FORMATS).join(', ')}`;
+    }
+
+    if (options.delimiter !== undefined) {
+      if (format !== 'csv') {
+        return 'delimiter can only be set for the csv format';
+      }
+      if (typeof options.delimiter !== 'string' || options.delimiter.length !== 1 || /["\r\n]/.test(options.delimiter)) {
+        return 'delimiter must be a single character other than a quote or line break';
+      }
+    }
+
+    if (options.lineEnding !== undefined && !Object.prototype.hasOwnProperty.call(LINE_ENDINGS, options.lineEnding)) {
+      return `lineEnding must be one of ${Object.keys(LINE_ENDINGS).join(', ')}`;
+    }
+
+    if (options.bom !== undefined && typeof options.bom !== 'boolean') {
+      return 'bom must be true or false';
+    }
+    if (options.bom && !FORMATS[format].delimiter) {
+      return `A byte order mark is not allowed in ${format}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a spreadsheet could evaluate a cell as a formula
+   * @param {string} value - Cell value
+   * @returns {boolean}
+   */
+  function isFormulaLike(value) {
+    return FORMULA_PREFIX.test(value) && !SIGNED_NUMBER.test(value);
+  }
+
+  /**
+   * Whether neutralizeFormula prefixes a cell: formulas, and formulas that
+   * already start with quotes, so that restoreFormula can tell the added
+   * quote from one in the data
+   * @param {string} value - Cell value
+   * @returns {boolean}
+   */
+  function needsFormulaPrefix(value) {
+    return isFormulaLike(value.replace(/^'+/, ''));
+  }
+
+  /**
+   * Prefixes a cell that a spreadsheet would evaluate as a formula
+   * @param {string} value - Cell value
+   * @returns {string}
+   */
+  function neutralizeFormula(value) {
+    return needsFormulaPrefix(value) ? `'${value}` : value;
+  }
+
+  /**
+   * Undoes neutralizeFormula, for reading an export back
+   * @param {string} value - Cell value
+   * @returns {string}
+   */
+  function restoreFormula(value) {
+    return value.startsWith("'") && needsFormulaPrefix(value.slice(1)) ? value.slice(1) : value;
+  }
+
+  /**
+   * Writes one field, quoted when needed
+   * @param {*} value - Field value (null and undefined are written empty)
+   * @param {object} options - delimiter and neutralizeFormulas
+   * @returns {string}
+   */
+  function formatField(value, options = {}) {
+    const delimiter = options.delimiter || DEFAULT_OPTIONS.delimiter;
+    let text = value === null || value === undefined ? '' : String(value);
+    if (options.neutralizeFormulas !== false) {
+      text = neutralizeFormula(text);
+    }
+
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text);
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Writes records as CSV
+   * @param {Array<Array<*>>} rows - Records, the header row first
+   * @param {object} options - Optional settings
+   * @param {string} options.delimiter - Field separator (default ",")
+   * @param {string} options.lineEnding - "crlf" (default) or "lf"
+   * @param {boolean} options.bom - Start with a UTF-8 byte order mark
+   * @param {boolean} options.neutralizeFormulas - Prefix formula-like cells (default true)
+   * @returns {string}
+   */
+  function formatCSV(rows, options = {}) {
+    const lineEnding = LINE_ENDINGS[options.lineEnding || DEFAULT_OPTIONS.lineEnding];
+    const delimiter = options.delimiter || DEFAULT_OPTIONS.delimiter;
+    const text = rows
+      .map(row => row.map(value => formatField(value, options)).join(delimiter))
+      .join(lineEnding);
+    return options.bom ? `${BOM}${text}` : text;
+  }
+
+  /**
+   * Reads CSV records
+   * @param {string} text - CSV text
+   * @param {object} options - Optional settings
+   * @param {string} options.delimiter - Field separator (default ",")
+   * @param {number} options.limit - Stop after this many records
+   * @returns {string[][]} - Records; an empty line is a record with one empty field
+   */
+  function parseCSV(text, options = {}) {
+    const delimiter = options.delimiter || DEFAULT_OPTIONS.delimiter;
+    const limit = options.limit || Infinity;
+    const input = String(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let closed = false;
+    let line = 1;
+    let quoteLine = 1;
+    let i = input.startsWith(BOM) ? 1 : 0;
+
+    for (; i < input.length && rows.length < limit; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+          closed = true;
+        } else {
+          if (char === '\n') {
+            line += 1;
+          }
+          field += char;
+        }
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+        closed = false;
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        closed = false;
+        line += 1;
+      } else if (closed) {
+        throw createError(`Unexpected text after a closing quote on line ${line}`, ERROR_CODES.INVALID_CSV);
+      } else if (char === '"') {
+        if (field !== '') {
+          throw createError(`Quote inside an unquoted field on line ${line}`, ERROR_CODES.INVALID_CSV);
+        }
+        quoted = true;
+        quoteLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw createError(`Unterminated quoted field starting on line ${quoteLine}`, ERROR_CODES.INVALID_CSV);
+    }
+    if (rows.length < limit && (field !== '' || closed || row.length > 0)) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Field names from the header row of a CSV
+   * @param {string} text - CSV text (the header row is enough)
+   * @param {object} options - Optional settings
+   * @param {string} options.delimiter - Field separator (default ",")
+   * @returns {string[]}
+   */
+  function readHeader(text, options = {}) {
+    const [header = []] = parseCSV(text, { ...options, limit: 1 });
+    return header.length === 1 && header[0] === '' ? [] : header;
+  }
+
+  /**
+   * Name of the line ending a CSV uses, for writing it back the same way
+   * @param {string} text - CSV text
+   * @returns {string} - "crlf" or "lf" (also for text without line breaks)
+   */
+  function detectLineEnding(text) {
+    const match = /\r\n|\n/.exec(String(text));
+    return match && match[0] === '\r\n' ? 'crlf' : 'lf';
+  }
+
+  /**
+   * Writes a table in one of FORMATS
+   * @param {string[]} columns - Column names
+   * @param {Array<Array<*>>} rows - Records, one value per column
+   * @param {object} options - format (default "csv"), and for csv/tsv the
+   *   formatCSV options
+   * @returns {string}
+   */
+  function formatTable(columns, rows, options = {}) {
+    const format = options.format || DEFAULT_OPTIONS.format;
+    const problem = checkOptions(options);
+    if (problem) {
+      throw createError(problem, ERROR_CODES.INVALID_CSV);
+    }
+
+    if (FORMATS[format].delimiter) {
+      return formatCSV([columns, ...rows], {
+        ...options,
+        delimiter: options.delimiter || FORMATS[format].delimiter
+      });
+    }
+
+    const records = rows.map(row => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = row[index] === undefined ? null : row[index];
+      });
+      return record;
+    });
+    return format === 'json'
+      ? JSON.stringify(records, null, 2)
+      : records.map(record => `${JSON.stringify(record)}\n`).join('');
+  }
+
+  /**
+   * Builds an export from selected fields of billing profiles
+   * @param {object|object[]} data - Billing profile, or a list of them for
+   *   one row each
+   * @param {string[]} fields - Selected field names (see EXPORT_FIELDS)
+   * @param {object} options - Optional settings
+   * @param {object|object[]} options.tokens - Vault tokens by field (one
+   *   object per row for a list); such a field is written as its
+   *   TOKEN_COLUMNS column (card_number as card_token)
+   * @param {string} options.format - csv (default), tsv, json or ndjson,
+   *   with delimiter, lineEnding and bom as for formatTable
+   * @returns {string}
+   */
+  function buildCSVData(data, fields, options = {}) {
+    const { tokens, ...formatOptions } = options;
+    const records = Array.isArray(data) ? data : [data];
+    const tokenRows = Array.isArray(tokens) ? tokens : [tokens || {}];
+
+    // Header row: tokenized fields become their token column
+    const columns = fields.map(field => (field in (tokenRows[0] || {}) ? TOKEN_COLUMNS[field] : field));
+
+    // One data row per profile; quoting and formula neutralization are
+    // left to the CSV writer
+    const rows = records.map((profile, index) => {
+      const rowTokens = tokenRows[index] || {};
+      return fields.map(field => {
+        if (field in rowTokens) return rowTokens[field];
+        const getter = EXPORT_FIELDS[field];
+        return getter ? getter(profile) : '';
+      });
+    });
+
+    return formatTable(columns, rows, formatOptions);
+  }
+
+  return {
+    buildCSVData,
+    formatTable,
+    formatCSV,
+    formatField,
+    parseCSV,
+    readHeader,
+    detectLineEnding,
+    neutralizeFormula,
+    restoreFormula,
+    checkOptions,
+    FORMATS,
+    EXPORT_FIELDS,
+    TOKEN_COLUMNS,
+    LINE_ENDINGS,
+    DEFAULT_OPTIONS,
+    ERROR_CODES
+  };
+});
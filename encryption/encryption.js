@@ -1,5 +1,5 @@
 /**
- * Encryption Module - AES-256-GCM with PBKDF2 Key Derivation
+ * Encryption Module - AES-256-GCM with PBKDF2 / scrypt / Argon2id Key Derivation
  * 
  * This module provides secure encryption/decryption of sensitive payment data
  * using industry-standard algorithms and practices.
@@ -7,12 +7,16 @@
  * Security Considerations:
  * - Uses Web Crypto API (browser) or Node.js crypto module
  * - AES-256-GCM for authenticated encryption
- * - PBKDF2 with SHA-256 for key derivation
+ * - PBKDF2 with SHA-256 for key derivation, or memory-hard scrypt /
+ *   Argon2id (Argon2id via the libsodium-wrappers-sumo dependency)
+ * - Versioned payloads that record their own KDF parameters
  * - Random IV/nonce generation for each encryption
  * - Constant-time comparison where applicable
  */
 
 const crypto = require('crypto');
+const passwordPolicy = require('./password-policy');
+const csv = require('./csv');
 
 /**
  * Configuration for encryption operations
@@ -23,34 +27,496 @@ const ENCRYPTION_CONFIG = {
   ivLength: 16, // 128 bits (GCM nonce)
   tagLength: 16, // 128 bits
   saltLength: 32, // 256 bits
-  pbkdf2Iterations: 100000,
-  pbkdf2Digest: 'sha256'
+  argon2SaltLength: 16, // crypto_pwhash_SALTBYTES
+  kdf: process.env.ENCRYPTION_KDF || 'pbkdf2', // pbkdf2 | scrypt | argon2id
+  pbkdf2Iterations: parseInt(process.env.PBKDF2_ITERATIONS, 10) || 100000,
+  pbkdf2Digest: 'sha256',
+  scryptCost: parseInt(process.env.SCRYPT_COST, 10) || 131072, // N = 2^17
+  scryptBlockSize: 8,
+  scryptParallelization: 1,
+  argon2OpsLimit: parseInt(process.env.ARGON2_OPS_LIMIT, 10) || 3,
+  argon2MemLimit: parseInt(process.env.ARGON2_MEM_LIMIT, 10) || 64 * 1024 * 1024,
+  kdfConcurrency: parseInt(process.env.KDF_MAX_CONCURRENT, 10) || 2, // derivations run at once
+  minPasswordLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  minPasswordScore: parseInt(process.env.PASSWORD_MIN_SCORE || '2', 10) // 0 (very weak) to 4 (very strong)
 };
 
 /**
- * Derives an encryption key from a password using PBKDF2
- * @param {string} password - User-provided password
- * @param {Buffer} salt - Random salt (if not provided, generated)
- * @returns {Promise<{key: Buffer, salt: Buffer}>} - Derived key and salt
+ * Bounds on KDF parameters
+ * Payloads carry their own parameters, so decryption must refuse values
+ * too weak to trust or expensive enough to stall the server. Even within
+ * these bounds one derivation can take seconds or 256 MiB, so at most
+ * ENCRYPTION_CONFIG.kdfConcurrency derivations run at once and the rest wait.
  */
-async function deriveKeyFromPassword(password, salt = null) {
-  if (!salt) {
-    salt = crypto.randomBytes(ENCRYPTION_CONFIG.saltLength);
+const KDF_LIMITS = {
+  pbkdf2: {
+    digests: ['sha256', 'sha512'],
+    minIterations: 10000,
+    maxIterations: 10000000
+  },
+  scrypt: {
+    minCost: 16384,
+    maxCost: 1048576,
+    maxBlockSize: 16,
+    maxParallelization: 4,
+    maxMemory: 256 * 1024 * 1024 // 128 * N * r bytes
+  },
+  argon2id: {
+    minOpsLimit: 1,
+    maxOpsLimit: 10,
+    minMemLimit: 8 * 1024 * 1024,
+    maxMemLimit: 256 * 1024 * 1024
+  }
+};
+
+/**
+ * Supported payload format versions
+ * - 1: original unversioned format, PBKDF2-SHA256 with a top-level
+ *      "iterations" count (100000 when absent)
+ * - 2: explicit "version" field and a "kdf" object holding every
+ *      key-derivation parameter (pbkdf2, scrypt or argon2id)
+ * - 3: public-key payload; the data key is wrapped for each entry in
+ *      "recipients" (see encryption/recipients.js) instead of being
+ *      derived from a password
+ * - 4: version 2 plus an authenticated "header" (export ID, creation time,
+ *      field list) bound to the ciphertext as AES-GCM associated data
+ *      together with the version, algorithm and KDF parameters
+ * - 5: version 3 plus the same authenticated header, binding the
+ *      recipient key IDs instead of KDF parameters
+ * - 6: master-key payload with the authenticated header; the data key is
+ *      wrapped under a server key whose ID is recorded in "key" (see
+ *      encryption/keyring.js). The key ID is not part of the header, so
+ *      rotation can re-wrap the data key without touching the ciphertext
+ * Password payloads are always written as CURRENT_PAYLOAD_VERSION; older
+ * versions stay here so existing exports keep decrypting after defaults change.
+ */
+const PAYLOAD_VERSIONS = {
+  1: {
+    algorithm: 'aes-256-gcm',
+    mode: 'password',
+    readKdf: data => ({
+      name: 'pbkdf2',
+      digest: 'sha256',
+      iterations: data.iterations === undefined ? 100000 : data.iterations
+    })
+  },
+  2: {
+    algorithm: 'aes-256-gcm',
+    mode: 'password',
+    readKdf: data => data.kdf
+  },
+  3: {
+    algorithm: 'aes-256-gcm',
+    mode: 'recipients'
+  },
+  4: {
+    algorithm: 'aes-256-gcm',
+    mode: 'password',
+    readKdf: data => data.kdf,
+    header: true
+  },
+  5: {
+    algorithm: 'aes-256-gcm',
+    mode: 'recipients',
+    header: true
+  },
+  6: {
+    algorithm: 'aes-256-gcm',
+    mode: 'key',
+    header: true
+  }
+};
+
+const CURRENT_PAYLOAD_VERSION = 4;
+const RECIPIENT_PAYLOAD_VERSION = 5;
+const KEY_PAYLOAD_VERSION = 6;
+
+/**
+ * Decoded byte lengths of the base64 fields in a recipient entry
+ */
+const RECIPIENT_ENTRY_LENGTHS = {
+  epk: 32, // ephemeral X25519 public key
+  iv: 16,
+  tag: 16,
+  wrappedKey: 32
+};
+
+/**
+ * Decoded byte lengths of the base64 fields in a master-key entry
+ */
+const KEY_ENTRY_LENGTHS = {
+  iv: 16,
+  tag: 16,
+  wrappedKey: 32
+};
+
+/**
+ * Error codes attached to thrown errors (error.code) so callers can tell
+ * a malformed payload apart from a failed authentication
+ */
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  AUTH_FAILED: 'AUTH_FAILED',
+  KDF_UNAVAILABLE: 'KDF_UNAVAILABLE',
+  KEY_REQUIRED: 'KEY_REQUIRED',
+  NOT_A_RECIPIENT: 'NOT_A_RECIPIENT',
+  INVALID_KEY: 'INVALID_KEY',
+  UNKNOWN_KEY: 'UNKNOWN_KEY',
+  BAD_SIGNATURE: 'BAD_SIGNATURE',
+  UNKNOWN_COLUMN: 'UNKNOWN_COLUMN',
+  INVALID_CSV: csv.ERROR_CODES.INVALID_CSV
+};
+
+/**
+ * Creates an Error carrying one of ERROR_CODES
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Checks the decoded length of a fixed-size payload component
+ * @param {string} name - "iv" or "tag"
+ * @param {Buffer} value - Decoded component
+ * @returns {string|null} - Problem description, or null if the length is correct
+ */
+function checkComponentLength(name, value) {
+  const expected = name === 'iv' ? ENCRYPTION_CONFIG.ivLength : ENCRYPTION_CONFIG.tagLength;
+  const label = name === 'iv' ? 'IV' : 'Tag';
+
+  if (!value || value.length !== expected) {
+    return `${label} must be ${expected} bytes`;
   }
+  return null;
+}
 
-  return new Promise((resolve, reject) => {
+/**
+ * Default parameters for a KDF, taken from ENCRYPTION_CONFIG
+ * @param {string} name - pbkdf2, scrypt or argon2id (defaults to ENCRYPTION_CONFIG.kdf)
+ * @returns {object} - KDF parameters
+ */
+function defaultKdfParams(name = ENCRYPTION_CONFIG.kdf) {
+  switch (name) {
+    case 'pbkdf2':
+      return {
+        name,
+        digest: ENCRYPTION_CONFIG.pbkdf2Digest,
+        iterations: ENCRYPTION_CONFIG.pbkdf2Iterations
+      };
+    case 'scrypt':
+      return {
+        name,
+        cost: ENCRYPTION_CONFIG.scryptCost,
+        blockSize: ENCRYPTION_CONFIG.scryptBlockSize,
+        parallelization: ENCRYPTION_CONFIG.scryptParallelization
+      };
+    case 'argon2id':
+      return {
+        name,
+        opsLimit: ENCRYPTION_CONFIG.argon2OpsLimit,
+        memLimit: ENCRYPTION_CONFIG.argon2MemLimit
+      };
+    default:
+      return { name };
+  }
+}
+
+/**
+ * Resolves a caller's KDF choice into full parameters
+ * @param {string|object} kdf - KDF name, partial parameters or undefined for the default
+ * @returns {object} - KDF parameters (validate with checkKdfParams)
+ */
+function resolveKdfParams(kdf) {
+  if (kdf === undefined || kdf === null) {
+    return defaultKdfParams();
+  }
+  if (typeof kdf === 'string') {
+    return defaultKdfParams(kdf);
+  }
+  return { ...defaultKdfParams(kdf.name), ...kdf };
+}
+
+/**
+ * Checks KDF parameters against KDF_LIMITS
+ * @param {object} kdf - KDF parameters
+ * @returns {string|null} - Problem description, or null if usable
+ */
+function checkKdfParams(kdf) {
+  if (!kdf || typeof kdf !== 'object') {
+    return 'Payload is missing KDF parameters';
+  }
+
+  const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  switch (kdf.name) {
+    case 'pbkdf2': {
+      const limits = KDF_LIMITS.pbkdf2;
+      if (!limits.digests.includes(kdf.digest)) {
+        return `Unsupported PBKDF2 digest "${kdf.digest}"`;
+      }
+      if (!inRange(kdf.iterations, limits.minIterations, limits.maxIterations)) {
+        return `PBKDF2 iterations must be an integer between ${limits.minIterations} and ${limits.maxIterations}`;
+      }
+      return null;
+    }
+    case 'scrypt': {
+      const limits = KDF_LIMITS.scrypt;
+      if (!inRange(kdf.cost, limits.minCost, limits.maxCost) || (kdf.cost & (kdf.cost - 1)) !== 0) {
+        return `scrypt cost must be a power of two between ${limits.minCost} and ${limits.maxCost}`;
+      }
+      if (!inRange(kdf.blockSize, 1, limits.maxBlockSize)) {
+        return `scrypt block size must be an integer between 1 and ${limits.maxBlockSize}`;
+      }
+      if (!inRange(kdf.parallelization, 1, limits.maxParallelization)) {
+        return `scrypt parallelization must be an integer between 1 and ${limits.maxParallelization}`;
+      }
+      if (128 * kdf.cost * kdf.blockSize > limits.maxMemory) {
+        return `scrypt parameters need more than ${limits.maxMemory} bytes of memory`;
+      }
+      return null;
+    }
+    case 'argon2id': {
+      const limits = KDF_LIMITS.argon2id;
+      if (!inRange(kdf.opsLimit, limits.minOpsLimit, limits.maxOpsLimit)) {
+        return `Argon2id opsLimit must be an integer between ${limits.minOpsLimit} and ${limits.maxOpsLimit}`;
+      }
+      if (!inRange(kdf.memLimit, limits.minMemLimit, limits.maxMemLimit) || kdf.memLimit % 1024 !== 0) {
+        return `Argon2id memLimit must be a multiple of 1024 between ${limits.minMemLimit} and ${limits.maxMemLimit}`;
+      }
+      return null;
+    }
+    default:
+      return `Unsupported KDF "${kdf.name}"`;
+  }
+}
+
+/**
+ * Salt length expected by a KDF
+ * @param {object} kdf - KDF parameters
+ * @returns {number} - Salt length in bytes
+ */
+function saltLengthFor(kdf) {
+  return kdf.name === 'argon2id' ? ENCRYPTION_CONFIG.argon2SaltLength : ENCRYPTION_CONFIG.saltLength;
+}
+
+/**
+ * Loads libsodium for Argon2id; only required when that KDF is used
+ * @returns {Promise<object>} - Initialised libsodium instance
+ */
+async function loadSodium() {
+  let sodium;
+  try {
+    sodium = require('libsodium-wrappers-sumo');
+  } catch (error) {
+    throw createError('Argon2id requires the libsodium-wrappers-sumo package', ERROR_CODES.KDF_UNAVAILABLE);
+  }
+  await sodium.ready;
+  return sodium;
+}
+
+/**
+ * Key derivation functions by name; each resolves to a keyLength-byte Buffer
+ */
+const KDF_IMPLEMENTATIONS = {
+  pbkdf2: (password, salt, kdf) => new Promise((resolve, reject) => {
     crypto.pbkdf2(
       password,
       salt,
-      ENCRYPTION_CONFIG.pbkdf2Iterations,
+      kdf.iterations,
       ENCRYPTION_CONFIG.keyLength,
-      ENCRYPTION_CONFIG.pbkdf2Digest,
+      kdf.digest,
       (err, derivedKey) => {
         if (err) reject(err);
-        else resolve({ key: derivedKey, salt });
+        else resolve(derivedKey);
       }
     );
-  });
+  }),
+
+  scrypt: (password, salt, kdf) => new Promise((resolve, reject) => {
+    crypto.scrypt(
+      password,
+      salt,
+      ENCRYPTION_CONFIG.keyLength,
+      {
+        cost: kdf.cost,
+        blockSize: kdf.blockSize,
+        parallelization: kdf.parallelization,
+        maxmem: 256 * kdf.cost * kdf.blockSize * kdf.parallelization
+      },
+      (err, derivedKey) => {
+        if (err) reject(err);
+        else resolve(derivedKey);
+      }
+    );
+  }),
+
+  argon2id: async (password, salt, kdf) => {
+    const sodium = await loadSodium();
+    const key = sodium.crypto_pwhash(
+      ENCRYPTION_CONFIG.keyLength,
+      password,
+      salt,
+      kdf.opsLimit,
+      kdf.memLimit,
+      sodium.crypto_pwhash_ALG_ARGON2ID13
+    );
+    return Buffer.from(key);
+  }
+};
+
+/**
+ * Derivations running and callers waiting for a slot (see withKdfSlot)
+ */
+const kdfSlots = {
+  active: 0,
+  waiting: []
+};
+
+/**
+ * Runs a key derivation once fewer than ENCRYPTION_CONFIG.kdfConcurrency
+ * others are running; callers are served in order
+ * @param {function(): Promise<Buffer>} derive - Starts the derivation
+ * @returns {Promise<Buffer>}
+ */
+async function withKdfSlot(derive) {
+  if (kdfSlots.active < ENCRYPTION_CONFIG.kdfConcurrency) {
+    kdfSlots.active += 1;
+  } else {
+    // The slot is handed over by the derivation that finishes
+    await new Promise(resolve => kdfSlots.waiting.push(resolve));
+  }
+
+  try {
+    return await derive();
+  } finally {
+    const next = kdfSlots.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      kdfSlots.active -= 1;
+    }
+  }
+}
+
+/**
+ * Re-throws an error with a prefixed message
+ * An error that already carries a code, or was wrapped further down, is
+ * passed through unchanged, so messages do not stack up a prefix per layer.
+ * @param {string} prefix - Context prefix for the message
+ * @param {Error} error - Original error
+ * @returns {Error}
+ */
+function wrapError(prefix, error) {
+  if (error.code || error.wrapped) {
+    return error;
+  }
+  const wrapped = createError(`${prefix}: ${error.message}`);
+  wrapped.wrapped = true;
+  return wrapped;
+}
+
+/**
+ * Serialises a value as JSON with object keys sorted, so a header always
+ * produces the same associated data however its payload was re-encoded
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Field names from the header row of a CSV
+ * @param {string} csvData - CSV formatted string
+ * @returns {string[]} - Empty if the data does not start with a CSV header
+ */
+function csvFields(csvData) {
+  try {
+    return csv.readHeader(csvData);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Creates the stored part of an export header
+ * @param {string} csvData - CSV formatted string
+ * @param {object} options - exportId, createdAt and fields to keep (e.g. when rekeying)
+ * @returns {{exportId: string, createdAt: string, fields: string[]}}
+ */
+function createExportHeader(csvData, options = {}) {
+  return {
+    exportId: options.exportId || crypto.randomUUID(),
+    createdAt: options.createdAt || new Date().toISOString(),
+    fields: options.fields || csvFields(csvData)
+  };
+}
+
+/**
+ * Full authenticated header of a payload: the stored header plus the
+ * format version, algorithm and KDF parameters (or recipient key IDs)
+ * @param {object} data - Parsed payload
+ * @returns {object}
+ */
+function payloadHeader(data) {
+  const { exportId, createdAt, fields } = data.header;
+  const header = { exportId, createdAt, fields, version: data.version, algorithm: data.algorithm };
+
+  const { mode } = PAYLOAD_VERSIONS[data.version];
+  if (mode === 'password') {
+    header.kdf = data.kdf;
+  } else if (mode === 'recipients') {
+    header.recipients = Array.isArray(data.recipients)
+      ? data.recipients.map(entry => entry && entry.keyId)
+      : [];
+  }
+  return header;
+}
+
+/**
+ * Associated data for an authenticated header
+ * @param {object} header - Full header (see payloadHeader)
+ * @returns {Buffer}
+ */
+function headerAad(header) {
+  return Buffer.from(canonicalJSON(header), 'utf-8');
+}
+
+/**
+ * Derives an encryption key from a password using the KDF in kdf.name
+ * @param {string} password - User-provided password
+ * @param {Buffer} salt - Random salt (if not provided, generated)
+ * @param {object} kdf - KDF parameters (defaults to ENCRYPTION_CONFIG)
+ * @returns {Promise<{key: Buffer, salt: Buffer}>} - Derived key and salt
+ */
+async function deriveKeyFromPassword(password, salt = null, kdf = defaultKdfParams()) {
+  const kdfProblem = checkKdfParams(kdf);
+  if (kdfProblem) {
+    throw new Error(kdfProblem);
+  }
+
+  if (!salt) {
+    salt = crypto.randomBytes(saltLengthFor(kdf));
+  }
+
+  const key = await withKdfSlot(() => KDF_IMPLEMENTATIONS[kdf.name](password, salt, kdf));
+  return { key, salt };
 }
 
 /**
@@ -58,9 +524,10 @@ async function deriveKeyFromPassword(password, salt = null) {
  * @param {string|Buffer} data - Data to encrypt
  * @param {Buffer} key - Encryption key (32 bytes)
  * @param {Buffer} iv - Optional IV (if not provided, randomly generated)
+ * @param {string|Buffer} aad - Optional associated data, authenticated but not encrypted
  * @returns {{ciphertext: Buffer, iv: Buffer, tag: Buffer, algorithm: string}}
  */
-function encryptData(data, key, iv = null) {
+function encryptData(data, key, iv = null, aad = null) {
   // Validate inputs
   if (!key || key.length !== ENCRYPTION_CONFIG.keyLength) {
     throw new Error(`Key must be ${ENCRYPTION_CONFIG.keyLength} bytes`);
@@ -73,6 +540,9 @@ function encryptData(data, key, iv = null) {
 
   // Create cipher
   const cipher = crypto.createCipheriv(ENCRYPTION_CONFIG.algorithm, key, iv);
+  if (aad) {
+    cipher.setAAD(Buffer.from(aad));
+  }
 
   // Encrypt data
   const dataBuffer = typeof data === 'string' ? Buffer.from(data, 'utf-8') : data;
@@ -96,56 +566,68 @@ function encryptData(data, key, iv = null) {
  * @param {Buffer} key - Decryption key (32 bytes)
  * @param {Buffer} iv - IV used during encryption
  * @param {Buffer} tag - Authentication tag
- * @returns {string} - Decrypted plaintext
+ * @param {string|null} encoding - Plaintext encoding, or null to return a Buffer
+ * @param {string|Buffer} aad - Associated data given at encryption, if any
+ * @returns {string|Buffer} - Decrypted plaintext
  */
-function decryptData(ciphertext, key, iv, tag) {
+function decryptData(ciphertext, key, iv, tag, encoding = 'utf-8', aad = null) {
   // Validate inputs
   if (!key || key.length !== ENCRYPTION_CONFIG.keyLength) {
     throw new Error(`Key must be ${ENCRYPTION_CONFIG.keyLength} bytes`);
   }
 
-  if (!iv || iv.length !== ENCRYPTION_CONFIG.ivLength) {
-    throw new Error(`IV must be ${ENCRYPTION_CONFIG.ivLength} bytes`);
-  }
-
-  if (!tag || tag.length !== ENCRYPTION_CONFIG.tagLength) {
-    throw new Error(`Tag must be ${ENCRYPTION_CONFIG.tagLength} bytes`);
+  const lengthProblem = checkComponentLength('iv', iv) || checkComponentLength('tag', tag);
+  if (lengthProblem) {
+    throw createError(lengthProblem, ERROR_CODES.INVALID_PAYLOAD);
   }
 
   // Create decipher
   const decipher = crypto.createDecipheriv(ENCRYPTION_CONFIG.algorithm, key, iv);
   decipher.setAuthTag(tag);
+  if (aad) {
+    decipher.setAAD(Buffer.from(aad));
+  }
 
-  // Decrypt data
+  // Decrypt data (final() throws when the GCM tag does not authenticate)
   let plaintext = decipher.update(ciphertext);
-  plaintext = Buffer.concat([plaintext, decipher.final()]);
+  try {
+    plaintext = Buffer.concat([plaintext, decipher.final()]);
+  } catch (error) {
+    throw createError('Authentication failed - wrong password or tampered data', ERROR_CODES.AUTH_FAILED);
+  }
 
-  return plaintext.toString('utf-8');
+  return encoding ? plaintext.toString(encoding) : plaintext;
 }
 
 /**
  * Complete encryption workflow: password -> key derivation -> encryption
  * @param {string|Buffer} data - Data to encrypt
  * @param {string} password - User password for key derivation
- * @returns {Promise<{encrypted: Buffer, iv: Buffer, tag: Buffer, salt: Buffer}>}
+ * @param {object} kdf - KDF parameters (defaults to ENCRYPTION_CONFIG)
+ * @param {Buffer} aad - Optional associated data
+ * @param {object} options - Optional settings
+ * @param {Buffer} options.salt - Salt (defaults to random; for reproducing a payload)
+ * @param {Buffer} options.iv - IV (defaults to random; for reproducing a payload)
+ * @returns {Promise<{encrypted: Buffer, iv: Buffer, tag: Buffer, salt: Buffer, kdf: object}>}
  */
-async function encryptWithPassword(data, password) {
+async function encryptWithPassword(data, password, kdf = defaultKdfParams(), aad = null, options = {}) {
   try {
     // Derive key from password
-    const { key, salt } = await deriveKeyFromPassword(password);
+    const { key, salt } = await deriveKeyFromPassword(password, options.salt || null, kdf);
 
     // Encrypt data
-    const { ciphertext, iv, tag } = encryptData(data, key);
+    const { ciphertext, iv, tag } = encryptData(data, key, options.iv || null, aad);
 
     return {
       encrypted: ciphertext,
       iv,
       tag,
       salt,
+      kdf,
       algorithm: ENCRYPTION_CONFIG.algorithm
     };
   } catch (error) {
-    throw new Error(`Encryption failed: ${error.message}`);
+    throw wrapError('Encryption failed', error);
   }
 }
 
@@ -156,19 +638,21 @@ async function encryptWithPassword(data, password) {
  * @param {Buffer} salt - Salt used in key derivation
  * @param {Buffer} iv - IV used during encryption
  * @param {Buffer} tag - Authentication tag
+ * @param {object} kdf - KDF parameters recorded at encryption time
+ * @param {Buffer} aad - Associated data given at encryption, if any
  * @returns {Promise<string>} - Decrypted plaintext
  */
-async function decryptWithPassword(ciphertext, password, salt, iv, tag) {
+async function decryptWithPassword(ciphertext, password, salt, iv, tag, kdf = defaultKdfParams(), aad = null) {
   try {
-    // Derive key from password using same salt
-    const { key } = await deriveKeyFromPassword(password, salt);
+    // Derive key from password using same salt and parameters
+    const { key } = await deriveKeyFromPassword(password, salt, kdf);
 
     // Decrypt data
-    const plaintext = decryptData(ciphertext, key, iv, tag);
+    const plaintext = decryptData(ciphertext, key, iv, tag, 'utf-8', aad);
 
     return plaintext;
   } catch (error) {
-    throw new Error(`Decryption failed: ${error.message}`);
+    throw wrapError('Decryption failed', error);
   }
 }
 
@@ -176,57 +660,395 @@ async function decryptWithPassword(ciphertext, password, salt, iv, tag) {
  * Encrypts CSV data and returns as downloadable blob payload
  * @param {string} csvData - CSV formatted string
  * @param {string} password - Encryption password
- * @returns {Promise<{payload: string, metadata: {algorithm: string, iterations: number}}>}
+ * @param {object} options - Optional settings
+ * @param {string|object} options.kdf - KDF name or parameters (see resolveKdfParams)
+ * @param {string[]} options.fields - Exported field names (defaults to the CSV header row)
+ * @param {string} options.exportId - Export ID to keep (defaults to a new UUID)
+ * @param {string} options.createdAt - Creation time to keep (defaults to now)
+ * @param {Buffer} options.salt - Salt (defaults to random; for reproducing a payload)
+ * @param {Buffer} options.iv - IV (defaults to random; for reproducing a payload)
+ * @returns {Promise<{payload: string, metadata: {version: number, algorithm: string, kdf: object, iterations: number, header: object}}>}
  */
-async function encryptCSVData(csvData, password) {
+async function encryptCSVData(csvData, password, options = {}) {
   try {
-    const { encrypted, iv, tag, salt } = await encryptWithPassword(csvData, password);
+    const kdf = resolveKdfParams(options.kdf);
+    const envelope = {
+      version: CURRENT_PAYLOAD_VERSION,
+      algorithm: ENCRYPTION_CONFIG.algorithm,
+      kdf,
+      header: createExportHeader(csvData, options)
+    };
+    const header = payloadHeader(envelope);
+
+    const { encrypted, iv, tag, salt } = await encryptWithPassword(csvData, password, kdf, headerAad(header), {
+      salt: options.salt,
+      iv: options.iv
+    });
 
     // Create a combined payload: salt|iv|tag|ciphertext (all base64 encoded for transport)
+    // together with every parameter needed to decrypt it
     const payload = JSON.stringify({
+      ...envelope,
       salt: salt.toString('base64'),
       iv: iv.toString('base64'),
       tag: tag.toString('base64'),
-      ciphertext: encrypted.toString('base64'),
-      algorithm: ENCRYPTION_CONFIG.algorithm,
-      iterations: ENCRYPTION_CONFIG.pbkdf2Iterations
+      ciphertext: encrypted.toString('base64')
     });
 
     return {
       payload,
       metadata: {
+        version: CURRENT_PAYLOAD_VERSION,
         algorithm: ENCRYPTION_CONFIG.algorithm,
-        iterations: ENCRYPTION_CONFIG.pbkdf2Iterations
+        kdf,
+        iterations: kdf.iterations, // PBKDF2 only; kept for older clients
+        header
       }
     };
   } catch (error) {
-    throw new Error(`CSV encryption failed: ${error.message}`);
+    throw wrapError('CSV encryption failed', error);
+  }
+}
+
+/**
+ * Binary components of a CSV payload, all base64 encoded, by payload mode
+ */
+const PAYLOAD_COMPONENTS = {
+  password: ['salt', 'iv', 'tag', 'ciphertext'],
+  recipients: ['iv', 'tag', 'ciphertext'],
+  key: ['iv', 'tag', 'ciphertext']
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Whether a value is a canonical base64 string
+ * @param {*} value - Value to test
+ * @returns {boolean}
+ */
+function isBase64(value) {
+  return typeof value === 'string' && value.length % 4 === 0 && BASE64_PATTERN.test(value);
+}
+
+/**
+ * Decodes and checks the recipient entries of a public-key payload
+ * @param {*} entries - data.recipients
+ * @param {function(string)} invalid - Records a structural problem
+ * @returns {object[]} - Entries with decoded Buffers
+ */
+function examineRecipients(entries, invalid) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    invalid('Payload has no recipients');
+    return [];
+  }
+
+  return entries.map((entry, index) => (
+    examineKeyEntry(entry, `Recipient ${index + 1}`, 'Recipient', RECIPIENT_ENTRY_LENGTHS, invalid)
+  ));
+}
+
+/**
+ * Decodes and checks one wrapped-key entry
+ * @param {*} entry - Recipient or master-key entry
+ * @param {string} missing - Label used when the entry has no key ID
+ * @param {string} label - Label prefixed to the key ID in other problems
+ * @param {object} lengths - Decoded byte length of each base64 field
+ * @param {function(string)} invalid - Records a structural problem
+ * @returns {object} - Entry with decoded Buffers
+ */
+function examineKeyEntry(entry, missing, label, lengths, invalid) {
+  const decoded = { keyId: entry && entry.keyId };
+
+  if (!entry || typeof entry.keyId !== 'string') {
+    invalid(`${missing} is missing "keyId"`);
+    return decoded;
+  }
+
+  for (const [name, length] of Object.entries(lengths)) {
+    if (!isBase64(entry[name])) {
+      invalid(`${label} ${entry.keyId}: "${name}" is missing or not valid base64`);
+    } else if (Buffer.from(entry[name], 'base64').length !== length) {
+      invalid(`${label} ${entry.keyId}: "${name}" must be ${length} bytes`);
+    } else {
+      decoded[name] = Buffer.from(entry[name], 'base64');
+    }
+  }
+
+  return decoded;
+}
+
+/**
+ * Checks the stored header of a payload version that carries one
+ * @param {*} header - data.header
+ * @returns {string|null} - Problem description, or null if well-formed
+ */
+function checkExportHeader(header) {
+  if (!header || typeof header !== 'object' || Array.isArray(header)) {
+    return 'Payload is missing its "header"';
+  }
+  if (typeof header.exportId !== 'string' || header.exportId === '') {
+    return 'Header is missing "exportId"';
+  }
+  if (typeof header.createdAt !== 'string' || Number.isNaN(Date.parse(header.createdAt))) {
+    return 'Header "createdAt" must be an ISO 8601 timestamp';
+  }
+  if (!Array.isArray(header.fields) || !header.fields.every(field => typeof field === 'string')) {
+    return 'Header "fields" must be a list of field names';
+  }
+  return null;
+}
+
+/**
+ * Decodes a CSV payload and collects every structural problem found
+ * Each issue carries the ERROR_CODES value it would be thrown with.
+ * The header is returned as stored; it is only verified by decryption.
+ * @param {string|object} payload - JSON payload (string or already parsed)
+ * @returns {{data: object|null, version: number|null, mode: string|null, kdf: object|null, header: object|null, components: object, recipients: object[], keyEntry: object|null, issues: {message: string, code: string}[]}}
+ */
+function examinePayload(payload) {
+  let data = payload;
+  let version = null;
+  let mode = null;
+  let kdf = null;
+  let header = null;
+  let recipients = [];
+  let keyEntry = null;
+  const components = {};
+  const issues = [];
+  const invalid = message => issues.push({ message, code: ERROR_CODES.INVALID_PAYLOAD });
+  const result = () => ({ data, version, mode, kdf, header, components, recipients, keyEntry, issues });
+
+  if (typeof payload === 'string') {
+    try {
+      data = JSON.parse(payload);
+    } catch (error) {
+      invalid('Payload is not valid JSON');
+      data = null;
+      return result();
+    }
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    invalid('Payload must be a JSON object');
+    data = null;
+    return result();
+  }
+
+  // Unversioned payloads predate the "version" field
+  const requested = data.version === undefined ? 1 : data.version;
+  const format = Number.isInteger(requested) &&
+    Object.prototype.hasOwnProperty.call(PAYLOAD_VERSIONS, requested) &&
+    PAYLOAD_VERSIONS[requested];
+
+  if (!format) {
+    issues.push({
+      message: `Unsupported payload version ${JSON.stringify(data.version)} ` +
+        `(supported: ${Object.keys(PAYLOAD_VERSIONS).join(', ')})`,
+      code: ERROR_CODES.UNSUPPORTED_VERSION
+    });
+  } else {
+    version = requested;
+    mode = format.mode;
+
+    const algorithm = data.algorithm === undefined && version === 1 ? format.algorithm : data.algorithm;
+    if (algorithm !== format.algorithm) {
+      invalid(`Unsupported algorithm "${data.algorithm}"`);
+    }
+
+    if (mode === 'password') {
+      kdf = format.readKdf(data);
+      const kdfProblem = checkKdfParams(kdf);
+      if (kdfProblem) invalid(kdfProblem);
+    } else if (mode === 'recipients') {
+      recipients = examineRecipients(data.recipients, invalid);
+    } else {
+      keyEntry = examineKeyEntry(data.key, 'Master key entry', 'Master key', KEY_ENTRY_LENGTHS, invalid);
+    }
+
+    if (format.header) {
+      const headerProblem = checkExportHeader(data.header);
+      if (headerProblem) {
+        invalid(headerProblem);
+      } else {
+        header = payloadHeader(data);
+      }
+    }
+  }
+
+  for (const name of PAYLOAD_COMPONENTS[mode || 'password']) {
+    const value = data[name];
+
+    if (typeof value !== 'string') {
+      invalid(`Payload is missing "${name}"`);
+    } else if (!isBase64(value)) {
+      invalid(`"${name}" is not valid base64`);
+    } else {
+      components[name] = Buffer.from(value, 'base64');
+    }
+  }
+
+  if (components.salt && components.salt.length === 0) {
+    invalid('Salt is empty');
+  } else if (components.salt && kdf && kdf.name === 'argon2id' &&
+      components.salt.length !== ENCRYPTION_CONFIG.argon2SaltLength) {
+    invalid(`Argon2id salt must be ${ENCRYPTION_CONFIG.argon2SaltLength} bytes`);
+  }
+
+  for (const name of ['iv', 'tag']) {
+    const problem = components[name] && checkComponentLength(name, components[name]);
+    if (problem) invalid(problem);
+  }
+
+  return result();
+}
+
+/**
+ * Parses a CSV payload and decodes its binary components
+ * @param {string|object} payload - JSON payload (string or already parsed)
+ * @returns {{ciphertext: Buffer, salt: Buffer, iv: Buffer, tag: Buffer, version: number, mode: string, kdf: object, header: object|null, aad: Buffer|null, recipients: object[], keyEntry: object|null, data: object}}
+ */
+function parsePayload(payload) {
+  const { data, version, mode, kdf, header, components, recipients, keyEntry, issues } = examinePayload(payload);
+
+  if (issues.length > 0) {
+    throw createError(issues[0].message, issues[0].code);
+  }
+
+  const aad = header ? headerAad(header) : null;
+  return { ...components, version, mode, kdf, header, aad, recipients, keyEntry, data };
+}
+
+/**
+ * Describes a CSV payload without decrypting it (no password needed)
+ * @param {string|object} payload - JSON payload (string or already parsed)
+ * @returns {object} - Format details and the list of structural problems
+ */
+function inspectPayload(payload) {
+  const { data, version, mode, kdf, header, components, recipients, keyEntry, issues } = examinePayload(payload);
+  const byteLength = name => (components[name] ? components[name].length : null);
+
+  return {
+    valid: issues.length === 0,
+    problems: issues.map(issue => issue.message),
+    errorCode: issues.length > 0 ? issues[0].code : null,
+    version: version !== null ? version : (data ? data.version : null),
+    legacy: Boolean(data) && data.version === undefined,
+    mode,
+    header,
+    recipients: recipients.map(recipient => recipient.keyId),
+    keyId: keyEntry ? keyEntry.keyId : null,
+    algorithm: data && data.algorithm !== undefined ? data.algorithm : null,
+    kdf,
+    iterations: kdf && kdf.iterations !== undefined ? kdf.iterations : null,
+    saltLength: byteLength('salt'),
+    ivLength: byteLength('iv'),
+    tagLength: byteLength('tag'),
+    ciphertextLength: byteLength('ciphertext'),
+    payloadSize: Buffer.byteLength(typeof payload === 'string' ? payload : JSON.stringify(payload))
+  };
+}
+
+/**
+ * Decrypts CSV payload together with its authenticated header
+ * @param {string|object} payload - JSON payload containing encrypted data
+ * @param {string} password - Decryption password
+ * @returns {Promise<{csvData: string, header: object|null}>} - Decrypted CSV data and the
+ *   verified header (null for versions 1-3, which have none)
+ */
+async function openCSVData(payload, password) {
+  try {
+    const { ciphertext, salt, iv, tag, kdf, mode, header, aad } = parsePayload(payload);
+
+    if (mode === 'recipients') {
+      throw createError('Payload is encrypted for recipients; decrypt it with a private key', ERROR_CODES.KEY_REQUIRED);
+    }
+    if (mode === 'key') {
+      throw createError('Payload is encrypted with a master key; decrypt it with the key provider', ERROR_CODES.KEY_REQUIRED);
+    }
+
+    const csvData = await decryptWithPassword(ciphertext, password, salt, iv, tag, kdf, aad);
+
+    return { csvData, header };
+  } catch (error) {
+    throw wrapError('CSV decryption failed', error);
   }
 }
 
 /**
  * Decrypts CSV payload
- * @param {string} payload - JSON payload containing encrypted data
+ * @param {string|object} payload - JSON payload containing encrypted data
  * @param {string} password - Decryption password
  * @returns {Promise<string>} - Decrypted CSV data
  */
 async function decryptCSVData(payload, password) {
-  try {
-    const data = JSON.parse(payload);
-
-    const ciphertext = Buffer.from(data.ciphertext, 'base64');
-    const salt = Buffer.from(data.salt, 'base64');
-    const iv = Buffer.from(data.iv, 'base64');
-    const tag = Buffer.from(data.tag, 'base64');
+  const { csvData } = await openCSVData(payload, password);
+  return csvData;
+}
 
-    const csvData = await decryptWithPassword(ciphertext, password, salt, iv, tag);
+/**
+ * Checks that a payload authenticates with a password
+ * The plaintext is discarded; nothing is returned to the caller.
+ * @param {string|object} payload - JSON payload containing encrypted data
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} - Resolves true, rejects with a coded error otherwise
+ */
+async function verifyCSVData(payload, password) {
+  await decryptCSVData(payload, password);
+  return true;
+}
 
-    return csvData;
+/**
+ * Re-encrypts a CSV payload under a new password
+ * The plaintext only exists in memory; a fresh salt and IV are generated.
+ * The export ID, creation time and field list of the header are kept.
+ * @param {string|object} payload - JSON payload containing encrypted data
+ * @param {string} oldPassword - Current password
+ * @param {string} newPassword - Replacement password
+ * @param {object} options - Settings for the new payload (see encryptCSVData)
+ * @returns {Promise<{payload: string, metadata: object}>}
+ */
+async function rekeyCSVData(payload, oldPassword, newPassword, options = {}) {
+  try {
+    const { csvData, header } = await openCSVData(payload, oldPassword);
+    return await encryptCSVData(csvData, newPassword, {
+      ...(header && { exportId: header.exportId, createdAt: header.createdAt, fields: header.fields }),
+      ...options
+    });
   } catch (error) {
-    throw new Error(`CSV decryption failed: ${error.message}`);
+    throw wrapError('CSV rekey failed', error);
   }
 }
 
+/**
+ * Export password policy with the configured minimums
+ * @returns {{minLength: number, minScore: number}}
+ */
+function passwordPolicyOptions() {
+  return {
+    minLength: ENCRYPTION_CONFIG.minPasswordLength,
+    minScore: ENCRYPTION_CONFIG.minPasswordScore
+  };
+}
+
+/**
+ * Rates a password under the export password policy (see password-policy.js)
+ * @param {string} password - Candidate password
+ * @returns {{score: number, label: string, entropy: number, feedback: Array<string>, acceptable: boolean, reason: string|null}}
+ */
+function checkPasswordStrength(password) {
+  return passwordPolicy.checkPassword(password, passwordPolicyOptions());
+}
+
+/**
+ * Checks a password against the export password policy
+ * Shared by the API and the CLI so both produce payloads under one policy.
+ * @param {string} password - Candidate password
+ * @returns {string|null} - Reason the password is rejected, or null if accepted
+ */
+function validatePassword(password) {
+  return passwordPolicy.validatePassword(password, passwordPolicyOptions());
+}
+
 /**
  * Generates a secure random password for internal use
  * @param {number} length - Password length (default: 32)
@@ -240,10 +1062,32 @@ module.exports = {
   deriveKeyFromPassword,
   encryptData,
   decryptData,
+  resolveKdfParams,
+  checkKdfParams,
   encryptWithPassword,
   decryptWithPassword,
   encryptCSVData,
+  openCSVData,
   decryptCSVData,
+  verifyCSVData,
+  rekeyCSVData,
+  parsePayload,
+  inspectPayload,
+  createExportHeader,
+  payloadHeader,
+  canonicalJSON,
+  headerAad,
+  validatePassword,
+  checkPasswordStrength,
+  passwordPolicyOptions,
   generateSecurePassword,
-  ENCRYPTION_CONFIG
+  createError,
+  wrapError,
+  ENCRYPTION_CONFIG,
+  KDF_LIMITS,
+  PAYLOAD_VERSIONS,
+  CURRENT_PAYLOAD_VERSION,
+  RECIPIENT_PAYLOAD_VERSION,
+  KEY_PAYLOAD_VERSION,
+  ERROR_CODES
 };
@@ -0,0 +1,564 @@
+/**
+ * Key Provider Module - master keys for server-side encryption
+ *
+ * Lets the server encrypt exports at rest and re-wrap them without a
+ * password. Exports use envelope encryption (payload version 6):
+ * - A random 256-bit data key encrypts the CSV with AES-256-GCM
+ * - The data key is wrapped with AES-256-GCM under a master key from a
+ *   KeyProvider, and the payload records that key's ID
+ * - Rotating the master key only re-wraps the data key; the CSV ciphertext
+ *   and its authenticated header are left untouched
+ *
+ * Providers:
+ * - LocalKeyringProvider: an encrypted keyring file, unlocked with a
+ *   passphrase, holding one active key and any number of retired keys
+ *   (still used to decrypt, never to encrypt)
+ * - EnvKeyProvider: a master key in PBA_CSV_MASTER_KEY, for containers
+ *
+ * Other backends (e.g. a KMS) subclass KeyProvider and are added with
+ * registerKeyProvider. A provider that cannot hand out key material
+ * overrides wrapKey/unwrapKey instead of getActiveKey/getKey.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const encryption = require('./encryption');
+
+const { ENCRYPTION_CONFIG, ERROR_CODES, createError, wrapError } = encryption;
+
+const KEYRING_FORMAT = 'pba-csv-keyring';
+const KEYRING_VERSION = 1;
+const WRAP_AAD_PREFIX = 'pba-csv master key wrap v1';
+
+/**
+ * Where providers read their settings from when options do not say
+ */
+const KEY_PROVIDER_ENV = {
+  provider: 'PBA_CSV_KEY_PROVIDER',
+  keyring: 'PBA_CSV_KEYRING',
+  passphrase: 'PBA_CSV_KEYRING_PASSPHRASE',
+  masterKey: 'PBA_CSV_MASTER_KEY',
+  retiredKeys: 'PBA_CSV_RETIRED_MASTER_KEYS'
+};
+
+const DEFAULT_KEYRING_PATH = 'pba-keyring.json';
+
+/**
+ * Short identifier for a master key
+ * An HMAC under the key itself, so the ID reveals nothing about the key
+ * and the same key has the same ID in a keyring and in the environment.
+ * @param {Buffer} key - 256-bit master key
+ * @returns {string} - 16 hex characters
+ */
+function masterKeyId(key) {
+  return crypto.createHmac('sha256', key).update('pba-csv key id').digest('hex').slice(0, 16);
+}
+
+/**
+ * Decodes a base64 master key
+ * @param {string} value - base64 of 32 random bytes
+ * @param {string} source - Where the key came from, for error messages
+ * @returns {Buffer}
+ */
+function decodeMasterKey(value, source) {
+  const key = Buffer.from(String(value).trim(), 'base64');
+  if (key.length !== ENCRYPTION_CONFIG.keyLength) {
+    throw createError(`${source} must be base64 of ${ENCRYPTION_CONFIG.keyLength} bytes`, ERROR_CODES.INVALID_KEY);
+  }
+  return key;
+}
+
+/**
+ * Generates a master key for PBA_CSV_MASTER_KEY or a keyring
+ * @returns {{keyId: string, key: string}} - Key ID and base64 key
+ */
+function generateMasterKey() {
+  const key = crypto.randomBytes(ENCRYPTION_CONFIG.keyLength);
+  return { keyId: masterKeyId(key), key: key.toString('base64') };
+}
+
+/**
+ * Associated data binding a wrapped data key to its master key ID
+ * @param {string} keyId - Master key ID
+ * @returns {string}
+ */
+function wrapAad(keyId) {
+  return `${WRAP_AAD_PREFIX}|${keyId}`;
+}
+
+/**
+ * Associated data for the sealed key list
+ * @param {object} kdf - KDF parameters of the keyring
+ * @returns {Buffer}
+ */
+function keyringAad(kdf) {
+  return encryption.headerAad({ format: KEYRING_FORMAT, version: KEYRING_VERSION, kdf });
+}
+
+/**
+ * Base class for master-key sources
+ * Subclasses implement getActiveKey, getKey and listKeys, and rotate if the
+ * backend can create keys. Every method is async so remote backends fit.
+ */
+class KeyProvider {
+  /**
+   * The key new payloads are wrapped with
+   * @returns {Promise<{keyId: string, key: Buffer}>}
+   */
+  async getActiveKey() {
+    throw createError(`${this.constructor.name} does not implement getActiveKey`, ERROR_CODES.INVALID_KEY);
+  }
+
+  /**
+   * Any key that may unwrap a payload, active or retired
+   * @param {string} keyId - Key ID recorded in the payload
+   * @returns {Promise<Buffer>}
+   */
+  async getKey(keyId) {
+    throw createError(`${this.constructor.name} does not implement getKey`, ERROR_CODES.INVALID_KEY);
+  }
+
+  /**
+   * Describes the available keys without revealing them
+   * @returns {Promise<{keyId: string, status: string, createdAt: string|null, retiredAt: string|null}[]>}
+   */
+  async listKeys() {
+    throw createError(`${this.constructor.name} does not implement listKeys`, ERROR_CODES.INVALID_KEY);
+  }
+
+  /**
+   * Creates a new active key and retires the current one
+   * @returns {Promise<{keyId: string, retiredKeyId: string|null}>}
+   */
+  async rotate() {
+    throw createError(`${this.constructor.name} does not support key rotation`, ERROR_CODES.INVALID_KEY);
+  }
+
+  /**
+   * Wraps a data key under the active key
+   * @param {Buffer} dataKey - Data key to protect
+   * @returns {Promise<{keyId: string, iv: string, tag: string, wrappedKey: string}>} - base64 payload entry
+   */
+  async wrapKey(dataKey) {
+    const { keyId, key } = await this.getActiveKey();
+    const { ciphertext, iv, tag } = encryption.encryptData(dataKey, key, null, wrapAad(keyId));
+
+    return {
+      keyId,
+      iv: iv.toString('base64'),
+      tag: tag.toString('base64'),
+      wrappedKey: ciphertext.toString('base64')
+    };
+  }
+
+  /**
+   * Unwraps a data key
+   * @param {{keyId: string, iv: Buffer, tag: Buffer, wrappedKey: Buffer}} entry - Decoded payload entry
+   * @returns {Promise<Buffer>}
+   */
+  async unwrapKey(entry) {
+    const key = await this.getKey(entry.keyId);
+    return encryption.decryptData(entry.wrappedKey, key, entry.iv, entry.tag, null, wrapAad(entry.keyId));
+  }
+}
+
+/**
+ * Master keys from the environment
+ * PBA_CSV_MASTER_KEY holds the active key; PBA_CSV_RETIRED_MASTER_KEYS may
+ * list earlier keys (comma-separated) that are still needed to decrypt.
+ * Rotation means setting a new key and moving the old one to the retired list.
+ */
+class EnvKeyProvider extends KeyProvider {
+  /**
+   * @param {object} env - Environment to read (defaults to process.env)
+   */
+  constructor(env = process.env) {
+    super();
+    this.env = env;
+  }
+
+  /**
+   * Decodes the configured keys, active first
+   * @returns {{keyId: string, key: Buffer, status: string}[]}
+   */
+  keys() {
+    const active = this.env[KEY_PROVIDER_ENV.masterKey];
+    if (!active) {
+      throw createError(`${KEY_PROVIDER_ENV.masterKey} is not set`, ERROR_CODES.KEY_REQUIRED);
+    }
+
+    const retired = (this.env[KEY_PROVIDER_ENV.retiredKeys] || '')
+      .split(',')
+      .filter(value => value.trim() !== '');
+
+    return [
+      { value: active, status: 'active', source: KEY_PROVIDER_ENV.masterKey },
+      ...retired.map(value => ({ value, status: 'retired', source: KEY_PROVIDER_ENV.retiredKeys }))
+    ].map(({ value, status, source }) => {
+      const key = decodeMasterKey(value, source);
+      return { keyId: masterKeyId(key), key, status };
+    });
+  }
+
+  async getActiveKey() {
+    const { keyId, key } = this.keys()[0];
+    return { keyId, key };
+  }
+
+  async getKey(keyId) {
+    const entry = this.keys().find(candidate => candidate.keyId === keyId);
+    if (!entry) {
+      throw createError(`Master key ${keyId} is not configured`, ERROR_CODES.UNKNOWN_KEY);
+    }
+    return entry.key;
+  }
+
+  async listKeys() {
+    return this.keys().map(({ keyId, status }) => ({ keyId, status, createdAt: null, retiredAt: null }));
+  }
+}
+
+/**
+ * Master keys in an encrypted keyring file
+ * The whole key list is sealed with AES-256-GCM under a key derived from the
+ * passphrase, so key IDs, the active key and retirement dates are all
+ * authenticated. Saves are atomic (temporary file, then rename).
+ */
+class LocalKeyringProvider extends KeyProvider {
+  /**
+   * @param {string} filePath - Keyring file
+   * @param {string|function(): Promise<string>} passphrase - Passphrase, or a function
+   *   asked for it the first time the keyring is opened
+   */
+  constructor(filePath, passphrase) {
+    super();
+    this.filePath = filePath;
+    this.passphrase = passphrase;
+    this.keyring = null;
+    this.unlocked = null;
+  }
+
+  /**
+   * Resolves the passphrase
+   * @returns {Promise<string>}
+   */
+  async resolvePassphrase() {
+    const passphrase = typeof this.passphrase === 'function' ? await this.passphrase() : this.passphrase;
+    if (!passphrase) {
+      throw createError(`Keyring passphrase is not set (${KEY_PROVIDER_ENV.passphrase})`, ERROR_CODES.KEY_REQUIRED);
+    }
+    return passphrase;
+  }
+
+  /**
+   * Creates a new keyring file with one active key
+   * @param {string} filePath - Keyring file (must not exist)
+   * @param {string|function(): Promise<string>} passphrase - Keyring passphrase
+   * @param {object} options - Optional settings
+   * @param {string|object} options.kdf - KDF name or parameters (see resolveKdfParams)
+   * @returns {Promise<LocalKeyringProvider>}
+   */
+  static async create(filePath, passphrase, options = {}) {
+    if (fs.existsSync(filePath)) {
+      throw new Error(`${filePath} already exists`);
+    }
+
+    const provider = new LocalKeyringProvider(filePath, passphrase);
+    const kdf = encryption.resolveKdfParams(options.kdf);
+    const { key, salt } = await encryption.deriveKeyFromPassword(await provider.resolvePassphrase(), null, kdf);
+    const { keyId, key: masterKey } = generateMasterKey();
+
+    provider.unlocked = { key, salt, kdf };
+    provider.keyring = {
+      activeKeyId: keyId,
+      keys: [{ keyId, key: masterKey, createdAt: new Date().toISOString(), retiredAt: null }]
+    };
+    provider.save();
+    return provider;
+  }
+
+  /**
+   * Reads and decrypts the keyring file (once)
+   * @returns {Promise<{activeKeyId: string, keys: object[]}>}
+   */
+  async load() {
+    if (this.keyring) {
+      return this.keyring;
+    }
+
+    try {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw createError(`Keyring ${this.filePath} does not exist (run pba-csv keyring init)`, ERROR_CODES.KEY_REQUIRED);
+        }
+        throw createError('Keyring is not valid JSON', ERROR_CODES.INVALID_PAYLOAD);
+      }
+
+      if (!data || data.format !== KEYRING_FORMAT) {
+        throw createError('File is not a pba-csv keyring', ERROR_CODES.INVALID_PAYLOAD);
+      }
+      if (data.version !== KEYRING_VERSION) {
+        throw createError(`Unsupported keyring version ${JSON.stringify(data.version)}`, ERROR_CODES.UNSUPPORTED_VERSION);
+      }
+      const kdfProblem = encryption.checkKdfParams(data.kdf);
+      if (kdfProblem) {
+        throw createError(kdfProblem, ERROR_CODES.INVALID_PAYLOAD);
+      }
+
+      const salt = Buffer.from(String(data.salt), 'base64');
+      const { key } = await encryption.deriveKeyFromPassword(await this.resolvePassphrase(), salt, data.kdf);
+      const plaintext = encryption.decryptData(
+        Buffer.from(String(data.ciphertext), 'base64'),
+        key,
+        Buffer.from(String(data.iv), 'base64'),
+        Buffer.from(String(data.tag), 'base64'),
+        'utf-8',
+        keyringAad(data.kdf)
+      );
+
+      this.unlocked = { key, salt, kdf: data.kdf };
+      this.keyring = JSON.parse(plaintext);
+      return this.keyring;
+    } catch (error) {
+      throw wrapError('Keyring could not be opened', error);
+    }
+  }
+
+  /**
+   * Seals the keyring with a fresh IV and replaces the file
+   */
+  save() {
+    const { key, salt, kdf } = this.unlocked;
+    const { ciphertext, iv, tag } = encryption.encryptData(JSON.stringify(this.keyring), key, null, keyringAad(kdf));
+    const contents = {
+      format: KEYRING_FORMAT,
+      version: KEYRING_VERSION,
+      kdf,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: tag.toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+
+    const temporary = path.join(
+      path.dirname(this.filePath),
+      `.${path.basename(this.filePath)}.${process.pid}.tmp`
+    );
+    fs.writeFileSync(temporary, `${JSON.stringify(contents, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temporary, this.filePath);
+  }
+
+  async getActiveKey() {
+    const { activeKeyId } = await this.load();
+    return { keyId: activeKeyId, key: await this.getKey(activeKeyId) };
+  }
+
+  async getKey(keyId) {
+    const { keys } = await this.load();
+    const entry = keys.find(candidate => candidate.keyId === keyId);
+    if (!entry) {
+      throw createError(`Master key ${keyId} is not in the keyring`, ERROR_CODES.UNKNOWN_KEY);
+    }
+    return Buffer.from(entry.key, 'base64');
+  }
+
+  async listKeys() {
+    const { activeKeyId, keys } = await this.load();
+    return keys.map(({ keyId, createdAt, retiredAt }) => ({
+      keyId,
+      status: keyId === activeKeyId ? 'active' : 'retired',
+      createdAt,
+      retiredAt
+    }));
+  }
+
+  async rotate() {
+    const keyring = await this.load();
+    const retiredKeyId = keyring.activeKeyId;
+    const now = new Date().toISOString();
+    const { keyId, key } = generateMasterKey();
+
+    keyring.keys.forEach(entry => {
+      if (entry.keyId === retiredKeyId) {
+        entry.retiredAt = now;
+      }
+    });
+    keyring.keys.push({ keyId, key, createdAt: now, retiredAt: null });
+    keyring.activeKeyId = keyId;
+    this.save();
+
+    return { keyId, retiredKeyId };
+  }
+}
+
+/**
+ * Provider factories by name; see registerKeyProvider
+ */
+const KEY_PROVIDERS = {
+  env: options => new EnvKeyProvider(options.env),
+  keyring: options => new LocalKeyringProvider(
+    options.keyringPath || process.env[KEY_PROVIDER_ENV.keyring] || DEFAULT_KEYRING_PATH,
+    options.passphrase || process.env[KEY_PROVIDER_ENV.passphrase]
+  )
+};
+
+/**
+ * Makes another key provider available to createKeyProvider
+ * @param {string} name - Provider name (PBA_CSV_KEY_PROVIDER value)
+ * @param {function(object): KeyProvider} factory - Builds the provider from createKeyProvider options
+ */
+function registerKeyProvider(name, factory) {
+  KEY_PROVIDERS[name] = factory;
+}
+
+/**
+ * Creates the configured key provider
+ * Defaults to "env" when PBA_CSV_MASTER_KEY is set and to "keyring" otherwise.
+ * Nothing is read until a key is first needed.
+ * @param {object} options - Optional settings
+ * @param {string} options.provider - Provider name (defaults to PBA_CSV_KEY_PROVIDER)
+ * @param {string} options.keyringPath - Keyring file (defaults to PBA_CSV_KEYRING, then pba-keyring.json)
+ * @param {string|function(): Promise<string>} options.passphrase - Keyring passphrase
+ *   (defaults to PBA_CSV_KEYRING_PASSPHRASE)
+ * @returns {KeyProvider}
+ */
+function createKeyProvider(options = {}) {
+  const name = options.provider || process.env[KEY_PROVIDER_ENV.provider] ||
+    (process.env[KEY_PROVIDER_ENV.masterKey] ? 'env' : 'keyring');
+
+  if (!Object.prototype.hasOwnProperty.call(KEY_PROVIDERS, name)) {
+    throw createError(
+      `Unknown key provider "${name}" (available: ${Object.keys(KEY_PROVIDERS).join(', ')})`,
+      ERROR_CODES.INVALID_KEY
+    );
+  }
+  return KEY_PROVIDERS[name](options);
+}
+
+/**
+ * Encrypts CSV data under the provider's active master key
+ * @param {string} csvData - CSV formatted string
+ * @param {KeyProvider} provider - Master key source
+ * @param {object} options - Header settings (fields, exportId, createdAt; see encryptCSVData)
+ * @returns {Promise<{payload: string, metadata: {version: number, algorithm: string, keyId: string, header: object}}>}
+ */
+async function encryptCSVDataWithProvider(csvData, provider, options = {}) {
+  try {
+    const dataKey = crypto.randomBytes(ENCRYPTION_CONFIG.keyLength);
+    const envelope = {
+      version: encryption.KEY_PAYLOAD_VERSION,
+      algorithm: ENCRYPTION_CONFIG.algorithm,
+      header: encryption.createExportHeader(csvData, options),
+      key: await provider.wrapKey(dataKey)
+    };
+    const header = encryption.payloadHeader(envelope);
+    const { ciphertext, iv, tag } = encryption.encryptData(csvData, dataKey, null, encryption.headerAad(header));
+
+    const payload = JSON.stringify({
+      ...envelope,
+      iv: iv.toString('base64'),
+      tag: tag.toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    });
+
+    return {
+      payload,
+      metadata: {
+        version: encryption.KEY_PAYLOAD_VERSION,
+        algorithm: ENCRYPTION_CONFIG.algorithm,
+        keyId: envelope.key.keyId,
+        header
+      }
+    };
+  } catch (error) {
+    throw wrapError('CSV encryption failed', error);
+  }
+}
+
+/**
+ * Unwraps the data key of a master-key payload and checks the ciphertext
+ * @param {string|object} payload - JSON payload containing encrypted data
+ * @param {KeyProvider} provider - Master key source
+ * @returns {Promise<{csvData: string, header: object, keyEntry: object, data: object, dataKey: Buffer}>}
+ */
+async function openKeyPayload(payload, provider) {
+  const { ciphertext, iv, tag, mode, header, aad, keyEntry, data } = encryption.parsePayload(payload);
+
+  if (mode !== 'key') {
+    throw createError('Payload is not encrypted with a master key', ERROR_CODES.KEY_REQUIRED);
+  }
+
+  const dataKey = await provider.unwrapKey(keyEntry);
+  const csvData = encryption.decryptData(ciphertext, dataKey, iv, tag, 'utf-8', aad);
+
+  return { csvData, header, keyEntry, data, dataKey };
+}
+
+/**
+ * Decrypts a master-key payload together with its authenticated header
+ * @param {string|object} payload - JSON payload containing encrypted data
+ * @param {KeyProvider} provider - Master key source
+ * @returns {Promise<{csvData: string, header: object}>}
+ */
+async function openCSVDataWithProvider(payload, provider) {
+  try {
+    const { csvData, header } = await openKeyPayload(payload, provider);
+    return { csvData, header };
+  } catch (error) {
+    throw wrapError('CSV decryption failed', error);
+  }
+}
+
+/**
+ * Re-wraps a master-key payload under the provider's active key
+ * Only the wrapped data key changes; the ciphertext is checked first so a
+ * corrupt payload is never re-wrapped. Payloads already on the active key
+ * are returned unchanged. A signature no longer matches a re-wrapped
+ * envelope and is dropped; re-sign the result if needed.
+ * @param {string|object} payload - JSON payload containing encrypted data
+ * @param {KeyProvider} provider - Master key source
+ * @returns {Promise<{payload: string, rewrapped: boolean, metadata: {version: number, algorithm: string, keyId: string, previousKeyId: string, header: object}}>}
+ */
+async function rewrapCSVData(payload, provider) {
+  try {
+    const { header, keyEntry, data, dataKey } = await openKeyPayload(payload, provider);
+    const { keyId } = await provider.getActiveKey();
+    const rewrapped = keyEntry.keyId !== keyId;
+    const { signature, ...envelope } = data;
+
+    return {
+      payload: rewrapped
+        ? JSON.stringify({ ...envelope, key: await provider.wrapKey(dataKey) })
+        : JSON.stringify(data),
+      rewrapped,
+      metadata: {
+        version: data.version,
+        algorithm: data.algorithm,
+        keyId,
+        previousKeyId: keyEntry.keyId,
+        header
+      }
+    };
+  } catch (error) {
+    throw wrapError('CSV rewrap failed', error);
+  }
+}
+
+module.exports = {
+  KeyProvider,
+  EnvKeyProvider,
+  LocalKeyringProvider,
+  createKeyProvider,
+  registerKeyProvider,
+  generateMasterKey,
+  masterKeyId,
+  encryptCSVDataWithProvider,
+  openCSVDataWithProvider,
+  rewrapCSVData,
+  KEY_PROVIDER_ENV,
+  DEFAULT_KEYRING_PATH
+};
@@ -0,0 +1,328 @@
+/**
+ * Password Policy Module - strength estimation for export passwords
+ *
+ * One set of rules for the API, the CLI and both frontends:
+ * - Entropy estimate from the character classes in use
+ * - Built-in list of common passwords, also matched through leetspeak
+ *   (p@ssw0rd) and with trailing digits or symbols stripped (Password1!)
+ * - Reduced credit for repeated characters (aaa), repeated units (abcabc),
+ *   sequences (abc, 321), keyboard runs (qwerty, asdf) and years
+ *
+ * The estimate maps to a score from 0 (very weak) to 4 (very strong); a
+ * password is accepted when it is long enough and reaches the minimum score.
+ * Passwords longer than MAX_PASSWORD_LENGTH are rejected before scoring,
+ * which takes time that grows with the square of the length.
+ * encryption.js applies PASSWORD_MIN_LENGTH and PASSWORD_MIN_SCORE from the
+ * environment; browser.js starts from DEFAULT_POLICY and the frontends
+ * apply the server's policy from GET /api/password-policy.
+ *
+ * Loads as a <script> (window.PBAPasswordPolicy) or through require()/import.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PBAPasswordPolicy = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  /**
+   * Default policy: minimum length and minimum score (0-4)
+   */
+  const DEFAULT_POLICY = {
+    minLength: 8,
+    minScore: 2
+  };
+
+  /**
+   * Longest password accepted, in characters
+   */
+  const MAX_PASSWORD_LENGTH = 1024;
+
+  /**
+   * Estimated bits needed for scores 1 to 4
+   */
+  const SCORE_THRESHOLDS = [28, 40, 60, 80];
+
+  const SCORE_LABELS = ['very weak', 'weak', 'fair', 'strong', 'very strong'];
+
+  /**
+   * Passwords attackers try first, lower case
+   * Matched whole, through leetspeak and as the base of a longer password.
+   */
+  const COMMON_PASSWORDS = [
+    'password', 'passwort', 'passpass', 'pass', 'secret', 'letmein', 'welcome',
+    'admin', 'administrator', 'login', 'master', 'root', 'guest', 'default',
+    'changeme', 'changeit', 'temp', 'test', 'testing', 'qwerty', 'qwertz',
+    'azerty', 'asdfgh', 'zxcvbn', 'qazwsx', 'zaq12wsx', '1qaz2wsx', '1q2w3e4r',
+    'q1w2e3r4', 'abc123', 'abcdef', 'iloveyou', 'trustno1', 'whatever',
+    'dragon', 'monkey', 'shadow', 'sunshine', 'princess', 'superman', 'batman',
+    'spiderman', 'starwars', 'pokemon', 'football', 'baseball', 'basketball',
+    'soccer', 'hockey', 'golf', 'tennis', 'michael', 'jennifer', 'jessica',
+    'ashley', 'daniel', 'thomas', 'robert', 'jordan', 'charlie', 'andrew',
+    'joshua', 'matthew', 'hannah', 'nicole', 'killer', 'hunter', 'ranger',
+    'buster', 'tigger', 'ginger', 'pepper', 'cookie', 'cheese', 'banana',
+    'orange', 'purple', 'silver', 'golden', 'flower', 'summer', 'winter',
+    'spring', 'autumn', 'freedom', 'hello', 'love', 'lovely', 'angel', 'baby',
+    'family', 'friends', 'money', 'mustang', 'harley', 'matrix', 'access',
+    'computer', 'internet', 'security', 'secure', 'private', 'company',
+    'business', 'office', 'manager', 'service', 'support', 'billing',
+    'payment', 'invoice', 'credit', 'creditcard', 'mastercard', 'visa',
+    'paypal', 'export', 'backup', 'database', 'server', 'system', 'pbacsv',
+    '123456', '1234567', '12345678', '123456789', '1234567890', '123123',
+    '111111', '000000', '121212', '112233', '654321', '666666', '696969',
+    '987654321', '159753', '147258369'
+  ];
+
+  /**
+   * Character substitutions undone before matching common passwords
+   */
+  const LEET_MAP = {
+    '@': 'a', '4': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '1': 'i',
+    '!': 'i', '|': 'l', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z'
+  };
+
+  /**
+   * Keyboard rows for keyboard-run detection
+   */
+  const KEYBOARD_ROWS = [
+    '`1234567890-=',
+    'qwertyuiop[]\\',
+    'asdfghjkl;\'',
+    'zxcvbnm,./',
+    'qwertzuiop',
+    'azertyuiop'
+  ];
+
+  /**
+   * Bits credited to a character that follows a pattern
+   */
+  const PATTERN_CHAR_BITS = 1;
+
+  /**
+   * Bits credited to a year such as 1987 or 2024
+   */
+  const YEAR_BITS = Math.log2(200);
+
+  const FEEDBACK = {
+    common: 'This is a commonly used password',
+    commonWord: 'Avoid common words and passwords, even with substitutions like @ for a',
+    repeat: 'Avoid repeated characters and repeated patterns',
+    sequence: 'Avoid sequences like abc, 321 or qwerty',
+    year: 'Avoid years and dates',
+    variety: 'Add more words, or mix upper case, digits and symbols'
+  };
+
+  const COMMON_SET = new Set(COMMON_PASSWORDS);
+  const COMMON_BITS = Math.log2(COMMON_PASSWORDS.length);
+
+  /**
+   * Lower-cases a password and undoes leetspeak, keeping its length
+   * @param {string} password - Password
+   * @returns {string}
+   */
+  function normalize(password) {
+    return Array.from(password.toLowerCase(), char => LEET_MAP[char] || char).join('');
+  }
+
+  /**
+   * Size of the character pool a password draws from
+   * @param {string} password - Password
+   * @returns {number}
+   */
+  function charsetSize(password) {
+    let size = 0;
+    if (/[a-z]/.test(password)) size += 26;
+    if (/[A-Z]/.test(password)) size += 26;
+    if (/[0-9]/.test(password)) size += 10;
+    if (/[^a-zA-Z0-9\s]/.test(password)) size += 33;
+    if (/\s/.test(password)) size += 1;
+    if (/[^\x00-\x7f]/.test(password)) size += 100;
+    return Math.max(size, 1);
+  }
+
+  /**
+   * Checks whether a password is on the common list
+   * Also matches leetspeak and a common base with up to four trailing
+   * digits or symbols.
+   * @param {string} password - Password
+   * @returns {boolean}
+   */
+  function isCommonPassword(password) {
+    const value = String(password);
+    const base = value.replace(/[^a-zA-Z]{1,4}$/, '');
+    return [value.toLowerCase(), normalize(value), normalize(base), base.toLowerCase()]
+      .some(candidate => candidate.length > 0 && COMMON_SET.has(candidate));
+  }
+
+  /**
+   * Whether three characters step by the same +1/-1 in a sequence string
+   * @param {string} a - First character
+   * @param {string} b - Second character
+   * @param {string} c - Third character
+   * @returns {boolean}
+   */
+  function isRun(a, b, c) {
+    const first = b.charCodeAt(0) - a.charCodeAt(0);
+    const second = c.charCodeAt(0) - b.charCodeAt(0);
+    if (Math.abs(first) === 1 && first === second) {
+      return true;
+    }
+
+    return KEYBOARD_ROWS.some(row => {
+      const i = row.indexOf(a);
+      const j = row.indexOf(b);
+      const k = row.indexOf(c);
+      return i !== -1 && j !== -1 && k !== -1 &&
+        Math.abs(j - i) === 1 && k - j === j - i;
+    });
+  }
+
+  /**
+   * Estimates the entropy of a password in bits
+   * @param {string} password - Password
+   * @param {Set<string>} found - Collects the feedback keys that apply
+   * @returns {number}
+   */
+  function estimateBits(password, found) {
+    const chars = Array.from(password);
+    if (chars.length === 0) {
+      return 0;
+    }
+
+    // A unit repeated end to end (abcabc) is as strong as the unit
+    const repeated = /^(.+?)\1+$/s.exec(password);
+    if (repeated) {
+      found.add('repeat');
+      const unit = Array.from(repeated[1]).length;
+      return estimateBits(repeated[1], found) + Math.log2(chars.length / unit);
+    }
+
+    if (isCommonPassword(password)) {
+      found.add('common');
+      const suffix = password.slice(password.replace(/[^a-zA-Z]{1,4}$/, '').length);
+      const capitalized = /[A-Z]/.test(password) ? 1 : 0;
+      const suffixBits = suffix ? suffix.length * Math.log2(charsetSize(suffix)) : 0;
+      return COMMON_BITS + capitalized + suffixBits;
+    }
+
+    const weak = new Array(chars.length).fill(false);
+    let extraBits = 0;
+
+    // Word and year positions index code units; skip them for astral text
+    const indexable = chars.length === password.length;
+
+    // Each common word inside the password counts as one guess from the list,
+    // longest first
+    const lower = normalize(password);
+    const words = indexable ? COMMON_PASSWORDS
+      .filter(candidate => candidate.length >= 4 && lower.includes(candidate))
+      .sort((a, b) => b.length - a.length) : [];
+    words.forEach(word => {
+      let start = lower.indexOf(word);
+      while (start !== -1) {
+        if (!weak.slice(start, start + word.length).some(Boolean)) {
+          found.add('commonWord');
+          weak.fill(true, start, start + word.length);
+          extraBits += COMMON_BITS;
+        }
+        start = lower.indexOf(word, start + 1);
+      }
+    });
+
+    const yearPattern = /(?:19|20)\d\d/g;
+    let year;
+    while (indexable && (year = yearPattern.exec(password)) !== null) {
+      if (!weak.slice(year.index, year.index + 4).some(Boolean)) {
+        found.add('year');
+        weak.fill(true, year.index, year.index + 4);
+        extraBits += YEAR_BITS - 4 * PATTERN_CHAR_BITS;
+      }
+    }
+
+    for (let i = 1; i < chars.length; i++) {
+      if (weak[i]) {
+        continue;
+      }
+      if (chars[i] === chars[i - 1]) {
+        found.add('repeat');
+        weak[i] = true;
+      } else if (i >= 2 && isRun(chars[i - 2].toLowerCase(), chars[i - 1].toLowerCase(), chars[i].toLowerCase())) {
+        found.add('sequence');
+        weak[i] = true;
+      }
+    }
+
+    const poolBits = Math.log2(charsetSize(password));
+    const bits = weak.reduce((total, isWeak) => total + (isWeak ? PATTERN_CHAR_BITS : poolBits), extraBits);
+    return Math.max(bits, 0);
+  }
+
+  /**
+   * Rates a password
+   * @param {string} password - Candidate password
+   * @param {object} policy - Policy overrides (minLength, minScore)
+   * @returns {{score: number, label: string, entropy: number, feedback: Array<string>, acceptable: boolean, reason: string|null}}
+   */
+  function checkPassword(password, policy = {}) {
+    const { minLength, minScore } = { ...DEFAULT_POLICY, ...policy };
+    const value = typeof password === 'string' ? password : '';
+    const length = Array.from(value).length;
+    if (length > MAX_PASSWORD_LENGTH) {
+      return {
+        score: 0,
+        label: SCORE_LABELS[0],
+        entropy: 0,
+        feedback: [],
+        acceptable: false,
+        reason: `Password must be at most ${MAX_PASSWORD_LENGTH} characters`
+      };
+    }
+
+    const found = new Set();
+
+    const entropy = estimateBits(value, found);
+    const score = SCORE_THRESHOLDS.filter(threshold => entropy >= threshold).length;
+    if (score < 3 && found.size === 0) {
+      found.add('variety');
+    }
+
+    const feedback = Array.from(found, key => FEEDBACK[key]);
+    let reason = null;
+    if (length < minLength) {
+      reason = `Password must be at least ${minLength} characters`;
+    } else if (score < minScore) {
+      reason = `Password is too weak (${SCORE_LABELS[score]}): ${feedback[0] || FEEDBACK.variety}`;
+    }
+
+    return {
+      score,
+      label: SCORE_LABELS[score],
+      entropy: Math.round(entropy * 10) / 10,
+      feedback,
+      acceptable: reason === null,
+      reason
+    };
+  }
+
+  /**
+   * Checks a password against the policy
+   * @param {string} password - Candidate password
+   * @param {object} policy - Policy overrides (minLength, minScore)
+   * @returns {string|null} - Reason the password is rejected, or null if accepted
+   */
+  function validatePassword(password, policy = {}) {
+    return checkPassword(password, policy).reason;
+  }
+
+  return {
+    checkPassword,
+    validatePassword,
+    isCommonPassword,
+    DEFAULT_POLICY,
+    MAX_PASSWORD_LENGTH,
+    SCORE_LABELS
+  };
+});
@@ -0,0 +1,255 @@
+/**
+ * Recipient Encryption Module - X25519 + AES-256-GCM
+ *
+ * Encrypts CSV exports for one or more public keys, so no password has to be
+ * shared out-of-band. Built on the primitives in encryption.js:
+ * - A random 256-bit data key encrypts the CSV with AES-256-GCM
+ * - For every recipient a fresh ephemeral X25519 key pair performs ECDH
+ *   with the recipient's public key
+ * - HKDF-SHA256 turns the shared secret into a key-wrapping key
+ * - The data key is wrapped with AES-256-GCM under that key
+ *
+ * The export header and recipient key IDs are bound to the CSV ciphertext as
+ * associated data (payload version 5).
+ *
+ * Public keys travel as base64 of the raw 32-byte X25519 key; private keys
+ * are PKCS#8 PEM files. Recipients are identified by a short key ID
+ * (first 8 bytes of SHA-256 over the raw public key).
+ */
+
+const crypto = require('crypto');
+const encryption = require('./encryption');
+
+const { ENCRYPTION_CONFIG, ERROR_CODES, createError, wrapError } = encryption;
+
+const HKDF_INFO = 'pba-csv recipient key wrap v1';
+const MAX_RECIPIENTS = 16;
+
+/**
+ * Raw 32-byte form of an X25519 public key
+ * @param {crypto.KeyObject} publicKey - X25519 public key
+ * @returns {Buffer}
+ */
+function rawPublicKey(publicKey) {
+  return Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+}
+
+/**
+ * Short identifier for a public key
+ * @param {crypto.KeyObject} publicKey - X25519 public key
+ * @returns {string} - 16 hex characters
+ */
+function keyIdFor(publicKey) {
+  return crypto.createHash('sha256').update(rawPublicKey(publicKey)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Loads an X25519 public key
+ * @param {string|crypto.KeyObject} value - base64 raw key, PEM or KeyObject
+ * @returns {crypto.KeyObject}
+ */
+function loadPublicKey(value) {
+  try {
+    let key;
+    if (value instanceof crypto.KeyObject) {
+      key = value.type === 'private' ? crypto.createPublicKey(value) : value;
+    } else if (typeof value === 'string' && value.includes('-----BEGIN')) {
+      key = crypto.createPublicKey(value);
+    } else {
+      const raw = Buffer.from(String(value).trim(), 'base64');
+      if (raw.length !== 32) {
+        throw new Error('expected 32 bytes');
+      }
+      key = crypto.createPublicKey({
+        key: { kty: 'OKP', crv: 'X25519', x: raw.toString('base64url') },
+        format: 'jwk'
+      });
+    }
+
+    if (key.asymmetricKeyType !== 'x25519') {
+      throw new Error(`expected an X25519 key, got ${key.asymmetricKeyType}`);
+    }
+    return key;
+  } catch (error) {
+    throw createError(`Invalid recipient public key: ${error.message}`, ERROR_CODES.INVALID_KEY);
+  }
+}
+
+/**
+ * Loads an X25519 private key
+ * @param {string|Buffer|crypto.KeyObject} value - PEM or KeyObject
+ * @returns {crypto.KeyObject}
+ */
+function loadPrivateKey(value) {
+  try {
+    const key = value instanceof crypto.KeyObject ? value : crypto.createPrivateKey(value);
+
+    if (key.asymmetricKeyType !== 'x25519') {
+      throw new Error(`expected an X25519 key, got ${key.asymmetricKeyType}`);
+    }
+    return key;
+  } catch (error) {
+    throw createError(`Invalid private key: ${error.message}`, ERROR_CODES.INVALID_KEY);
+  }
+}
+
+/**
+ * Generates a recipient key pair
+ * @returns {{publicKey: string, privateKey: string, keyId: string}} - base64 public key, PEM private key
+ */
+function generateKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+
+  return {
+    publicKey: rawPublicKey(publicKey).toString('base64'),
+    privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    keyId: keyIdFor(publicKey)
+  };
+}
+
+/**
+ * Derives the key that wraps the data key for one recipient
+ * @param {Buffer} sharedSecret - X25519 shared secret
+ * @param {Buffer} epk - Raw ephemeral public key
+ * @param {Buffer} recipient - Raw recipient public key
+ * @returns {Buffer}
+ */
+function deriveWrappingKey(sharedSecret, epk, recipient) {
+  return Buffer.from(crypto.hkdfSync(
+    'sha256',
+    sharedSecret,
+    Buffer.concat([epk, recipient]),
+    HKDF_INFO,
+    ENCRYPTION_CONFIG.keyLength
+  ));
+}
+
+/**
+ * Encrypts CSV data for a set of recipients
+ * @param {string} csvData - CSV formatted string
+ * @param {Array<string|crypto.KeyObject>} recipientKeys - Recipient public keys
+ * @param {object} options - Header settings (fields, exportId, createdAt; see encryptCSVData)
+ * @returns {Promise<{payload: string, metadata: {version: number, algorithm: string, recipients: string[], header: object}}>}
+ */
+async function encryptCSVDataForRecipients(csvData, recipientKeys, options = {}) {
+  try {
+    if (!Array.isArray(recipientKeys) || recipientKeys.length === 0) {
+      throw createError('At least one recipient is required', ERROR_CODES.INVALID_KEY);
+    }
+    if (recipientKeys.length > MAX_RECIPIENTS) {
+      throw createError(`At most ${MAX_RECIPIENTS} recipients are supported`, ERROR_CODES.INVALID_KEY);
+    }
+
+    const publicKeys = recipientKeys.map(loadPublicKey);
+    const dataKey = crypto.randomBytes(ENCRYPTION_CONFIG.keyLength);
+
+    const recipients = publicKeys.map(publicKey => {
+      const ephemeral = crypto.generateKeyPairSync('x25519');
+      const epk = rawPublicKey(ephemeral.publicKey);
+      const sharedSecret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey });
+      const wrappingKey = deriveWrappingKey(sharedSecret, epk, rawPublicKey(publicKey));
+      const wrapped = encryption.encryptData(dataKey, wrappingKey);
+
+      return {
+        keyId: keyIdFor(publicKey),
+        epk: epk.toString('base64'),
+        iv: wrapped.iv.toString('base64'),
+        tag: wrapped.tag.toString('base64'),
+        wrappedKey: wrapped.ciphertext.toString('base64')
+      };
+    });
+
+    const envelope = {
+      version: encryption.RECIPIENT_PAYLOAD_VERSION,
+      algorithm: ENCRYPTION_CONFIG.algorithm,
+      header: encryption.createExportHeader(csvData, options),
+      recipients
+    };
+    const header = encryption.payloadHeader(envelope);
+    const { ciphertext, iv, tag } = encryption.encryptData(csvData, dataKey, null, encryption.headerAad(header));
+
+    const payload = JSON.stringify({
+      ...envelope,
+      iv: iv.toString('base64'),
+      tag: tag.toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    });
+
+    return {
+      payload,
+      metadata: {
+        version: encryption.RECIPIENT_PAYLOAD_VERSION,
+        algorithm: ENCRYPTION_CONFIG.algorithm,
+        recipients: header.recipients,
+        header
+      }
+    };
+  } catch (error) {
+    throw wrapError('CSV encryption failed', error);
+  }
+}
+
+/**
+ * Decrypts a recipient payload with a private key, together with its
+ * authenticated header
+ * @param {string|object} payload - JSON payload containing encrypted data
+ * @param {string|Buffer|crypto.KeyObject} privateKey - Recipient private key (PEM)
+ * @returns {Promise<{csvData: string, header: object|null}>} - Decrypted CSV data and the
+ *   verified header (null for version 3)
+ */
+async function openCSVDataWithKey(payload, privateKey) {
+  try {
+    const { ciphertext, iv, tag, mode, recipients, header, aad } = encryption.parsePayload(payload);
+
+    if (mode !== 'recipients') {
+      throw createError(
+        mode === 'key'
+          ? 'Payload is encrypted with a master key; decrypt it with the key provider'
+          : 'Payload is password-protected; decrypt it with its password',
+        ERROR_CODES.KEY_REQUIRED
+      );
+    }
+
+    const key = loadPrivateKey(privateKey);
+    const publicKey = crypto.createPublicKey(key);
+    const keyId = keyIdFor(publicKey);
+    const entry = recipients.find(recipient => recipient.keyId === keyId);
+
+    if (!entry) {
+      throw createError(`Key ${keyId} is not a recipient of this payload`, ERROR_CODES.NOT_A_RECIPIENT);
+    }
+
+    const epkKey = loadPublicKey(entry.epk.toString('base64'));
+    const sharedSecret = crypto.diffieHellman({ privateKey: key, publicKey: epkKey });
+    const wrappingKey = deriveWrappingKey(sharedSecret, entry.epk, rawPublicKey(publicKey));
+    const dataKey = encryption.decryptData(entry.wrappedKey, wrappingKey, entry.iv, entry.tag, null);
+
+    const csvData = encryption.decryptData(ciphertext, dataKey, iv, tag, 'utf-8', aad);
+
+    return { csvData, header };
+  } catch (error) {
+    throw wrapError('CSV decryption failed', error);
+  }
+}
+
+/**
+ * Decrypts a recipient payload with a private key
+ * @param {string|object} payload - JSON payload containing encrypted data
+ * @param {string|Buffer|crypto.KeyObject} privateKey - Recipient private key (PEM)
+ * @returns {Promise<string>} - Decrypted CSV data
+ */
+async function decryptCSVDataWithKey(payload, privateKey) {
+  const { csvData } = await openCSVDataWithKey(payload, privateKey);
+  return csvData;
+}
+
+module.exports = {
+  generateKeyPair,
+  loadPublicKey,
+  loadPrivateKey,
+  keyIdFor,
+  encryptCSVDataForRecipients,
+  openCSVDataWithKey,
+  decryptCSVDataWithKey,
+  MAX_RECIPIENTS
+};
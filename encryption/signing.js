@@ -0,0 +1,258 @@
+/**
+ * Signing Module - Ed25519 signatures over payload envelopes
+ *
+ * AES-GCM only proves a payload was not altered by someone without the
+ * password or key; anyone who has it can produce a new export. A signature
+ * proves which signing key produced the envelope.
+ *
+ * The signature covers the canonical JSON of the whole envelope (version,
+ * header, KDF parameters or wrapped keys, IV, tag and ciphertext) without its
+ * "signature" field, and is stored in that field:
+ *
+ *   "signature": { "algorithm": "ed25519", "keyId": "...", "value": "base64" }
+ *
+ * Decryption ignores the field, so signed payloads stay readable by older
+ * clients. Public keys travel as base64 of the raw 32-byte Ed25519 key;
+ * private keys are PKCS#8 PEM files. Signers are identified like recipients,
+ * by the first 8 bytes of SHA-256 over the raw public key.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const encryption = require('./encryption');
+
+const { ERROR_CODES, createError } = encryption;
+
+const SIGNATURE_ALGORITHM = 'ed25519';
+const SIGNATURE_FIELD = 'signature';
+
+/**
+ * Where the server signing key is configured
+ */
+const SIGNING_KEY_ENV = {
+  file: 'PBA_CSV_SIGNING_KEY_FILE',
+  pem: 'PBA_CSV_SIGNING_KEY'
+};
+
+/**
+ * Raw 32-byte form of an Ed25519 public key
+ * @param {crypto.KeyObject} publicKey - Ed25519 public key
+ * @returns {Buffer}
+ */
+function rawPublicKey(publicKey) {
+  return Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+}
+
+/**
+ * Short identifier for a signing key
+ * @param {crypto.KeyObject} publicKey - Ed25519 public key
+ * @returns {string} - 16 hex characters
+ */
+function signerKeyId(publicKey) {
+  return crypto.createHash('sha256').update(rawPublicKey(publicKey)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Loads an Ed25519 public key
+ * @param {string|crypto.KeyObject} value - base64 raw key, PEM or KeyObject
+ * @returns {crypto.KeyObject}
+ */
+function loadVerifyKey(value) {
+  try {
+    let key;
+    if (value instanceof crypto.KeyObject) {
+      key = value.type === 'private' ? crypto.createPublicKey(value) : value;
+    } else if (typeof value === 'string' && value.includes('-----BEGIN')) {
+      key = crypto.createPublicKey(value);
+    } else {
+      const raw = Buffer.from(String(value).trim(), 'base64');
+      if (raw.length !== 32) {
+        throw new Error('expected 32 bytes');
+      }
+      key = crypto.createPublicKey({
+        key: { kty: 'OKP', crv: 'Ed25519', x: raw.toString('base64url') },
+        format: 'jwk'
+      });
+    }
+
+    if (key.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+      throw new Error(`expected an Ed25519 key, got ${key.asymmetricKeyType}`);
+    }
+    return key;
+  } catch (error) {
+    throw createError(`Invalid signer public key: ${error.message}`, ERROR_CODES.INVALID_KEY);
+  }
+}
+
+/**
+ * Loads an Ed25519 private key
+ * @param {string|Buffer|crypto.KeyObject} value - PEM or KeyObject
+ * @returns {crypto.KeyObject}
+ */
+function loadSigningKey(value) {
+  try {
+    const key = value instanceof crypto.KeyObject ? value : crypto.createPrivateKey(value);
+
+    if (key.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+      throw new Error(`expected an Ed25519 key, got ${key.asymmetricKeyType}`);
+    }
+    return key;
+  } catch (error) {
+    throw createError(`Invalid signing key: ${error.message}`, ERROR_CODES.INVALID_KEY);
+  }
+}
+
+/**
+ * Loads the server signing key from PBA_CSV_SIGNING_KEY_FILE or
+ * PBA_CSV_SIGNING_KEY (PEM)
+ * @param {object} env - Environment to read (defaults to process.env)
+ * @returns {crypto.KeyObject|null} - Signing key, or null when signing is not configured
+ */
+function loadConfiguredSigningKey(env = process.env) {
+  if (env[SIGNING_KEY_ENV.file]) {
+    return loadSigningKey(fs.readFileSync(env[SIGNING_KEY_ENV.file]));
+  }
+  if (env[SIGNING_KEY_ENV.pem]) {
+    // Allow the PEM on one line with literal \n, as most env files need
+    return loadSigningKey(env[SIGNING_KEY_ENV.pem].replace(/\\n/g, '\n'));
+  }
+  return null;
+}
+
+/**
+ * Generates a signing key pair
+ * @returns {{publicKey: string, privateKey: string, keyId: string}} - base64 public key, PEM private key
+ */
+function generateSigningKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM);
+
+  return {
+    publicKey: rawPublicKey(publicKey).toString('base64'),
+    privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    keyId: signerKeyId(publicKey)
+  };
+}
+
+/**
+ * Describes a public key for publishing
+ * @param {crypto.KeyObject} key - Signing key (private or public)
+ * @returns {{algorithm: string, keyId: string, publicKey: string}}
+ */
+function describeSigner(key) {
+  const publicKey = key.type === 'private' ? crypto.createPublicKey(key) : key;
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: signerKeyId(publicKey),
+    publicKey: rawPublicKey(publicKey).toString('base64')
+  };
+}
+
+/**
+ * Parses a payload envelope for signing or verification
+ * @param {string|object} payload - JSON payload (string or already parsed)
+ * @returns {object}
+ */
+function parseEnvelope(payload) {
+  let data = payload;
+  if (typeof payload === 'string') {
+    try {
+      data = JSON.parse(payload);
+    } catch (error) {
+      throw createError('Payload is not valid JSON', ERROR_CODES.INVALID_PAYLOAD);
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw createError('Payload must be a JSON object', ERROR_CODES.INVALID_PAYLOAD);
+  }
+  return data;
+}
+
+/**
+ * Bytes covered by the signature: the envelope without its signature
+ * @param {object} data - Parsed envelope
+ * @returns {Buffer}
+ */
+function signedBytes(data) {
+  const { [SIGNATURE_FIELD]: signature, ...envelope } = data;
+  return Buffer.from(encryption.canonicalJSON(envelope), 'utf-8');
+}
+
+/**
+ * Signs a payload envelope, replacing any earlier signature
+ * @param {string|object} payload - JSON payload (string or already parsed)
+ * @param {string|Buffer|crypto.KeyObject} privateKey - Ed25519 private key
+ * @returns {string} - JSON payload with its "signature" field
+ */
+function signPayload(payload, privateKey) {
+  const key = loadSigningKey(privateKey);
+  const { [SIGNATURE_FIELD]: previous, ...envelope } = parseEnvelope(payload);
+  const value = crypto.sign(null, signedBytes(envelope), key);
+
+  return JSON.stringify({
+    ...envelope,
+    [SIGNATURE_FIELD]: {
+      algorithm: SIGNATURE_ALGORITHM,
+      keyId: describeSigner(key).keyId,
+      value: value.toString('base64')
+    }
+  });
+}
+
+/**
+ * Reads the signature of a payload without checking it
+ * @param {string|object} payload - JSON payload (string or already parsed)
+ * @returns {{algorithm: string, keyId: string}|null} - null when unsigned
+ */
+function describeSignature(payload) {
+  const signature = parseEnvelope(payload)[SIGNATURE_FIELD];
+  if (!signature || typeof signature !== 'object') {
+    return null;
+  }
+  return { algorithm: signature.algorithm, keyId: signature.keyId };
+}
+
+/**
+ * Checks that a payload was signed by one of the given keys
+ * Needs no password: run it before decrypting.
+ * @param {string|object} payload - JSON payload (string or already parsed)
+ * @param {Array<string|crypto.KeyObject>|string|crypto.KeyObject} signerKeys - Trusted public keys
+ * @returns {{algorithm: string, keyId: string}} - The signer; throws BAD_SIGNATURE otherwise
+ */
+function verifyPayloadSignature(payload, signerKeys) {
+  const data = parseEnvelope(payload);
+  const signature = data[SIGNATURE_FIELD];
+  const trusted = [].concat(signerKeys).map(loadVerifyKey);
+
+  if (!signature || typeof signature !== 'object') {
+    throw createError('Payload is not signed', ERROR_CODES.BAD_SIGNATURE);
+  }
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    throw createError(`Unsupported signature algorithm "${signature.algorithm}"`, ERROR_CODES.BAD_SIGNATURE);
+  }
+
+  const signer = trusted.find(key => signerKeyId(key) === signature.keyId);
+  if (!signer) {
+    throw createError(`Payload is signed by ${signature.keyId}, which is not a trusted signer`, ERROR_CODES.BAD_SIGNATURE);
+  }
+
+  const value = Buffer.from(String(signature.value), 'base64');
+  if (value.length !== 64 || !crypto.verify(null, signedBytes(data), signer, value)) {
+    throw createError(`Signature by ${signature.keyId} does not match the payload`, ERROR_CODES.BAD_SIGNATURE);
+  }
+
+  return { algorithm: SIGNATURE_ALGORITHM, keyId: signature.keyId };
+}
+
+module.exports = {
+  generateSigningKeyPair,
+  loadSigningKey,
+  loadVerifyKey,
+  loadConfiguredSigningKey,
+  describeSigner,
+  signerKeyId,
+  signPayload,
+  describeSignature,
+  verifyPayloadSignature,
+  SIGNATURE_FIELD,
+  SIGNING_KEY_ENV
+};
@@ -0,0 +1,410 @@
+/**
+ * Stream Encryption Module - chunked AES-256-GCM
+ *
+ * Encrypts CSV files of any size with constant memory, as Node.js Transform
+ * streams. A stream file is one JSON header line followed by binary chunks:
+ *
+ *   {"format":"pba-csv-stream","version":1,...}\n
+ *   chunk 0 | chunk 1 | ... | final chunk
+ *
+ * - Every chunk is chunkSize bytes of ciphertext (the final chunk may be
+ *   shorter, even empty) followed by its 16-byte GCM tag
+ * - Chunk nonces are noncePrefix (11 bytes) || chunk index (uint32 BE) ||
+ *   final flag (1 byte), so chunks cannot be reordered, and dropping trailing
+ *   chunks fails because the new last chunk was not sealed as final
+ * - The header (KDF parameters, salt, export ID, creation time, field list)
+ *   is bound to every chunk as associated data
+ *
+ * Plaintext is only released once its chunk has authenticated; truncation is
+ * detected when the input ends.
+ */
+
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const encryption = require('./encryption');
+
+const { ENCRYPTION_CONFIG, ERROR_CODES, createError, wrapError } = encryption;
+
+const STREAM_FORMAT = 'pba-csv-stream';
+const STREAM_VERSION = 1;
+const NONCE_PREFIX_LENGTH = ENCRYPTION_CONFIG.ivLength - 5;
+const MAX_HEADER_LENGTH = 64 * 1024;
+
+/**
+ * Chunk sizes: the default for new streams and the bounds accepted when
+ * decrypting, so a forged header cannot demand huge buffers
+ */
+const STREAM_CONFIG = {
+  chunkSize: 64 * 1024,
+  minChunkSize: 1024,
+  maxChunkSize: 16 * 1024 * 1024
+};
+
+/**
+ * Nonce for one chunk
+ * @param {Buffer} prefix - Random per-stream prefix
+ * @param {number} index - Chunk index
+ * @param {boolean} final - Whether this is the last chunk
+ * @returns {Buffer}
+ */
+function chunkNonce(prefix, index, final) {
+  const nonce = Buffer.alloc(ENCRYPTION_CONFIG.ivLength);
+  prefix.copy(nonce);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  nonce[ENCRYPTION_CONFIG.ivLength - 1] = final ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Whether a line is the header of a stream file
+ * @param {string} line - First line of a file
+ * @returns {boolean}
+ */
+function isStreamHeader(line) {
+  try {
+    const header = JSON.parse(line);
+    return Boolean(header) && header.format === STREAM_FORMAT;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks a parsed stream header before any key derivation runs
+ * @param {*} header - Parsed header line
+ * @returns {string|null} - Problem description, or null if usable
+ */
+function checkStreamHeader(header) {
+  if (!header || typeof header !== 'object' || header.format !== STREAM_FORMAT) {
+    return 'Input is not a pba-csv stream';
+  }
+  if (header.version !== STREAM_VERSION) {
+    return `Unsupported stream version ${JSON.stringify(header.version)} (supported: ${STREAM_VERSION})`;
+  }
+  if (header.algorithm !== ENCRYPTION_CONFIG.algorithm) {
+    return `Unsupported algorithm "${header.algorithm}"`;
+  }
+  if (!Number.isInteger(header.chunkSize) || header.chunkSize < STREAM_CONFIG.minChunkSize ||
+      header.chunkSize > STREAM_CONFIG.maxChunkSize) {
+    return `Chunk size must be an integer between ${STREAM_CONFIG.minChunkSize} and ${STREAM_CONFIG.maxChunkSize}`;
+  }
+  if (typeof header.salt !== 'string' || Buffer.from(header.salt, 'base64').length === 0) {
+    return 'Stream header is missing "salt"';
+  }
+  if (typeof header.noncePrefix !== 'string' ||
+      Buffer.from(header.noncePrefix, 'base64').length !== NONCE_PREFIX_LENGTH) {
+    return `Stream nonce prefix must be ${NONCE_PREFIX_LENGTH} bytes`;
+  }
+  return encryption.checkKdfParams(header.kdf);
+}
+
+/**
+ * Describes a stream file from its header line (no password needed)
+ * @param {string} line - First line of the file
+ * @returns {{format: string, valid: boolean, problems: string[], header: object|null}}
+ */
+function inspectStreamHeader(line) {
+  let header = null;
+  try {
+    header = JSON.parse(line);
+  } catch (error) {
+    header = null;
+  }
+
+  const problem = checkStreamHeader(header);
+  return { format: STREAM_FORMAT, valid: !problem, problems: problem ? [problem] : [], header };
+}
+
+/**
+ * Transform stream: CSV bytes in, stream file out
+ * The header is written with the first chunk, once the field list can be
+ * read from the CSV header row.
+ */
+class EncryptStream extends Transform {
+  /**
+   * @param {string} password - Encryption password
+   * @param {object} options - Optional settings
+   * @param {string|object} options.kdf - KDF name or parameters (see resolveKdfParams)
+   * @param {number} options.chunkSize - Plaintext bytes per chunk
+   * @param {string[]} options.fields - Exported field names (defaults to the CSV header row)
+   */
+  constructor(password, options = {}) {
+    super();
+    this.kdf = encryption.resolveKdfParams(options.kdf);
+    this.chunkSize = options.chunkSize || STREAM_CONFIG.chunkSize;
+    this.fields = options.fields;
+    this.noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+    this.index = 0;
+    this.pending = [];
+    this.pendingLength = 0;
+    this.header = null;
+    this.keyPromise = encryption.deriveKeyFromPassword(password, null, this.kdf);
+    // Surfaced through the first _transform/_flush call
+    this.keyPromise.catch(() => {});
+  }
+
+  /**
+   * Writes the header line and returns the associated data for the chunks
+   * @param {Buffer} firstChunk - First plaintext bytes, for the field list
+   * @param {Buffer} salt - KDF salt
+   * @returns {Buffer}
+   */
+  writeHeader(firstChunk, salt) {
+    const { exportId, createdAt, fields } = encryption.createExportHeader(
+      firstChunk.toString('utf-8'),
+      { fields: this.fields }
+    );
+
+    this.header = {
+      format: STREAM_FORMAT,
+      version: STREAM_VERSION,
+      algorithm: ENCRYPTION_CONFIG.algorithm,
+      kdf: this.kdf,
+      salt: salt.toString('base64'),
+      noncePrefix: this.noncePrefix.toString('base64'),
+      chunkSize: this.chunkSize,
+      exportId,
+      createdAt,
+      fields
+    };
+    this.push(`${JSON.stringify(this.header)}\n`);
+    this.aad = encryption.headerAad(this.header);
+    this.emit('header', this.header);
+  }
+
+  /**
+   * Seals and pushes one chunk
+   * @param {Buffer} key - Derived key
+   * @param {Buffer} plaintext - Chunk plaintext
+   * @param {boolean} final - Whether this is the last chunk
+   */
+  pushChunk(key, plaintext, final) {
+    const { ciphertext, tag } = encryption.encryptData(
+      plaintext,
+      key,
+      chunkNonce(this.noncePrefix, this.index, final),
+      this.aad
+    );
+    this.index += 1;
+    this.push(Buffer.concat([ciphertext, tag]));
+  }
+
+  /**
+   * Seals every full chunk that is known not to be the last one
+   * @param {boolean} flush - Whether the input has ended
+   */
+  async drain(flush) {
+    const { key, salt } = await this.keyPromise;
+    let buffered = Buffer.concat(this.pending, this.pendingLength);
+
+    if (!this.header) {
+      this.writeHeader(buffered.subarray(0, this.chunkSize), salt);
+    }
+
+    // A full chunk is only sealed as non-final once more input follows it
+    while (buffered.length > this.chunkSize) {
+      this.pushChunk(key, buffered.subarray(0, this.chunkSize), false);
+      buffered = buffered.subarray(this.chunkSize);
+    }
+
+    if (flush) {
+      this.pushChunk(key, buffered, true);
+      buffered = Buffer.alloc(0);
+    }
+
+    this.pending = [buffered];
+    this.pendingLength = buffered.length;
+  }
+
+  _transform(data, encoding, callback) {
+    this.pending.push(data);
+    this.pendingLength += data.length;
+
+    if (this.pendingLength <= this.chunkSize) {
+      callback();
+      return;
+    }
+    this.drain(false).then(() => callback(), error => callback(wrapError('Stream encryption failed', error)));
+  }
+
+  _flush(callback) {
+    this.drain(true).then(() => callback(), error => callback(wrapError('Stream encryption failed', error)));
+  }
+}
+
+/**
+ * Transform stream: stream file in, CSV bytes out
+ * Emits 'header' with the stream header once the first chunk authenticates.
+ */
+class DecryptStream extends Transform {
+  /**
+   * @param {string} password - Decryption password
+   */
+  constructor(password) {
+    super();
+    this.password = password;
+    this.pending = [];
+    this.pendingLength = 0;
+    this.header = null;
+    this.key = null;
+    this.index = 0;
+  }
+
+  /**
+   * Reads and checks the header line, then derives the key
+   * @returns {Promise<boolean>} - false while the header line is incomplete
+   */
+  async readHeader() {
+    const buffered = Buffer.concat(this.pending, this.pendingLength);
+    const end = buffered.indexOf(0x0a);
+
+    if (end === -1) {
+      if (buffered.length > MAX_HEADER_LENGTH) {
+        throw createError('Input is not a pba-csv stream', ERROR_CODES.INVALID_PAYLOAD);
+      }
+      return false;
+    }
+
+    let header;
+    try {
+      header = JSON.parse(buffered.subarray(0, end).toString('utf-8'));
+    } catch (error) {
+      throw createError('Input is not a pba-csv stream', ERROR_CODES.INVALID_PAYLOAD);
+    }
+
+    const problem = checkStreamHeader(header);
+    if (problem) {
+      const unsupported = header && header.format === STREAM_FORMAT && header.version !== STREAM_VERSION;
+      throw createError(problem, unsupported ? ERROR_CODES.UNSUPPORTED_VERSION : ERROR_CODES.INVALID_PAYLOAD);
+    }
+
+    const { key } = await encryption.deriveKeyFromPassword(
+      this.password,
+      Buffer.from(header.salt, 'base64'),
+      header.kdf
+    );
+
+    this.header = header;
+    this.key = key;
+    this.aad = encryption.headerAad(header);
+    this.noncePrefix = Buffer.from(header.noncePrefix, 'base64');
+    this.sealedSize = header.chunkSize + ENCRYPTION_CONFIG.tagLength;
+
+    const rest = buffered.subarray(end + 1);
+    this.pending = [rest];
+    this.pendingLength = rest.length;
+    return true;
+  }
+
+  /**
+   * Opens one sealed chunk and pushes its plaintext
+   * @param {Buffer} sealed - Ciphertext followed by the tag
+   * @param {boolean} final - Whether this is the last chunk
+   */
+  openChunk(sealed, final) {
+    const split = sealed.length - ENCRYPTION_CONFIG.tagLength;
+    const plaintext = encryption.decryptData(
+      sealed.subarray(0, split),
+      this.key,
+      chunkNonce(this.noncePrefix, this.index, final),
+      sealed.subarray(split),
+      null,
+      this.aad
+    );
+
+    if (this.index === 0) {
+      this.emit('header', this.header);
+    }
+    this.index += 1;
+    this.push(plaintext);
+  }
+
+  /**
+   * Opens every chunk that is known not to be the last one
+   * @param {boolean} flush - Whether the input has ended
+   */
+  async drain(flush) {
+    if (!this.header && !(await this.readHeader())) {
+      if (flush) {
+        throw createError('Stream ended before its header', ERROR_CODES.INVALID_PAYLOAD);
+      }
+      return;
+    }
+
+    let buffered = Buffer.concat(this.pending, this.pendingLength);
+
+    while (buffered.length > this.sealedSize) {
+      this.openChunk(buffered.subarray(0, this.sealedSize), false);
+      buffered = buffered.subarray(this.sealedSize);
+    }
+
+    if (flush) {
+      if (buffered.length < ENCRYPTION_CONFIG.tagLength) {
+        throw createError('Stream is truncated', ERROR_CODES.INVALID_PAYLOAD);
+      }
+      // Fails authentication if the real final chunk was cut off
+      this.openChunk(buffered, true);
+      buffered = Buffer.alloc(0);
+    }
+
+    this.pending = [buffered];
+    this.pendingLength = buffered.length;
+  }
+
+  _transform(data, encoding, callback) {
+    this.pending.push(data);
+    this.pendingLength += data.length;
+
+    if (this.header && this.pendingLength <= this.sealedSize) {
+      callback();
+      return;
+    }
+    this.drain(false).then(() => callback(), error => callback(wrapError('Stream decryption failed', error)));
+  }
+
+  _flush(callback) {
+    this.drain(true).then(() => callback(), error => callback(wrapError('Stream decryption failed', error)));
+  }
+}
+
+/**
+ * Creates a Transform stream that encrypts CSV bytes into the stream format
+ * @param {string} password - Encryption password
+ * @param {object} options - kdf, chunkSize and fields (see EncryptStream)
+ * @returns {EncryptStream}
+ */
+function createEncryptStream(password, options = {}) {
+  return new EncryptStream(password, options);
+}
+
+/**
+ * Creates a Transform stream that decrypts the stream format into CSV bytes
+ * @param {string} password - Decryption password
+ * @returns {DecryptStream}
+ */
+function createDecryptStream(password) {
+  return new DecryptStream(password);
+}
+
+/**
+ * Pipes a readable through a transform into a writable
+ * @param {stream.Readable} input - Source
+ * @param {stream.Transform} transform - Encrypt or decrypt stream
+ * @param {stream.Writable} output - Destination
+ * @returns {Promise<object>} - The stream header
+ */
+function pipeThrough(input, transform, output) {
+  return new Promise((resolve, reject) => {
+    pipeline(input, transform, output, error => (error ? reject(error) : resolve(transform.header)));
+  });
+}
+
+module.exports = {
+  createEncryptStream,
+  createDecryptStream,
+  pipeThrough,
+  isStreamHeader,
+  inspectStreamHeader,
+  STREAM_FORMAT,
+  STREAM_CONFIG
+};
@@ -0,0 +1,315 @@
+/**
+ * Validation Module - card and address checks
+ *
+ * One set of rules for the API and both frontends:
+ * - Card number: digits with optional spaces or dashes, Luhn checksum,
+ *   brand from the IIN (leading digits) and the lengths that brand issues
+ * - Expiry date: MM/YY or MM/YYYY, not in the past; a card is valid to the
+ *   end of its expiry month
+ * - Address: required fields, and for the countries in COUNTRIES the postal
+ *   code format and the state/province (code or name)
+ *
+ * Every problem is an issue { severity, code, message } under its field
+ * name. "error" means the data cannot be right (expired card, bad
+ * checksum); "warning" means it is unusual but possible (unknown brand,
+ * card expiring this month). Masked card numbers (****-3333) are not
+ * checked. Messages never repeat a card number.
+ *
+ * Loads as a <script> (window.PBAValidation) or through require()/import.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PBAValidation = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+  };
+
+  /**
+   * Card brands by IIN prefix, checked in order, with the card number
+   * lengths each brand issues
+   */
+  const CARD_BRANDS = [
+    { brand: 'amex', pattern: /^3[47]/, lengths: [15] },
+    { brand: 'diners', pattern: /^3(?:0[0-5]|[68])/, lengths: [14, 15, 16, 17, 18, 19] },
+    { brand: 'jcb', pattern: /^35(?:2[89]|[3-8])/, lengths: [16, 17, 18, 19] },
+    { brand: 'visa', pattern: /^4/, lengths: [13, 16, 19] },
+    { brand: 'mastercard', pattern: /^(?:5[1-5]|2(?:2[2-9]|[3-6]\d|7[01]|720))/, lengths: [16] },
+    { brand: 'discover', pattern: /^(?:6011|64[4-9]|65)/, lengths: [16, 17, 18, 19] },
+    { brand: 'unionpay', pattern: /^62/, lengths: [16, 17, 18, 19] }
+  ];
+
+  const MIN_CARD_DIGITS = 12;
+  const MAX_CARD_DIGITS = 19;
+
+  /**
+   * Expiry dates further ahead than this many years are flagged
+   */
+  const MAX_EXPIRY_YEARS = 20;
+
+  /**
+   * Address fields that must not be empty
+   */
+  const REQUIRED_ADDRESS_FIELDS = ['address_line_1', 'city', 'postal_code', 'country'];
+
+  const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa',
+    KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+    MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri',
+    MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+    NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio',
+    OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+    VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+    DC: 'District of Columbia', PR: 'Puerto Rico', GU: 'Guam', VI: 'U.S. Virgin Islands',
+    AS: 'American Samoa', MP: 'Northern Mariana Islands'
+  };
+
+  const CA_PROVINCES = {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+    NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories',
+    NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec',
+    SK: 'Saskatchewan', YT: 'Yukon'
+  };
+
+  const AU_STATES = {
+    ACT: 'Australian Capital Territory', NSW: 'New South Wales', NT: 'Northern Territory',
+    QLD: 'Queensland', SA: 'South Australia', TAS: 'Tasmania', VIC: 'Victoria',
+    WA: 'Western Australia'
+  };
+
+  /**
+   * Countries with address rules, by ISO 3166 code
+   * - names: accepted spellings of the country field (compared case-insensitively)
+   * - postalCode: format of the postal code, with an example for messages
+   * - regions: state/province codes and names; required when present
+   */
+  const COUNTRIES = {
+    US: { names: ['United States', 'United States of America', 'USA', 'US'], postalCode: /^\d{5}(?:-\d{4})?$/, postalExample: '94105 or 94105-1234', regions: US_STATES },
+    CA: { names: ['Canada', 'CA'], postalCode: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i, postalExample: 'K1A 0B1', regions: CA_PROVINCES },
+    AU: { names: ['Australia', 'AU'], postalCode: /^\d{4}$/, postalExample: '2000', regions: AU_STATES },
+    GB: { names: ['United Kingdom', 'UK', 'Great Britain', 'GB'], postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i, postalExample: 'SW1A 1AA' },
+    DE: { names: ['Germany', 'Deutschland', 'DE'], postalCode: /^\d{5}$/, postalExample: '10115' },
+    FR: { names: ['France', 'FR'], postalCode: /^\d{5}$/, postalExample: '75001' },
+    ES: { names: ['Spain', 'España', 'ES'], postalCode: /^\d{5}$/, postalExample: '28001' },
+    IT: { names: ['Italy', 'Italia', 'IT'], postalCode: /^\d{5}$/, postalExample: '00118' },
+    NL: { names: ['Netherlands', 'The Netherlands', 'NL'], postalCode: /^\d{4} ?[A-Z]{2}$/i, postalExample: '1012 AB' },
+    JP: { names: ['Japan', 'JP'], postalCode: /^\d{3}-?\d{4}$/, postalExample: '100-0001' },
+    IN: { names: ['India', 'IN'], postalCode: /^\d{6}$/, postalExample: '110001' },
+    BR: { names: ['Brazil', 'Brasil', 'BR'], postalCode: /^\d{5}-?\d{3}$/, postalExample: '01310-100' }
+  };
+
+  /**
+   * Creates an issue
+   * @param {string} severity - SEVERITY value
+   * @param {string} code - Short machine-readable code
+   * @param {string} message - Description for people
+   * @returns {{severity: string, code: string, message: string}}
+   */
+  function issue(severity, code, message) {
+    return { severity, code, message };
+  }
+
+  /**
+   * Whether a digit string passes the Luhn check
+   * @param {string} digits - Digits only
+   * @returns {boolean}
+   */
+  function luhnValid(digits) {
+    let sum = 0;
+    Array.from(String(digits)).reverse().forEach((char, index) => {
+      let digit = Number(char);
+      if (index % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    });
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Card brand of a card number
+   * @param {string} cardNumber - Card number, with or without separators
+   * @returns {string} - Brand name (see CARD_BRANDS), or "unknown"
+   */
+  function cardBrand(cardNumber) {
+    const digits = String(cardNumber || '').replace(/\D/g, '');
+    const match = CARD_BRANDS.find(entry => entry.pattern.test(digits));
+    return match ? match.brand : 'unknown';
+  }
+
+  /**
+   * Checks a card number
+   * @param {string} cardNumber - Card number; masked numbers are not checked
+   * @returns {object[]} - Issues
+   */
+  function validateCardNumber(cardNumber) {
+    const value = String(cardNumber || '').trim();
+    if (!value || value.includes('*')) {
+      return [];
+    }
+    if (!/^[\d -]+$/.test(value)) {
+      return [issue(SEVERITY.ERROR, 'format', 'Card number may only contain digits, spaces and dashes')];
+    }
+
+    const digits = value.replace(/\D/g, '');
+    const brand = CARD_BRANDS.find(entry => entry.pattern.test(digits));
+    if (digits.length < MIN_CARD_DIGITS || digits.length > MAX_CARD_DIGITS) {
+      return [issue(SEVERITY.ERROR, 'length', `Card number has ${digits.length} digits; cards have ${MIN_CARD_DIGITS} to ${MAX_CARD_DIGITS}`)];
+    }
+
+    const issues = [];
+    if (!luhnValid(digits)) {
+      issues.push(issue(SEVERITY.ERROR, 'checksum', 'Card number fails the Luhn check - probably mistyped'));
+    }
+    if (!brand) {
+      issues.push(issue(SEVERITY.WARNING, 'brand', 'Card brand not recognised from the leading digits'));
+    } else if (!brand.lengths.includes(digits.length)) {
+      issues.push(issue(SEVERITY.ERROR, 'length', `${brand.brand} cards have ${brand.lengths.join(' or ')} digits, not ${digits.length}`));
+    }
+    return issues;
+  }
+
+  /**
+   * Checks a card expiry date
+   * @param {string} expiryDate - MM/YY or MM/YYYY
+   * @param {Date} now - Current time (default: now)
+   * @returns {object[]} - Issues
+   */
+  function validateExpiryDate(expiryDate, now = new Date()) {
+    const value = String(expiryDate || '').trim();
+    if (!value) {
+      return [];
+    }
+
+    const match = /^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/.exec(value);
+    if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) {
+      return [issue(SEVERITY.ERROR, 'format', 'Expiry date must be MM/YY or MM/YYYY')];
+    }
+
+    const month = Number(match[1]);
+    const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+    const expiry = year * 12 + (month - 1);
+    const current = now.getFullYear() * 12 + now.getMonth();
+
+    if (expiry < current) {
+      return [issue(SEVERITY.ERROR, 'expired', `Card expired at the end of ${String(month).padStart(2, '0')}/${year}`)];
+    }
+    if (expiry === current) {
+      return [issue(SEVERITY.WARNING, 'expiring', 'Card expires at the end of this month')];
+    }
+    if (expiry > current + MAX_EXPIRY_YEARS * 12) {
+      return [issue(SEVERITY.WARNING, 'far-future', `Expiry date is more than ${MAX_EXPIRY_YEARS} years ahead`)];
+    }
+    return [];
+  }
+
+  /**
+   * ISO code of a country field value
+   * @param {string} country - Country name or code
+   * @returns {string|null} - Key of COUNTRIES, or null without rules for it
+   */
+  function countryCode(country) {
+    const value = String(country || '').trim().toLowerCase();
+    const code = Object.keys(COUNTRIES).find(candidate =>
+      COUNTRIES[candidate].names.some(name => name.toLowerCase() === value));
+    return code || null;
+  }
+
+  /**
+   * Checks a postal code against the rules of its country
+   * @param {string} postalCode - Postal code
+   * @param {string} country - Country name or code
+   * @returns {object[]} - Issues (none for countries without rules)
+   */
+  function validatePostalCode(postalCode, country) {
+    const rules = COUNTRIES[countryCode(country)];
+    const value = String(postalCode || '').trim();
+    if (!rules || !value || rules.postalCode.test(value)) {
+      return [];
+    }
+    return [issue(SEVERITY.ERROR, 'format', `Not a valid ${rules.names[0]} postal code (e.g. ${rules.postalExample})`)];
+  }
+
+  /**
+   * Checks a state or province against the regions of its country
+   * @param {string} region - Region code or name
+   * @param {string} country - Country name or code
+   * @returns {object[]} - Issues (none for countries without region rules)
+   */
+  function validateRegion(region, country) {
+    const rules = COUNTRIES[countryCode(country)];
+    if (!rules || !rules.regions) {
+      return [];
+    }
+
+    const value = String(region || '').trim();
+    if (!value) {
+      return [issue(SEVERITY.ERROR, 'required', `A state or province is required for ${rules.names[0]}`)];
+    }
+    const known = Object.keys(rules.regions).some(code =>
+      code === value.toUpperCase() || rules.regions[code].toLowerCase() === value.toLowerCase());
+    return known ? [] : [issue(SEVERITY.ERROR, 'unknown', `Not a ${rules.names[0]} state or province`)];
+  }
+
+  /**
+   * Checks billing data: card fields, required address fields, postal code
+   * and state/province
+   * @param {object} data - Billing data ({ card_number, expiry_date, address: {...} })
+   * @param {object} options - Optional settings
+   * @param {Date} options.now - Current time, for the expiry check
+   * @returns {{valid: boolean, fields: object}} - valid is false if any
+   *   issue is an error; fields maps field names to their issues
+   */
+  function validateBillingData(data, options = {}) {
+    const address = (data && data.address) || {};
+    const fields = {};
+    const add = (field, issues) => {
+      if (issues.length > 0) {
+        fields[field] = (fields[field] || []).concat(issues);
+      }
+    };
+
+    if (data && 'card_number' in data) {
+      add('card_number', validateCardNumber(data.card_number));
+    }
+    if (data && 'expiry_date' in data) {
+      add('expiry_date', validateExpiryDate(data.expiry_date, options.now));
+    }
+
+    REQUIRED_ADDRESS_FIELDS.forEach(field => {
+      if (!String(address[field] || '').trim()) {
+        add(field, [issue(SEVERITY.ERROR, 'required', 'Required')]);
+      }
+    });
+    add('postal_code', validatePostalCode(address.postal_code, address.country));
+    add('state_province', validateRegion(address.state_province, address.country));
+
+    const valid = Object.values(fields).every(issues => issues.every(entry => entry.severity !== SEVERITY.ERROR));
+    return { valid, fields };
+  }
+
+  return {
+    validateBillingData,
+    validateCardNumber,
+    validateExpiryDate,
+    validatePostalCode,
+    validateRegion,
+    cardBrand,
+    luhnValid,
+    countryCode,
+    SEVERITY,
+    CARD_BRANDS,
+    COUNTRIES
+  };
+});
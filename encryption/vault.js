@@ -0,0 +1,368 @@
+/**
+ * Token Vault Module - card tokens in place of card numbers
+ *
+ * Lets exports carry a stable reference to a card instead of its number.
+ * The vault maps each token to the card number it stands for; only the
+ * vault can turn a token back into the number (detokenize).
+ *
+ * Token formats:
+ * - random: "tok_" and 22 random base64url characters
+ * - format-preserving: same length and separators as the card number and
+ *   the same last four digits, other digits random; always fails the Luhn
+ *   check, so it is never mistaken for a real card number
+ *
+ * Tokenizing the same number twice in one format returns the same token.
+ * Numbers are found by a fingerprint: HMAC-SHA256 of their digits under an
+ * index key kept in the vault, wrapped under the master key.
+ *
+ * FileTokenVault records use envelope encryption like the profile store:
+ * each entry has its own random data key, wrapped under the active master
+ * key of a KeyProvider (see keyring.js), and the card number is encrypted
+ * with AES-256-GCM under it, with the token as associated data.
+ *
+ * Other backends subclass TokenVault.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const encryption = require('./encryption');
+const { luhnValid } = require('./validation');
+const { TOKEN_COLUMNS } = require('./csv');
+
+const { ENCRYPTION_CONFIG, createError, wrapError } = encryption;
+
+/**
+ * Error codes of the vault, added to those of encryption.js
+ */
+const ERROR_CODES = {
+  ...encryption.ERROR_CODES,
+  INVALID_CARD: 'INVALID_CARD',
+  TOKEN_NOT_FOUND: 'TOKEN_NOT_FOUND'
+};
+
+const VAULT_FILE_FORMAT = 'pba-csv-vault';
+const VAULT_FILE_VERSION = 1;
+const VALUE_AAD_PREFIX = 'pba-csv vault value v1';
+const RANDOM_TOKEN_PREFIX = 'tok_';
+const RANDOM_TOKEN_BYTES = 16;
+const VISIBLE_DIGITS = 4;
+const CARD_NUMBER_PATTERN = /^[0-9 -]+$/;
+const MIN_CARD_DIGITS = 12;
+const MAX_CARD_DIGITS = 19;
+
+/**
+ * Where the vault reads its settings from when options do not say
+ */
+const VAULT_ENV = {
+  file: 'PBA_CSV_VAULT'
+};
+
+const DEFAULT_VAULT_PATH = 'pba-vault.json';
+
+/**
+ * Token formats, see the module comment
+ */
+const TOKEN_FORMATS = ['random', 'format-preserving'];
+
+/**
+ * Digits of a card number, after checking its shape
+ * @param {string} cardNumber - Card number, digits with optional spaces or dashes
+ * @returns {string}
+ */
+function cardDigits(cardNumber) {
+  const value = String(cardNumber || '');
+  const digits = value.replace(/\D/g, '');
+  if (!CARD_NUMBER_PATTERN.test(value) || digits.length < MIN_CARD_DIGITS || digits.length > MAX_CARD_DIGITS) {
+    throw createError(
+      `A card number needs ${MIN_CARD_DIGITS} to ${MAX_CARD_DIGITS} digits, optionally separated by spaces or dashes`,
+      ERROR_CODES.INVALID_CARD
+    );
+  }
+  return digits;
+}
+
+/**
+ * New random token
+ * @returns {string}
+ */
+function randomToken() {
+  return `${RANDOM_TOKEN_PREFIX}${crypto.randomBytes(RANDOM_TOKEN_BYTES).toString('base64url')}`;
+}
+
+/**
+ * New format-preserving token for a card number: random digits except the
+ * last four, separators kept, never passing the Luhn check
+ * @param {string} cardNumber - Card number
+ * @returns {string}
+ */
+function formatPreservingToken(cardNumber) {
+  const value = String(cardNumber);
+  const digitCount = value.replace(/\D/g, '').length;
+
+  for (;;) {
+    let position = 0;
+    const token = Array.from(value).map(char => {
+      if (!/\d/.test(char)) {
+        return char;
+      }
+      position += 1;
+      return position > digitCount - VISIBLE_DIGITS ? char : String(crypto.randomInt(10));
+    }).join('');
+
+    if (!luhnValid(token.replace(/\D/g, ''))) {
+      return token;
+    }
+  }
+}
+
+/**
+ * Base class for token vaults
+ * Subclasses implement tokenize and detokenize. Every method is async so
+ * remote backends fit.
+ */
+class TokenVault {
+  /**
+   * Token for a card number, the same one each time for a number and format
+   * @param {string} cardNumber - Card number
+   * @param {object} options - Optional settings
+   * @param {string} options.format - One of TOKEN_FORMATS (default "random")
+   * @returns {Promise<string>}
+   */
+  async tokenize(cardNumber, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement tokenize`);
+  }
+
+  /**
+   * Card number a token stands for
+   * @param {string} token - Token from tokenize
+   * @returns {Promise<string>} - Card number; throws TOKEN_NOT_FOUND otherwise
+   */
+  async detokenize(token) {
+    throw new Error(`${this.constructor.name} does not implement detokenize`);
+  }
+}
+
+/**
+ * Associated data binding an encrypted card number to its token
+ * @param {string} token - Token
+ * @returns {string}
+ */
+function valueAad(token) {
+  return `${VALUE_AAD_PREFIX}|${token}`;
+}
+
+/**
+ * Decodes a stored master-key entry for KeyProvider.unwrapKey
+ * @param {object} entry - base64 entry from KeyProvider.wrapKey
+ * @returns {{keyId: string, iv: Buffer, tag: Buffer, wrappedKey: Buffer}}
+ */
+function decodeKeyEntry(entry) {
+  return {
+    keyId: entry.keyId,
+    iv: Buffer.from(String(entry.iv), 'base64'),
+    tag: Buffer.from(String(entry.tag), 'base64'),
+    wrappedKey: Buffer.from(String(entry.wrappedKey), 'base64')
+  };
+}
+
+/**
+ * Tokens in a JSON file, card numbers encrypted under a master key
+ * The file is read once and cached; changes are written one at a time and
+ * saved atomically (temporary file, then rename).
+ */
+class FileTokenVault extends TokenVault {
+  /**
+   * @param {string} filePath - Vault file (created on the first tokenize)
+   * @param {KeyProvider} provider - Master keys for the data keys (see keyring.js)
+   */
+  constructor(filePath, provider) {
+    super();
+    this.filePath = filePath;
+    this.provider = provider;
+    this.data = null;
+    this.indexKey = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Reads the vault file (once)
+   * @returns {{indexKey: object|null, tokens: object[]}}
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.data = { indexKey: null, tokens: [] };
+        return this.data;
+      }
+      throw createError(`Token vault ${this.filePath} is not valid JSON`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+
+    if (!data || data.format !== VAULT_FILE_FORMAT || !Array.isArray(data.tokens)) {
+      throw createError(`${this.filePath} is not a pba-csv token vault`, ERROR_CODES.INVALID_PAYLOAD);
+    }
+    if (data.version !== VAULT_FILE_VERSION) {
+      throw createError(`Unsupported token vault version ${JSON.stringify(data.version)}`, ERROR_CODES.UNSUPPORTED_VERSION);
+    }
+
+    this.data = { indexKey: data.indexKey || null, tokens: data.tokens };
+    return this.data;
+  }
+
+  /**
+   * Replaces the vault file, then the cache
+   * @param {{indexKey: object, tokens: object[]}} data - Index key entry and all token records
+   */
+  save(data) {
+    const contents = { format: VAULT_FILE_FORMAT, version: VAULT_FILE_VERSION, ...data };
+    const temporary = path.join(
+      path.dirname(this.filePath),
+      `.${path.basename(this.filePath)}.${process.pid}.tmp`
+    );
+    fs.writeFileSync(temporary, `${JSON.stringify(contents, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temporary, this.filePath);
+    this.data = data;
+  }
+
+  /**
+   * Runs a change after the ones already queued
+   * @param {function(): Promise<*>} change - Reads, modifies and saves the vault
+   * @returns {Promise<*>}
+   */
+  enqueue(change) {
+    const result = this.queue.then(change);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * The fingerprint key, created and saved on first use
+   * @returns {Promise<Buffer>}
+   */
+  async loadIndexKey() {
+    if (this.indexKey) {
+      return this.indexKey;
+    }
+
+    const data = this.load();
+    if (data.indexKey) {
+      try {
+        this.indexKey = await this.provider.unwrapKey(decodeKeyEntry(data.indexKey));
+      } catch (error) {
+        throw wrapError(`Token vault ${this.filePath} index key could not be unwrapped`, error);
+      }
+      return this.indexKey;
+    }
+
+    const indexKey = crypto.randomBytes(ENCRYPTION_CONFIG.keyLength);
+    this.save({ ...data, indexKey: await this.provider.wrapKey(indexKey) });
+    this.indexKey = indexKey;
+    return indexKey;
+  }
+
+  /**
+   * Fingerprint of a card number, for finding its existing tokens
+   * @param {string} digits - Card number digits
+   * @returns {Promise<string>} - hex HMAC-SHA256
+   */
+  async fingerprint(digits) {
+    return crypto.createHmac('sha256', await this.loadIndexKey()).update(digits).digest('hex');
+  }
+
+  async tokenize(cardNumber, options = {}) {
+    const format = options.format || 'random';
+    if (!TOKEN_FORMATS.includes(format)) {
+      throw createError(`Unknown token format "${format}" (available: ${TOKEN_FORMATS.join(', ')})`, ERROR_CODES.INVALID_CARD);
+    }
+    const digits = cardDigits(cardNumber);
+
+    return this.enqueue(async () => {
+      const fingerprint = await this.fingerprint(digits);
+      const data = this.load();
+      const existing = data.tokens.find(record => record.fingerprint === fingerprint && record.format === format);
+      if (existing) {
+        return existing.token;
+      }
+
+      const taken = new Set(data.tokens.map(record => record.token));
+      let token;
+      do {
+        token = format === 'random' ? randomToken() : formatPreservingToken(cardNumber);
+      } while (taken.has(token) || token === cardNumber);
+
+      const dataKey = crypto.randomBytes(ENCRYPTION_CONFIG.keyLength);
+      const { ciphertext, iv, tag } = encryption.encryptData(String(cardNumber), dataKey, null, valueAad(token));
+      const record = {
+        token,
+        format,
+        fingerprint,
+        key: await this.provider.wrapKey(dataKey),
+        value: {
+          iv: iv.toString('base64'),
+          tag: tag.toString('base64'),
+          ciphertext: ciphertext.toString('base64')
+        },
+        createdAt: new Date().toISOString()
+      };
+
+      this.save({ ...data, tokens: [...data.tokens, record] });
+      return token;
+    });
+  }
+
+  async detokenize(token) {
+    const record = this.load().tokens.find(candidate => candidate.token === String(token));
+    if (!record) {
+      throw createError(`Card token ${token} not found`, ERROR_CODES.TOKEN_NOT_FOUND);
+    }
+
+    try {
+      const dataKey = await this.provider.unwrapKey(decodeKeyEntry(record.key));
+      return encryption.decryptData(
+        Buffer.from(String(record.value.ciphertext), 'base64'),
+        dataKey,
+        Buffer.from(String(record.value.iv), 'base64'),
+        Buffer.from(String(record.value.tag), 'base64'),
+        'utf-8',
+        valueAad(record.token)
+      );
+    } catch (error) {
+      throw wrapError(`Card token ${token} could not be decrypted`, error);
+    }
+  }
+}
+
+/**
+ * Creates the token vault at the configured path
+ * @param {object} options - Settings
+ * @param {string} options.filePath - Vault file (defaults to PBA_CSV_VAULT, then pba-vault.json)
+ * @param {KeyProvider} options.keyProvider - Master keys for the card numbers
+ * @returns {TokenVault}
+ */
+function createTokenVault(options = {}) {
+  if (!options.keyProvider) {
+    throw createError('The token vault needs a key provider', ERROR_CODES.KEY_REQUIRED);
+  }
+  return new FileTokenVault(
+    options.filePath || process.env[VAULT_ENV.file] || DEFAULT_VAULT_PATH,
+    options.keyProvider
+  );
+}
+
+module.exports = {
+  TokenVault,
+  FileTokenVault,
+  createTokenVault,
+  TOKEN_FORMATS,
+  TOKEN_COLUMNS,
+  VAULT_ENV,
+  DEFAULT_VAULT_PATH,
+  ERROR_CODES
+};
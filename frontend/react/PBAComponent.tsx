@@ -4,6 +4,18 @@
  * A React-based version of the Payment Billing Address component
  * with full TypeScript support and modern React patterns
  * 
+ * Exports are encrypted and decrypted in the browser with the Web Crypto
+ * build in encryption/browser.js; the password is never sent to the API.
+ * Export passwords are checked against the policy from the API
+ * (GET /api/password-policy), and exports of API data are recorded in its
+ * audit log (POST /api/billing/client-exports) before they are downloaded.
+ * Requests carry the API token entered in the API Access section.
+ * Validation issues from the API (or, for demo data, from
+ * encryption/validation.js) are shown as badges under their fields.
+ * The card number arrives masked; the full number is fetched from the
+ * reveal endpoint after entering the reveal password and masked again
+ * when the time the API allows runs out.
+ * 
  * NOTE: This component requires React, react-dom, @types/react, and @types/react-dom
  * Install in your React project with: npm install react react-dom @types/react @types/react-dom
  */
@@ -11,11 +23,21 @@
 // @ts-ignore - React types handled by host project
 import React, { useState, useEffect } from 'react';
 import './PBAComponent.css';
+// @ts-ignore - plain JS module shared with the vanilla frontend
+import PBACrypto from '../../encryption/browser';
+// @ts-ignore - plain JS module shared with the vanilla frontend and the API
+import PBACSV from '../../encryption/csv';
+// @ts-ignore - plain JS module shared with the vanilla frontend and the API
+import PBAValidation from '../../encryption/validation';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000/api';
+const TOKEN_STORAGE_KEY = 'pba-api-token';
 
 interface BillingData {
+  id?: string;
   card_number: string;
+  card_brand?: string;
+  card_last4?: string;
   expiry_date: string;
   cvv: string;
   address: {
@@ -30,6 +52,22 @@ interface BillingData {
   };
 }
 
+interface FieldIssue {
+  severity: 'error' | 'warning';
+  code: string;
+  message: string;
+}
+
+interface RevealedCard {
+  card_number: string;
+  expiresIn: number;
+}
+
+interface PasswordPolicy {
+  minLength: number;
+  minScore: number;
+}
+
 interface Message {
   type: 'error' | 'success';
   text: string;
@@ -47,21 +85,82 @@ const PBAComponent: React.FC = () => {
   ]);
   const [exportPassword, setExportPassword] = useState('');
   const [copiedField, setCopiedField] = useState<string | null>(null);
-
-  // Fetch billing data on component mount
+  const [decryptPayload, setDecryptPayload] = useState('');
+  const [decryptPassword, setDecryptPassword] = useState('');
+  const [decryptedRows, setDecryptedRows] = useState<string[][] | null>(null);
+  // Export password policy in use: the defaults until the API's is loaded
+  const [passwordPolicy, setPasswordPolicy] = useState<PasswordPolicy>(() => PBACrypto.setPasswordPolicy());
+  // Bearer token for the API (pba-csv token issue), kept for this tab only
+  const [apiToken, setApiToken] = useState(() => sessionStorage.getItem(TOKEN_STORAGE_KEY) || '');
+  const [revealPrompt, setRevealPrompt] = useState(false);
+  const [revealPassword, setRevealPassword] = useState('');
+  const [revealedCard, setRevealedCard] = useState<RevealedCard | null>(null);
+  const [fieldIssues, setFieldIssues] = useState<Record<string, FieldIssue[]>>({});
+
+  // Full card number while revealed, otherwise the masked one from the API
+  const cardNumber = revealedCard ? revealedCard.card_number : billingData?.card_number || '';
+  const cardMasked = !revealedCard && cardNumber.includes('*');
+
+  // Live strength meter, driven by the same policy export validation enforces
+  const passwordStrength = exportPassword ? PBACrypto.checkPasswordStrength(exportPassword) : null;
+
+  // Fetch the password policy and billing data on component mount
   useEffect(() => {
+    loadPasswordPolicy();
     loadBillingData();
   }, []);
 
+  // Mask the card number again once the reveal expires
+  useEffect(() => {
+    if (!revealedCard) return undefined;
+    const timer = setTimeout(() => setRevealedCard(null), revealedCard.expiresIn * 1000);
+    return () => clearTimeout(timer);
+  }, [revealedCard]);
+
+  const loadPasswordPolicy = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/password-policy`);
+      if (!response.ok) throw new Error(`API error: ${response.status}`);
+      setPasswordPolicy(PBACrypto.setPasswordPolicy(await response.json()));
+    } catch (err: unknown) {
+      const errorMsg = err instanceof Error ? err.message : String(err);
+      console.warn('Using the default password policy:', errorMsg);
+    }
+  };
+
+  const recordExport = async (header: { exportId: string; fields: string[] }) => {
+    const token = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+    const response = await fetch(`${API_BASE_URL}/billing/client-exports`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ exportId: header.exportId, fields: header.fields, profileId: billingData?.id })
+    });
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || `API error: ${response.status}`);
+    }
+  };
+
   const loadBillingData = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`${API_BASE_URL}/billing/address`);
+      const token = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+      const response = await fetch(`${API_BASE_URL}/billing/address`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
 
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(`API error: ${response.status} - enter an API token with the billing:read-address scope`);
+      }
       if (!response.ok) throw new Error(`API error: ${response.status}`);
 
       const result = await response.json();
+      setRevealedCard(null);
       setBillingData(result.data);
+      setFieldIssues(result.warnings || PBAValidation.validateBillingData(result.data).fields);
       showMessage('success', 'Billing data loaded successfully');
     } catch (err: unknown) {
       console.error('Error loading billing data:', err);
@@ -75,8 +174,10 @@ const PBAComponent: React.FC = () => {
   };
 
   const useMockData = () => {
-    setBillingData({
-      card_number: '4532-1111-2222-3333',
+    const mockData: BillingData = {
+      card_number: '****-****-****-3333',
+      card_brand: 'visa',
+      card_last4: '3333',
       expiry_date: '12/25',
       cvv: '***',
       address: {
@@ -89,10 +190,75 @@ const PBAComponent: React.FC = () => {
         country: 'United States',
         postal_code: '94105'
       }
-    });
+    };
+    setRevealedCard(null);
+    setBillingData(mockData);
+    setFieldIssues(PBAValidation.validateBillingData(mockData).fields);
     showMessage('success', 'Using demo data (backend not available)');
   };
 
+  const handleSaveToken = () => {
+    const token = apiToken.trim();
+    if (!token) {
+      showMessage('error', 'Enter an API token first');
+      return;
+    }
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+    loadBillingData();
+  };
+
+  const handleClearToken = () => {
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    setApiToken('');
+    showMessage('success', 'API token removed');
+  };
+
+  const handleRevealToggle = () => {
+    if (revealedCard) {
+      setRevealedCard(null);
+      return;
+    }
+    if (!billingData?.id) {
+      showMessage('error', 'Showing the card number needs the backend');
+      return;
+    }
+    setRevealPrompt(true);
+  };
+
+  const handleReveal = async () => {
+    if (!billingData?.id) return;
+    if (!revealPassword) {
+      showMessage('error', 'Reveal password is required');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const token = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+      const response = await fetch(`${API_BASE_URL}/billing/profiles/${encodeURIComponent(billingData.id)}/reveal`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ password: revealPassword })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `API error: ${response.status}`);
+
+      setRevealedCard({ card_number: result.data.card_number, expiresIn: result.expiresIn });
+      setRevealPrompt(false);
+      setRevealPassword('');
+      showMessage('success', `Card number shown for ${result.expiresIn} seconds`);
+    } catch (err: unknown) {
+      console.error('Reveal failed:', err);
+      const errorMsg = err instanceof Error ? err.message : String(err);
+      showMessage('error', `Could not show the card number: ${errorMsg}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const showMessage = (type: 'error' | 'success', text: string) => {
     setMessage({ type, text });
     setTimeout(() => setMessage(null), 4000);
@@ -133,7 +299,7 @@ const PBAComponent: React.FC = () => {
       billingData.address.state_province,
       billingData.address.country,
       billingData.address.postal_code,
-      billingData.card_number,
+      cardNumber,
       billingData.expiry_date
     ].filter(v => v);
 
@@ -142,8 +308,9 @@ const PBAComponent: React.FC = () => {
   };
 
   const handleExportCSV = async () => {
-    if (!exportPassword || exportPassword.length < 8) {
-      showMessage('error', 'Password must be at least 8 characters');
+    const passwordError = PBACrypto.validatePassword(exportPassword);
+    if (passwordError) {
+      showMessage('error', passwordError);
       return;
     }
 
@@ -152,30 +319,54 @@ const PBAComponent: React.FC = () => {
       return;
     }
 
+    if (!billingData) return;
+
+    if (cardMasked && selectedFields.includes('card_number')) {
+      showMessage('error', 'Show card_number before exporting it');
+      return;
+    }
+
     try {
       setLoading(true);
 
-      const response = await fetch(`${API_BASE_URL}/billing/export-encrypted-csv`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          password: exportPassword,
-          fields: selectedFields
-        })
-      });
+      // Build and encrypt the CSV locally
+      const csvData = PBACSV.buildCSVData({ ...billingData, card_number: cardNumber }, selectedFields);
+      const { payload, metadata } = await PBACrypto.encryptCSVData(csvData, exportPassword, { fields: selectedFields });
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Export failed');
+      // Exports of API data are audited before they are downloaded
+      if (billingData.id) {
+        await recordExport(metadata.header);
       }
 
-      const result = await response.json();
-      downloadFile(result.encrypted, 'pba-export.json');
+      downloadFile(`${JSON.stringify(JSON.parse(payload), null, 2)}\n`, 'pba-export.json');
       showMessage('success', 'CSV exported successfully with encryption');
       setExportPassword('');
-      const errorMsg = error instanceof Error ? error.message : String(error);
+    } catch (err: unknown) {
+      console.error('Export failed:', err);
+      const errorMsg = err instanceof Error ? err.message : String(err);
       showMessage('error', `Export failed: ${errorMsg}`);
-      showMessage('error', `Export failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDecryptCSV = async () => {
+    if (!decryptPayload || !decryptPassword) {
+      showMessage('error', 'Password and payload are required');
+      return;
+    }
+
+    try {
+      setLoading(true);
+
+      const { csvData } = await PBACrypto.openCSVData(decryptPayload, decryptPassword);
+      setDecryptedRows(csvData.split('\n').map((line: string) => line.split(',')));
+      setDecryptPassword('');
+      showMessage('success', 'CSV decrypted successfully');
+    } catch (err: unknown) {
+      console.error('Decryption failed:', err);
+      const errorMsg = err instanceof Error ? err.message : String(err);
+      showMessage('error', `Decryption failed: ${errorMsg}`);
     } finally {
       setLoading(false);
     }
@@ -193,6 +384,16 @@ const PBAComponent: React.FC = () => {
     URL.revokeObjectURL(url);
   };
 
+  const renderIssues = (fieldId: string) => (fieldIssues[fieldId] || []).map((entry, index) => (
+    <p key={index} className={`field-issue field-issue-${entry.severity}`}>
+      {entry.severity === 'error' ? '⛔' : '⚠️'} {entry.message}
+    </p>
+  ));
+
+  const inputClass = (fieldId: string) => ((fieldIssues[fieldId] || []).some(entry => entry.severity === 'error')
+    ? 'field-input field-input-error'
+    : 'field-input');
+
   const toggleFieldSelection = (field: string) => {
     setSelectedFields((prev: string[]) =>
       prev.includes(field)
@@ -224,6 +425,30 @@ const PBAComponent: React.FC = () => {
       )}
 
       <main className="pba-main">
+        <section className="pba-section">
+          <h2>API Access</h2>
+          <div className="password-group">
+            <label htmlFor="apiToken">API Token</label>
+            <input
+              id="apiToken"
+              type="password"
+              value={apiToken}
+              onChange={(e) => setApiToken(e.target.value)}
+              placeholder="pba_..."
+              autoComplete="off"
+            />
+            <p className="hint">🔑 Issued with <code>pba-csv token issue</code>. Kept for this browser tab only and sent as a bearer token.</p>
+          </div>
+          <div className="button-group">
+            <button className="btn btn-primary" onClick={handleSaveToken}>
+              🔌 Connect
+            </button>
+            <button className="btn btn-secondary" onClick={handleClearToken}>
+              Forget Token
+            </button>
+          </div>
+        </section>
+
         {billingData && (
           <>
             {/* Address Section */}
@@ -243,7 +468,7 @@ const PBAComponent: React.FC = () => {
                   <div key={field.id} className="field-group">
                     <label>{field.label}</label>
                     <div className="field-wrapper">
-                      <input type="text" value={field.value} readOnly className="field-input" />
+                      <input type="text" value={field.value} readOnly className={inputClass(field.id)} />
                       <button
                         className={`copy-btn ${copiedField === field.id ? 'copied' : ''}`}
                         onClick={() => copyToClipboard(field.value, field.id)}
@@ -251,6 +476,7 @@ const PBAComponent: React.FC = () => {
                         {copiedField === field.id ? '✓ Copied!' : 'Copy'}
                       </button>
                     </div>
+                    {renderIssues(field.id)}
                   </div>
                 ))}
               </div>
@@ -261,21 +487,60 @@ const PBAComponent: React.FC = () => {
               <h2>Card Details</h2>
               <div className="fields-grid">
                 <div className="field-group">
-                  <label>Card Number</label>
+                  <label>
+                    Card Number
+                    {billingData.card_brand && billingData.card_brand !== 'unknown' && (
+                      <span className="card-brand">{billingData.card_brand}</span>
+                    )}
+                  </label>
                   <div className="field-wrapper">
-                    <input type="text" value={billingData.card_number} readOnly className="field-input" />
+                    <input type="text" value={cardNumber} readOnly className={inputClass('card_number')} />
+                    <button
+                      className={`reveal-btn ${revealedCard ? 'revealed' : ''}`}
+                      onClick={handleRevealToggle}
+                      title={revealedCard ? 'Hide the card number' : 'Show the full card number'}
+                    >
+                      {revealedCard ? 'Hide' : 'Show'}
+                    </button>
                     <button
                       className={`copy-btn ${copiedField === 'card_number' ? 'copied' : ''}`}
-                      onClick={() => copyToClipboard(billingData.card_number, 'card_number')}
+                      onClick={() => (cardMasked
+                        ? showMessage('error', 'Show "card_number" before copying it')
+                        : copyToClipboard(cardNumber, 'card_number'))}
                     >
                       {copiedField === 'card_number' ? '✓ Copied!' : 'Copy'}
                     </button>
                   </div>
+                  {renderIssues('card_number')}
+                  {revealPrompt && (
+                    <div className="reveal-prompt">
+                      <input
+                        type="password"
+                        value={revealPassword}
+                        onChange={(e) => setRevealPassword(e.target.value)}
+                        placeholder="Reveal password (pba-csv token passwd)"
+                        autoComplete="off"
+                        autoFocus
+                      />
+                      <button className="btn btn-primary" onClick={handleReveal} disabled={loading}>
+                        Show
+                      </button>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => {
+                          setRevealPrompt(false);
+                          setRevealPassword('');
+                        }}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
                 </div>
                 <div className="field-group">
                   <label>Expiry Date</label>
                   <div className="field-wrapper">
-                    <input type="text" value={billingData.expiry_date} readOnly className="field-input" />
+                    <input type="text" value={billingData.expiry_date} readOnly className={inputClass('expiry_date')} />
                     <button
                       className={`copy-btn ${copiedField === 'expiry_date' ? 'copied' : ''}`}
                       onClick={() => copyToClipboard(billingData.expiry_date, 'expiry_date')}
@@ -283,6 +548,7 @@ const PBAComponent: React.FC = () => {
                       {copiedField === 'expiry_date' ? '✓ Copied!' : 'Copy'}
                     </button>
                   </div>
+                  {renderIssues('expiry_date')}
                 </div>
                 <div className="field-group">
                   <label>CVV (Not Exported)</label>
@@ -319,16 +585,32 @@ const PBAComponent: React.FC = () => {
               </div>
 
               <div className="password-group">
-                <label htmlFor="exportPassword">Encryption Password (min. 8 characters)</label>
+                <label htmlFor="exportPassword">Encryption Password</label>
                 <input
                   id="exportPassword"
                   type="password"
                   value={exportPassword}
                   onChange={(e) => setExportPassword(e.target.value)}
                   placeholder="Enter strong password"
-                  minLength={8}
+                  minLength={passwordPolicy.minLength}
+                  aria-describedby="passwordStrength"
                 />
-                <p className="hint">🔒 This password will be required to decrypt the CSV file</p>
+                {passwordStrength && (
+                  <div
+                    id="passwordStrength"
+                    className={`strength-meter strength-${passwordStrength.score}`}
+                    aria-live="polite"
+                  >
+                    <div className="strength-bar">
+                      <span style={{ width: `${(passwordStrength.score + 1) * 20}%` }} />
+                    </div>
+                    <p className="strength-label">
+                      Strength: {passwordStrength.label}
+                      {!passwordStrength.acceptable && ` – ${passwordStrength.reason}`}
+                    </p>
+                  </div>
+                )}
+                <p className="hint">🔒 This password will be required to decrypt the CSV file. Encryption runs in your browser; the password never leaves this page.</p>
               </div>
 
               <div className="button-group">
@@ -340,6 +622,52 @@ const PBAComponent: React.FC = () => {
                 </button>
               </div>
             </section>
+
+            {/* Decrypt Section */}
+            <section className="pba-section export-section">
+              <h2>Decrypt Export</h2>
+
+              <div className="password-group">
+                <label htmlFor="decryptPayload">Encrypted JSON payload</label>
+                <textarea
+                  id="decryptPayload"
+                  value={decryptPayload}
+                  onChange={(e) => setDecryptPayload(e.target.value)}
+                  placeholder="Paste encrypted JSON payload"
+                  rows={6}
+                />
+                <label htmlFor="decryptPassword">Password</label>
+                <input
+                  id="decryptPassword"
+                  type="password"
+                  value={decryptPassword}
+                  onChange={(e) => setDecryptPassword(e.target.value)}
+                  placeholder="Password used during encryption"
+                />
+              </div>
+
+              <div className="button-group">
+                <button className="btn btn-primary" onClick={handleDecryptCSV} disabled={loading}>
+                  🔓 Decrypt
+                </button>
+              </div>
+
+              {decryptedRows && (
+                <div className="decrypted-data">
+                  <table>
+                    <tbody>
+                      {decryptedRows.map((row, rowIndex) => (
+                        <tr key={rowIndex}>
+                          {row.map((cell, cellIndex) => (rowIndex === 0
+                            ? <th key={cellIndex}>{cell.trim()}</th>
+                            : <td key={cellIndex}>{cell.trim()}</td>))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </section>
           </>
         )}
       </main>
@@ -5,17 +5,25 @@
  * - Fetch billing address and card data from secure backend
  * - Display in user-friendly fields with copy buttons
  * - Copy individual fields or all at once
- * - Export selected fields as encrypted CSV
+ * - Validation issues (expired card, bad postal code, ...) shown under
+ *   their fields
+ * - Card number masked to its last four digits; shown on request for a
+ *   short time after entering the reveal password
+ * - Export selected fields as encrypted CSV, under the server's password
+ *   policy and recorded in its audit log
  * - Decrypt CSV files
  * 
  * Security Considerations:
- * - Data only stored in memory, not in localStorage
- * - Web Crypto API for client-side encryption operations
- * - Passwords never logged or transmitted insecurely
+ * - Data only stored in memory, not in localStorage; the API token is kept
+ *   in sessionStorage for the current tab
+ * - Web Crypto API (encryption/browser.js) encrypts and decrypts in the page
+ * - Passwords never logged or sent to the backend; exports of backend data
+ *   are reported (export ID and field names only) before the download
  * - HTTPS only in production
  */
 
 const API_BASE_URL = 'http://localhost:3000/api';
+const TOKEN_STORAGE_KEY = 'pba-api-token';
 
 // DOM Elements
 const errorContainer = document.getElementById('errorContainer');
@@ -28,18 +36,38 @@ const copyButtons = document.querySelectorAll('.copy-btn');
 const fieldInputs = document.querySelectorAll('.field-input');
 const checkboxes = document.querySelectorAll('.checkbox-group input[type="checkbox"]');
 const exportPassword = document.getElementById('exportPassword');
+const passwordStrength = document.getElementById('passwordStrength');
+const passwordStrengthBar = document.getElementById('passwordStrengthBar');
+const passwordStrengthLabel = document.getElementById('passwordStrengthLabel');
 const decryptModal = document.getElementById('decryptModal');
+const openDecryptBtn = document.getElementById('openDecryptBtn');
 const decryptBtn = document.getElementById('decryptBtn');
 const cancelDecryptBtn = document.getElementById('cancelDecryptBtn');
+const apiToken = document.getElementById('apiToken');
+const saveTokenBtn = document.getElementById('saveTokenBtn');
+const clearTokenBtn = document.getElementById('clearTokenBtn');
+const revealButtons = document.querySelectorAll('.reveal-btn');
+const revealModal = document.getElementById('revealModal');
+const revealBtn = document.getElementById('revealBtn');
+const cancelRevealBtn = document.getElementById('cancelRevealBtn');
+const cardBrand = document.getElementById('cardBrand');
 
 // Application state
 let billingData = null;
+// Revealed values by field ID: { value, timer }; masked again when the timer fires
+let revealed = {};
+let revealField = null;
 
 /**
  * Initialize the application
  */
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('PBA Script initialized');
+
+  apiToken.value = sessionStorage.getItem(TOKEN_STORAGE_KEY) || '';
+
+  // Check export passwords against the policy the backend enforces
+  await loadPasswordPolicy();
   
   // Load billing data from backend
   await loadBillingData();
@@ -56,17 +84,22 @@ async function loadBillingData() {
     showLoading(true);
     clearMessages();
 
-    const response = await fetch(`${API_BASE_URL}/billing/address`);
+    const response = await fetch(`${API_BASE_URL}/billing/address`, { headers: authHeaders() });
     
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`API error: ${response.status} - enter an API token with the billing:read-address scope`);
+    }
     if (!response.ok) {
       throw new Error(`API error: ${response.status}`);
     }
 
     const result = await response.json();
+    hideAllRevealed();
     billingData = result.data;
 
     // Populate form fields
     populateFields(billingData);
+    renderFieldIssues(result.warnings || PBAValidation.validateBillingData(billingData).fields);
     showSuccess('Billing data loaded successfully');
   } catch (error) {
     console.error('Error loading billing data:', error);
@@ -78,12 +111,79 @@ async function loadBillingData() {
   }
 }
 
+/**
+ * Fetch the export password policy from the backend; the defaults in
+ * encryption/browser.js stay in use when it is not available
+ */
+async function loadPasswordPolicy() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/password-policy`);
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+    const policy = PBACrypto.setPasswordPolicy(await response.json());
+    exportPassword.minLength = policy.minLength;
+  } catch (error) {
+    console.warn('Using the default password policy:', error.message);
+  }
+}
+
+/**
+ * Record a locally encrypted export in the backend audit log
+ * @param {object} header - Payload header (exportId, fields)
+ */
+async function recordExport(header) {
+  const response = await fetch(`${API_BASE_URL}/billing/client-exports`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ exportId: header.exportId, fields: header.fields, profileId: billingData.id })
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.error || `API error: ${response.status}`);
+  }
+}
+
+/**
+ * Authorization header for API requests, when a token was entered
+ * @returns {object}
+ */
+function authHeaders() {
+  const token = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Save the entered API token for this tab and reload billing data
+ */
+async function handleSaveToken() {
+  const token = apiToken.value.trim();
+  if (!token) {
+    showError('Enter an API token first');
+    return;
+  }
+  sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+  await loadBillingData();
+}
+
+/**
+ * Forget the API token
+ */
+function handleClearToken() {
+  sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+  apiToken.value = '';
+  showSuccess('API token removed');
+}
+
 /**
  * Use mock data for demonstration
  */
 function useMockData() {
+  hideAllRevealed();
   billingData = {
-    card_number: '4532-1111-2222-3333',
+    card_number: '****-****-****-3333',
+    card_brand: 'visa',
+    card_last4: '3333',
     expiry_date: '12/25',
     cvv: '***',
     address: {
@@ -98,6 +198,7 @@ function useMockData() {
     }
   };
   populateFields(billingData);
+  renderFieldIssues(PBAValidation.validateBillingData(billingData).fields);
   showSuccess('Using demo data (backend not available)');
 }
 
@@ -118,8 +219,34 @@ function populateFields(data) {
   document.getElementById('postal_code').value = data.address?.postal_code || '';
 
   // Card fields
-  document.getElementById('card_number').value = data.card_number || '';
+  document.getElementById('card_number').value = revealed.card_number?.value || data.card_number || '';
   document.getElementById('expiry_date').value = data.expiry_date || '';
+
+  cardBrand.textContent = data.card_brand && data.card_brand !== 'unknown' ? data.card_brand : '';
+  cardBrand.classList.toggle('hidden', !cardBrand.textContent);
+}
+
+/**
+ * Show validation issues as badges under their fields
+ * @param {object} fields - Issues by field name, from the API or
+ *   PBAValidation.validateBillingData
+ */
+function renderFieldIssues(fields) {
+  document.querySelectorAll('.field-issue').forEach(badge => badge.remove());
+  fieldInputs.forEach(input => input.classList.remove('field-input-error'));
+
+  Object.entries(fields || {}).forEach(([fieldId, issues]) => {
+    const input = document.getElementById(fieldId);
+    if (!input) return;
+
+    issues.forEach(({ severity, message }) => {
+      const badge = document.createElement('p');
+      badge.className = `field-issue field-issue-${severity}`;
+      badge.textContent = `${severity === 'error' ? '⛔' : '⚠️'} ${message}`;
+      input.closest('.field-group').appendChild(badge);
+    });
+    input.classList.toggle('field-input-error', issues.some(({ severity }) => severity === 'error'));
+  });
 }
 
 /**
@@ -131,13 +258,33 @@ function attachEventListeners() {
     button.addEventListener('click', handleCopyField);
   });
 
+  // Reveal/hide toggles for masked fields
+  revealButtons.forEach(button => {
+    button.addEventListener('click', handleRevealToggle);
+  });
+
+  revealBtn.addEventListener('click', handleReveal);
+
+  cancelRevealBtn.addEventListener('click', closeRevealModal);
+
+  // API token buttons
+  saveTokenBtn.addEventListener('click', handleSaveToken);
+  clearTokenBtn.addEventListener('click', handleClearToken);
+
   // Copy All button
   copyAllBtn.addEventListener('click', handleCopyAll);
 
   // Export CSV button
   exportCSVBtn.addEventListener('click', handleExportCSV);
 
+  // Live password strength meter
+  exportPassword.addEventListener('input', updateStrengthMeter);
+
   // Decrypt modal buttons
+  openDecryptBtn.addEventListener('click', () => {
+    decryptModal.classList.remove('hidden');
+  });
+
   cancelDecryptBtn.addEventListener('click', () => {
     decryptModal.classList.add('hidden');
   });
@@ -158,6 +305,11 @@ async function handleCopyField(event) {
     return;
   }
 
+  if (isMasked(fieldId)) {
+    showError(`Show "${fieldId}" before copying it`);
+    return;
+  }
+
   try {
     // Use modern Clipboard API
     if (navigator.clipboard && navigator.clipboard.writeText) {
@@ -176,6 +328,118 @@ async function handleCopyField(event) {
   }
 }
 
+/**
+ * Whether a field currently shows a masked value
+ * @param {string} fieldId - Field ID
+ * @returns {boolean}
+ */
+function isMasked(fieldId) {
+  return !revealed[fieldId] && String(billingData?.[fieldId] || '').includes('*');
+}
+
+/**
+ * Handle a reveal/hide toggle: hide a shown value, or ask for the
+ * reveal password
+ */
+function handleRevealToggle(event) {
+  const fieldId = event.target.closest('.reveal-btn').dataset.field;
+
+  if (revealed[fieldId]) {
+    hideRevealed(fieldId);
+    return;
+  }
+  if (!billingData?.id) {
+    showError('Showing the card number needs the backend');
+    return;
+  }
+
+  revealField = fieldId;
+  revealModal.classList.remove('hidden');
+  document.getElementById('revealPassword').focus();
+}
+
+/**
+ * Close the reveal password prompt
+ */
+function closeRevealModal() {
+  revealModal.classList.add('hidden');
+  document.getElementById('revealPassword').value = '';
+  revealField = null;
+}
+
+/**
+ * Handle Reveal: fetch the full value from the backend and show it until
+ * the expiry the backend sets
+ */
+async function handleReveal() {
+  const fieldId = revealField;
+  const password = document.getElementById('revealPassword').value;
+
+  if (!password) {
+    showError('Reveal password is required');
+    return;
+  }
+
+  try {
+    showLoading(true);
+
+    const response = await fetch(`${API_BASE_URL}/billing/profiles/${encodeURIComponent(billingData.id)}/reveal`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ password })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `API error: ${response.status}`);
+    }
+
+    closeRevealModal();
+    revealed[fieldId] = {
+      value: result.data[fieldId],
+      timer: setTimeout(() => hideRevealed(fieldId), result.expiresIn * 1000)
+    };
+    document.getElementById(fieldId).value = revealed[fieldId].value;
+    setRevealButton(fieldId, true);
+    showSuccess(`Card number shown for ${result.expiresIn} seconds`);
+  } catch (error) {
+    console.error('Reveal failed:', error);
+    showError(`Could not show the card number: ${error.message}`);
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Mask a revealed field again
+ * @param {string} fieldId - Field ID
+ */
+function hideRevealed(fieldId) {
+  if (!revealed[fieldId]) return;
+
+  clearTimeout(revealed[fieldId].timer);
+  delete revealed[fieldId];
+  document.getElementById(fieldId).value = billingData?.[fieldId] || '';
+  setRevealButton(fieldId, false);
+}
+
+/**
+ * Mask every revealed field again, e.g. before other data is loaded
+ */
+function hideAllRevealed() {
+  Object.keys(revealed).forEach(hideRevealed);
+}
+
+/**
+ * Update the label of a field's reveal/hide toggle
+ * @param {string} fieldId - Field ID
+ * @param {boolean} shown - Whether the full value is shown
+ */
+function setRevealButton(fieldId, shown) {
+  const button = document.querySelector(`.reveal-btn[data-field="${fieldId}"]`);
+  button.textContent = shown ? 'Hide' : 'Show';
+  button.classList.toggle('revealed', shown);
+}
+
 /**
  * Fallback copy method for older browsers
  */
@@ -232,15 +496,41 @@ async function handleCopyAll() {
   }
 }
 
+/**
+ * Update the strength meter under the export password
+ * Uses the same policy that export validation enforces.
+ */
+function updateStrengthMeter() {
+  const password = exportPassword.value;
+  passwordStrength.classList.toggle('hidden', password.length === 0);
+  if (!password) {
+    return;
+  }
+
+  const strength = PBACrypto.checkPasswordStrength(password);
+  passwordStrength.className = `strength-meter strength-${strength.score}`;
+  passwordStrengthBar.style.width = `${(strength.score + 1) * 20}%`;
+  passwordStrengthLabel.textContent = strength.acceptable
+    ? `Strength: ${strength.label}`
+    : `Strength: ${strength.label} – ${strength.reason}`;
+}
+
 /**
  * Handle Export Encrypted CSV
+ * The CSV is built and encrypted in the page; only the payload is downloaded.
  */
 async function handleExportCSV() {
   try {
     // Validate password
     const password = exportPassword.value;
-    if (!password || password.length < 8) {
-      showError('Password must be at least 8 characters');
+    const passwordError = PBACrypto.validatePassword(password);
+    if (passwordError) {
+      showError(passwordError);
+      return;
+    }
+
+    if (!billingData) {
+      showError('Billing data is not loaded');
       return;
     }
 
@@ -254,33 +544,34 @@ async function handleExportCSV() {
       return;
     }
 
+    const masked = selectedFields.filter(isMasked);
+    if (masked.length > 0) {
+      showError(`Show ${masked.join(', ')} before exporting it`);
+      return;
+    }
+
     showLoading(true);
 
-    // Call backend API to encrypt and export
-    const response = await fetch(`${API_BASE_URL}/billing/export-encrypted-csv`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        password,
-        fields: selectedFields
-      })
+    // Build and encrypt the CSV locally
+    const exportData = { ...billingData };
+    Object.keys(revealed).forEach(fieldId => {
+      exportData[fieldId] = revealed[fieldId].value;
     });
+    const csvData = PBACSV.buildCSVData(exportData, selectedFields);
+    const { payload, metadata } = await PBACrypto.encryptCSVData(csvData, password, { fields: selectedFields });
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Export failed');
+    // Exports of backend data are audited before they are downloaded
+    if (billingData.id) {
+      await recordExport(metadata.header);
     }
 
-    const result = await response.json();
-
     // Create downloadable file
-    downloadEncryptedCSV(result.encrypted, selectedFields);
+    downloadEncryptedCSV(payload, selectedFields);
     showSuccess('CSV exported successfully with encryption');
 
     // Clear password after successful export
     exportPassword.value = '';
+    updateStrengthMeter();
   } catch (error) {
     console.error('Export failed:', error);
     showError(`Export failed: ${error.message}`);
@@ -291,9 +582,10 @@ async function handleExportCSV() {
 
 /**
  * Download encrypted CSV file
+ * Written as a JSON envelope, the same layout `pba-csv encrypt` produces.
  */
 function downloadEncryptedCSV(payload, fields) {
-  const dataStr = JSON.stringify(payload, null, 2);
+  const dataStr = `${JSON.stringify(JSON.parse(payload), null, 2)}\n`;
   const dataBlob = new Blob([dataStr], { type: 'application/json' });
   const url = URL.createObjectURL(dataBlob);
 
@@ -308,6 +600,7 @@ function downloadEncryptedCSV(payload, fields) {
 
 /**
  * Handle Decrypt CSV
+ * Decrypts in the page; the payload and password are not sent anywhere.
  */
 async function handleDecryptCSV() {
   try {
@@ -321,26 +614,13 @@ async function handleDecryptCSV() {
 
     showLoading(true);
 
-    const response = await fetch(`${API_BASE_URL}/billing/decrypt-csv`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        password,
-        payload
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Decryption failed');
-    }
-
-    const result = await response.json();
-    displayDecryptedCSV(result.data);
+    const { csvData, header } = await PBACrypto.openCSVData(payload, password);
+    displayDecryptedCSV(csvData);
     decryptModal.classList.add('hidden');
-    showSuccess('CSV decrypted successfully');
+    document.getElementById('decryptPassword').value = '';
+    showSuccess(header
+      ? `CSV decrypted successfully (export created ${new Date(header.createdAt).toLocaleString()})`
+      : 'CSV decrypted successfully');
   } catch (error) {
     console.error('Decryption failed:', error);
     showError(`Decryption failed: ${error.message}`);
@@ -422,8 +702,10 @@ function clearMessages() {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     loadBillingData,
+    loadPasswordPolicy,
     handleCopyField,
     handleCopyAll,
+    handleReveal,
     handleExportCSV,
     handleDecryptCSV
   };